@@ -492,3 +492,360 @@ async function updateUserLimits(userId, tier) {
   });
 }
 
+
+// ============================================================
+// Monthly workspace rollover
+// ============================================================
+
+/**
+ * On the first of each month, in the account's time zone, archive the previous
+ * inspection month with its inspectionLogs summary, create the new month and
+ * carry over the asset list (as pending) and open deficiencies.
+ *
+ * Configured per account on the user document:
+ *   rolloverSettings: {
+ *     enabled: true,
+ *     timeZone: 'America/New_York',  // IANA zone; defaults to UTC
+ *     hour: 0,                       // local hour on the 1st to run at or after
+ *     archivePrevious: true          // false keeps last month active
+ *   }
+ *
+ * Idempotent: every document written has an id derived from the account and
+ * month, and progress is recorded in `rollovers/{uid}_{YYYY-MM}`, so a retried
+ * or overlapping run finishes the same rollover instead of repeating it.
+ */
+const ROLLOVER_BATCH_SIZE = 450;
+
+// Fields that belong to the physical unit and carry over to the new month
+const CARRIED_OVER_UNIT_FIELDS = [
+  'assetId', 'serial', 'vicinity', 'parentLocation', 'section', 'buildingId',
+  'photoUrl', 'photos', 'location', 'floorId', 'roomId',
+  'extinguisherType', 'sizeLbs', 'ulRating', 'manufacturer', 'model',
+  'inspectionFrequency', 'lifecycleState', 'lifecycleChangedAt', 'lifecycleHistory',
+  'swapHistory', 'spareHome', 'replacedFrom', 'recallIds', 'previousAssetIds',
+  'manufactureYear', 'manufactureDate', 'lastSixYearMaintenance', 'lastHydroTest',
+  'lastAnnualMaintenance', 'maintenanceNeedsReview',
+];
+
+/**
+ * Local calendar date and hour of `now` in an IANA time zone
+ */
+function getLocalDateParts(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour') };
+}
+
+/**
+ * Resolve an account's settings, falling back to UTC for a missing or invalid zone
+ */
+function normalizeRolloverSettings(settings = {}) {
+  let timeZone = settings.timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    functions.logger.warn(`Invalid rollover time zone "${timeZone}"; using UTC`);
+    timeZone = 'UTC';
+  }
+  const hour = Number.isInteger(settings.hour) && settings.hour >= 0 && settings.hour <= 23 ? settings.hour : 0;
+  return {
+    enabled: settings.enabled === true,
+    timeZone,
+    hour,
+    archivePrevious: settings.archivePrevious !== false,
+  };
+}
+
+/**
+ * Month to roll over to at `now`, or null when it is not yet time: from the
+ * configured hour on the 1st of the month, in the account's time zone, to the
+ * end of the month. A month whose run didn't complete on the 1st (failed runs,
+ * an outage) is picked up by the next hourly run; rolloverAccount returns
+ * early once it is complete. Returns { monthYear: 'YYYY-MM', label: "Nov '25" }.
+ */
+function getDueRolloverMonth(now, settings) {
+  const local = getLocalDateParts(now, settings.timeZone);
+  if (local.day === 1 && local.hour < settings.hour) return null;
+  const monthYear = `${local.year}-${String(local.month).padStart(2, '0')}`;
+  const label = new Date(Date.UTC(local.year, local.month - 1, 15))
+    .toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })
+    .replace(' ', " '");
+  return { monthYear, label };
+}
+
+/**
+ * Id of a unit's copy for `monthYear`. Every copy records the id of the unit it
+ * was first copied from, so the id stays `{rootId}_{YYYY-MM}` month after month
+ * instead of growing a suffix each time.
+ */
+function getRolloverUnitIds(unitDoc, monthYear) {
+  const rootId = unitDoc.data().rolloverRootId || unitDoc.id;
+  return { rootId, newId: `${rootId}_${monthYear}` };
+}
+
+/**
+ * Pending copy of a unit for the new month, in the same building subcollection
+ * as the unit, like a copy made by createWorkspace in the app. `newIds` maps
+ * every copied unit's old id to its new id, so an active swap's partner points
+ * at the partner's copy (as remapSwapFields does in the app).
+ */
+function buildCarriedOverUnit(sourceId, rootId, data, workspaceId, nowIso, newIds) {
+  const unit = {};
+  CARRIED_OVER_UNIT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) unit[field] = data[field];
+  });
+  return {
+    ...unit,
+    swap: data.swap ? { ...data.swap, spareId: newIds.get(data.swap.spareId) || null } : null,
+    coveringFor: data.coveringFor
+      ? { ...data.coveringFor, originalId: newIds.get(data.coveringFor.originalId) || null }
+      : null,
+    rolloverRootId: rootId,
+    status: 'pending',
+    checkedDate: null,
+    notes: '',
+    // The inspection schedule runs across months, so the last inspection carries over
+    lastInspectedAt: data.lastInspectedAt || data.checkedDate || null,
+    // Earlier document ids, so the unit's inspection history follows the copy
+    previousExtinguisherIds: [...(data.previousExtinguisherIds || []), sourceId],
+    userId: data.userId,
+    workspaceId,
+    createdAt: nowIso,
+    carriedOverFrom: data.workspaceId || null,
+  };
+}
+
+/**
+ * Inspection log for an archived month (mirrors archiveWorkspace in the app)
+ */
+function buildInspectionLog(uid, workspace, units, nowIso) {
+  const inService = units.filter((u) => !u.lifecycleState || u.lifecycleState === 'in_service');
+  return {
+    userId: uid,
+    workspaceId: workspace.id,
+    archivedDate: nowIso,
+    monthYear: workspace.label,
+    totalExtinguishers: inService.length,
+    passedCount: inService.filter((u) => u.status === 'pass').length,
+    failedCount: inService.filter((u) => u.status === 'fail').length,
+    pendingCount: inService.filter((u) => u.status === 'pending').length,
+    notInServiceCount: units.length - inService.length,
+    signoffs: workspace.signoffs || [],
+    extinguisherResults: units.map((u) => ({
+      assetId: u.assetId,
+      section: u.section,
+      status: u.status,
+      checkedDate: u.checkedDate || null,
+      notes: u.notes || '',
+    })),
+    source: 'rollover',
+  };
+}
+
+/**
+ * Commit set/update operations in batches under the 500-write limit
+ */
+async function commitInBatches(db, operations) {
+  for (let i = 0; i < operations.length; i += ROLLOVER_BATCH_SIZE) {
+    const batch = db.batch();
+    operations.slice(i, i + ROLLOVER_BATCH_SIZE).forEach((op) => op(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Roll one account over to `month`. Safe to call again for the same month.
+ * Returns a short status for logging: 'complete' | 'already-complete' |
+ * 'in-progress' | 'skipped-existing' | 'skipped-no-source'.
+ */
+async function rolloverAccount(db, uid, settings, month, now = new Date()) {
+  const nowIso = now.toISOString();
+  const runRef = db.collection('rollovers').doc(`${uid}_${month.monthYear}`);
+
+  // Claim the run; a claim older than 15 minutes is treated as a crashed run and resumed
+  const claimed = await db.runTransaction(async (tx) => {
+    const run = await tx.get(runRef);
+    if (run.exists && run.data().status === 'complete') return 'already-complete';
+    if (run.exists && run.data().status === 'running' &&
+        now.getTime() - Date.parse(run.data().startedAt) < 15 * 60 * 1000) {
+      return 'in-progress';
+    }
+    tx.set(runRef, {
+      userId: uid,
+      monthYear: month.monthYear,
+      status: 'running',
+      startedAt: nowIso,
+      attempts: (run.exists ? run.data().attempts || 0 : 0) + 1,
+    }, { merge: true });
+    return 'claimed';
+  });
+  if (claimed !== 'claimed') return claimed;
+
+  try {
+    const newWorkspaceId = `rollover_${uid}_${month.monthYear}`;
+    const activeSnap = await db.collection('workspaces')
+      .where('userId', '==', uid)
+      .where('status', '==', 'active')
+      .get();
+    const active = activeSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+    // Someone already started this month by hand: leave it alone
+    if (active.some((ws) => ws.monthYear === month.monthYear && ws.id !== newWorkspaceId)) {
+      await runRef.set({ status: 'complete', result: 'skipped-existing', completedAt: nowIso }, { merge: true });
+      return 'skipped-existing';
+    }
+
+    // Source: the rolled-over-from workspace on a resumed run, else the most recent earlier month
+    const existingNew = await db.collection('workspaces').doc(newWorkspaceId).get();
+    const sourceId = existingNew.exists ? existingNew.data().rolledOverFrom : null;
+    const source = sourceId
+      ? { id: sourceId, ...(await db.collection('workspaces').doc(sourceId).get()).data() }
+      : active
+        .filter((ws) => (ws.monthYear || '') < month.monthYear)
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))[0];
+    if (!source) {
+      await runRef.set({ status: 'complete', result: 'skipped-no-source', completedAt: nowIso }, { merge: true });
+      return 'skipped-no-source';
+    }
+
+    // 1) New workspace
+    await db.collection('workspaces').doc(newWorkspaceId).set({
+      userId: uid,
+      label: month.label,
+      monthYear: month.monthYear,
+      status: 'active',
+      createdAt: existingNew.exists ? existingNew.data().createdAt : nowIso,
+      archivedAt: null,
+      rolledOverFrom: source.id,
+      createdBy: 'rollover',
+    }, { merge: true });
+
+    // 2) Units: pending copies in the same building, with ids derived from the unit's first id.
+    // Every new id is known before writing so swap partners can point at each other's copies.
+    const unitsSnap = await db.collectionGroup('extinguishers')
+      .where('userId', '==', uid)
+      .where('workspaceId', '==', source.id)
+      .get();
+    // Only building subcollections (legacy top-level extinguishers have no parent document)
+    const unitDocs = unitsSnap.docs.filter((d) => d.ref.parent.parent);
+    const copies = unitDocs.map((unitDoc) => ({ unitDoc, ...getRolloverUnitIds(unitDoc, month.monthYear) }));
+    const newIds = new Map(copies.map(({ unitDoc, newId }) => [unitDoc.id, newId]));
+    await commitInBatches(db, copies.map(({ unitDoc, rootId, newId }) => (batch) => batch.set(
+      unitDoc.ref.parent.doc(newId),
+      buildCarriedOverUnit(unitDoc.id, rootId, unitDoc.data(), newWorkspaceId, nowIso, newIds),
+    )));
+
+    // 3) Open deficiencies follow the units (already-moved ones no longer match on a re-run)
+    const deficienciesSnap = await db.collection('deficiencies')
+      .where('userId', '==', uid)
+      .where('workspaceId', '==', source.id)
+      .get();
+    const open = deficienciesSnap.docs.filter((d) => d.data().status !== 'resolved');
+    // A deficiency whose unit wasn't copied keeps pointing at the original unit
+    await commitInBatches(db, open.map((defDoc) => (batch) => batch.update(defDoc.ref, {
+      workspaceId: newWorkspaceId,
+      ...(newIds.has(defDoc.data().extinguisherId) ? { extinguisherId: newIds.get(defDoc.data().extinguisherId) } : {}),
+      carriedOver: [...(defDoc.data().carriedOver || []), { fromWorkspaceId: source.id, at: nowIso }],
+      updatedAt: nowIso,
+    })));
+
+    // 4) Archive last month with its summary
+    if (settings.archivePrevious) {
+      const units = unitDocs.map((d) => d.data());
+      await db.collection('inspectionLogs').doc(`rollover_${source.id}`)
+        .set(buildInspectionLog(uid, source, units, nowIso));
+      await db.collection('workspaces').doc(source.id).update({
+        status: 'archived',
+        archivedAt: nowIso,
+      });
+    }
+
+    await runRef.set({
+      status: 'complete',
+      result: 'complete',
+      workspaceId: newWorkspaceId,
+      fromWorkspaceId: source.id,
+      unitCount: unitDocs.length,
+      deficienciesCarriedOver: open.length,
+      completedAt: new Date().toISOString(),
+    }, { merge: true });
+    return 'complete';
+  } catch (error) {
+    await runRef.set({ status: 'failed', error: error.message, failedAt: new Date().toISOString() }, { merge: true });
+    throw error;
+  }
+}
+
+/**
+ * Check every account with rollover enabled and roll over those that are due
+ */
+async function runMonthlyRollover(now = new Date()) {
+  const db = admin.firestore();
+  const usersSnap = await db.collection('users').where('rolloverSettings.enabled', '==', true).get();
+  const results = {};
+  for (const userDoc of usersSnap.docs) {
+    const settings = normalizeRolloverSettings(userDoc.data().rolloverSettings);
+    const month = getDueRolloverMonth(now, settings);
+    if (!month) continue;
+    // Due all month until the month's run is complete; a completed one costs a single read
+    const run = await db.collection('rollovers').doc(`${userDoc.id}_${month.monthYear}`).get();
+    if (run.exists && run.data().status === 'complete') {
+      results[userDoc.id] = 'already-complete';
+      continue;
+    }
+    try {
+      results[userDoc.id] = await rolloverAccount(db, userDoc.id, settings, month, now);
+    } catch (error) {
+      functions.logger.error(`Monthly rollover failed for ${userDoc.id}`, error);
+      results[userDoc.id] = 'failed';
+    }
+  }
+  return results;
+}
+
+/**
+ * Runs hourly so each account is rolled over soon after midnight (or its
+ * configured hour) on the 1st in its own time zone, or on a later run that
+ * month if that one failed
+ */
+exports.monthlyRollover = functions.pubsub
+  .schedule('0 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    const results = await runMonthlyRollover();
+    const counts = {};
+    Object.values(results).forEach((result) => {
+      counts[result] = (counts[result] || 0) + 1;
+    });
+    functions.logger.info('Monthly rollover run', counts);
+    return null;
+  });
+
+/**
+ * Emulator only: run the rollover now, optionally as of ?at=<ISO date>.
+ * e.g. curl "http://127.0.0.1:5001/<project>/us-central1/monthlyRolloverNow?at=2025-11-01T06:00:00Z"
+ */
+exports.monthlyRolloverNow = functions.https.onRequest(async (req, res) => {
+  if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+    res.status(404).send('Not found');
+    return;
+  }
+  const now = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    res.status(400).send('Invalid "at" date');
+    return;
+  }
+  try {
+    res.json({ at: now.toISOString(), results: await runMonthlyRollover(now) });
+  } catch (error) {
+    functions.logger.error('Error running monthly rollover', error);
+    res.status(500).send(error.message);
+  }
+});
@@ -0,0 +1,199 @@
+/**
+ * Monthly rollover check against the Firebase emulators
+ *
+ * Seeds accounts with different rollover settings, calls the emulator-only
+ * monthlyRolloverNow trigger at chosen times and checks that each account is
+ * rolled over when its own settings say so, exactly once per month. Run with:
+ *
+ *   npm run test:rollover
+ *
+ * which starts the Firestore and Functions emulators, runs this file and
+ * exits with its status.
+ */
+
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-rollover';
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+const FUNCTIONS_ORIGIN =
+  process.env.FUNCTIONS_EMULATOR_ORIGIN || 'http://127.0.0.1:5001';
+const MONTH = '2025-11';
+
+process.env.FIRESTORE_EMULATOR_HOST = FIRESTORE_HOST;
+admin.initializeApp({projectId: PROJECT_ID});
+const db = admin.firestore();
+
+// Accounts and their settings: NY rolls over from 06:00 local, Tokyo from
+// midnight local, and the last one has rollover turned off
+const ACCOUNTS = {
+  ny: {enabled: true, timeZone: 'America/New_York', hour: 6},
+  tokyo: {enabled: true, timeZone: 'Asia/Tokyo', hour: 0},
+  off: {enabled: false, timeZone: 'UTC', hour: 0},
+};
+
+/**
+ * Remove everything from the Firestore emulator
+ */
+async function clearFirestore() {
+  const url = `http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}` +
+    '/databases/(default)/documents';
+  const res = await fetch(url, {method: 'DELETE'});
+  assert.ok(res.ok, `Clearing Firestore failed: ${res.status}`);
+}
+
+/**
+ * Building subcollection holding an account's units
+ * @param {string} uid Account id
+ * @return {FirebaseFirestore.CollectionReference} Units collection
+ */
+function getUnits(uid) {
+  return db.collection('buildings').doc(`building_${uid}`)
+      .collection('extinguishers');
+}
+
+/**
+ * October workspace with a unit out on a temporary swap, the spare covering
+ * it, and an open deficiency on the unit
+ * @param {string} uid Account id
+ * @param {object} rolloverSettings The account's rollover settings
+ */
+async function seedAccount(uid, rolloverSettings) {
+  const workspaceId = `ws_${uid}_oct`;
+  const buildingId = `building_${uid}`;
+  const common = {
+    userId: uid,
+    workspaceId,
+    buildingId,
+    section: 'Main',
+    status: 'pass',
+  };
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(uid), {rolloverSettings});
+  batch.set(db.collection('workspaces').doc(workspaceId), {
+    userId: uid,
+    label: 'Oct \'25',
+    monthYear: '2025-10',
+    status: 'active',
+    createdAt: '2025-10-01T00:00:00.000Z',
+    archivedAt: null,
+  });
+  batch.set(db.collection('buildings').doc(buildingId), {
+    userId: uid,
+    name: 'Main',
+  });
+  batch.set(getUnits(uid).doc(`${uid}_unit`), {
+    ...common,
+    assetId: 'FE-1',
+    lifecycleState: 'out_for_service',
+    swap: {spareId: `${uid}_spare`, since: '2025-10-20'},
+  });
+  batch.set(getUnits(uid).doc(`${uid}_spare`), {
+    ...common,
+    assetId: 'SP-1',
+    lifecycleState: 'spare',
+    coveringFor: {originalId: `${uid}_unit`, since: '2025-10-20'},
+  });
+  batch.set(db.collection('deficiencies').doc(`${uid}_deficiency`), {
+    userId: uid,
+    workspaceId,
+    extinguisherId: `${uid}_unit`,
+    status: 'open',
+  });
+  await batch.commit();
+}
+
+/**
+ * Run the rollover as of `at` through the emulator-only trigger
+ * @param {string} at ISO time the run pretends it is
+ * @return {Promise<object>} Result per account that was due
+ */
+async function runRolloverAt(at) {
+  const url = `${FUNCTIONS_ORIGIN}/${PROJECT_ID}/us-central1/` +
+    `monthlyRolloverNow?at=${encodeURIComponent(at)}`;
+  const res = await fetch(url);
+  assert.ok(res.ok, `monthlyRolloverNow failed: ${res.status}`);
+  return (await res.json()).results;
+}
+
+/**
+ * Workspaces of an account for the rolled-over month
+ * @param {string} uid Account id
+ * @return {Promise<Array>} Workspace documents
+ */
+async function getMonthWorkspaces(uid) {
+  const snap = await db.collection('workspaces')
+      .where('userId', '==', uid)
+      .where('monthYear', '==', MONTH)
+      .get();
+  return snap.docs;
+}
+
+/**
+ * Check the copied units, deficiency and archived source of an account
+ * @param {string} uid Account id
+ */
+async function assertRolledOver(uid) {
+  const workspaces = await getMonthWorkspaces(uid);
+  assert.equal(workspaces.length, 1, `${uid}: one ${MONTH} workspace`);
+  const workspaceId = workspaces[0].id;
+  assert.equal(workspaceId, `rollover_${uid}_${MONTH}`);
+
+  const copies = await getUnits(uid)
+      .where('workspaceId', '==', workspaceId)
+      .get();
+  assert.equal(copies.size, 2, `${uid}: both units copied once`);
+  const unit = copies.docs.find((d) => d.id === `${uid}_unit_${MONTH}`);
+  const spare = copies.docs.find((d) => d.id === `${uid}_spare_${MONTH}`);
+  assert.ok(unit && spare, `${uid}: copy ids derive from the first unit id`);
+  assert.equal(unit.data().status, 'pending');
+  assert.equal(unit.data().swap.spareId, spare.id,
+      `${uid}: swap points at the spare's copy`);
+  assert.equal(spare.data().coveringFor.originalId, unit.id,
+      `${uid}: spare points at the unit's copy`);
+
+  const deficiency = (await db.collection('deficiencies')
+      .doc(`${uid}_deficiency`).get()).data();
+  assert.equal(deficiency.workspaceId, workspaceId,
+      `${uid}: deficiency moved to the new month`);
+  assert.equal(deficiency.extinguisherId, unit.id,
+      `${uid}: deficiency points at the unit's copy`);
+
+  const source = (await db.collection('workspaces')
+      .doc(`ws_${uid}_oct`).get()).data();
+  assert.equal(source.status, 'archived', `${uid}: previous month archived`);
+}
+
+/**
+ * Seed, run and check
+ */
+async function main() {
+  await clearFirestore();
+  for (const [uid, settings] of Object.entries(ACCOUNTS)) {
+    await seedAccount(uid, settings);
+  }
+
+  // Nov 1, 05:00 UTC: 14:00 in Tokyo (due), 01:00 in New York (before 06:00)
+  const first = await runRolloverAt('2025-11-01T05:00:00Z');
+  assert.deepEqual(first, {tokyo: 'complete'});
+
+  // The same run again adds nothing
+  const repeat = await runRolloverAt('2025-11-01T05:00:00Z');
+  assert.deepEqual(repeat, {tokyo: 'already-complete'});
+
+  // Every run on New York's 1st failed; the next run that month catches up
+  const later = await runRolloverAt('2025-11-03T12:00:00Z');
+  assert.deepEqual(later, {ny: 'complete', tokyo: 'already-complete'});
+
+  await assertRolledOver('tokyo');
+  await assertRolledOver('ny');
+  assert.equal((await getMonthWorkspaces('off')).length, 0,
+      'off: rollover disabled');
+
+  console.log('Monthly rollover emulator check passed');
+}
+
+main().then(() => process.exit(0), (error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Routes, Route, useNavigate, Link, useSearchParams } from 'react-router-dom';
 import * as XLSX from 'xlsx';
-import { Search, Upload, CheckCircle, XCircle, Circle, Download, Filter, Edit2, Save, X, Menu, ScanLine, Plus, Clock, Play, Pause, StopCircle, LogOut, Camera, Calendar, Settings, RotateCcw, FileText, Calculator as CalculatorIcon, Shield, History } from 'lucide-react';
+import { Search, Upload, CheckCircle, XCircle, Circle, Download, Filter, Edit2, Save, X, Menu, ScanLine, Plus, Clock, Play, Pause, StopCircle, LogOut, Camera, Calendar, Settings, RotateCcw, FileText, Calculator as CalculatorIcon, Shield, History, Wrench, AlertTriangle, CalendarClock } from 'lucide-react';
 import { onAuthStateChanged, signOut } from 'firebase/auth';
-import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot, query, where, getDocs, getDoc, setDoc, writeBatch } from 'firebase/firestore';
+import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot, query, where, getDocs, getDoc, setDoc, writeBatch, orderBy, limit, serverTimestamp, collectionGroup, deleteField, runTransaction } from 'firebase/firestore';
 import { auth, db, storage, workspacesRef } from './firebase';
+import { QUEUED_WRITE_TYPES, addQueuedWrite, getQueuedWrites, updateQueuedWrite, removeQueuedWrite, isRetryableError, applyQueuedInspections, PhotoUploadError } from './offlineQueue';
 import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { deleteObject } from 'firebase/storage';
 import Login from './Login';
@@ -14,6 +15,41 @@ import SectionGrid from './components/SectionGrid';
 import SectionDetail from './components/SectionDetail';
 import ExtinguisherDetailView from './components/ExtinguisherDetailView';
 import Calculator from './components/Calculator.jsx';
+import ExtinguisherAttributesFields from './components/ExtinguisherAttributesFields';
+import MaintenanceDashboard from './components/MaintenanceDashboard';
+import InspectionScheduleView from './components/InspectionScheduleView';
+import InspectionFrequencyField from './components/InspectionFrequencyField';
+import InspectionTimingView from './components/InspectionTimingView';
+import LifecycleModal from './components/LifecycleModal';
+import SwapModal from './components/SwapModal';
+import DuplicateReportModal from './components/DuplicateReportModal';
+import BulkEditModal from './components/BulkEditModal';
+import FloorRoomFields from './components/FloorRoomFields';
+import BuildingLocationsEditor from './components/BuildingLocationsEditor';
+import ChecklistTemplatesModal from './components/ChecklistTemplatesModal';
+import DeficienciesView from './components/DeficienciesView';
+import SignoffModal from './components/SignoffModal';
+import ReinspectModal from './components/ReinspectModal';
+import ChangeLogView from './components/ChangeLogView';
+import SyncStatusIndicator from './components/SyncStatusIndicator';
+import ConflictDialog from './components/ConflictDialog';
+import { MAINTENANCE_CONFIG, EMPTY_MAINTENANCE_DATES, hasStructuredMaintenance, parseLegacyManufactureYear, getMaintenanceExportColumns, toDateString } from './config/maintenance';
+import { findRecallIds, sameRecallIds, parseRecallRows } from './config/recalls';
+import { BULK_ACTIONS, BULK_BATCH_LIMIT, chunkOperations } from './config/bulkEdit';
+import { BUILT_IN_TEMPLATE_ID, resolveTemplateSections, getChecklistExportColumns, getChecklistItemLabel, ChecklistPhotoUploadError } from './config/checklistTemplates';
+import { DEFICIENCY_STATUSES, buildDeficienciesFromInspection, isDeficiencyOpen } from './config/deficiencies';
+import { buildRouteFromInspections } from './config/walkRoute';
+import { CHANGE_ACTIONS, buildChangeLogEntry, getRemovalLogId, LOGGED_UNITS_PER_BATCH } from './config/changeLog';
+import { CONFLICT_RESOLUTIONS, ExtinguisherConflictError, getInspectionBase, findInspectionConflict, findEditConflict, buildConflictResolution } from './config/conflicts';
+import { INSPECTIONS_SUBCOLLECTION, getInspectionRecordId, buildInspectionRecordDoc, getHistoryExtinguisherIds, chunkHistoryExtinguisherIds, mergeInspectionHistory, groupRecordsByUnit, getRecordsForItem, getLatestInspectionDate } from './config/inspectionRecords';
+import { FREQUENCY_CONFIG, computeInspectionSchedule, getFrequencyConfig } from './config/inspectionFrequency';
+import { TIMER_SESSIONS_COLLECTION, TIMER_STOP_REASONS, TIMER_STOP_REASON_LABELS, DEFAULT_TIMER_IDLE_MINUTES, TIMER_IDLE_OPTIONS, getTimerDeviceId, getTimerDeviceLabel, getTimerInspector, isOwnTimerSession, getSessionDuration, getIdleStopTime, summarizeSessions } from './config/timerSessions';
+import { getFailureToReinspect, getCorrectiveActions, getDeficienciesForFailure, getTimeToCorrection, buildInspectionChains, formatCorrectionTime } from './config/reinspection';
+import { parseItemLocation, getFloorNameForLevel, indexLocations, compareByLocation } from './config/locations';
+import { normalizeAssetKey, findAssetIdConflicts, findSerialConflicts, describeConflicts, findScanMatches, buildMergedRecord } from './config/assetIds';
+import { LIFECYCLE_STATES, getLifecycleConfig, isInService, buildLifecycleTransition, getDaysOut, getAvailableSpares, remapSwapFields } from './config/lifecycle';
+import { RECORD_TYPES, ANNUAL_CHECKLIST_ITEMS, isAnnualMaintenanceRecord } from './config/annualMaintenance';
+import { EMPTY_EXTINGUISHER_ATTRIBUTES, getTypeLabel, normalizeExtinguisherType, pickExtinguisherAttributes } from './config/extinguisherTypes';
 
 // Legacy SECTIONS array - kept for reference but not used
 // Buildings are now user-defined and loaded from Firestore
@@ -56,16 +92,33 @@ function App() {
     serial: '',
     vicinity: '',
     parentLocation: '',
-    section: ''
+    section: '',
+    ...EMPTY_EXTINGUISHER_ATTRIBUTES
   });
   const [newItemPhoto, setNewItemPhoto] = useState(null);
   const [newItemGps, setNewItemGps] = useState(null);
   const [newItemGpsLoading, setNewItemGpsLoading] = useState(false);
+  // Code of the unknown scan the add modal was opened for
+  const [addFromScan, setAddFromScan] = useState(null);
+  // Tagging a new building: scan → add → scan, with the camera or a scanner/keyboard
+  const [taggingMode, setTaggingMode] = useState(null); // null | 'camera' | 'manual'
+  const [taggedCount, setTaggedCount] = useState(0);
   
-  const [sectionTimes, setSectionTimes] = useState({});
-  const [activeTimer, setActiveTimer] = useState(null);
-  const [timerStartTime, setTimerStartTime] = useState(null);
-  const [currentElapsed, setCurrentElapsed] = useState(0);
+  // Section time recorded on this device before timer sessions were stored in Firestore
+  const [legacySectionTimes, setLegacySectionTimes] = useState({});
+  const [timerSessions, setTimerSessions] = useState([]);
+
+  // Offline queue: saves waiting in IndexedDB for a connection
+  const [queuedWrites, setQueuedWrites] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [syncingQueue, setSyncingQueue] = useState(false);
+  // Units as listed, counted and exported: inspections waiting in the queue show as saved
+  const displayedExtinguishers = applyQueuedInspections(extinguishers, queuedWrites);
+
+  // Save that collided with another device, waiting for the inspector's choice
+  const [conflictPrompt, setConflictPrompt] = useState(null);
+  // Ticks every second while a timer runs so open sessions count up on screen
+  const [timerNow, setTimerNow] = useState(() => Date.now());
   const [sectionViewMode, setSectionViewMode] = useState({}); // 'unchecked' or 'checked' per section
 
   // Section notes state
@@ -105,14 +158,33 @@ function App() {
   // Replace extinguisher state
   const [showReplaceModal, setShowReplaceModal] = useState(false);
   const [replaceItem, setReplaceItem] = useState(null);
+  const [lifecycleItem, setLifecycleItem] = useState(null);
+  const [swapItem, setSwapItem] = useState(null);
+  const [showSparePool, setShowSparePool] = useState(false);
   const [replaceFormData, setReplaceFormData] = useState({
     newAssetId: '',
     newSerial: '',
-    newManufactureYear: '',
+    newManufactureDate: '',
     replacementReason: '',
     replacementNotes: ''
   });
   const [replacedExtinguishers, setReplacedExtinguishers] = useState([]);
+  const [recalls, setRecalls] = useState([]);
+  const [showRecallsModal, setShowRecallsModal] = useState(false);
+  const [expandedRecallId, setExpandedRecallId] = useState(null);
+  const [showDuplicateReport, setShowDuplicateReport] = useState(false);
+  const [scanMatches, setScanMatches] = useState([]);
+  const [bulkEditItems, setBulkEditItems] = useState(null);
+  const [statusSelection, setStatusSelection] = useState(() => new Set());
+  const [floors, setFloors] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [locationsBuildingId, setLocationsBuildingId] = useState(null);
+  const [checklistTemplates, setChecklistTemplates] = useState([]);
+  const [showChecklistTemplates, setShowChecklistTemplates] = useState(false);
+  const [showSignoff, setShowSignoff] = useState(false);
+  const [reinspectItem, setReinspectItem] = useState(null);
+  const [selectedItemHistory, setSelectedItemHistory] = useState([]);
+  const [deficiencies, setDeficiencies] = useState([]);
   const [showReplacedHistory, setShowReplacedHistory] = useState(false);
 
   // Status filter view state (for clickable status boxes)
@@ -136,6 +208,15 @@ function App() {
   const dbBackupInputRef = useRef(null);
   const syncFileInputRef = useRef(null);
   const timerIntervalRef = useRef(null);
+  // Signature data URL -> Storage URL, so a signature reused across units uploads once
+  const signatureUrlsRef = useRef(new Map());
+  const syncingQueueRef = useRef(false);
+  // The unit as it was when the edit modal opened, to detect edits made elsewhere meanwhile
+  const editBaseRef = useRef(null);
+  const processQueueRef = useRef(() => {});
+  const checkIdleTimersRef = useRef(() => {});
+  const subscribeHistoryRef = useRef(() => () => {});
+  const selectedItemRef = useRef(null);
 
   // Authentication listener
   useEffect(() => {
@@ -475,9 +556,9 @@ function App() {
     // Load section times from localStorage scoped to workspace
     const savedTimes = localStorage.getItem(`sectionTimes_${user.uid}_${currentWorkspaceId}`);
     if (savedTimes) {
-      setSectionTimes(JSON.parse(savedTimes));
+      setLegacySectionTimes(JSON.parse(savedTimes));
     } else {
-      setSectionTimes({});
+      setLegacySectionTimes({});
     }
 
     return () => {
@@ -485,6 +566,28 @@ function App() {
     };
   }, [user, currentWorkspaceId, buildings]);
 
+  // Timer sessions for the current workspace, from every inspector and device
+  useEffect(() => {
+    if (!user || !currentWorkspaceId) {
+      setTimerSessions([]);
+      return;
+    }
+
+    const sessionsQuery = query(
+      collection(db, TIMER_SESSIONS_COLLECTION),
+      where('userId', '==', user.uid),
+      where('workspaceId', '==', currentWorkspaceId)
+    );
+
+    const unsubscribe = onSnapshot(sessionsQuery, (snapshot) => {
+      setTimerSessions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error('Error loading timer sessions:', error);
+    });
+
+    return () => unsubscribe();
+  }, [user, currentWorkspaceId]);
+
   // Load section notes (global, not workspace-scoped)
   useEffect(() => {
     if (!user) {
@@ -538,6 +641,82 @@ function App() {
     return () => unsubscribeReplaced();
   }, [user]);
 
+  // Bulk selection in the status list belongs to the list being shown
+  useEffect(() => {
+    setStatusSelection(new Set());
+  }, [statusFilterView]);
+
+  // Load recall lists
+  useEffect(() => {
+    if (!user) {
+      setRecalls([]);
+      return;
+    }
+
+    const recallsQuery = query(
+      collection(db, 'recalls'),
+      where('userId', '==', user.uid)
+    );
+
+    const unsubscribeRecalls = onSnapshot(recallsQuery, (snapshot) => {
+      const recallData = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      recallData.sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+      setRecalls(recallData);
+    });
+
+    return () => unsubscribeRecalls();
+  }, [user]);
+
+  // Load checklist templates
+  useEffect(() => {
+    if (!user) {
+      setChecklistTemplates([]);
+      return;
+    }
+
+    const templatesQuery = query(
+      collection(db, 'checklistTemplates'),
+      where('userId', '==', user.uid)
+    );
+
+    const unsubscribeTemplates = onSnapshot(templatesQuery, (snapshot) => {
+      const templateData = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      templateData.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      setChecklistTemplates(templateData);
+    });
+
+    return () => unsubscribeTemplates();
+  }, [user]);
+
+  // Load deficiencies (all workspaces; views filter to the current one)
+  useEffect(() => {
+    if (!user) {
+      setDeficiencies([]);
+      return;
+    }
+
+    const deficienciesQuery = query(
+      collection(db, 'deficiencies'),
+      where('userId', '==', user.uid)
+    );
+
+    const unsubscribeDeficiencies = onSnapshot(deficienciesQuery, (snapshot) => {
+      const deficiencyData = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      setDeficiencies(deficiencyData);
+    });
+
+    return () => unsubscribeDeficiencies();
+  }, [user]);
+
   // Load user buildings
   useEffect(() => {
     if (!user) {
@@ -589,6 +768,38 @@ function App() {
     return () => unsubscribeBuildings();
   }, [user]);
 
+  // Load floors and rooms for every building
+  useEffect(() => {
+    if (!user || buildings.length === 0) {
+      setFloors([]);
+      setRooms([]);
+      return;
+    }
+
+    let allFloors = [];
+    let allRooms = [];
+    const unsubscribes = [];
+
+    buildings.forEach(building => {
+      unsubscribes.push(onSnapshot(collection(db, 'buildings', building.id, 'floors'), (snapshot) => {
+        allFloors = [
+          ...allFloors.filter(f => f.buildingId !== building.id),
+          ...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), buildingId: building.id }))
+        ];
+        setFloors(allFloors);
+      }));
+      unsubscribes.push(onSnapshot(collection(db, 'buildings', building.id, 'rooms'), (snapshot) => {
+        allRooms = [
+          ...allRooms.filter(r => r.buildingId !== building.id),
+          ...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), buildingId: building.id }))
+        ];
+        setRooms(allRooms);
+      }));
+    });
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [user, buildings]);
+
   // Helper functions for extinguisher subcollections
   const getBuildingIdFromSection = (sectionName) => {
     const building = buildings.find(b => b.name === sectionName);
@@ -608,6 +819,399 @@ function App() {
     return doc(db, 'buildings', buildingId, 'extinguishers', item.id);
   };
 
+  // ============ CHANGE LOG ============
+  // Every extinguisher write goes out in the same batch (or transaction) as its change log
+  // entry; security rules reject unit writes without one (see config/changeLog).
+  const buildLogEntry = (item, updates, action, extra = {}) => buildChangeLogEntry(item, updates, action, {
+    userId: user.uid,
+    changedBy: user.email || '',
+    changedByUid: user.uid,
+    // Server time; rules require it so entries can't be backdated
+    loggedAt: serverTimestamp(),
+    ...extra
+  });
+
+  // Add a log entry that goes with a write other than to the unit itself (e.g. a history record)
+  const addLogEntry = (batch, item, logged, action, extra = {}) => {
+    const entry = buildLogEntry(item, logged, action, extra);
+    if (entry) batch.set(doc(collection(db, 'changeLog')), entry);
+  };
+
+  // Update a unit and add its log entry. `logged` is what the entry records when it differs
+  // from the written updates (e.g. the inspection record written alongside).
+  const addLoggedUpdate = (batch, item, updates, action, { ref = null, logged = updates, extra = {} } = {}) => {
+    const target = ref || getExtinguisherDoc(item);
+    const entry = buildLogEntry(item, logged, action, extra);
+    if (!entry) {
+      // Nothing but bookkeeping changed; the rules allow that without an entry
+      batch.update(target, updates);
+      return;
+    }
+    const logRef = doc(collection(db, 'changeLog'));
+    batch.update(target, { ...updates, changeLogId: logRef.id });
+    batch.set(logRef, entry);
+  };
+
+  // Create a unit document and add its log entry
+  const addLoggedCreate = (batch, ref, data, action = CHANGE_ACTIONS.CREATE) => {
+    const logRef = doc(collection(db, 'changeLog'));
+    batch.set(ref, { ...data, changeLogId: logRef.id });
+    batch.set(logRef, buildLogEntry({ id: ref.id, buildingId: data.buildingId, workspaceId: data.workspaceId }, data, action));
+  };
+
+  // Move a unit to a new document in another building's subcollection. The new document
+  // and the removal of the old one share one entry, stored under the old unit's removal id.
+  // `oldRef` is null when the old document is already gone.
+  const addLoggedMove = (batch, item, oldRef, newRef, data, action, logged = data) => {
+    const logRef = doc(db, 'changeLog', getRemovalLogId(item.id));
+    batch.set(newRef, {
+      ...data,
+      // The unit's inspection history is found by its current and earlier document ids
+      previousExtinguisherIds: [...(data.previousExtinguisherIds || []), item.id],
+      changeLogId: logRef.id
+    });
+    if (oldRef) batch.delete(oldRef);
+    batch.set(logRef, buildLogEntry(item, { ...logged, buildingId: data.buildingId }, action, { extinguisherId: newRef.id }));
+  };
+
+  // Delete a unit and add its log entry
+  const addLoggedDelete = (batch, item, ref = null) => {
+    batch.delete(ref || getExtinguisherDoc(item));
+    batch.set(doc(db, 'changeLog', getRemovalLogId(item.id)), buildLogEntry(item, {}, CHANGE_ACTIONS.DELETE));
+  };
+
+  // Add the log entry recording how a conflict was resolved, in the batch that applies it
+  const addConflictEntry = (batch, item, conflictResolution, logged = {}) => {
+    if (conflictResolution) addLogEntry(batch, item, { ...logged, conflictResolution }, CHANGE_ACTIONS.CONFLICT);
+  };
+
+  // Update an extinguisher and record the change in one atomic batch, optionally
+  // adding an inspection or maintenance record to its history. With
+  // `detectConflict`, the unit is re-read in a transaction first and the write
+  // throws ExtinguisherConflictError when detectConflict(current) reports one.
+  // `conflictResolution` logs the choice that led to this write alongside it.
+  const updateExtinguisherWithLog = async (item, updates, action, record = null, { detectConflict = null, conflictResolution = null } = {}) => {
+    const logged = record ? { ...updates, inspectionRecord: record } : updates;
+    if (detectConflict) {
+      await runTransaction(db, async (transaction) => {
+        const ref = getExtinguisherDoc(item);
+        const snapshot = await transaction.get(ref);
+        const current = { ...item, ...snapshot.data() };
+        const conflict = detectConflict(current);
+        if (conflict) throw new ExtinguisherConflictError(conflict, current);
+        if (record) addInspectionRecordToBatch(transaction, current, record);
+        addLoggedUpdate(transaction, current, updates, action, { ref, logged });
+        addConflictEntry(transaction, current, conflictResolution);
+      });
+      return;
+    }
+    const batch = writeBatch(db);
+    if (record) addInspectionRecordToBatch(batch, item, record);
+    addLoggedUpdate(batch, item, updates, action, { logged });
+    addConflictEntry(batch, item, conflictResolution);
+    await batch.commit();
+  };
+
+  // Add a record to a unit's history without changing the unit itself
+  const addInspectionRecordWithLog = async (item, record, action, { conflictResolution = null } = {}) => {
+    const batch = writeBatch(db);
+    addInspectionRecordToBatch(batch, item, record);
+    addLogEntry(batch, item, { inspectionRecord: record }, action);
+    addConflictEntry(batch, item, conflictResolution);
+    await batch.commit();
+  };
+
+  // Move a unit to another building with `updates` applied, in a transaction that reads
+  // the stored unit first; the same options as updateExtinguisherWithLog. A unit whose
+  // old document is already gone is recreated from `item`.
+  const moveExtinguisherWithLog = async (item, oldBuildingId, updates, { detectConflict = null, conflictResolution = null } = {}) => {
+    await runTransaction(db, async (transaction) => {
+      const oldRef = doc(db, 'buildings', oldBuildingId, 'extinguishers', item.id);
+      const snapshot = await transaction.get(oldRef);
+      const current = snapshot.exists() ? { ...item, ...snapshot.data(), id: item.id } : item;
+      const conflict = snapshot.exists() && detectConflict ? detectConflict(current) : null;
+      if (conflict) throw new ExtinguisherConflictError(conflict, current);
+      const data = { ...current };
+      delete data.id;
+      addLoggedMove(
+        transaction, current, snapshot.exists() ? oldRef : null,
+        doc(getExtinguisherCollection(updates.buildingId)), { ...data, ...updates }, CHANGE_ACTIONS.MOVE, updates
+      );
+      addConflictEntry(transaction, current, conflictResolution);
+    });
+  };
+
+  // Record a conflict resolved by keeping the other device's result, which writes nothing
+  // else; `logged` is what was discarded
+  const logKeptConflict = async (item, conflictResolution, logged = {}) => {
+    const batch = writeBatch(db);
+    addConflictEntry(batch, item, conflictResolution, logged);
+    await batch.commit();
+  };
+
+  // Ask how to resolve a save that collided with another device. Resolves to the
+  // resolution to store with the write that applies it, or null if the save was cancelled.
+  const resolveConflict = async (error, resolvedBy) => {
+    const resolution = await new Promise(resolve => {
+      setConflictPrompt({ conflict: error.conflict, assetId: error.current.assetId, resolve });
+    });
+    setConflictPrompt(null);
+    return resolution ? buildConflictResolution(error.conflict, resolution, resolvedBy) : null;
+  };
+
+  // Newest first. Filter by assetId (one unit), changedBy (user email) and a from/to day range.
+  const loadChangeLog = async ({ assetId, changedBy, from, to } = {}) => {
+    try {
+      const constraints = [where('userId', '==', user.uid)];
+      if (assetId) constraints.push(where('assetId', '==', assetId));
+      if (changedBy) constraints.push(where('changedBy', '==', changedBy));
+      // Filtered and ordered by server time; the device's changedAt can't be trusted
+      if (from) constraints.push(where('loggedAt', '>=', new Date(`${from}T00:00:00`)));
+      if (to) constraints.push(where('loggedAt', '<=', new Date(`${to}T23:59:59.999`)));
+      const snapshot = await getDocs(query(collection(db, 'changeLog'), ...constraints, orderBy('loggedAt', 'desc'), limit(500)));
+      return snapshot.docs.map(d => {
+        const data = d.data();
+        return { id: d.id, ...data, loggedAt: data.loggedAt?.toDate?.().toISOString() || null };
+      });
+    } catch (error) {
+      console.error('Error loading change log:', error);
+      alert('Error loading change log. Please try again.');
+      return [];
+    }
+  };
+  // ============ END CHANGE LOG ============
+
+  // ============ INSPECTION HISTORY ============
+  const getInspectionRecordDoc = (item, record) =>
+    doc(getExtinguisherDoc(item), INSPECTIONS_SUBCOLLECTION, getInspectionRecordId(record));
+
+  const addInspectionRecordToBatch = (batch, item, record) => {
+    const owner = { ...item, workspaceId: item.workspaceId || currentWorkspaceId };
+    batch.set(getInspectionRecordDoc(owner, record), buildInspectionRecordDoc(owner, record, user.uid));
+  };
+
+  // Records stored for a unit, found by its document ids so they follow it across moves
+  // and workspace copies without picking up another unit that reuses the asset ID. One
+  // query per group of ids, so a unit copied for years keeps all of its history.
+  const getInspectionHistoryQueries = (item) => chunkHistoryExtinguisherIds(item).map(ids => query(
+    collectionGroup(db, INSPECTIONS_SUBCOLLECTION),
+    where('userId', '==', user.uid),
+    where('extinguisherId', 'in', ids)
+  ));
+
+  // A unit's full history (stored records plus any not-yet-migrated array), oldest first
+  const loadInspectionHistory = async (item) => {
+    if (!item?.id) return mergeInspectionHistory(item);
+    try {
+      const snapshots = await Promise.all(getInspectionHistoryQueries(item).map(historyQuery => getDocs(historyQuery)));
+      return mergeInspectionHistory(item, snapshots.flatMap(snapshot => snapshot.docs.map(d => d.data())));
+    } catch (error) {
+      console.error('Error loading inspection history:', error);
+      return mergeInspectionHistory(item);
+    }
+  };
+
+  // Live history for one unit; returns the unsubscribe function
+  const subscribeInspectionHistory = (item, callback) => {
+    callback(mergeInspectionHistory(item));
+    if (!item?.id) return () => {};
+    const queries = getInspectionHistoryQueries(item);
+    const recordsByQuery = queries.map(() => []);
+    const unsubscribes = queries.map((historyQuery, index) => onSnapshot(
+      historyQuery,
+      (snapshot) => {
+        recordsByQuery[index] = snapshot.docs.map(d => d.data());
+        callback(mergeInspectionHistory(item, recordsByQuery.flat()));
+      },
+      (error) => console.error('Error loading inspection history:', error)
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  };
+
+  // Records across units, newest first. Filter by workspace, from/to day range, inspector and result.
+  const loadInspectionRecords = async ({ workspaceId, from, to, inspector, status } = {}) => {
+    const constraints = [where('userId', '==', user.uid)];
+    if (workspaceId) constraints.push(where('workspaceId', '==', workspaceId));
+    if (inspector) constraints.push(where('inspector', '==', inspector));
+    if (status) constraints.push(where('status', '==', status));
+    if (from) constraints.push(where('date', '>=', new Date(`${from}T00:00:00`).toISOString()));
+    if (to) constraints.push(where('date', '<=', new Date(`${to}T23:59:59.999`).toISOString()));
+    const snapshot = await getDocs(query(collectionGroup(db, INSPECTIONS_SUBCOLLECTION), ...constraints, orderBy('date', 'desc')));
+    return snapshot.docs.map(d => d.data());
+  };
+
+  // Move every unit's inspectionHistory array into its inspections subcollection, and
+  // set lastInspectedAt (which drives the inspection schedule) on units saved before it
+  // existed from their newest stored inspection. Record ids are derived from the record,
+  // so running it again is harmless.
+  const migrateInspectionHistory = async () => {
+    try {
+      const all = await getAllExtinguishers({ userId: user.uid });
+      const groups = groupRecordsByUnit(await loadInspectionRecords());
+      const pending = all
+        .map(item => {
+          const latest = getLatestInspectionDate(mergeInspectionHistory(item, getRecordsForItem(groups, item)));
+          return { item, lastInspectedAt: latest && latest > (item.lastInspectedAt || '') ? latest : null };
+        })
+        .filter(({ item, lastInspectedAt }) => Array.isArray(item.inspectionHistory) || lastInspectedAt);
+      if (pending.length === 0) {
+        alert('All inspection history is already stored as individual records, and every last inspection date is up to date.');
+        return;
+      }
+      const moving = pending.filter(({ item }) => Array.isArray(item.inspectionHistory));
+      const recordCount = moving.reduce((sum, { item }) => sum + item.inspectionHistory.length, 0);
+      const backfillCount = pending.filter(({ lastInspectedAt }) => lastInspectedAt).length;
+      if (!window.confirm(
+        `Move ${recordCount} inspection record(s) from ${moving.length} extinguisher(s) into the inspection history store ` +
+        `and set the last inspection date on ${backfillCount} extinguisher(s) from their history?`
+      )) return;
+
+      const operations = pending.map(entry => ({ ...entry, writes: (entry.item.inspectionHistory?.length || 0) + 2 }));
+      for (const chunk of chunkOperations(operations, BULK_BATCH_LIMIT, LOGGED_UNITS_PER_BATCH)) {
+        const batch = writeBatch(db);
+        chunk.forEach(({ item, lastInspectedAt }) => {
+          const hasArray = Array.isArray(item.inspectionHistory);
+          if (hasArray) item.inspectionHistory.forEach(record => addInspectionRecordToBatch(batch, item, record));
+          const backfill = lastInspectedAt ? { lastInspectedAt } : {};
+          addLoggedUpdate(batch, item, {
+            ...(hasArray ? { inspectionHistory: deleteField() } : {}),
+            ...backfill
+          }, CHANGE_ACTIONS.HISTORY_MIGRATION, {
+            logged: { ...(hasArray ? { inspectionHistory: [] } : {}), ...backfill }
+          });
+        });
+        await batch.commit();
+      }
+      alert(`Migrated ${recordCount} inspection record(s) from ${moving.length} extinguisher(s).\nLast inspection date set on ${backfillCount} extinguisher(s).`);
+    } catch (error) {
+      console.error('Error migrating inspection history:', error);
+      alert('Error migrating inspection history. Please try again.');
+    }
+  };
+  // ============ END INSPECTION HISTORY ============
+
+  // ============ OFFLINE QUEUE ============
+  const refreshQueuedWrites = async () => {
+    if (!user) return;
+    try {
+      setQueuedWrites(await getQueuedWrites(user.uid));
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+    }
+  };
+
+  // With `failure`, the save is kept in the queue already marked failed
+  const queueOfflineWrite = async (type, item, payload, failure = null) => {
+    try {
+      await addQueuedWrite({ userId: user.uid, type, item, payload, failure });
+      await refreshQueuedWrites();
+      return true;
+    } catch (error) {
+      console.error('Error queuing offline save:', error);
+      alert('Error saving while offline. Please try again.');
+      return false;
+    }
+  };
+
+  // Replay queued saves oldest first against the unit's current document. A
+  // connection error stops the run (the rest wait for the next one); any other
+  // error marks the entry failed for the user to retry or discard. A conflict
+  // with another device marks it `needsDecision`; only the retry of that entry
+  // (`decideEntryId`) opens the conflict dialog.
+  const processOfflineQueue = async ({ decideEntryId = null } = {}) => {
+    if (!user || syncingQueueRef.current || !navigator.onLine) return;
+    syncingQueueRef.current = true;
+    setSyncingQueue(true);
+    try {
+      const entries = await getQueuedWrites(user.uid);
+      for (const entry of entries) {
+        if (entry.failedAt) continue;
+        try {
+          const snapshot = await getDoc(getExtinguisherDoc(entry.item));
+          if (!snapshot.exists()) {
+            throw new Error(`Extinguisher ${entry.item.assetId} no longer exists`);
+          }
+          const item = { id: snapshot.id, buildingId: entry.item.buildingId, ...snapshot.data() };
+          const { payload } = entry;
+          if (entry.type === QUEUED_WRITE_TYPES.INSPECTION) {
+            await handleInspection(item, payload.status, payload.notes, payload.inspectionData, { fromQueue: true, promptConflicts: entry.id === decideEntryId });
+          } else {
+            await handleSaveNotes(item, payload.notes, payload.inspectionData, { fromQueue: true });
+          }
+          await removeQueuedWrite(entry.id);
+        } catch (error) {
+          if (isRetryableError(error)) {
+            await updateQueuedWrite({ ...entry, attempts: entry.attempts + 1, lastError: error?.message || String(error) });
+            break;
+          }
+          console.error('Error syncing queued save:', error);
+          await updateQueuedWrite({
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: error?.message || String(error),
+            failedAt: new Date().toISOString(),
+            needsDecision: error instanceof ExtinguisherConflictError
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing offline queue:', error);
+    } finally {
+      syncingQueueRef.current = false;
+      setSyncingQueue(false);
+      await refreshQueuedWrites();
+    }
+  };
+  processQueueRef.current = processOfflineQueue;
+
+  const retryQueuedWrite = async (entry) => {
+    try {
+      await updateQueuedWrite({ ...entry, failedAt: null, lastError: null });
+      await processOfflineQueue({ decideEntryId: entry.id });
+    } catch (error) {
+      console.error('Error retrying queued save:', error);
+      alert('Error retrying queued save. Please try again.');
+    }
+  };
+
+  const discardQueuedWrite = async (entry) => {
+    if (!window.confirm(`Discard the unsaved ${entry.type} for ${entry.item.assetId}? Its photos will be lost.`)) return;
+    try {
+      await removeQueuedWrite(entry.id);
+      await refreshQueuedWrites();
+    } catch (error) {
+      console.error('Error discarding queued save:', error);
+      alert('Error discarding queued save. Please try again.');
+    }
+  };
+
+  // Sync on sign-in, whenever the device comes back online, and every minute
+  // while something is waiting (the online event isn't reliable on every phone)
+  useEffect(() => {
+    if (!user) return;
+    const handleOnline = () => {
+      setIsOnline(true);
+      processQueueRef.current();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    processQueueRef.current();
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [user]);
+
+  const pendingQueueCount = queuedWrites.filter(entry => !entry.failedAt).length;
+
+  useEffect(() => {
+    if (!pendingQueueCount || !isOnline) return;
+    const interval = setInterval(() => processQueueRef.current(), 60000);
+    return () => clearInterval(interval);
+  }, [pendingQueueCount, isOnline]);
+  // ============ END OFFLINE QUEUE ============
+
   const getAllExtinguishers = async (filters = {}) => {
     // Query all buildings and aggregate their extinguishers
     const allExtinguishers = [];
@@ -640,16 +1244,33 @@ function App() {
   };
 
   useEffect(() => {
-    if (user && currentWorkspaceId && Object.keys(sectionTimes).length > 0) {
-      localStorage.setItem(`sectionTimes_${user.uid}_${currentWorkspaceId}`, JSON.stringify(sectionTimes));
+    if (user && currentWorkspaceId && Object.keys(legacySectionTimes).length > 0) {
+      localStorage.setItem(`sectionTimes_${user.uid}_${currentWorkspaceId}`, JSON.stringify(legacySectionTimes));
     }
-  }, [sectionTimes, user, currentWorkspaceId]);
+  }, [legacySectionTimes, user, currentWorkspaceId]);
+
+  // The running timer is this inspector's open session on this device; other inspectors
+  // on the same account keep their own sessions, which starting or stopping never touches
+  const timerDeviceId = getTimerDeviceId();
+  const timerInspector = getTimerInspector(user?.email);
+  const timerOwner = { uid: user?.uid, inspector: timerInspector, deviceId: timerDeviceId };
+  const activeSession = timerSessions.find(session => !session.stoppedAt && isOwnTimerSession(session, timerOwner)) || null;
+  const activeTimer = activeSession?.section || null;
+  const timerStartTime = activeSession ? Date.parse(activeSession.startedAt) : null;
+  const timerIdleMinutes = userDoc?.inspectionSettings?.timerIdleMinutes ?? DEFAULT_TIMER_IDLE_MINUTES;
+
+  // Device-local time plus every session that hasn't been cleared
+  const sessionSummary = summarizeSessions(timerSessions, timerNow);
+  const sectionTimes = { ...legacySectionTimes };
+  Object.entries(sessionSummary.bySection).forEach(([section, time]) => {
+    sectionTimes[section] = (sectionTimes[section] || 0) + time;
+  });
 
   useEffect(() => {
     if (activeTimer && timerStartTime) {
+      setTimerNow(Date.now());
       timerIntervalRef.current = setInterval(() => {
-        const elapsed = Date.now() - timerStartTime;
-        setCurrentElapsed(elapsed);
+        setTimerNow(Date.now());
       }, 1000);
     } else {
       if (timerIntervalRef.current) {
@@ -664,36 +1285,104 @@ function App() {
     };
   }, [activeTimer, timerStartTime]);
 
-  const startTimer = (section) => {
-    setActiveTimer(section);
-    setTimerStartTime(Date.now());
-    setCurrentElapsed(0);
+  // Pause any open session (this inspector's or one left running on another
+  // device) once no inspection has been saved for the idle period. The session
+  // ends at its last activity so idle time isn't counted.
+  const openSessionsKey = timerSessions
+    .filter(session => !session.stoppedAt)
+    .map(session => `${session.id}:${session.lastActivityAt || session.startedAt}`)
+    .join('|');
+
+  // Reads the latest sessions and setting; the effect below only restarts when they change
+  checkIdleTimersRef.current = () => {
+    timerSessions.filter(session => !session.stoppedAt).forEach(session => {
+      const idleAt = getIdleStopTime(session, timerIdleMinutes);
+      if (idleAt) {
+        closeTimerSession(session, TIMER_STOP_REASONS.IDLE, idleAt).catch(error => {
+          console.error('Error pausing idle timer:', error);
+        });
+      }
+    });
+  };
+
+  useEffect(() => {
+    if (!openSessionsKey || !timerIdleMinutes) return undefined;
+    checkIdleTimersRef.current();
+    const interval = setInterval(() => checkIdleTimersRef.current(), 30000);
+    return () => clearInterval(interval);
+  }, [openSessionsKey, timerIdleMinutes]);
+
+  const closeTimerSession = async (session, reason, stoppedAt = new Date().toISOString()) => {
+    await updateDoc(doc(db, TIMER_SESSIONS_COLLECTION, session.id), {
+      stoppedAt,
+      durationMs: Math.max(0, Date.parse(stoppedAt) - Date.parse(session.startedAt)),
+      stopReason: reason,
+      stoppedOnDeviceId: timerDeviceId
+    });
   };
 
-  const pauseTimer = () => {
-    if (activeTimer && timerStartTime) {
-      const elapsed = Date.now() - timerStartTime;
-      setSectionTimes(prev => ({
-        ...prev,
-        [activeTimer]: (prev[activeTimer] || 0) + elapsed
-      }));
-      setActiveTimer(null);
-      setTimerStartTime(null);
-      setCurrentElapsed(0);
+  const startTimer = async (section) => {
+    try {
+      if (activeSession) {
+        await closeTimerSession(activeSession, TIMER_STOP_REASONS.SWITCH);
+      }
+      const now = new Date().toISOString();
+      await addDoc(collection(db, TIMER_SESSIONS_COLLECTION), {
+        userId: user.uid,
+        workspaceId: currentWorkspaceId,
+        section,
+        inspector: timerInspector,
+        inspectorUid: user.uid,
+        inspectorEmail: user.email || null,
+        deviceId: timerDeviceId,
+        deviceLabel: getTimerDeviceLabel(),
+        startedAt: now,
+        lastActivityAt: now,
+        stoppedAt: null,
+        durationMs: null,
+        stopReason: null,
+        clearedAt: null
+      });
+    } catch (error) {
+      console.error('Error starting timer:', error);
+      alert('Error starting timer. Please try again.');
     }
   };
 
-  const stopTimer = () => {
-    if (activeTimer && timerStartTime) {
-      const elapsed = Date.now() - timerStartTime;
-      setSectionTimes(prev => ({
-        ...prev,
-        [activeTimer]: (prev[activeTimer] || 0) + elapsed
-      }));
+  const closeActiveTimer = async (reason) => {
+    if (!activeSession) return;
+    try {
+      await closeTimerSession(activeSession, reason);
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      alert('Error stopping timer. Please try again.');
+    }
+  };
+
+  const pauseTimer = () => closeActiveTimer(TIMER_STOP_REASONS.PAUSE);
+
+  const stopTimer = () => closeActiveTimer(TIMER_STOP_REASONS.STOP);
+
+  // A saved inspection, re-inspection, notes or annual maintenance keeps the running timer from going idle
+  const recordTimerActivity = () => {
+    if (!activeSession) return;
+    updateDoc(doc(db, TIMER_SESSIONS_COLLECTION, activeSession.id), {
+      lastActivityAt: new Date().toISOString()
+    }).catch(error => {
+      console.error('Error recording timer activity:', error);
+    });
+  };
+
+  const setTimerIdleMinutes = async (value) => {
+    try {
+      await setDoc(doc(db, 'users', user.uid), {
+        inspectionSettings: { timerIdleMinutes: value },
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error saving inspection settings:', error);
+      alert('Error saving inspection settings. Please try again.');
     }
-    setActiveTimer(null);
-    setTimerStartTime(null);
-    setCurrentElapsed(0);
   };
 
   const formatTime = (milliseconds) => {
@@ -711,29 +1400,53 @@ function App() {
     }
   };
 
+  // Open sessions are already counted up to this render; the interval re-renders every second
   const getTotalTime = (section) => {
-    const storedTime = sectionTimes[section] || 0;
-    const currentTime = (activeTimer === section) ? currentElapsed : 0;
-    return storedTime + currentTime;
+    return sectionTimes[section] || 0;
+  };
+
+  // Cleared sessions are kept for the record but no longer count toward totals
+  const clearTimerSessions = async (sessions) => {
+    const clearedAt = new Date().toISOString();
+    for (let i = 0; i < sessions.length; i += 450) {
+      const batch = writeBatch(db);
+      sessions.slice(i, i + 450).forEach(session => {
+        batch.update(doc(db, TIMER_SESSIONS_COLLECTION, session.id), { clearedAt });
+      });
+      await batch.commit();
+    }
   };
 
-  const clearSectionTime = (section) => {
+  const clearSectionTime = async (section) => {
     if (window.confirm(`Clear time for ${section}?`)) {
-      setSectionTimes(prev => {
+      setLegacySectionTimes(prev => {
         const updated = { ...prev };
         delete updated[section];
         return updated;
       });
+      try {
+        // A timer running in the section keeps counting
+        await clearTimerSessions(timerSessions.filter(session => session.section === section && session.stoppedAt && !session.clearedAt));
+      } catch (error) {
+        console.error('Error clearing section time:', error);
+        alert('Error clearing section time. Please try again.');
+      }
     }
   };
 
-  const clearAllTimes = () => {
+  const clearAllTimes = async () => {
     if (window.confirm('Clear all time tracking data?')) {
-      setSectionTimes({});
-      stopTimer();
+      setLegacySectionTimes({});
       if (currentWorkspaceId) {
         localStorage.removeItem(`sectionTimes_${user.uid}_${currentWorkspaceId}`);
       }
+      try {
+        await stopTimer();
+        await clearTimerSessions(timerSessions.filter(session => !session.clearedAt));
+      } catch (error) {
+        console.error('Error clearing time tracking data:', error);
+        alert('Error clearing time tracking data. Please try again.');
+      }
     }
   };
 
@@ -743,18 +1456,21 @@ function App() {
   };
 
   const getWorkspaceStats = (workspaceExtinguishers) => {
-    const total = workspaceExtinguishers.length;
-    const passed = workspaceExtinguishers.filter(e => e.status === 'pass').length;
-    const failed = workspaceExtinguishers.filter(e => e.status === 'fail').length;
-    const pending = workspaceExtinguishers.filter(e => e.status === 'pending').length;
-    return { total, passed, failed, pending };
+    // Units out for service, spares and retired units don't count toward completion
+    const inService = workspaceExtinguishers.filter(isInService);
+    const total = inService.length;
+    const passed = inService.filter(e => e.status === 'pass').length;
+    const failed = inService.filter(e => e.status === 'fail').length;
+    const pending = inService.filter(e => e.status === 'pending').length;
+    const notInService = workspaceExtinguishers.length - inService.length;
+    return { total, passed, failed, pending, notInService };
   };
 
   const switchWorkspace = (workspaceId) => {
     if (workspaceId !== currentWorkspaceId) {
       // Stop any active timer before switching
       if (activeTimer) {
-        pauseTimer();
+        closeActiveTimer(TIMER_STOP_REASONS.SWITCH);
       }
       setCurrentWorkspaceId(workspaceId);
       localStorage.setItem(`currentWorkspace_${user.uid}`, workspaceId);
@@ -767,6 +1483,15 @@ function App() {
       const now = new Date();
       const monthYear = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 
+      // The automatic rollover may already have started this month; don't start a second one
+      const rolloverSnap = await getDoc(doc(db, 'workspaces', `rollover_${user.uid}_${monthYear}`));
+      if (rolloverSnap.exists() && rolloverSnap.data().status === 'active') {
+        alert(`"${rolloverSnap.data().label}" was already started automatically for this month. Switching to it instead of creating another.`);
+        setShowCreateWorkspace(false);
+        switchWorkspace(rolloverSnap.id);
+        return rolloverSnap.id;
+      }
+
       const newWorkspace = {
         userId: user.uid,
         label: label,
@@ -780,35 +1505,58 @@ function App() {
 
       // If copying from another workspace, copy all extinguishers with pending status
       if (copyFrom) {
-        const sourceQuery = query(
-          collection(db, 'extinguishers'),
-          where('userId', '==', user.uid),
-          where('workspaceId', '==', copyFrom)
-        );
-        const sourceSnap = await getDocs(sourceQuery);
-
-        const batch = writeBatch(db);
-        sourceSnap.docs.forEach(docSnapshot => {
-          const data = docSnapshot.data();
-          const newDocRef = doc(collection(db, 'extinguishers'));
-          batch.set(newDocRef, {
-            assetId: data.assetId,
-            serial: data.serial || '',
-            vicinity: data.vicinity || '',
-            parentLocation: data.parentLocation || '',
-            section: data.section,
-            status: 'pending',
-            checkedDate: null,
-            notes: '',
-            inspectionHistory: [],
-            userId: user.uid,
-            workspaceId: wsDoc.id,
-            createdAt: now.toISOString(),
-            photoUrl: data.photoUrl || null,
-            location: data.location || null
+        // Units live under their building; each copy stays in the same building
+        const sourceUnits = await getAllExtinguishers({ userId: user.uid, workspaceId: copyFrom });
+        // Allocate every new id first so swap partners can point at each other's copies
+        const newRefs = new Map(sourceUnits.map(unit => [unit.id, doc(getExtinguisherCollection(unit.buildingId))]));
+        const newIds = new Map([...newRefs].map(([id, ref]) => [id, ref.id]));
+        for (let i = 0; i < sourceUnits.length; i += LOGGED_UNITS_PER_BATCH) {
+          const batch = writeBatch(db);
+          sourceUnits.slice(i, i + LOGGED_UNITS_PER_BATCH).forEach(data => {
+            addLoggedCreate(batch, newRefs.get(data.id), {
+              assetId: data.assetId,
+              serial: data.serial || '',
+              vicinity: data.vicinity || '',
+              parentLocation: data.parentLocation || '',
+              section: data.section,
+              status: 'pending',
+              checkedDate: null,
+              notes: '',
+              userId: user.uid,
+              workspaceId: wsDoc.id,
+              buildingId: data.buildingId,
+              createdAt: now.toISOString(),
+              photoUrl: data.photoUrl || null,
+              location: data.location || null,
+              // Attributes and maintenance dates belong to the physical unit, not the month
+              ...pickExtinguisherAttributes(data),
+              inspectionFrequency: data.inspectionFrequency || null,
+              // The inspection schedule runs across months, so the last inspection carries over
+              lastInspectedAt: data.lastInspectedAt || data.checkedDate || null,
+              lifecycleState: data.lifecycleState || null,
+              lifecycleChangedAt: data.lifecycleChangedAt || null,
+              lifecycleHistory: data.lifecycleHistory || [],
+              // An active swap carries over with its partner pointed at the partner's copy
+              ...remapSwapFields(data, newIds),
+              // A replaced unit's history starts at the replacement
+              replacedFrom: data.replacedFrom || null,
+              // Inspection history is found by the unit's current and earlier document ids
+              previousExtinguisherIds: [...(data.previousExtinguisherIds || []), data.id],
+              recallIds: data.recallIds || [],
+              floorId: data.floorId || null,
+              roomId: data.roomId || null,
+              manufactureYear: data.manufactureYear || '',
+              manufactureDate: data.manufactureDate || '',
+              lastSixYearMaintenance: data.lastSixYearMaintenance || '',
+              lastHydroTest: data.lastHydroTest || '',
+              lastAnnualMaintenance: data.lastAnnualMaintenance || '',
+              maintenanceNeedsReview: data.maintenanceNeedsReview || false
+            });
           });
-        });
-        await batch.commit();
+          await batch.commit();
+        }
+
+        await carryOverDeficiencies(copyFrom, wsDoc.id, newIds);
       }
 
       setShowCreateWorkspace(false);
@@ -821,19 +1569,50 @@ function App() {
     }
   };
 
+  // Move unresolved deficiencies to the new workspace and point them at the copied units.
+  // A deficiency whose unit wasn't copied keeps pointing at the original unit.
+  const carryOverDeficiencies = async (fromWorkspaceId, toWorkspaceId, newIds) => {
+    try {
+      const sourceQuery = query(
+        collection(db, 'deficiencies'),
+        where('userId', '==', user.uid),
+        where('workspaceId', '==', fromWorkspaceId)
+      );
+      const sourceSnap = await getDocs(sourceQuery);
+      const unresolved = sourceSnap.docs.filter(d => isDeficiencyOpen(d.data()));
+      const carriedAt = new Date().toISOString();
+
+      const batchSize = 450;
+      for (let i = 0; i < unresolved.length; i += batchSize) {
+        const batch = writeBatch(db);
+        unresolved.slice(i, i + batchSize).forEach(docSnapshot => {
+          const data = docSnapshot.data();
+          const newExtinguisherId = newIds.get(data.extinguisherId);
+          batch.update(docSnapshot.ref, {
+            workspaceId: toWorkspaceId,
+            ...(newExtinguisherId ? { extinguisherId: newExtinguisherId } : {}),
+            carriedOver: [...(data.carriedOver || []), { fromWorkspaceId, at: carriedAt }],
+            updatedAt: carriedAt
+          });
+        });
+        await batch.commit();
+      }
+      return unresolved.length;
+    } catch (error) {
+      console.error('Error carrying over deficiencies:', error);
+      alert('The new workspace was created, but open deficiencies could not be carried over. Please try again from the Deficiencies list.');
+      return 0;
+    }
+  };
+
   const archiveWorkspace = async (workspaceId) => {
     try {
       const workspace = workspaces.find(ws => ws.id === workspaceId);
       if (!workspace) return;
 
       // Save inspection log before archiving
-      const extQuery = query(
-        collection(db, 'extinguishers'),
-        where('userId', '==', user.uid),
-        where('workspaceId', '==', workspaceId)
-      );
-      const extSnap = await getDocs(extQuery);
-      const stats = getWorkspaceStats(extSnap.docs.map(d => d.data()));
+      const units = await getAllExtinguishers({ userId: user.uid, workspaceId });
+      const stats = getWorkspaceStats(units);
 
       const inspectionLog = {
         userId: user.uid,
@@ -844,12 +1623,14 @@ function App() {
         passedCount: stats.passed,
         failedCount: stats.failed,
         pendingCount: stats.pending,
-        extinguisherResults: extSnap.docs.map(doc => ({
-          assetId: doc.data().assetId,
-          section: doc.data().section,
-          status: doc.data().status,
-          checkedDate: doc.data().checkedDate,
-          notes: doc.data().notes
+        notInServiceCount: stats.notInService,
+        signoffs: workspace.signoffs || [],
+        extinguisherResults: units.map(unit => ({
+          assetId: unit.assetId,
+          section: unit.section,
+          status: unit.status,
+          checkedDate: unit.checkedDate,
+          notes: unit.notes
         }))
       };
 
@@ -883,6 +1664,34 @@ function App() {
     }
   };
 
+  // Close out the current month (or one section of it) with a signature
+  const signOffWorkspace = async ({ scope, section, name, certNumber, signature }) => {
+    try {
+      const workspace = getCurrentWorkspace();
+      if (!workspace) return false;
+      const stats = getWorkspaceStats(section ? extinguishers.filter(e => e.section === section) : extinguishers);
+      const signatureUrl = await uploadSignature(signature, `signoffs_${workspace.id}`);
+      const signoff = {
+        scope,
+        section: section || null,
+        name,
+        certNumber,
+        signatureUrl,
+        signedAt: new Date().toISOString(),
+        signedBy: user.email || '',
+        counts: stats
+      };
+      await updateDoc(doc(db, 'workspaces', workspace.id), {
+        signoffs: [...(workspace.signoffs || []), signoff]
+      });
+      return true;
+    } catch (error) {
+      console.error('Error signing off workspace:', error);
+      alert('Error saving sign-off. Please try again.');
+      return false;
+    }
+  };
+
   // Check for auto-archive when all items are inspected
   useEffect(() => {
     if (!currentWorkspaceId || extinguishers.length === 0) return;
@@ -970,6 +1779,20 @@ function App() {
     setSelectedItemNotes(selectedItem?.notes || '');
   }, [selectedItem]);
 
+  // History shown in the selected item modal; re-subscribe only when the unit's history ids change
+  subscribeHistoryRef.current = subscribeInspectionHistory;
+  selectedItemRef.current = selectedItem;
+  const selectedHistoryKey = selectedItem
+    ? [...getHistoryExtinguisherIds(selectedItem), selectedItem.replacedFrom?.replacedAt, selectedItem.inspectionHistory?.length].join('|')
+    : '';
+  useEffect(() => {
+    if (!selectedItemRef.current) {
+      setSelectedItemHistory([]);
+      return undefined;
+    }
+    return subscribeHistoryRef.current(selectedItemRef.current, setSelectedItemHistory);
+  }, [selectedHistoryKey]);
+
   const saveData = async (newData) => {
     // Firestore handles the state updates through onSnapshot
     // This function is now mainly for compatibility
@@ -985,8 +1808,9 @@ function App() {
       }
 
       // Fetch user-scoped collections
-      const [extSnap, notesSnap, logsSnap] = await Promise.all([
+      const [extSnap, inspectionsSnap, notesSnap, logsSnap] = await Promise.all([
         getDocs(query(collection(db, 'extinguishers'), where('userId', '==', user.uid))),
+        getDocs(query(collectionGroup(db, INSPECTIONS_SUBCOLLECTION), where('userId', '==', user.uid))),
         getDocs(query(collection(db, 'sectionNotes'), where('userId', '==', user.uid))),
         // inspectionLogs are optional; ignore if rules restrict
         (async () => {
@@ -999,6 +1823,7 @@ function App() {
       ]);
 
       const extinguishersData = extSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+      const inspectionsData = inspectionsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
       const sectionNotesData = notesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
       const inspectionLogsData = logsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
 
@@ -1009,6 +1834,7 @@ function App() {
         userId: user.uid,
         collections: {
           extinguishers: extinguishersData,
+          inspections: inspectionsData,
           sectionNotes: sectionNotesData,
           inspectionLogs: inspectionLogsData
         }
@@ -1078,12 +1904,14 @@ function App() {
 
       const { collections } = backup;
       const extList = Array.isArray(collections.extinguishers) ? collections.extinguishers : [];
+      const inspectionList = Array.isArray(collections.inspections) ? collections.inspections : [];
       const notesList = Array.isArray(collections.sectionNotes) ? collections.sectionNotes : [];
       const logsList = Array.isArray(collections.inspectionLogs) ? collections.inspectionLogs : [];
 
       const confirmText = [
         'This will replace your current database with the backup file.',
         `Extinguishers in backup: ${extList.length}`,
+        `Inspection records in backup: ${inspectionList.length}`,
         `Section notes in backup: ${notesList.length}`,
         `Inspection logs in backup: ${logsList.length}`,
         '',
@@ -1111,17 +1939,32 @@ function App() {
       // 2) Import backup docs for this user
       const safeString = (val) => (val == null ? '' : String(val));
 
-      // Extinguishers
+      // Extinguishers, each with its inspection history (older backups carry it as an array)
       for (const item of extList) {
         const data = { ...item };
         delete data.id;
+        delete data.inspectionHistory;
         data.userId = user.uid;
         data.workspaceId = currentWorkspaceId; // Add to current workspace
         // Ensure required fields exist
         data.assetId = safeString(data.assetId);
         data.status = data.status || 'pending';
         data.createdAt = data.createdAt || new Date().toISOString();
-        await addDoc(collection(db, 'extinguishers'), data);
+        const newRef = await addDoc(collection(db, 'extinguishers'), data);
+
+        const records = mergeInspectionHistory(item, inspectionList.filter(record => record.extinguisherId === item.id));
+        for (let i = 0; i < records.length; i += 450) {
+          const batch = writeBatch(db);
+          records.slice(i, i + 450).forEach(record => {
+            const recordData = { ...record };
+            delete recordData.id;
+            batch.set(
+              doc(newRef, INSPECTIONS_SUBCOLLECTION, getInspectionRecordId(recordData)),
+              buildInspectionRecordDoc({ ...data, id: newRef.id }, recordData, user.uid)
+            );
+          });
+          await batch.commit();
+        }
       }
 
       // Section notes with deterministic IDs to avoid duplicates
@@ -1188,7 +2031,8 @@ function App() {
         userId: user.uid,
         workspaceId: currentWorkspaceId,
         extinguishers: extinguishers.map(e => ({ ...e })),
-        sectionTimes: { ...sectionTimes },
+        // Timer sessions stay in Firestore; only device-local time is backed up
+        sectionTimes: { ...legacySectionTimes },
         totalItems: extinguishers.length,
         passedItems: extinguishers.filter(e => e.status === 'pass').length,
         failedItems: extinguishers.filter(e => e.status === 'fail').length
@@ -1330,7 +2174,7 @@ function App() {
       // Restore section times
       if (backup.sectionTimes && currentWorkspaceId) {
         localStorage.setItem(`sectionTimes_${user.uid}_${currentWorkspaceId}`, JSON.stringify(backup.sectionTimes));
-        setSectionTimes(backup.sectionTimes);
+        setLegacySectionTimes(backup.sectionTimes);
       }
 
       alert(`✅ Restore complete!\n\n${backup.totalItems} extinguishers restored from ${backup.date}.\n\nAn emergency backup of your previous data was saved.`);
@@ -1460,6 +2304,77 @@ function App() {
   };
   // ============ END DATA REPAIR FUNCTION ============
 
+  // ============ MAINTENANCE DATE MIGRATION ============
+  // Converts the legacy free-text manufactureYear into structured date fields.
+  // Values that cannot be parsed confidently are flagged for manual review.
+  const migrateLegacyMaintenanceDates = async () => {
+    if (!user) return;
+
+    try {
+      const allUserExtinguishers = await getAllExtinguishers({ userId: user.uid });
+      const candidates = allUserExtinguishers.filter(e =>
+        String(e.manufactureYear || '').trim() && !hasStructuredMaintenance(e) && !e.maintenanceNeedsReview
+      );
+
+      if (candidates.length === 0) {
+        alert('No legacy maintenance dates to migrate.');
+        return;
+      }
+
+      if (!window.confirm(
+        `Found ${candidates.length} extinguishers with free-text maintenance dates.\n\n` +
+        `Parse them into structured Manufacture / 6-Year / Hydro / Annual dates?\n` +
+        `The original text is kept; values that cannot be parsed are flagged for review.`
+      )) return;
+
+      let migrated = 0;
+      let flagged = 0;
+      // Rules read each unit's change log entry, which caps how many units fit in a batch
+      const batchSize = LOGGED_UNITS_PER_BATCH;
+
+      for (let i = 0; i < candidates.length; i += batchSize) {
+        const batch = writeBatch(db);
+        candidates.slice(i, i + batchSize).forEach(item => {
+          const { dates, needsReview } = parseLegacyManufactureYear(item.manufactureYear);
+          const updates = {
+            ...dates,
+            maintenanceNeedsReview: needsReview,
+            maintenanceMigratedAt: new Date().toISOString()
+          };
+          // A parsed manufacture date can put the unit inside (or outside) a recall's date range
+          const recallIds = findRecallIds({ ...item, ...dates }, recalls);
+          if (!sameRecallIds(item.recallIds || [], recallIds)) updates.recallIds = recallIds;
+          addLoggedUpdate(batch, item, updates, CHANGE_ACTIONS.MIGRATION, {
+            ref: doc(db, 'buildings', item.buildingId, 'extinguishers', item.id)
+          });
+          if (needsReview) flagged += 1;
+          if (Object.keys(dates).length > 0) migrated += 1;
+        });
+        await batch.commit();
+      }
+
+      alert(`Maintenance date migration complete.\n\nParsed: ${migrated}\nNeeds manual review: ${flagged}`);
+    } catch (err) {
+      console.error('Maintenance migration failed:', err);
+      alert(`Maintenance migration failed: ${err.message}`);
+    }
+  };
+
+  // Save a single structured maintenance date from the inspection modal
+  const saveMaintenanceDate = async (item, field, value) => {
+    try {
+      await updateExtinguisherWithLog(item, {
+        [field]: value || '',
+        maintenanceNeedsReview: false,
+        updatedAt: new Date().toISOString()
+      }, CHANGE_ACTIONS.MAINTENANCE_DATE);
+    } catch (err) {
+      console.error('Error saving maintenance date:', err);
+      alert('Error saving maintenance date. Please try again.');
+    }
+  };
+  // ============ END MAINTENANCE DATE MIGRATION ============
+
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -1473,13 +2388,18 @@ function App() {
           const workbook = XLSX.read(data, { type: 'array' });
           const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
           const jsonData = XLSX.utils.sheet_to_json(firstSheet);
-          // Prepare a local index of existing extinguishers by Asset ID (string)
+          // Prepare a local index of existing extinguishers by normalized Asset ID
           // Use loaded state; if not yet loaded, the onSnapshot handler will refresh UI after import
-          const existingIndex = new Map(
-            (extinguishers || [])
-              .filter(x => x && x.assetId)
-              .map(x => [String(x.assetId), x])
-          );
+          const existingIndex = new Map();
+          (extinguishers || [])
+            .filter(x => x && x.assetId)
+            .forEach(x => {
+              const key = normalizeAssetKey(x.assetId);
+              existingIndex.set(key, [...(existingIndex.get(key) || []), x]);
+            });
+
+          // Rows whose Type column matched no known type; reported in the summary
+          const unknownTypes = [];
 
           // Normalize and parse incoming rows; allow a Section column to override the dropdown
           const parsed = jsonData
@@ -1494,22 +2414,65 @@ function App() {
               const sectionFromRow = row['Section'] || row['SECTION'] || row['section'] || row['Building'] || row['Area'] || null;
               const resolvedSection = sectionFromRow ? String(sectionFromRow).trim() : importSection;
 
+              // Optional attribute columns; only present values are written on update
+              const attributes = {};
+              const typeRaw = row['Type'] || row['Type / Agent'] || row['Agent'] || row['type'] || '';
+              const extinguisherType = normalizeExtinguisherType(typeRaw);
+              if (extinguisherType) attributes.extinguisherType = extinguisherType;
+              else if (String(typeRaw).trim()) unknownTypes.push(`${assetId} ("${String(typeRaw).trim()}")`);
+              const sizeRaw = row['Size (lbs)'] || row['Size'] || row['size'] || '';
+              if (String(sizeRaw).trim()) attributes.sizeLbs = sizeRaw;
+              const ulRating = String(row['UL Rating'] || row['Rating'] || row['ulRating'] || '').trim();
+              if (ulRating) attributes.ulRating = ulRating;
+              const manufacturer = String(row['Manufacturer'] || row['Mfr'] || row['manufacturer'] || '').trim();
+              if (manufacturer) attributes.manufacturer = manufacturer;
+              const model = String(row['Model'] || row['model'] || '').trim();
+              if (model) attributes.model = model;
+
               return {
                 assetId,
                 vicinity,
                 serial,
                 parentLocation,
                 section: resolvedSection,
+                attributes,
               };
             })
             .filter(Boolean);
 
           let added = 0;
           let updated = 0;
+          const duplicateRows = [];
+          const ambiguous = [];
+          const serialWarnings = [];
+          const seenInFile = new Set();
+          const importedRows = [];
 
           // Merge: update existing by assetId; add new otherwise. Never delete or overwrite photos/history.
           for (const item of parsed) {
-            const existing = existingIndex.get(item.assetId);
+            const key = normalizeAssetKey(item.assetId);
+            if (seenInFile.has(key)) {
+              duplicateRows.push(item.assetId);
+              continue;
+            }
+            seenInFile.add(key);
+
+            const matches = existingIndex.get(key) || [];
+            if (matches.length > 1) {
+              // Already duplicated in the workspace; don't guess which record to update
+              ambiguous.push(item.assetId);
+              continue;
+            }
+            const existing = matches[0];
+
+            // Serial used by a different asset, either already saved or earlier in this file
+            const serialConflicts = findSerialConflicts([...(extinguishers || []), ...importedRows], item.serial, existing?.id)
+              .filter(e => normalizeAssetKey(e.assetId) !== key);
+            if (serialConflicts.length > 0) {
+              serialWarnings.push(`${item.assetId} (SN ${item.serial})`);
+            }
+            importedRows.push({ assetId: item.assetId, serial: item.serial });
+
             // Get buildingId from section name
             const buildingId = getBuildingIdFromSection(item.section);
             if (!buildingId) {
@@ -1519,32 +2482,40 @@ function App() {
             
             try {
               if (existing) {
-                const docRef = getExtinguisherDoc(existing);
-                await updateDoc(docRef, {
+                const importedAttributes = Object.fromEntries(
+                  Object.entries(pickExtinguisherAttributes(item.attributes))
+                    .filter(([key]) => key in item.attributes)
+                );
+                await updateExtinguisherWithLog(existing, {
+                  recallIds: findRecallIds({ ...existing, serial: item.serial, ...importedAttributes }, recalls),
                   vicinity: item.vicinity,
                   serial: item.serial,
                   parentLocation: item.parentLocation,
                   section: item.section,
+                  ...importedAttributes,
                   // Intentionally do NOT touch: status, notes, photos, inspectionHistory, lastInspection*
                   updatedAt: new Date().toISOString()
-                });
+                }, CHANGE_ACTIONS.EDIT);
                 updated += 1;
               } else {
-                await addDoc(getExtinguisherCollection(buildingId), {
+                const batch = writeBatch(db);
+                addLoggedCreate(batch, doc(getExtinguisherCollection(buildingId)), {
                   assetId: item.assetId,
                   vicinity: item.vicinity,
                   serial: item.serial,
                   parentLocation: item.parentLocation,
                   section: item.section,
+                  ...pickExtinguisherAttributes(item.attributes),
+                  recallIds: findRecallIds({ serial: item.serial, ...pickExtinguisherAttributes(item.attributes) }, recalls),
                   status: 'pending',
                   checkedDate: null,
                   notes: '',
-                  inspectionHistory: [],
                   userId: user.uid,
                   buildingId: buildingId,
                   workspaceId: currentWorkspaceId,
                   createdAt: new Date().toISOString()
                 });
+                await batch.commit();
                 added += 1;
               }
             } catch (error) {
@@ -1553,7 +2524,20 @@ function App() {
           }
 
           setShowImportModal(false);
-          alert(`Import complete.\n\nAdded: ${added}\nUpdated: ${updated}\n\nNo existing photos, logs, or inspection history were removed.`);
+          let summary = `Import complete.\n\nAdded: ${added}\nUpdated: ${updated}\n\nNo existing photos, logs, or inspection history were removed.`;
+          if (duplicateRows.length > 0) {
+            summary += `\n\nSkipped repeated Asset IDs in file (first row used): ${duplicateRows.join(', ')}`;
+          }
+          if (ambiguous.length > 0) {
+            summary += `\n\nSkipped Asset IDs that already exist more than once (resolve in Duplicate Report): ${ambiguous.join(', ')}`;
+          }
+          if (serialWarnings.length > 0) {
+            summary += `\n\nWarning - serial numbers used by another Asset ID: ${serialWarnings.join(', ')}`;
+          }
+          if (unknownTypes.length > 0) {
+            summary += `\n\nUnrecognized type on ${unknownTypes.length} row(s), imported without a type: ${unknownTypes.join(', ')}`;
+          }
+          alert(summary);
         } catch (error) {
           alert('Error reading file. Please make sure it is a valid CSV or Excel file.');
           console.error(error);
@@ -1578,6 +2562,18 @@ function App() {
       return;
     }
 
+    const assetConflicts = findAssetIdConflicts(extinguishers, newItem.assetId);
+    if (assetConflicts.length > 0) {
+      alert(`Asset ID "${newItem.assetId.trim()}" is already in use:\n\n${describeConflicts(assetConflicts)}\n\nPlease use a unique Asset ID.`);
+      return;
+    }
+
+    const serialConflicts = findSerialConflicts(extinguishers, newItem.serial);
+    if (serialConflicts.length > 0 &&
+        !window.confirm(`Serial "${newItem.serial.trim()}" is already recorded on:\n\n${describeConflicts(serialConflicts)}\n\nAdd anyway?`)) {
+      return;
+    }
+
     try {
       // Get buildingId from section name
       const buildingId = getBuildingIdFromSection(newItem.section);
@@ -1601,19 +2597,28 @@ function App() {
         serial: newItem.serial.trim(),
         parentLocation: newItem.parentLocation.trim(),
         section: newItem.section,
+        ...pickExtinguisherAttributes(newItem),
+        inspectionFrequency: newItem.inspectionFrequency || null,
         status: 'pending',
         checkedDate: null,
         notes: '',
-        inspectionHistory: [],
         userId: user.uid,
         buildingId: buildingId,
         workspaceId: currentWorkspaceId,
         createdAt: new Date().toISOString(),
         photoUrl: assetPhotoUrl,
-        location: newItemGps || null
+        location: newItemGps || null,
+        floorId: newItem.floorId || null,
+        roomId: newItem.roomId || null
       };
+      item.recallIds = findRecallIds(item, recalls);
 
-      await addDoc(getExtinguisherCollection(buildingId), item);
+      const batch = writeBatch(db);
+      addLoggedCreate(batch, doc(getExtinguisherCollection(buildingId)), item);
+      await batch.commit();
+      if (item.recallIds.length > 0) {
+        alert(`Warning: ${item.assetId} matches an active recall. Check the Recalls list.`);
+      }
       setShowAddModal(false);
       const firstBuilding = getBuildingNames()[0] || '';
       setNewItem({
@@ -1621,61 +2626,454 @@ function App() {
         serial: '',
         vicinity: '',
         parentLocation: '',
-        section: firstBuilding
+        section: taggingMode ? newItem.section : firstBuilding,
+        ...EMPTY_EXTINGUISHER_ATTRIBUTES,
+        inspectionFrequency: null,
+        floorId: null,
+        roomId: null
+      });
+      setNewItemPhoto(null);
+      setNewItemGps(null);
+      setAddFromScan(null);
+      if (taggingMode) {
+        // Straight back to the scanner for the next unit
+        setTaggedCount(count => count + 1);
+        continueTagging();
+      } else {
+        alert('New fire extinguisher added successfully!');
+      }
+    } catch (error) {
+      console.error('Error adding extinguisher:', error);
+      alert('Error adding fire extinguisher. Please try again.');
+    }
+  };
+
+  // Upload per-item checklist photos; returns { itemKey: url }. The answer must not be
+  // saved without its photo, so any failure throws (ChecklistPhotoUploadError names the items).
+  const uploadChecklistPhotos = async (item, inspectionData) => {
+    const urls = {};
+    const failedKeys = [];
+    const safeSeg = String(item.assetId || item.id || 'asset').replace(/[^a-zA-Z0-9_-]/g, '_');
+    for (const [key, file] of Object.entries(inspectionData?.checklistPhotoFiles || {})) {
+      if (!(file instanceof File)) continue;
+      try {
+        const path = `inspections/${safeSeg}/${Date.now()}_${key}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+        const snapshot = await uploadBytes(storageRef(storage, path), file, { contentType: file.type });
+        urls[key] = await getDownloadURL(snapshot.ref);
+      } catch (uploadErr) {
+        if (isRetryableError(uploadErr)) throw uploadErr;
+        console.error(`Checklist photo upload failed for ${key}:`, uploadErr);
+        failedKeys.push(key);
+      }
+    }
+    if (failedKeys.length > 0) {
+      const sections = resolveTemplateSections(checklistTemplates, inspectionData.checklistTemplateId, inspectionData.checklistTemplateVersion);
+      throw new ChecklistPhotoUploadError(failedKeys, sections);
+    }
+    return urls;
+  };
+
+  // Upload a signature drawn on the signature pad (PNG data URL); returns its download URL
+  const uploadSignature = async (dataUrl, folder) => {
+    if (!dataUrl) return null;
+    if (signatureUrlsRef.current.has(dataUrl)) return signatureUrlsRef.current.get(dataUrl);
+    const blob = await (await fetch(dataUrl)).blob();
+    const safeSeg = String(folder || 'signature').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const path = `signatures/${safeSeg}/${Date.now()}.png`;
+    const snapshot = await uploadBytes(storageRef(storage, path), blob, { contentType: 'image/png' });
+    const url = await getDownloadURL(snapshot.ref);
+    signatureUrlsRef.current.set(dataUrl, url);
+    return url;
+  };
+
+  // Saves made without a connection, or whose photos can't upload yet, go to the
+  // offline queue and are replayed through the same handler (`fromQueue`)
+  const handleInspection = async (item, status, notes = '', inspectionData = null, { fromQueue = false, promptConflicts = false } = {}) => {
+    // Recorded when the inspector saved, even if the write goes out later
+    const savedAt = inspectionData?.savedAt || new Date().toISOString();
+    // The unit as the inspector saw it; a newer inspection on the server is a conflict
+    const base = inspectionData?.base || getInspectionBase(item);
+    const queueInspection = async (failure = null) => {
+      const queued = await queueOfflineWrite(QUEUED_WRITE_TYPES.INSPECTION, item, { status, notes, inspectionData: { ...inspectionData, savedAt, base } }, failure);
+      if (queued) setSelectedItem(null);
+      return queued;
+    };
+    if (!fromQueue && !navigator.onLine) {
+      return queueInspection();
+    }
+    try {
+      let photoUrl = null;
+      if (inspectionData?.photo instanceof File) {
+        try {
+          const file = inspectionData.photo;
+          const safeSeg = String(item.assetId || item.id || 'asset').replace(/[^a-zA-Z0-9_-]/g, '_');
+          const path = `inspections/${safeSeg}/${Date.now()}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+          const sref = storageRef(storage, path);
+          const snapshot = await uploadBytes(sref, file, { contentType: file.type });
+          photoUrl = await getDownloadURL(snapshot.ref);
+        } catch (uploadErr) {
+          if (isRetryableError(uploadErr)) throw uploadErr;
+          console.error('Photo upload failed:', uploadErr);
+          throw new PhotoUploadError(`The photo could not be uploaded${uploadErr?.code ? ` (${uploadErr.code})` : ''}`, uploadErr);
+        }
+      }
+      const gps = inspectionData?.gps || null;
+      const checklistPhotos = inspectionData?.checklistData
+        ? { ...(inspectionData.checklistPhotos || {}), ...(await uploadChecklistPhotos(item, inspectionData)) }
+        : null;
+      let signature = null;
+      if (inspectionData?.signature) {
+        try {
+          signature = {
+            url: await uploadSignature(inspectionData.signature, user.uid),
+            name: inspectionData.inspectorName || '',
+            certNumber: inspectionData.inspectorCertNumber || '',
+            signedAt: savedAt
+          };
+        } catch (uploadErr) {
+          // Never save unsigned what the inspector signed
+          if (fromQueue || isRetryableError(uploadErr)) throw uploadErr;
+          console.error('Signature upload failed:', uploadErr);
+          alert(`Inspection of ${item.assetId} was not saved because the signature could not be uploaded.\n\n${uploadErr?.code || uploadErr?.message || ''}\n\nOpen the unit, sign and save it again.`.trim());
+          return false;
+        }
+      }
+      const inspection = {
+        recordType: RECORD_TYPES.INSPECTION,
+        date: savedAt,
+        status,
+        notes,
+        inspector: user.email || 'Current User',
+        inspectorName: inspectionData?.inspectorName || null,
+        inspectorCertNumber: inspectionData?.inspectorCertNumber || null,
+        signature,
+        ...(inspectionData?.reinspection ? {
+          reinspectionOf: inspectionData.reinspection.failure.date,
+          correctiveAction: inspectionData.reinspection.correctiveAction,
+          timeToCorrectionMs: status === 'pass' ? getTimeToCorrection(inspectionData.reinspection.failure, { date: savedAt }) : null
+        } : {}),
+        checklistData: inspectionData?.checklistData || null,
+        checklistTemplateId: inspectionData?.checklistData ? inspectionData.checklistTemplateId || BUILT_IN_TEMPLATE_ID : null,
+        checklistTemplateVersion: inspectionData?.checklistData ? inspectionData.checklistTemplateVersion || 1 : null,
+        checklistComments: inspectionData?.checklistData ? inspectionData.checklistComments || {} : null,
+        checklistPhotos,
+        photoUrl: photoUrl || null,
+        gps: gps,
+        // Time the unit was open and the walk from the previous unit, measured in SectionDetail
+        timing: inspectionData?.timing || null
+      };
+
+      const updates = {
+        status,
+        checkedDate: inspection.date,
+        // Unlike checkedDate, not cleared by the monthly reset; drives the inspection schedule
+        lastInspectedAt: inspection.date,
+        lastInspectedBy: inspection.inspectorName || inspection.inspector,
+        notes,
+        checklistData: inspection.checklistData,
+        checklistTemplateId: inspection.checklistTemplateId,
+        checklistTemplateVersion: inspection.checklistTemplateVersion,
+        checklistComments: inspection.checklistComments,
+        checklistPhotos: inspection.checklistPhotos,
+        lastInspectionPhotoUrl: photoUrl || null,
+        lastInspectionGps: gps || null,
+        lastInspectionSignature: signature
+      };
+
+      let savedRecord = inspection;
+      try {
+        await updateExtinguisherWithLog(item, updates, CHANGE_ACTIONS.INSPECTION, inspection, {
+          detectConflict: (current) => findInspectionConflict(base, current)
+        });
+      } catch (error) {
+        if (!(error instanceof ExtinguisherConflictError)) throw error;
+        // A replay never waits on the dialog; the entry stays queued until the inspector decides
+        if (fromQueue && !promptConflicts) throw error;
+        const conflictResolution = await resolveConflict(error, updates.lastInspectedBy);
+        if (!conflictResolution) {
+          if (fromQueue) throw error;
+          return false;
+        }
+        savedRecord = { ...inspection, conflictResolution };
+        if (conflictResolution.resolution === CONFLICT_RESOLUTIONS.KEEP_THEIRS) {
+          await logKeptConflict(error.current, conflictResolution, { inspectionRecord: savedRecord });
+          recordTimerActivity();
+          if (!fromQueue) setSelectedItem(null);
+          return true;
+        }
+        if (conflictResolution.resolution === CONFLICT_RESOLUTIONS.OVERWRITE) {
+          await updateExtinguisherWithLog(error.current, updates, CHANGE_ACTIONS.INSPECTION, savedRecord, { conflictResolution });
+        } else {
+          await addInspectionRecordWithLog(error.current, savedRecord, CHANGE_ACTIONS.INSPECTION, { conflictResolution });
+        }
+      }
+      recordTimerActivity();
+
+      if (status === 'fail') {
+        await openDeficiencies(item, savedRecord);
+      }
+
+      if (!fromQueue) setSelectedItem(null);
+      return true;
+    } catch (error) {
+      if (fromQueue) throw error;
+      if (isRetryableError(error)) {
+        return queueInspection();
+      }
+      if (error instanceof PhotoUploadError) {
+        // Kept with its photos rather than saved without them
+        const queued = await queueInspection(error);
+        if (queued) alert(`Inspection of ${item.assetId} was not saved.\n\n${error.message}.\n\nIt is kept in the sync queue with its photos; retry or discard it from the sync status badge.`);
+        return false;
+      }
+      console.error('Error updating inspection:', { code: error?.code, message: error?.message });
+      alert(`Error saving inspection.\n\n${error?.code || ''} ${error?.message || ''}`.trim());
+      return false;
+    }
+  };
+
+  // The re-inspection modal needs the unit's history to find the failure it re-checks
+  const openReinspect = async (item) => {
+    setReinspectItem({ ...item, inspectionHistory: await loadInspectionHistory(item) });
+  };
+
+  // Follow-up inspection of a failed unit, linked to the failure it re-checks
+  const handleReinspection = async (item, status, { answers, notes, correctiveNote, photo }) => {
+    const failure = getFailureToReinspect(item);
+    if (!failure) return false;
+    const sections = resolveTemplateSections(checklistTemplates, failure.checklistTemplateId, failure.checklistTemplateVersion);
+    const recordedActions = getCorrectiveActions(deficiencies, item, failure);
+    const correctiveAction = {
+      note: [...recordedActions.map(action => `${action.itemLabel}: ${action.note}`), correctiveNote].filter(Boolean).join(' | '),
+      correctedAt: recordedActions.map(action => action.resolvedAt).filter(Boolean).sort().pop() || new Date().toISOString()
+    };
+    const checklistData = failure.checklistData ? { ...failure.checklistData, ...answers } : null;
+    const failedLabels = Object.entries(answers).filter(([, value]) => value === 'fail').map(([key]) => getChecklistItemLabel(sections, key));
+    const summary = [
+      `Re-inspection of ${new Date(failure.date).toLocaleDateString()} failure`,
+      failedLabels.length > 0 ? `Still failing: ${failedLabels.join(', ')}` : '',
+      notes
+    ].filter(Boolean).join('. ');
+
+    const saved = await handleInspection(item, status, summary, {
+      checklistData,
+      checklistTemplateId: failure.checklistTemplateId,
+      checklistTemplateVersion: failure.checklistTemplateVersion,
+      checklistComments: {},
+      checklistPhotos: {},
+      photo,
+      reinspection: { failure, correctiveAction }
+    });
+    if (!saved || status !== 'pass') return saved;
+
+    // A passing re-inspection closes the deficiencies the failure opened
+    const stillOpen = getDeficienciesForFailure(deficiencies, item, failure).filter(isDeficiencyOpen);
+    for (const deficiency of stillOpen) {
+      await resolveDeficiency(deficiency, { note: correctiveAction.note || 'Passed re-inspection', photo: null });
+    }
+    // Closing the failure's deficiencies can take a while; count the visit as activity once done
+    recordTimerActivity();
+    return true;
+  };
+
+  // ============ DEFICIENCIES ============
+  const workspaceDeficiencies = deficiencies.filter(d => d.workspaceId === currentWorkspaceId);
+
+  const openDeficiencies = async (item, inspection) => {
+    try {
+      const sections = resolveTemplateSections(checklistTemplates, inspection.checklistTemplateId, inspection.checklistTemplateVersion);
+      const newDeficiencies = buildDeficienciesFromInspection(item, inspection, sections, deficiencies, {
+        userId: user.uid,
+        workspaceId: item.workspaceId || currentWorkspaceId
+      });
+      if (newDeficiencies.length === 0) return;
+      const batch = writeBatch(db);
+      newDeficiencies.forEach(deficiency => {
+        batch.set(doc(collection(db, 'deficiencies')), { ...deficiency, createdAt: new Date().toISOString() });
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error opening deficiencies:', error);
+      alert('Inspection saved, but its deficiencies could not be recorded. Please try again.');
+    }
+  };
+
+  const updateDeficiency = async (deficiency, updates) => {
+    try {
+      await updateDoc(doc(db, 'deficiencies', deficiency.id), { ...updates, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error updating deficiency:', error);
+      alert('Error updating deficiency. Please try again.');
+    }
+  };
+
+  const resolveDeficiency = async (deficiency, { note, photo }) => {
+    try {
+      let photoUrl = null;
+      if (photo instanceof File) {
+        const safeSeg = String(deficiency.assetId || deficiency.id).replace(/[^a-zA-Z0-9_-]/g, '_');
+        const path = `deficiencies/${safeSeg}/${Date.now()}_${photo.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+        const snapshot = await uploadBytes(storageRef(storage, path), photo, { contentType: photo.type });
+        photoUrl = await getDownloadURL(snapshot.ref);
+      }
+      const resolvedAt = new Date().toISOString();
+      await updateDoc(doc(db, 'deficiencies', deficiency.id), {
+        status: DEFICIENCY_STATUSES.RESOLVED,
+        resolution: {
+          note,
+          photoUrl,
+          resolvedAt,
+          resolvedBy: user.email || 'Unknown'
+        },
+        updatedAt: resolvedAt
       });
-      setNewItemPhoto(null);
-      setNewItemGps(null);
-      alert('New fire extinguisher added successfully!');
+      return true;
     } catch (error) {
-      console.error('Error adding extinguisher:', error);
-      alert('Error adding fire extinguisher. Please try again.');
+      console.error('Error resolving deficiency:', error);
+      alert('Error resolving deficiency. Please try again.');
+      return false;
     }
   };
+  // ============ END DEFICIENCIES ============
 
-  const handleInspection = async (item, status, notes = '', inspectionData = null) => {
+  // Annual maintenance is recorded in history but does not touch the monthly inspection status
+  const handleAnnualMaintenance = async (item, status, maintenanceData) => {
     try {
       let photoUrl = null;
-      if (inspectionData?.photo instanceof File) {
+      if (maintenanceData?.photo instanceof File) {
         try {
-          const file = inspectionData.photo;
+          const file = maintenanceData.photo;
           const safeSeg = String(item.assetId || item.id || 'asset').replace(/[^a-zA-Z0-9_-]/g, '_');
-          const path = `inspections/${safeSeg}/${Date.now()}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+          const path = `maintenance/${safeSeg}/${Date.now()}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
           const sref = storageRef(storage, path);
           const snapshot = await uploadBytes(sref, file, { contentType: file.type });
           photoUrl = await getDownloadURL(snapshot.ref);
         } catch (uploadErr) {
-          console.warn('Photo upload failed; saving inspection without photo:', uploadErr);
+          console.warn('Photo upload failed; saving maintenance without photo:', uploadErr);
         }
       }
-      const gps = inspectionData?.gps || null;
-      const inspection = {
-        date: new Date().toISOString(),
+
+      const now = new Date();
+      const record = {
+        recordType: RECORD_TYPES.ANNUAL_MAINTENANCE,
+        date: now.toISOString(),
         status,
-        notes,
+        notes: maintenanceData?.notes || '',
         inspector: user.email || 'Current User',
-        checklistData: inspectionData?.checklistData || null,
-        photoUrl: photoUrl || null,
-        gps: gps
+        technicianName: maintenanceData?.technicianName || '',
+        technicianCertNumber: maintenanceData?.technicianCertNumber || '',
+        checklistData: maintenanceData?.checklistData || null,
+        photoUrl: photoUrl || null
       };
 
-      const docRef = getExtinguisherDoc(item);
-      await updateDoc(docRef, {
-        status,
-        checkedDate: new Date().toISOString(),
-        notes,
-        checklistData: inspectionData?.checklistData || null,
-        lastInspectionPhotoUrl: photoUrl || null,
-        lastInspectionGps: gps || null,
-        inspectionHistory: [...(item.inspectionHistory || []), inspection]
-      });
+      const updates = {
+        updatedAt: now.toISOString()
+      };
+      // Only a completed (passing) annual maintenance restarts the annual interval
+      if (status === 'pass') {
+        updates.lastAnnualMaintenance = toDateString(now);
+        updates.maintenanceNeedsReview = false;
+      }
 
-      setSelectedItem(null);
+      await updateExtinguisherWithLog(item, updates, CHANGE_ACTIONS.ANNUAL_MAINTENANCE, record);
+      recordTimerActivity();
     } catch (error) {
-      console.error('Error updating inspection:', { code: error?.code, message: error?.message });
-      alert(`Error saving inspection.\n\n${error?.code || ''} ${error?.message || ''}`.trim());
+      console.error('Error saving annual maintenance:', { code: error?.code, message: error?.message });
+      alert(`Error saving annual maintenance.\n\n${error?.code || ''} ${error?.message || ''}`.trim());
+    }
+  };
+
+  // ============ SCAN TO ADD ============
+  // The building being viewed on the dashboard, if one is selected
+  const getViewedSection = () => (selectedSection !== 'All' ? selectedSection : null);
+
+  // Open the add modal for a code that matched nothing: asset ID prefilled,
+  // section set to `section` or else the building being viewed
+  const openAddFromScan = (code, section = null) => {
+    if (buildings.length === 0) {
+      alert(`NOT FOUND: "${code}"\n\nAdd a building first, then scan again to add this extinguisher.`);
+      return;
     }
+    setNewItem(prev => ({
+      assetId: code,
+      serial: '',
+      vicinity: '',
+      parentLocation: taggingMode ? prev.parentLocation : '',
+      section: section || getViewedSection() || prev.section || getBuildingNames()[0] || '',
+      ...EMPTY_EXTINGUISHER_ATTRIBUTES,
+      inspectionFrequency: null,
+      floorId: null,
+      roomId: null
+    }));
+    setNewItemPhoto(null);
+    setNewItemGps(null);
+    setAddFromScan(code);
+    setShowAddModal(true);
+  };
+
+  // In tagging mode only an exact asset ID or serial counts as already tagged;
+  // partial matches would keep similar new codes from being added
+  const findTaggedMatches = (searchValue) => {
+    const key = normalizeAssetKey(searchValue);
+    return findScanMatches(extinguishers, searchValue)
+      .filter(e => normalizeAssetKey(e.assetId) === key || normalizeAssetKey(e.serial) === key);
+  };
+
+  const handleTaggingScan = (code) => {
+    const existing = findTaggedMatches(code);
+    if (existing.length > 0) {
+      alert(`Already tagged: ${describeConflicts(existing)}`);
+      continueTagging();
+      return;
+    }
+    openAddFromScan(code);
+  };
+
+  const startTagging = (mode) => {
+    setTaggingMode(mode);
+    setTaggedCount(0);
+    if (mode === 'camera') setShowCameraScanner(true);
+    else setScanMode(true);
+  };
+
+  const continueTagging = () => {
+    if (taggingMode === 'camera') setShowCameraScanner(true);
+    else if (taggingMode === 'manual') setScanMode(true);
+  };
+
+  const stopTagging = () => {
+    setTaggingMode(null);
+    setShowCameraScanner(false);
+    setScanMode(false);
+    setScanInput('');
+    if (taggedCount > 0) alert(`Tagging finished: ${taggedCount} extinguisher${taggedCount !== 1 ? 's' : ''} added.`);
+  };
+
+  const closeAddModal = () => {
+    setShowAddModal(false);
+    setAddFromScan(null);
+    if (taggingMode) continueTagging();
   };
 
+  const captureNewItemGps = () => {
+    if (!('geolocation' in navigator)) { alert('Geolocation not supported on this device/browser.'); return; }
+    setNewItemGpsLoading(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const { latitude: lat, longitude: lng, accuracy, altitude, altitudeAccuracy } = pos.coords;
+        setNewItemGps({ lat, lng, accuracy, altitude, altitudeAccuracy, capturedAt: new Date().toISOString() });
+        setNewItemGpsLoading(false);
+      },
+      (err) => {
+        console.warn('GPS error:', err);
+        alert('Unable to get GPS location. Please ensure location services are enabled.');
+        setNewItemGpsLoading(false);
+      },
+      { enableHighAccuracy: true, timeout: 8000, maximumAge: 0 }
+    );
+  };
+  // ============ END SCAN TO ADD ============
+
   const handleScan = (e) => {
     e.preventDefault();
     const searchValue = scanInput.trim();
@@ -1685,41 +3083,40 @@ function App() {
       return;
     }
 
+    if (taggingMode) {
+      setScanInput('');
+      setScanMode(false);
+      handleTaggingScan(searchValue);
+      return;
+    }
+
     console.log('=== SEARCH DEBUG ===');
     console.log('Searching for:', searchValue);
     console.log('Total extinguishers loaded:', extinguishers.length);
 
-    if (extinguishers.length === 0) {
-      alert('No extinguishers loaded in database. Please import data first.');
-      return;
-    }
-
     // Show first few extinguishers for debugging
     console.log('Sample extinguishers:', extinguishers.slice(0, 3));
 
-    // Simple search
-    const searchLower = searchValue.toLowerCase();
-    const found = extinguishers.find(item => {
-      const assetId = String(item.assetId || '').toLowerCase();
-      const serial = String(item.serial || '').toLowerCase();
-
-      console.log('Checking item:', { assetId, serial, searchLower });
+    // Exact asset ID, then exact serial, then partial matches
+    const matches = findScanMatches(extinguishers, searchValue);
 
-      return assetId.includes(searchLower) || serial.includes(searchLower);
-    });
-
-    console.log('Search result:', found);
+    console.log('Search result:', matches);
 
-    if (found) {
-      setSelectedItem(found);
+    if (matches.length > 1) {
+      // Several records match; let the user pick instead of taking the first one
+      setScanMatches(matches);
+      setScanInput('');
+      setScanMode(false);
+    } else if (matches.length === 1) {
+      setSelectedItem(matches[0]);
       setScanInput('');
       setScanMode(false);
       alert('Found! Opening fire extinguisher details.');
     } else {
-      // Show what we actually have for debugging
-      const allAssetIds = extinguishers.map(item => item.assetId).slice(0, 5);
-      alert(`NOT FOUND: "${searchValue}"\n\nTotal extinguishers: ${extinguishers.length}\n\nFirst few Asset IDs in database:\n${allAssetIds.join(', ')}\n\nTry typing one of these numbers exactly.`);
-      // Don't clear input so user can try again
+      // Unknown code: add it as a new extinguisher
+      setScanInput('');
+      setScanMode(false);
+      openAddFromScan(searchValue);
     }
   };
 
@@ -1731,37 +3128,33 @@ function App() {
       return;
     }
 
-    console.log('=== CAMERA SEARCH DEBUG ===');
-    console.log('Searching for:', searchValue);
-    console.log('Total extinguishers:', extinguishers.length);
-
-    if (extinguishers.length === 0) {
-      alert('No extinguishers loaded. Please import data first.');
+    if (taggingMode) {
       setShowCameraScanner(false);
+      handleTaggingScan(searchValue);
       return;
     }
 
-    // Simple search
-    const searchLower = searchValue.toLowerCase();
-    const found = extinguishers.find(item => {
-      const assetId = String(item.assetId || '').toLowerCase();
-      const serial = String(item.serial || '').toLowerCase();
+    console.log('=== CAMERA SEARCH DEBUG ===');
+    console.log('Searching for:', searchValue);
+    console.log('Total extinguishers:', extinguishers.length);
 
-      return assetId.includes(searchLower) || serial.includes(searchLower);
-    });
+    // Exact asset ID, then exact serial, then partial matches
+    const matches = findScanMatches(extinguishers, searchValue);
 
     setShowCameraScanner(false);
 
-    if (found) {
-      setSelectedItem(found);
+    if (matches.length > 1) {
+      setScanMatches(matches);
+    } else if (matches.length === 1) {
+      setSelectedItem(matches[0]);
       alert('Found! Opening fire extinguisher details.');
     } else {
-      const allAssetIds = extinguishers.map(item => item.assetId).slice(0, 5);
-      alert(`NOT FOUND: "${searchValue}"\n\nTotal extinguishers: ${extinguishers.length}\n\nFirst few Asset IDs:\n${allAssetIds.join(', ')}`);
+      openAddFromScan(searchValue);
     }
   };
 
   const handleEdit = (item) => {
+    editBaseRef.current = item;
     // Store the original buildingId to detect if building changed
     setEditItem({ ...item, originalBuildingId: item.buildingId });
   };
@@ -1769,6 +3162,25 @@ function App() {
   const saveEdit = async () => {
     if (!editItem) return;
 
+    if (!String(editItem.assetId || '').trim()) {
+      alert('Asset ID is required');
+      return;
+    }
+
+    const assetConflicts = findAssetIdConflicts(extinguishers, editItem.assetId, editItem.id);
+    if (assetConflicts.length > 0) {
+      alert(`Asset ID "${editItem.assetId}" is already in use:\n\n${describeConflicts(assetConflicts)}\n\nPlease use a unique Asset ID.`);
+      return;
+    }
+
+    const original = extinguishers.find(e => e.id === editItem.id);
+    const serialChanged = normalizeAssetKey(original?.serial) !== normalizeAssetKey(editItem.serial);
+    const serialConflicts = serialChanged ? findSerialConflicts(extinguishers, editItem.serial, editItem.id) : [];
+    if (serialConflicts.length > 0 &&
+        !window.confirm(`Serial "${editItem.serial}" is already recorded on:\n\n${describeConflicts(serialConflicts)}\n\nSave anyway?`)) {
+      return;
+    }
+
     try {
       // Check if section (building) has changed - if so, we need to move the extinguisher
       const oldBuildingId = editItem.originalBuildingId || editItem.buildingId || getBuildingIdFromSection(editItem.section);
@@ -1779,79 +3191,64 @@ function App() {
         return;
       }
 
-      // If building changed, we need to move the extinguisher to the new building's subcollection
-      if (oldBuildingId && oldBuildingId !== newBuildingId) {
-        // Get the old document data
-        const oldDocRef = doc(db, 'buildings', oldBuildingId, 'extinguishers', editItem.id);
-        
-        try {
-          const oldDocSnap = await getDoc(oldDocRef);
-          
-          if (oldDocSnap.exists()) {
-            const oldData = oldDocSnap.data();
-            // Create in new building with updated data
-            const newItemData = {
-              ...oldData,
-              assetId: editItem.assetId,
-              vicinity: editItem.vicinity,
-              serial: editItem.serial,
-              parentLocation: editItem.parentLocation,
-              section: editItem.section,
-              buildingId: newBuildingId,
-              location: editItem.location || null,
-              updatedAt: new Date().toISOString()
-            };
-            
-            await addDoc(getExtinguisherCollection(newBuildingId), newItemData);
-            
-            // Delete from old building
-            await deleteDoc(oldDocRef);
-          } else {
-            // Fallback: try to get from current extinguishers state
-            const currentItem = extinguishers.find(e => e.id === editItem.id);
-            if (currentItem) {
-              // Create in new building with updated data
-              const newItemData = {
-                ...currentItem,
-                assetId: editItem.assetId,
-                vicinity: editItem.vicinity,
-                serial: editItem.serial,
-                parentLocation: editItem.parentLocation,
-                section: editItem.section,
-                buildingId: newBuildingId,
-                location: editItem.location || null,
-                updatedAt: new Date().toISOString()
-              };
-              delete newItemData.id; // Remove id before adding
-              
-              await addDoc(getExtinguisherCollection(newBuildingId), newItemData);
-            } else {
-              throw new Error('Could not find extinguisher to move');
-            }
+      // Floors and rooms belong to a building; drop references left over from the old one
+      const floorId = floors.some(f => f.id === editItem.floorId && f.buildingId === newBuildingId) ? editItem.floorId : null;
+      const roomId = floorId && rooms.some(r => r.id === editItem.roomId && r.floorId === floorId) ? editItem.roomId : null;
+
+      const updates = {
+        assetId: editItem.assetId,
+        vicinity: editItem.vicinity,
+        serial: editItem.serial,
+        parentLocation: editItem.parentLocation,
+        section: editItem.section,
+        ...pickExtinguisherAttributes(editItem),
+        inspectionFrequency: editItem.inspectionFrequency || null,
+        recallIds: findRecallIds(editItem, recalls),
+        floorId,
+        roomId,
+        buildingId: newBuildingId, // Ensure buildingId is set
+        location: editItem.location || null,
+        updatedAt: new Date().toISOString(),
+        updatedBy: timerInspector
+      };
+      const base = editBaseRef.current || original || editItem;
+
+      // A new building means moving the unit to that building's subcollection; moves
+      // are conflict-checked against the stored unit like any other edit
+      const isMove = Boolean(oldBuildingId) && oldBuildingId !== newBuildingId;
+      if (isMove && !original) {
+        throw new Error('Could not find extinguisher to move');
+      }
+      const save = (item, fields, options) => (isMove && fields.buildingId !== oldBuildingId
+        ? moveExtinguisherWithLog(item, oldBuildingId, fields, options)
+        : updateExtinguisherWithLog(item, fields, CHANGE_ACTIONS.EDIT, null, options));
+
+      // Values from another device kept over this edit after a conflict
+      const keptFields = {};
+      try {
+        await save(original || editItem, updates, {
+          detectConflict: (current) => findEditConflict(base, current, updates)
+        });
+      } catch (error) {
+        if (!(error instanceof ExtinguisherConflictError)) throw error;
+        const conflictResolution = await resolveConflict(error, timerInspector);
+        if (!conflictResolution) return;
+        if (conflictResolution.resolution === CONFLICT_RESOLUTIONS.KEEP_THEIRS) {
+          // Their values win for the contested fields; the rest of this edit still saves
+          error.conflict.fields.forEach(({ field, theirs }) => {
+            keptFields[field] = theirs;
+          });
+          if (isMove && 'section' in keptFields) {
+            // Their section is in the old building; the unit stays there, on its floor and room
+            Object.assign(keptFields, { buildingId: oldBuildingId, floorId: error.current.floorId || null, roomId: error.current.roomId || null });
           }
-        } catch (error) {
-          console.error('Error moving extinguisher to new building:', error);
-          alert('Error moving extinguisher. Please try again.');
-          return;
         }
-      } else {
-        // Same building, just update the document
-        const docRef = getExtinguisherDoc(editItem);
-        await updateDoc(docRef, {
-          assetId: editItem.assetId,
-          vicinity: editItem.vicinity,
-          serial: editItem.serial,
-          parentLocation: editItem.parentLocation,
-          section: editItem.section,
-          buildingId: newBuildingId, // Ensure buildingId is set
-          location: editItem.location || null,
-          updatedAt: new Date().toISOString()
-        });
+        await save(error.current, { ...updates, ...keptFields }, { conflictResolution });
       }
 
       // Update selectedItem if it's the same item being edited
       if (selectedItem && selectedItem.id === editItem.id) {
-        setSelectedItem({ ...editItem, buildingId: newBuildingId });
+        setSelectedItem({ ...editItem, ...pickExtinguisherAttributes(editItem), floorId, roomId, buildingId: newBuildingId, ...keptFields });
       }
 
       setEditItem(null);
@@ -1862,10 +3259,411 @@ function App() {
     }
   };
 
+  const changeLifecycleState = async (item, nextState, { reason, date }) => {
+    try {
+      const updates = buildLifecycleTransition(item, nextState, {
+        reason,
+        date,
+        changedBy: user.email || 'Current User'
+      });
+      await updateExtinguisherWithLog(item, { ...updates, updatedAt: new Date().toISOString() }, CHANGE_ACTIONS.LIFECYCLE);
+      if (selectedItem && selectedItem.id === item.id) {
+        setSelectedItem({ ...selectedItem, ...updates });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error changing lifecycle state:', error);
+      alert('Error changing lifecycle state. Please try again.');
+      return false;
+    }
+  };
+
+  // ============ BULK EDIT ============
+  // Apply one action to many extinguishers in chunked batches. A failed batch marks
+  // its units as failed and the run continues with the next chunk.
+  const runBulkAction = async (items, action, payload, onProgress) => {
+    const failed = [];
+    const operations = [];
+    let succeeded = 0;
+
+    items.forEach(item => {
+      // Each unit also gets a change log entry, so every operation needs one more write
+      if (action !== BULK_ACTIONS.SECTION) {
+        operations.push({ item, writes: 2 });
+        return;
+      }
+      const oldBuildingId = item.buildingId || getBuildingIdFromSection(item.section);
+      const newBuildingId = getBuildingIdFromSection(payload.section);
+      if (!newBuildingId) {
+        failed.push({ assetId: item.assetId, error: `Building "${payload.section}" not found` });
+      } else if (newBuildingId !== oldBuildingId && (item.swap || item.coveringFor)) {
+        failed.push({ assetId: item.assetId, error: 'Part of an active temporary swap' });
+      } else {
+        // Moving buildings is a create in the new subcollection plus a delete of the old document
+        operations.push({ item, oldBuildingId, newBuildingId, writes: newBuildingId === oldBuildingId ? 2 : 3 });
+      }
+    });
+
+    let processed = failed.length;
+    onProgress?.(processed);
+
+    for (const chunk of chunkOperations(operations, BULK_BATCH_LIMIT, LOGGED_UNITS_PER_BATCH)) {
+      const batch = writeBatch(db);
+      const now = new Date().toISOString();
+      try {
+        chunk.forEach(({ item, oldBuildingId, newBuildingId }) => {
+          if (action === BULK_ACTIONS.SECTION) {
+            if (newBuildingId === oldBuildingId) {
+              addLoggedUpdate(batch, item, { section: payload.section, updatedAt: now }, CHANGE_ACTIONS.BULK_EDIT);
+            } else {
+              const { id, ...data } = item;
+              const newDocRef = doc(getExtinguisherCollection(newBuildingId));
+              const updates = {
+                section: payload.section,
+                floorId: null,
+                roomId: null,
+                buildingId: newBuildingId,
+                updatedAt: now
+              };
+              addLoggedMove(
+                batch, item, doc(db, 'buildings', oldBuildingId, 'extinguishers', id), newDocRef,
+                { ...data, ...updates }, CHANGE_ACTIONS.MOVE, updates
+              );
+            }
+          } else if (action === BULK_ACTIONS.FIELDS) {
+            const updates = {
+              ...payload,
+              ...(payload.manufactureDate ? { maintenanceNeedsReview: false } : {}),
+              recallIds: findRecallIds({ ...item, ...payload }, recalls),
+              updatedAt: now
+            };
+            addLoggedUpdate(batch, item, updates, CHANGE_ACTIONS.BULK_EDIT);
+          } else if (action === BULK_ACTIONS.RESET) {
+            const updates = {
+              status: 'pending',
+              checkedDate: null,
+              notes: ''
+            };
+            addLoggedUpdate(batch, item, updates, CHANGE_ACTIONS.RESET_STATUS);
+          } else if (action === BULK_ACTIONS.DELETE) {
+            addLoggedDelete(batch, item);
+          }
+        });
+        await batch.commit();
+        succeeded += chunk.length;
+      } catch (error) {
+        console.error('Error in bulk edit batch:', error);
+        chunk.forEach(({ item }) => failed.push({ assetId: item.assetId, error: error?.message || 'Write failed' }));
+      }
+      processed += chunk.length;
+      onProgress?.(processed);
+    }
+
+    return { succeeded, failed };
+  };
+  // ============ END BULK EDIT ============
+
+  // ============ DUPLICATES ============
+  const mergeDuplicateExtinguishers = async (keep, duplicates) => {
+    if ([keep, ...duplicates].some(e => e.swap || e.coveringFor)) {
+      alert('One of these records is part of an active temporary swap. Return the original before merging.');
+      return;
+    }
+    if (!window.confirm(`Keep ${keep.assetId} in ${keep.section} and merge ${duplicates.length} other record${duplicates.length !== 1 ? 's' : ''} into it?\n\nInspection history and photos are combined; the other records are deleted.`)) {
+      return;
+    }
+
+    try {
+      // Combine stored histories and re-file them under the kept record's asset ID
+      const histories = await Promise.all([keep, ...duplicates].map(loadInspectionHistory));
+      const keepWithHistory = { ...keep, inspectionHistory: histories[0] };
+      const { inspectionHistory: mergedHistory, ...updates } = buildMergedRecord(
+        keepWithHistory,
+        duplicates.map((dup, index) => ({ ...dup, inspectionHistory: histories[index + 1] }))
+      );
+      updates.recallIds = findRecallIds({ ...keep, ...updates }, recalls);
+      const batch = writeBatch(db);
+      addLoggedUpdate(batch, keepWithHistory, {
+        ...updates,
+        ...(keep.inspectionHistory ? { inspectionHistory: deleteField() } : {}),
+        updatedAt: new Date().toISOString()
+      }, CHANGE_ACTIONS.MERGE, {
+        ref: getExtinguisherDoc(keep),
+        logged: { ...updates, inspectionHistory: mergedHistory }
+      });
+      mergedHistory.forEach(record => addInspectionRecordToBatch(batch, keep, record));
+      duplicates.forEach(dup => addLoggedDelete(batch, dup));
+      await batch.commit();
+      alert(`Merged ${duplicates.length + 1} records into ${keep.assetId}.`);
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      alert('Error merging records. Please try again.');
+    }
+  };
+
+  const renumberExtinguisher = async (item, newAssetId) => {
+    const conflicts = findAssetIdConflicts(extinguishers, newAssetId, item.id);
+    if (conflicts.length > 0) {
+      alert(`Asset ID "${newAssetId}" is already in use:\n\n${describeConflicts(conflicts)}`);
+      return false;
+    }
+    try {
+      await updateExtinguisherWithLog(item, {
+        assetId: newAssetId,
+        previousAssetIds: [...(item.previousAssetIds || []), item.assetId],
+        updatedAt: new Date().toISOString()
+      }, CHANGE_ACTIONS.RENUMBER);
+      return true;
+    } catch (error) {
+      console.error('Error renumbering extinguisher:', error);
+      alert('Error renumbering extinguisher. Please try again.');
+      return false;
+    }
+  };
+  // ============ END DUPLICATES ============
+
+  // ============ RECALLS ============
+  // Re-check every extinguisher in every building against the recall list and update flags
+  const runRecallMatching = async (recallList = recalls, { silent = false } = {}) => {
+    try {
+      const allUserExtinguishers = await getAllExtinguishers({ userId: user.uid });
+      const changed = allUserExtinguishers
+        .map(item => ({ item, recallIds: findRecallIds(item, recallList) }))
+        .filter(({ item, recallIds }) => !sameRecallIds(item.recallIds || [], recallIds));
+
+      // Rules read each unit's change log entry, which caps how many units fit in a batch
+      const batchSize = LOGGED_UNITS_PER_BATCH;
+      for (let i = 0; i < changed.length; i += batchSize) {
+        const batch = writeBatch(db);
+        changed.slice(i, i + batchSize).forEach(({ item, recallIds }) => {
+          addLoggedUpdate(batch, item, { recallIds }, CHANGE_ACTIONS.RECALL_MATCH, {
+            ref: doc(db, 'buildings', item.buildingId, 'extinguishers', item.id)
+          });
+        });
+        await batch.commit();
+      }
+
+      const flagged = allUserExtinguishers.filter(item => findRecallIds(item, recallList).length > 0).length;
+      if (!silent) {
+        alert(`Recall matching complete.\n\nFlagged extinguishers: ${flagged}\nRecords updated: ${changed.length}`);
+      }
+      return flagged;
+    } catch (error) {
+      console.error('Error matching recalls:', error);
+      alert('Error matching recalls. Please try again.');
+      return 0;
+    }
+  };
+
+  const handleRecallUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = null;
+
+    try {
+      const data = new Uint8Array(await file.arrayBuffer());
+      const workbook = XLSX.read(data, { type: 'array' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+      const { recalls: parsed, skipped, invalidDates } = parseRecallRows(rows);
+
+      if (parsed.length === 0) {
+        alert(
+          'No recalls found. Each row needs a Manufacturer and a Model, Serial Start/End, Serial Range or Date Code Start/End column.' +
+          (invalidDates.length > 0 ? `\n\nRows with a date code that could not be read: ${invalidDates.join(', ')}` : '')
+        );
+        return;
+      }
+
+      const importedAt = new Date().toISOString();
+      const added = [];
+      for (const recall of parsed) {
+        const recallDoc = { ...recall, userId: user.uid, importedAt, importedFrom: file.name };
+        const ref = await addDoc(collection(db, 'recalls'), recallDoc);
+        added.push({ id: ref.id, ...recallDoc });
+      }
+
+      const flagged = await runRecallMatching([...recalls, ...added], { silent: true });
+      alert(
+        `Imported ${added.length} recall${added.length !== 1 ? 's' : ''}.` +
+        (skipped.length > 0 ? `\nSkipped rows: ${skipped.join(', ')}` : '') +
+        (invalidDates.length > 0 ? `\nNot imported (date code could not be read): ${invalidDates.join(', ')}` : '') +
+        `\n\nFlagged extinguishers: ${flagged}`
+      );
+    } catch (error) {
+      console.error('Error importing recalls:', error);
+      alert('Error reading recall file. Please make sure it is a valid CSV or Excel file.');
+    }
+  };
+
+  const deleteRecall = async (recall) => {
+    if (!window.confirm(`Delete recall "${recall.title}"? Units flagged only by this recall will be un-flagged.`)) return;
+    try {
+      await deleteDoc(doc(db, 'recalls', recall.id));
+      await runRecallMatching(recalls.filter(r => r.id !== recall.id), { silent: true });
+    } catch (error) {
+      console.error('Error deleting recall:', error);
+      alert('Error deleting recall. Please try again.');
+    }
+  };
+  // ============ END RECALLS ============
+
+  // ============ SPARE POOL / TEMPORARY SWAP ============
+  // Add an update and its change log entry to a batch, moving the extinguisher to another
+  // building's subcollection when its section changes. Returns the (possibly new) document id and buildingId.
+  const addRelocationToBatch = async (batch, item, updates) => {
+    const oldBuildingId = item.buildingId || getBuildingIdFromSection(item.section);
+    const newBuildingId = updates.section ? getBuildingIdFromSection(updates.section) : oldBuildingId;
+    if (!newBuildingId) {
+      throw new Error(`Building "${updates.section}" not found`);
+    }
+
+    if (newBuildingId === oldBuildingId) {
+      addLoggedUpdate(batch, item, updates, CHANGE_ACTIONS.SWAP);
+      return { id: item.id, buildingId: oldBuildingId };
+    }
+
+    const oldDocRef = doc(db, 'buildings', oldBuildingId, 'extinguishers', item.id);
+    const oldDocSnap = await getDoc(oldDocRef);
+    const { id, ...currentData } = item;
+    const newDocRef = doc(getExtinguisherCollection(newBuildingId));
+    addLoggedMove(batch, item, oldDocRef, newDocRef, {
+      ...(oldDocSnap.exists() ? oldDocSnap.data() : currentData),
+      // Floor and room ids are per building
+      floorId: null,
+      roomId: null,
+      ...updates,
+      buildingId: newBuildingId
+    }, CHANGE_ACTIONS.SWAP, updates);
+    return { id: newDocRef.id, buildingId: newBuildingId };
+  };
+
+  // Hang a spare at the original's location while the original is out for service
+  const startTemporarySwap = async (original, spare, reason) => {
+    try {
+      const startedAt = new Date().toISOString();
+      const changedBy = user.email || 'Current User';
+
+      // Both units change in one batch; the spare goes first so the original can reference its final document id
+      const batch = writeBatch(db);
+      const spareRef = await addRelocationToBatch(batch, spare, {
+        section: original.section,
+        vicinity: original.vicinity || '',
+        parentLocation: original.parentLocation || '',
+        floorId: original.floorId || null,
+        roomId: original.roomId || null,
+        spareHome: {
+          section: spare.section,
+          vicinity: spare.vicinity || '',
+          parentLocation: spare.parentLocation || '',
+          floorId: spare.floorId || null,
+          roomId: spare.roomId || null
+        },
+        coveringFor: {
+          originalId: original.id,
+          originalAssetId: original.assetId,
+          originalBuildingId: original.buildingId,
+          startedAt
+        },
+        ...buildLifecycleTransition(spare, LIFECYCLE_STATES.IN_SERVICE, {
+          reason: `Covering for ${original.assetId}`,
+          date: startedAt,
+          changedBy
+        }),
+        updatedAt: startedAt
+      });
+
+      const originalUpdates = {
+        swap: {
+          spareId: spareRef.id,
+          spareAssetId: spare.assetId,
+          spareBuildingId: spareRef.buildingId,
+          startedAt,
+          reason
+        },
+        ...buildLifecycleTransition(original, LIFECYCLE_STATES.OUT_FOR_SERVICE, { reason, date: startedAt, changedBy }),
+        updatedAt: startedAt
+      };
+      addLoggedUpdate(batch, original, originalUpdates, CHANGE_ACTIONS.SWAP);
+      await batch.commit();
+
+      alert(`Spare ${spare.assetId} is now covering ${original.section}${original.vicinity ? ` (${original.vicinity})` : ''}.`);
+    } catch (error) {
+      console.error('Error starting temporary swap:', error);
+      alert('Error starting temporary swap. Please try again.');
+    }
+  };
+
+  // One-step return: original back in service, spare back to its home in the spare pool
+  const returnOriginalFromSwap = async (item) => {
+    const original = item.swap ? item : extinguishers.find(e => e.id === item.coveringFor?.originalId);
+    if (!original?.swap) {
+      alert('Could not find the original unit for this swap.');
+      return;
+    }
+    const spare = extinguishers.find(e => e.id === original.swap.spareId);
+    const daysOut = getDaysOut(original.swap.startedAt);
+
+    if (!window.confirm(
+      `Return ${original.assetId} to service after ${daysOut} day${daysOut !== 1 ? 's' : ''}?\n\n` +
+      `Spare ${original.swap.spareAssetId} will go back to the spare pool.`
+    )) return;
+
+    try {
+      const returnedAt = new Date().toISOString();
+      const changedBy = user.email || 'Current User';
+
+      const batch = writeBatch(db);
+      const originalUpdates = {
+        swap: null,
+        swapHistory: [...(original.swapHistory || []), { ...original.swap, returnedAt, daysOut }],
+        ...buildLifecycleTransition(original, LIFECYCLE_STATES.IN_SERVICE, {
+          reason: `Returned from service (${original.swap.reason || 'swap'}, ${daysOut} days out)`,
+          date: returnedAt,
+          changedBy
+        }),
+        updatedAt: returnedAt
+      };
+      addLoggedUpdate(batch, original, originalUpdates, CHANGE_ACTIONS.SWAP);
+
+      if (spare) {
+        const home = spare.spareHome || {};
+        await addRelocationToBatch(batch, spare, {
+          section: home.section || spare.section,
+          vicinity: home.vicinity || '',
+          parentLocation: home.parentLocation || '',
+          floorId: home.floorId || null,
+          roomId: home.roomId || null,
+          spareHome: null,
+          coveringFor: null,
+          ...buildLifecycleTransition(spare, LIFECYCLE_STATES.SPARE, {
+            reason: `Returned to spare pool from ${original.assetId}`,
+            date: returnedAt,
+            changedBy
+          }),
+          updatedAt: returnedAt
+        });
+        await batch.commit();
+      } else {
+        await batch.commit();
+        console.warn('Spare not found in current workspace; only the original was restored:', original.swap);
+        alert(`${original.assetId} is back in service, but spare ${original.swap.spareAssetId} was not found in this workspace. Please update it manually.`);
+        return;
+      }
+
+      alert(`${original.assetId} is back in service. Spare ${spare.assetId} returned to the spare pool.`);
+    } catch (error) {
+      console.error('Error returning original from swap:', error);
+      alert('Error returning original unit. Please try again.');
+    }
+  };
+  // ============ END SPARE POOL / TEMPORARY SWAP ============
+
   const deleteItem = async (item) => {
     if (window.confirm(`Are you sure you want to delete fire extinguisher ${item.assetId}?`)) {
       try {
-        await deleteDoc(getExtinguisherDoc(item));
+        const batch = writeBatch(db);
+        addLoggedDelete(batch, item);
+        await batch.commit();
         setEditItem(null);
         alert('Fire extinguisher deleted successfully!');
       } catch (error) {
@@ -1877,12 +3675,11 @@ function App() {
 
   const resetStatus = async (item) => {
     try {
-      const docRef = getExtinguisherDoc(item);
-      await updateDoc(docRef, {
+      await updateExtinguisherWithLog(item, {
         status: 'pending',
         checkedDate: null,
         notes: ''
-      });
+      }, CHANGE_ACTIONS.RESET_STATUS);
       setSelectedItem(null);
     } catch (error) {
       console.error('Error resetting status:', error);
@@ -1896,8 +3693,8 @@ function App() {
     setReplaceFormData({
       newAssetId: item.assetId, // Default to same asset ID (location stays the same)
       newSerial: '',
-      newManufactureYear: '',
-      replacementReason: 'out_of_date',
+      newManufactureDate: '',
+      replacementReason: item.recallIds?.length > 0 ? 'recall' : 'out_of_date',
       replacementNotes: ''
     });
     setShowReplaceModal(true);
@@ -1922,14 +3719,23 @@ function App() {
         parentLocation: replaceItem.parentLocation,
         section: replaceItem.section,
         manufactureYear: replaceItem.manufactureYear || '',
+        manufactureDate: replaceItem.manufactureDate || '',
+        lastSixYearMaintenance: replaceItem.lastSixYearMaintenance || '',
+        lastHydroTest: replaceItem.lastHydroTest || '',
+        lastAnnualMaintenance: replaceItem.lastAnnualMaintenance || '',
+        recallIds: replaceItem.recallIds || [],
         photos: replaceItem.photos || [],
         photoUrl: replaceItem.photoUrl || null,
         location: replaceItem.location || null,
-        inspectionHistory: replaceItem.inspectionHistory || [],
+        inspectionHistory: await loadInspectionHistory(replaceItem),
         lastStatus: replaceItem.status,
         lastCheckedDate: replaceItem.checkedDate,
         lastNotes: replaceItem.notes,
         checklistData: replaceItem.checklistData || null,
+        checklistTemplateId: replaceItem.checklistTemplateId || null,
+        checklistTemplateVersion: replaceItem.checklistTemplateVersion || null,
+        checklistComments: replaceItem.checklistComments || null,
+        checklistPhotos: replaceItem.checklistPhotos || null,
         // Replacement metadata
         replacedAt: new Date().toISOString(),
         replacedBy: user.email || 'Unknown',
@@ -1945,27 +3751,36 @@ function App() {
       await addDoc(collection(db, 'replacedExtinguishers'), archivedData);
 
       // 2. Update the existing extinguisher record with new info
-      const docRef = getExtinguisherDoc(replaceItem);
-      await updateDoc(docRef, {
+      await updateExtinguisherWithLog(replaceItem, {
         assetId: replaceFormData.newAssetId.trim() || replaceItem.assetId,
         serial: replaceFormData.newSerial.trim(),
-        manufactureYear: replaceFormData.newManufactureYear.trim(),
+        // New unit starts with a fresh maintenance record
+        ...EMPTY_MAINTENANCE_DATES,
+        manufactureDate: replaceFormData.newManufactureDate,
+        manufactureYear: '',
+        maintenanceNeedsReview: false,
+        // Re-check the new serial against active recalls
+        recallIds: findRecallIds({ ...replaceItem, serial: replaceFormData.newSerial.trim(), manufactureDate: replaceFormData.newManufactureDate }, recalls),
         // Reset inspection status for the new extinguisher
         status: 'pending',
         checkedDate: null,
         notes: '',
         checklistData: null,
+        checklistTemplateId: null,
+        checklistTemplateVersion: null,
+        checklistComments: null,
+        checklistPhotos: null,
         lastInspectionPhotoUrl: null,
         lastInspectionGps: null,
-        // Keep the location and photos - the new extinguisher is in the same spot
-        // but clear inspection history since it's a new unit
-        inspectionHistory: [],
+        lastInspectionSignature: null,
+        // Keep the location and photos - the new extinguisher is in the same spot.
+        // Its history starts at replacedFrom.replacedAt; earlier records stay with the archive.
         // Track that this was replaced
         replacedFrom: {
           serial: replaceItem.serial,
           replacedAt: new Date().toISOString()
         }
-      });
+      }, CHANGE_ACTIONS.REPLACE);
 
       // 3. Close modal and show success
       setShowReplaceModal(false);
@@ -1973,7 +3788,7 @@ function App() {
       setReplaceFormData({
         newAssetId: '',
         newSerial: '',
-        newManufactureYear: '',
+        newManufactureDate: '',
         replacementReason: '',
         replacementNotes: ''
       });
@@ -1985,7 +3800,7 @@ function App() {
     }
   };
 
-  const exportData = (options = exportOptions) => {
+  const exportData = async (options = exportOptions) => {
     const { type, includePhotos, includeGPS, includeChecklist, includeInspectionHistory, includeMaintenanceDates } = options;
 
     let dataToExport;
@@ -1993,28 +3808,49 @@ function App() {
 
     // Filter data based on export type
     if (type === 'passed') {
-      dataToExport = extinguishers.filter(e => e.status === 'pass');
+      dataToExport = displayedExtinguishers.filter(e => e.status === 'pass');
       typeLabel = 'Passed';
     } else if (type === 'failed') {
-      dataToExport = extinguishers.filter(e => e.status === 'fail');
+      dataToExport = displayedExtinguishers.filter(e => e.status === 'fail');
       typeLabel = 'Failed';
     } else if (type === 'notes-only') {
       // Only export items that have notes
-      dataToExport = extinguishers.filter(e => e.notes && e.notes.trim() !== '');
+      dataToExport = displayedExtinguishers.filter(e => e.notes && e.notes.trim() !== '');
       typeLabel = 'Notes';
     } else if (type === 'atg-serial-dates') {
       // Export all items but only specific columns
-      dataToExport = extinguishers;
+      dataToExport = displayedExtinguishers;
       typeLabel = 'ATG_Serial_Dates';
     } else if (type === 'pending') {
-      dataToExport = extinguishers.filter(e => e.status === 'pending');
+      dataToExport = displayedExtinguishers.filter(e => e.status === 'pending');
       typeLabel = 'Pending';
     } else {
-      dataToExport = extinguishers;
+      dataToExport = displayedExtinguishers;
       typeLabel = 'All';
     }
 
+    // History lives in the inspections store; attach each unit's records
+    try {
+      const groups = groupRecordsByUnit(await loadInspectionRecords({ workspaceId: currentWorkspaceId }));
+      dataToExport = dataToExport.map(item => ({
+        ...item,
+        inspectionHistory: mergeInspectionHistory(item, getRecordsForItem(groups, item))
+      }));
+    } catch (error) {
+      console.error('Error loading inspection history for export:', error);
+      alert('Error loading inspection history for the export. Please try again.');
+      return;
+    }
+
+    const locationIndex = indexLocations(floors, rooms);
+    dataToExport = [...dataToExport].sort((a, b) =>
+      (a.section || '').localeCompare(b.section || '') || compareByLocation(a, b, locationIndex)
+    );
+
     const formatted = dataToExport.map(item => {
+      const floorName = locationIndex.floorsById.get(item.floorId)?.name || '';
+      const roomName = locationIndex.roomsById.get(item.roomId)?.name || '';
+
       // For ATG/Serial/Maintenance export - simplified asset list
       if (type === 'atg-serial-dates') {
         return {
@@ -2022,7 +3858,11 @@ function App() {
           'Serial': item.serial,
           'Vicinity': item.vicinity,
           'Section': item.section,
-          'Mfg Year / 6-Year / Hydro': item.manufactureYear || ''
+          'Floor': floorName,
+          'Room/Zone': roomName,
+          'Type': getTypeLabel(item.extinguisherType),
+          'Size (lbs)': item.sizeLbs ?? '',
+          ...getMaintenanceExportColumns(item)
         };
       }
 
@@ -2032,25 +3872,39 @@ function App() {
           'Asset ID': item.assetId,
           'Serial': item.serial,
           'Section': item.section,
+          'Floor': floorName,
+          'Room/Zone': roomName,
           'Vicinity': item.vicinity,
           'Status': item.status.toUpperCase(),
           'Notes': item.notes || '',
           'Checked Date': item.checkedDate ? new Date(item.checkedDate).toLocaleString() : '',
-          'Mfg Year / 6-Year / Hydro': item.manufactureYear || ''
+          ...(includeMaintenanceDates ? getMaintenanceExportColumns(item) : {})
         };
       }
 
       // Standard full export
+      const schedule = computeInspectionSchedule(item, buildings.find(b => b.id === item.buildingId));
       const baseData = {
         'Asset ID': item.assetId,
         'Serial': item.serial,
         'Vicinity': item.vicinity,
         'Parent Location': item.parentLocation,
         'Section': item.section,
+        'Floor': floorName,
+        'Room/Zone': roomName,
+        'Type': getTypeLabel(item.extinguisherType),
+        'Size (lbs)': item.sizeLbs ?? '',
+        'UL Rating': item.ulRating || '',
+        'Manufacturer': item.manufacturer || '',
+        'Model': item.model || '',
+        'Lifecycle': getLifecycleConfig(item.lifecycleState).label,
+        'Recall': (item.recallIds || []).map(id => recalls.find(r => r.id === id)?.title || id).join('; '),
         'Status': item.status.toUpperCase(),
         'Checked Date': item.checkedDate ? new Date(item.checkedDate).toLocaleString() : '',
+        'Inspection Frequency': getFrequencyConfig(schedule.frequency).label,
+        'Next Inspection Due': schedule.due ? toDateString(schedule.due) : '',
         'Notes': item.notes || '',
-        'Mfg Year / 6-Year / Hydro': item.manufactureYear || ''
+        ...(includeMaintenanceDates ? getMaintenanceExportColumns(item) : {})
       };
 
       // Add GPS data if requested
@@ -2078,29 +3932,34 @@ function App() {
         }
       }
 
+      // Inspector and signature from the last monthly inspection
+      const monthlyHistory = (item.inspectionHistory || []).filter(h => !isAnnualMaintenanceRecord(h));
+      const lastInspection = monthlyHistory[monthlyHistory.length - 1];
+      if (lastInspection?.inspectorName || item.lastInspectionSignature) {
+        baseData['Inspector Name'] = item.lastInspectionSignature?.name || lastInspection?.inspectorName || '';
+        baseData['Inspector Cert #'] = item.lastInspectionSignature?.certNumber || lastInspection?.inspectorCertNumber || '';
+        baseData['Signed At'] = item.lastInspectionSignature ? new Date(item.lastInspectionSignature.signedAt).toLocaleString() : '';
+        baseData['Signature URL'] = item.lastInspectionSignature?.url || '';
+      }
+
       // Add checklist details if available and requested
       if (includeChecklist && item.checklistData) {
         const checklist = item.checklistData;
-        baseData['Pin Present'] = checklist.pinPresent || '';
-        baseData['Tamper Seal Intact'] = checklist.tamperSealIntact || '';
-        baseData['Gauge Correct Pressure'] = checklist.gaugeCorrectPressure || '';
-        baseData['Weight Correct'] = checklist.weightCorrect || '';
-        baseData['No Damage'] = checklist.noDamage || '';
-        baseData['In Designated Location'] = checklist.inDesignatedLocation || '';
-        baseData['Clearly Visible'] = checklist.clearlyVisible || '';
-        baseData['Nearest Under 75ft'] = checklist.nearestUnder75ft || '';
-        baseData['Top Under 5ft'] = checklist.topUnder5ft || '';
-        baseData['Bottom Over 4in'] = checklist.bottomOver4in || '';
-        baseData['Mounted Securely'] = checklist.mountedSecurely || '';
-        baseData['Inspection Within 30 Days'] = checklist.inspectionWithin30Days || '';
-        baseData['Tag Signed & Dated'] = checklist.tagSignedDated || '';
+        const sections = resolveTemplateSections(checklistTemplates, item.checklistTemplateId, item.checklistTemplateVersion);
+        Object.assign(baseData, getChecklistExportColumns(checklist, sections, item.checklistComments));
+        const itemPhotos = Object.entries(item.checklistPhotos || {});
+        if (includePhotos && itemPhotos.length > 0) {
+          baseData['Checklist Photos'] = itemPhotos
+            .map(([key, url]) => `${getChecklistItemLabel(sections, key)}: ${url}`)
+            .join(' | ');
+        }
       }
 
       // Add inspection history if requested
-      if (includeInspectionHistory && item.inspectionHistory && item.inspectionHistory.length > 0) {
-        baseData['Inspection History Count'] = item.inspectionHistory.length;
-        baseData['Inspection History'] = item.inspectionHistory.map(h =>
-          `${new Date(h.date).toLocaleDateString()} - ${h.status.toUpperCase()}${h.notes ? ': ' + h.notes : ''}`
+      if (includeInspectionHistory && monthlyHistory.length > 0) {
+        baseData['Inspection History Count'] = monthlyHistory.length;
+        baseData['Inspection History'] = monthlyHistory.map(h =>
+          `${new Date(h.date).toLocaleDateString()} - ${h.reinspectionOf ? 'RE-INSPECTION ' : ''}${h.status.toUpperCase()}${h.signature ? ` (signed: ${h.signature.name})` : ''}${h.notes ? ': ' + h.notes : ''}`
         ).join(' | ');
       }
 
@@ -2115,20 +3974,110 @@ function App() {
     const ws = XLSX.utils.json_to_sheet(formatted);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Inspections');
+
+    // Annual maintenance is reported on its own sheet, separate from monthly inspections
+    const annualRows = dataToExport.flatMap(item =>
+      (item.inspectionHistory || []).filter(isAnnualMaintenanceRecord).map(record => {
+        const row = {
+          'Asset ID': item.assetId,
+          'Serial': item.serial,
+          'Section': item.section,
+          'Date': new Date(record.date).toLocaleDateString(),
+          'Result': record.status === 'pass' ? 'COMPLETED' : 'FAILED',
+          'Technician': record.technicianName || record.inspector || '',
+          'Certification #': record.technicianCertNumber || '',
+          'Notes': record.notes || '',
+          'Photo URL': record.photoUrl || ''
+        };
+        ANNUAL_CHECKLIST_ITEMS.forEach(({ key, label }) => {
+          row[label] = record.checklistData?.[key] || '';
+        });
+        return row;
+      })
+    );
+    if (annualRows.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(annualRows), 'Annual Maintenance');
+    }
+
+    // Failure -> corrective action -> re-inspection chains
+    const correctionRows = dataToExport.flatMap(item =>
+      buildInspectionChains(item).map(chain => {
+        const last = chain.reinspections[chain.reinspections.length - 1];
+        return {
+          'Asset ID': item.assetId,
+          'Section': item.section,
+          'Failed On': new Date(chain.failure.date).toLocaleString(),
+          'Failure Notes': chain.failure.notes || '',
+          'Corrective Action': last?.correctiveAction?.note || getCorrectiveActions(deficiencies, item, chain.failure).map(a => a.note).join(' | '),
+          'Re-inspections': chain.reinspections.length,
+          'Last Re-inspected': last ? new Date(last.date).toLocaleString() : '',
+          'Result': chain.corrected ? 'CORRECTED' : 'OPEN',
+          'Time to Correction': formatCorrectionTime(chain.timeToCorrectionMs),
+          'Days to Correction': chain.timeToCorrectionMs !== null ? Math.round(chain.timeToCorrectionMs / 86400000 * 10) / 10 : ''
+        };
+      })
+    );
+    if (correctionRows.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(correctionRows), 'Corrections');
+    }
+
+    // Month / section close-out signatures
+    const signoffRows = (getCurrentWorkspace()?.signoffs || []).map(signoff => ({
+      'Scope': signoff.scope === 'section' ? `Section: ${signoff.section}` : 'Whole month',
+      'Signed By': signoff.name,
+      'Certification #': signoff.certNumber || '',
+      'Signed At': new Date(signoff.signedAt).toLocaleString(),
+      'Account': signoff.signedBy || '',
+      'Passed': signoff.counts?.passed ?? '',
+      'Failed': signoff.counts?.failed ?? '',
+      'Pending': signoff.counts?.pending ?? '',
+      'Signature URL': signoff.signatureUrl || ''
+    }));
+    if (signoffRows.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(signoffRows), 'Sign-offs');
+    }
+
     XLSX.writeFile(wb, `${monthName}_Extinguisher_Checks_${typeLabel}_${timestamp}_Export.xlsx`);
   };
 
   const exportTimeData = () => {
+    const sectionInspectors = sessionSummary.bySectionInspector;
     const timeData = getBuildingNames().map(section => ({
       'Section': section,
       'Time Spent': formatTime(sectionTimes[section] || 0),
       'Total Milliseconds': sectionTimes[section] || 0,
       'Total Minutes': Math.round((sectionTimes[section] || 0) / 60000),
-      'Items Checked': extinguishers.filter(e => e.section === section && e.status !== 'pending').length,
-      'Items Pending': extinguishers.filter(e => e.section === section && e.status === 'pending').length,
+      'Inspectors': sectionInspectors.filter(row => row.section === section).map(row => row.inspector).join(', '),
+      'Items Checked': displayedExtinguishers.filter(e => e.section === section && e.status !== 'pending').length,
+      'Items Pending': displayedExtinguishers.filter(e => e.section === section && e.status === 'pending').length,
       'Section Notes': sectionNotes[section]?.notes || ''
     }));
 
+    const inspectorData = [...sectionInspectors]
+      .sort((a, b) => a.inspector.localeCompare(b.inspector) || a.section.localeCompare(b.section))
+      .map(row => ({
+        'Inspector': row.inspector,
+        'Section': row.section,
+        'Sessions': row.sessions,
+        'Time Spent': formatTime(row.durationMs),
+        'Total Minutes': Math.round(row.durationMs / 60000),
+        'Inspector Total Minutes': Math.round((sessionSummary.byInspector[row.inspector] || 0) / 60000)
+      }));
+
+    const sessionData = timerSessions
+      .filter(session => !session.clearedAt)
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+      .map(session => ({
+        'Inspector': session.inspector || '',
+        'Section': session.section,
+        'Device': session.deviceLabel || '',
+        'Started': new Date(session.startedAt).toLocaleString(),
+        'Stopped': session.stoppedAt ? new Date(session.stoppedAt).toLocaleString() : 'Running',
+        'Time Spent': formatTime(getSessionDuration(session)),
+        'Total Minutes': Math.round(getSessionDuration(session) / 60000),
+        'Ended By': TIMER_STOP_REASON_LABELS[session.stopReason] || ''
+      }));
+
     // Generate filename with CURRENT month's name and timestamp
     const now = new Date();
     const monthName = now.toLocaleDateString('en-US', { month: 'long' });
@@ -2137,6 +4086,10 @@ function App() {
     const ws = XLSX.utils.json_to_sheet(timeData);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Time Tracking');
+    if (inspectorData.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(inspectorData), 'By Inspector');
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(sessionData), 'Sessions');
+    }
     XLSX.writeFile(wb, `${monthName}_Time_Tracking_${timestamp}_Export.xlsx`);
   };
 
@@ -2160,7 +4113,7 @@ function App() {
         return data;
       }),
       sectionNotes: sectionNotes,
-      sectionTimes: sectionTimes
+      sectionTimes: legacySectionTimes
     };
 
     const blob = new Blob([JSON.stringify(syncData, null, 2)], { type: 'application/json' });
@@ -2251,7 +4204,7 @@ function App() {
 
       // Import section times to localStorage
       if (syncData.sectionTimes) {
-        setSectionTimes(syncData.sectionTimes);
+        setLegacySectionTimes(syncData.sectionTimes);
         localStorage.setItem(`sectionTimes_${user.uid}`, JSON.stringify(syncData.sectionTimes));
       }
 
@@ -2283,7 +4236,7 @@ function App() {
       localStorage.removeItem(`sectionTimes_${user.uid}`);
       setSelectedItem(null);
       setEditItem(null);
-      setSectionTimes({});
+      setLegacySectionTimes({});
     }
   };
 
@@ -2456,10 +4409,11 @@ function App() {
         );
         const extinguisherSnap = await getDocs(buildingExtinguishersQuery);
         
-        if (extinguisherSnap.docs.length > 0) {
+        // Rules read each unit's change log entry, which caps how many units fit in a batch
+        for (let i = 0; i < extinguisherSnap.docs.length; i += LOGGED_UNITS_PER_BATCH) {
           const batch = writeBatch(db);
-          extinguisherSnap.docs.forEach(docSnap => {
-            batch.delete(docSnap.ref);
+          extinguisherSnap.docs.slice(i, i + LOGGED_UNITS_PER_BATCH).forEach(docSnap => {
+            addLoggedDelete(batch, { id: docSnap.id, buildingId, ...docSnap.data() }, docSnap.ref);
           });
           await batch.commit();
         }
@@ -2475,6 +4429,12 @@ function App() {
     }
 
     try {
+      // Subcollections aren't removed with the building document
+      const locationBatch = writeBatch(db);
+      floors.filter(f => f.buildingId === buildingId).forEach(f => locationBatch.delete(doc(db, 'buildings', buildingId, 'floors', f.id)));
+      rooms.filter(r => r.buildingId === buildingId).forEach(r => locationBatch.delete(doc(db, 'buildings', buildingId, 'rooms', r.id)));
+      await locationBatch.commit();
+
       await deleteDoc(doc(db, 'buildings', buildingId));
       alert('Building deleted successfully!');
       
@@ -2501,6 +4461,272 @@ function App() {
     setEditBuildingName('');
   };
 
+  // ============ FLOORS & ROOMS ============
+  const addFloor = async (buildingId, { name, level }) => {
+    try {
+      await addDoc(collection(db, 'buildings', buildingId, 'floors'), {
+        userId: user.uid,
+        name,
+        level,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error adding floor:', error);
+      alert('Error adding floor. Please try again.');
+    }
+  };
+
+  const addRoom = async (buildingId, floorId, name) => {
+    try {
+      await addDoc(collection(db, 'buildings', buildingId, 'rooms'), {
+        userId: user.uid,
+        floorId,
+        name,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error adding room:', error);
+      alert('Error adding room. Please try again.');
+    }
+  };
+
+  // Clear a floor or room reference from every extinguisher in the building (all workspaces)
+  const clearLocationReference = async (buildingId, field, id) => {
+    const snapshot = await getDocs(query(
+      getExtinguisherCollection(buildingId),
+      where('userId', '==', user.uid),
+      where(field, '==', id)
+    ));
+    const clearUpdates = field === 'floorId' ? { floorId: null, roomId: null } : { roomId: null };
+    for (let i = 0; i < snapshot.docs.length; i += LOGGED_UNITS_PER_BATCH) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(i, i + LOGGED_UNITS_PER_BATCH).forEach(docSnap => addLoggedUpdate(
+        batch, { id: docSnap.id, buildingId, ...docSnap.data() }, clearUpdates, CHANGE_ACTIONS.LOCATION_REMOVED, { ref: docSnap.ref }
+      ));
+      await batch.commit();
+    }
+    return snapshot.docs.length;
+  };
+
+  const deleteFloor = async (floor) => {
+    const floorRooms = rooms.filter(r => r.floorId === floor.id);
+    if (!window.confirm(`Delete ${floor.name}${floorRooms.length > 0 ? ` and its ${floorRooms.length} room(s)` : ''}? Extinguishers on this floor will become unassigned.`)) {
+      return;
+    }
+    try {
+      const cleared = await clearLocationReference(floor.buildingId, 'floorId', floor.id);
+      const batch = writeBatch(db);
+      floorRooms.forEach(room => batch.delete(doc(db, 'buildings', floor.buildingId, 'rooms', room.id)));
+      batch.delete(doc(db, 'buildings', floor.buildingId, 'floors', floor.id));
+      await batch.commit();
+      if (cleared > 0) alert(`${floor.name} deleted. ${cleared} extinguisher record(s) are now unassigned.`);
+    } catch (error) {
+      console.error('Error deleting floor:', error);
+      alert('Error deleting floor. Please try again.');
+    }
+  };
+
+  const deleteRoom = async (room) => {
+    if (!window.confirm(`Delete ${room.name}? Extinguishers in it stay on the floor but lose the room.`)) return;
+    try {
+      await clearLocationReference(room.buildingId, 'roomId', room.id);
+      await deleteDoc(doc(db, 'buildings', room.buildingId, 'rooms', room.id));
+    } catch (error) {
+      console.error('Error deleting room:', error);
+      alert('Error deleting room. Please try again.');
+    }
+  };
+
+  // One-time assignment from vicinity/parent location text. Only units without a floor are
+  // touched, and only when the text names exactly one floor; everything else is left for manual assignment.
+  const autoAssignLocations = async () => {
+    if (!window.confirm('Assign floors and rooms from Vicinity / Parent Location text?\n\nOnly extinguishers without a floor are changed. Missing floors and rooms are created.')) {
+      return;
+    }
+
+    try {
+      const allUserExtinguishers = await getAllExtinguishers({ userId: user.uid });
+      const knownFloors = [...floors];
+      const knownRooms = [...rooms];
+      const writes = [];
+      let assigned = 0;
+      let unassigned = 0;
+
+      allUserExtinguishers.filter(item => !item.floorId).forEach(item => {
+        const { level, roomName } = parseItemLocation(item);
+        if (level === null) {
+          unassigned += 1;
+          return;
+        }
+
+        let floor = knownFloors.find(f => f.buildingId === item.buildingId && f.level === level);
+        if (!floor) {
+          const ref = doc(collection(db, 'buildings', item.buildingId, 'floors'));
+          floor = { id: ref.id, buildingId: item.buildingId, level, name: getFloorNameForLevel(level) };
+          knownFloors.push(floor);
+          writes.push(batch => batch.set(ref, {
+            userId: user.uid,
+            name: floor.name,
+            level,
+            createdAt: new Date().toISOString(),
+            autoCreated: true
+          }));
+        }
+
+        let room = null;
+        if (roomName) {
+          room = knownRooms.find(r => r.buildingId === item.buildingId && r.floorId === floor.id && r.name.toLowerCase() === roomName.toLowerCase());
+          if (!room) {
+            const ref = doc(collection(db, 'buildings', item.buildingId, 'rooms'));
+            room = { id: ref.id, buildingId: item.buildingId, floorId: floor.id, name: roomName };
+            knownRooms.push(room);
+            const floorId = floor.id;
+            writes.push(batch => batch.set(ref, {
+              userId: user.uid,
+              floorId,
+              name: roomName,
+              createdAt: new Date().toISOString(),
+              autoCreated: true
+            }));
+          }
+        }
+
+        const updates = { floorId: floor.id, roomId: room ? room.id : null };
+        writes.push(batch => addLoggedUpdate(batch, item, updates, CHANGE_ACTIONS.AUTO_ASSIGN, {
+          ref: doc(db, 'buildings', item.buildingId, 'extinguishers', item.id)
+        }));
+        assigned += 1;
+      });
+
+      // Rules read each unit's change log entry, which caps how many units fit in a batch
+      for (let i = 0; i < writes.length; i += LOGGED_UNITS_PER_BATCH) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + LOGGED_UNITS_PER_BATCH).forEach(write => write(batch));
+        await batch.commit();
+      }
+
+      alert(`Floor assignment complete.\n\nAssigned: ${assigned}\nLeft for manual assignment: ${unassigned}`);
+    } catch (error) {
+      console.error('Error assigning floors and rooms:', error);
+      alert('Error assigning floors and rooms. Please try again.');
+    }
+  };
+  // ============ END FLOORS & ROOMS ============
+
+  // ============ CHECKLIST TEMPLATES ============
+  // Every save bumps the version and keeps a copy of the sections so past inspections still resolve
+  const saveChecklistTemplate = async (draft) => {
+    try {
+      const now = new Date().toISOString();
+      const sections = draft.sections.map(section => ({
+        title: section.title,
+        items: section.items.map(item => ({
+          key: item.key,
+          label: item.label.trim(),
+          help: (item.help || '').trim(),
+          // Custom export column names (the built-in items carry their original ones)
+          ...(item.exportLabel ? { exportLabel: item.exportLabel } : {})
+        }))
+      }));
+      const fields = {
+        name: draft.name,
+        extinguisherTypes: draft.extinguisherTypes || [],
+        isDefault: Boolean(draft.isDefault),
+        sections,
+        updatedAt: now
+      };
+
+      let templateId = draft.id;
+      if (templateId) {
+        const existing = checklistTemplates.find(t => t.id === templateId);
+        const version = (existing?.version || 0) + 1;
+        await updateDoc(doc(db, 'checklistTemplates', templateId), {
+          ...fields,
+          version,
+          [`versions.${version}`]: { sections, savedAt: now }
+        });
+      } else {
+        const ref = await addDoc(collection(db, 'checklistTemplates'), {
+          ...fields,
+          userId: user.uid,
+          version: 1,
+          versions: { 1: { sections, savedAt: now } },
+          createdAt: now
+        });
+        templateId = ref.id;
+      }
+
+      // Only one default template per account
+      if (fields.isDefault) {
+        const others = checklistTemplates.filter(t => t.isDefault && t.id !== templateId);
+        if (others.length > 0) {
+          const batch = writeBatch(db);
+          others.forEach(t => batch.update(doc(db, 'checklistTemplates', t.id), { isDefault: false }));
+          await batch.commit();
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving checklist template:', error);
+      alert('Error saving checklist template. Please try again.');
+      return false;
+    }
+  };
+
+  // Account-wide: inspectors must answer every item instead of starting from all-pass
+  const requireExplicitAnswers = Boolean(userDoc?.inspectionSettings?.requireExplicitAnswers);
+
+  const setRequireExplicitAnswers = async (value) => {
+    try {
+      await setDoc(doc(db, 'users', user.uid), {
+        inspectionSettings: { requireExplicitAnswers: value },
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error saving inspection settings:', error);
+      alert('Error saving inspection settings. Please try again.');
+    }
+  };
+
+  // Account-wide: the scheduled function starts each month on the 1st in this time zone
+  const rolloverSettings = userDoc?.rolloverSettings || {};
+
+  const saveRolloverSettings = async (updates) => {
+    try {
+      await setDoc(doc(db, 'users', user.uid), {
+        rolloverSettings: {
+          enabled: false,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+          hour: 0,
+          archivePrevious: true,
+          ...rolloverSettings,
+          ...updates
+        },
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error saving rollover settings:', error);
+      alert('Error saving rollover settings. Please try again.');
+    }
+  };
+
+  // Archived rather than deleted: past inspections still resolve their items from `versions`
+  const archiveChecklistTemplate = async (template) => {
+    if (!window.confirm(`Archive checklist template "${template.name}"? It will no longer be used for new inspections. Past inspections keep showing the items they were inspected against.`)) return;
+    try {
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, 'checklistTemplates', template.id), {
+        archivedAt: now,
+        isDefault: false,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error archiving checklist template:', error);
+      alert('Error archiving checklist template. Please try again.');
+    }
+  };
+  // ============ END CHECKLIST TEMPLATES ============
+
   // Helper function to get building names array
   const getBuildingNames = () => {
     return buildings.map(b => b.name);
@@ -2517,8 +4743,71 @@ function App() {
     }));
   };
 
+  // Default inspection frequency for a building's units (a unit's own setting wins)
+  const saveBuildingFrequency = async (building, inspectionFrequency) => {
+    try {
+      await updateDoc(doc(db, 'buildings', building.id), {
+        inspectionFrequency: inspectionFrequency || null,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving inspection frequency:', error);
+      alert('Error saving inspection frequency. Please try again.');
+    }
+  };
+
+  // Walking order is stored on the building as a list of asset IDs
+  const getRouteOrder = (section) => buildings.find(b => b.name === section)?.routeOrder || [];
+
+  const saveSectionRoute = async (section, routeOrder) => {
+    const buildingId = getBuildingIdFromSection(section);
+    if (!buildingId) {
+      alert(`Building "${section}" not found.`);
+      return false;
+    }
+    try {
+      await updateDoc(doc(db, 'buildings', buildingId), {
+        routeOrder,
+        routeUpdatedAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      console.error('Error saving walking order:', error);
+      alert('Error saving walking order. Please try again.');
+      return false;
+    }
+  };
+
+  // Order units were inspected in the previous workspace (or this one if there is none)
+  const loadPreviousRoute = async (section) => {
+    const buildingId = getBuildingIdFromSection(section);
+    if (!buildingId) return null;
+    try {
+      const current = workspaces.find(ws => ws.id === currentWorkspaceId);
+      const previous = workspaces
+        .filter(ws => ws.id !== currentWorkspaceId && (!current || ws.createdAt < current.createdAt))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+      const sourceWorkspaceId = previous?.id || currentWorkspaceId;
+      const snapshot = await getDocs(query(
+        getExtinguisherCollection(buildingId),
+        where('userId', '==', user.uid),
+        where('workspaceId', '==', sourceWorkspaceId)
+      ));
+      const units = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      if (!units.some(u => u.checkedDate)) {
+        alert(`No inspections recorded for ${section} in ${previous ? previous.label : 'this workspace'}.`);
+        return null;
+      }
+      return buildRouteFromInspections(units);
+    } catch (error) {
+      console.error('Error loading previous inspection order:', error);
+      alert('Error loading last month\'s inspection order. Please try again.');
+      return null;
+    }
+  };
+
   const countsForSection = (section) => {
-    const list = extinguishers.filter(e => e.section === section);
+    const list = displayedExtinguishers.filter(e => e.section === section && isInService(e));
     const unchecked = list.filter(e => e.status === 'pending').length;
     return { checked: list.length - unchecked, unchecked };
   };
@@ -2526,7 +4815,10 @@ function App() {
   // helpers for SectionDetail actions
   const handlePass = (item, notesSummary = '', inspectionData = null) => handleInspection(item, 'pass', notesSummary, inspectionData);
   const handleFail = (item, notesSummary = '', inspectionData = null) => handleInspection(item, 'fail', notesSummary, inspectionData);
-  const handleSaveNotes = async (item, notesSummary, inspectionData = null) => {
+  const handleSaveNotes = async (item, notesSummary, inspectionData = null, { fromQueue = false } = {}) => {
+    if (!fromQueue && !navigator.onLine) {
+      return queueOfflineWrite(QUEUED_WRITE_TYPES.NOTES, item, { notes: notesSummary, inspectionData });
+    }
     try {
       let photoUrl = null;
       if (inspectionData?.photo instanceof File) {
@@ -2538,16 +4830,24 @@ function App() {
           const snapshot = await uploadBytes(sref, file, { contentType: file.type });
           photoUrl = await getDownloadURL(snapshot.ref);
         } catch (uploadErr) {
-          console.warn('Photo upload failed; saving notes without photo:', uploadErr);
+          if (isRetryableError(uploadErr)) throw uploadErr;
+          console.error('Photo upload failed:', uploadErr);
+          throw new PhotoUploadError(`The photo could not be uploaded${uploadErr?.code ? ` (${uploadErr.code})` : ''}`, uploadErr);
         }
       }
       const gps = inspectionData?.gps;
 
-      const docRef = getExtinguisherDoc(item);
       // Only update fields that are explicitly provided
       const updates = { notes: notesSummary || '' };
       if (inspectionData && typeof inspectionData.checklistData !== 'undefined') {
         updates.checklistData = inspectionData.checklistData;
+        updates.checklistTemplateId = inspectionData.checklistTemplateId || BUILT_IN_TEMPLATE_ID;
+        updates.checklistTemplateVersion = inspectionData.checklistTemplateVersion || 1;
+        updates.checklistComments = inspectionData.checklistComments || {};
+        updates.checklistPhotos = {
+          ...(inspectionData.checklistPhotos || {}),
+          ...(await uploadChecklistPhotos(item, inspectionData))
+        };
       }
       if (photoUrl) {
         updates.lastInspectionPhotoUrl = photoUrl;
@@ -2555,10 +4855,22 @@ function App() {
       if (gps) {
         updates.lastInspectionGps = gps;
       }
-      await updateDoc(docRef, updates);
+      await updateExtinguisherWithLog(item, updates, CHANGE_ACTIONS.NOTES);
+      recordTimerActivity();
+      return true;
     } catch (e) {
+      if (fromQueue) throw e;
+      if (isRetryableError(e)) {
+        return queueOfflineWrite(QUEUED_WRITE_TYPES.NOTES, item, { notes: notesSummary, inspectionData });
+      }
+      if (e instanceof PhotoUploadError) {
+        const queued = await queueOfflineWrite(QUEUED_WRITE_TYPES.NOTES, item, { notes: notesSummary, inspectionData }, e);
+        if (queued) alert(`Notes for ${item.assetId} were not saved.\n\n${e.message}.\n\nThey are kept in the sync queue with their photos; retry or discard them from the sync status badge.`);
+        return false;
+      }
       console.error('Error saving notes:', { code: e?.code, message: e?.message });
       alert(`Error saving notes.\n\n${e?.code || ''} ${e?.message || ''}`.trim());
+      return false;
     }
   };
 
@@ -2571,9 +4883,8 @@ function App() {
     const sref = storageRef(storage, path);
     const snap = await uploadBytes(sref, file, { contentType: file.type });
     const url = await getDownloadURL(snap.ref);
-    const docRef = getExtinguisherDoc(asset);
     const next = [...photos, { url, uploadedAt: new Date().toISOString(), path }];
-    await updateDoc(docRef, { photos: next });
+    await updateExtinguisherWithLog(asset, { photos: next }, CHANGE_ACTIONS.PHOTOS);
     setSelectedItem({ ...asset, photos: next });
   };
 
@@ -2581,8 +4892,7 @@ function App() {
     const photos = asset.photos || [];
     if (index <= 0 || index >= photos.length) return;
     const reordered = [photos[index], ...photos.slice(0, index), ...photos.slice(index + 1)];
-    const docRef = getExtinguisherDoc(asset);
-    await updateDoc(docRef, { photos: reordered });
+    await updateExtinguisherWithLog(asset, { photos: reordered }, CHANGE_ACTIONS.PHOTOS);
     setSelectedItem({ ...asset, photos: reordered });
   };
 
@@ -2590,9 +4900,8 @@ function App() {
     const photos = asset.photos || [];
     if (index < 0 || index >= photos.length) return;
     const removing = photos[index];
-    const docRef = getExtinguisherDoc(asset);
     const next = photos.filter((_, i) => i !== index);
-    await updateDoc(docRef, { photos: next });
+    await updateExtinguisherWithLog(asset, { photos: next }, CHANGE_ACTIONS.PHOTOS);
     // hard delete from storage (best-effort)
     try { if (removing.path) await deleteObject(storageRef(storage, removing.path)); } catch (e) { console.warn('Failed to delete storage object', e); }
     setSelectedItem({ ...asset, photos: next });
@@ -2681,15 +4990,12 @@ function App() {
 
       // Reset all extinguisher statuses
       console.log('Starting to reset', allExtinguishers.length, 'extinguishers...');
-      const updatePromises = allExtinguishers.map(ext => {
-        const docRef = doc(db, 'buildings', ext.buildingId, 'extinguishers', ext.id);
-        return updateDoc(docRef, {
-          status: 'pending',
-          checkedDate: null,
-          notes: '',
-          lastMonthlyReset: currentDate
-        });
-      });
+      const updatePromises = allExtinguishers.map(ext => updateExtinguisherWithLog(ext, {
+        status: 'pending',
+        checkedDate: null,
+        notes: '',
+        lastMonthlyReset: currentDate
+      }, CHANGE_ACTIONS.MONTHLY_RESET));
 
       await Promise.all(updatePromises);
       console.log('All extinguisher updates completed');
@@ -2705,8 +5011,15 @@ function App() {
   const sortExtinguishersByLocation = (items) => {
     if (!items || !Array.isArray(items)) return [];
 
+    const locationIndex = indexLocations(floors, rooms);
+
     return items.sort((a, b) => {
       try {
+      // Use assigned floors/rooms when either unit has one
+      if (a.floorId || b.floorId) {
+        return compareByLocation(a, b, locationIndex);
+      }
+
       // Extract floor numbers from vicinity/parentLocation
       const getFloorNumber = (item) => {
         const vicinity = item.vicinity || '';
@@ -2769,7 +5082,7 @@ function App() {
 
   const filteredItems = (() => {
     try {
-      const filtered = extinguishers.filter(item => {
+      const filtered = displayedExtinguishers.filter(item => {
         if (!item) return false;
 
         const matchesSection = selectedSection === 'All' || item.section === selectedSection;
@@ -2806,15 +5119,17 @@ function App() {
     }
   })();
 
+  const workspaceStats = getWorkspaceStats(displayedExtinguishers);
   const stats = {
-    total: extinguishers.length,
-    pending: extinguishers.filter(e => e.status === 'pending').length,
-    pass: extinguishers.filter(e => e.status === 'pass').length,
-    fail: extinguishers.filter(e => e.status === 'fail').length
+    total: workspaceStats.total,
+    pending: workspaceStats.pending,
+    pass: workspaceStats.passed,
+    fail: workspaceStats.failed,
+    notInService: workspaceStats.notInService
   };
 
   const sectionCounts = getBuildingNames().map(section => {
-    const items = extinguishers.filter(e => e.section === section);
+    const items = displayedExtinguishers.filter(e => e.section === section && isInService(e));
     return {
       section,
       total: items.length,
@@ -2942,6 +5257,14 @@ function App() {
               </div>
             </div>
             <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
+              <SyncStatusIndicator
+                online={isOnline}
+                syncing={syncingQueue}
+                entries={queuedWrites}
+                onSyncNow={() => processOfflineQueue()}
+                onRetry={retryQueuedWrite}
+                onDiscard={discardQueuedWrite}
+              />
               {/* Email - hidden on mobile, shown on larger screens */}
               <div className="hidden md:flex items-center gap-2">
                 <span className="text-xs text-gray-400">Logged in as:</span>
@@ -2957,6 +5280,43 @@ function App() {
                   <CalculatorIcon size={18} />
                   <span className="hidden sm:inline">Calculator</span>
                 </button>
+                <button
+                  onClick={() => navigate('/app/maintenance')}
+                  className="px-3 py-2 bg-amber-600 hover:bg-amber-700 text-white rounded flex items-center gap-2 flex-shrink-0"
+                  title="Upcoming hydro, 6-year and annual maintenance"
+                >
+                  <Wrench size={18} />
+                  <span className="hidden sm:inline">Maintenance</span>
+                </button>
+                <button
+                  onClick={() => navigate('/app/schedule')}
+                  className="px-3 py-2 bg-cyan-600 hover:bg-cyan-700 text-white rounded flex items-center gap-2 flex-shrink-0"
+                  title="Overdue and due-soon inspections by unit frequency"
+                >
+                  <CalendarClock size={18} />
+                  <span className="hidden sm:inline">Schedule</span>
+                </button>
+                <button
+                  onClick={() => navigate('/app/deficiencies')}
+                  className="px-3 py-2 bg-red-700 hover:bg-red-800 text-white rounded flex items-center gap-2 flex-shrink-0"
+                  title="Open deficiencies from failed inspections"
+                >
+                  <AlertTriangle size={18} />
+                  <span className="hidden sm:inline">Deficiencies</span>
+                  {workspaceDeficiencies.some(isDeficiencyOpen) && (
+                    <span className="bg-white text-red-700 text-xs px-1.5 rounded-full">
+                      {workspaceDeficiencies.filter(isDeficiencyOpen).length}
+                    </span>
+                  )}
+                </button>
+                <button
+                  onClick={() => navigate('/app/changes')}
+                  className="px-3 py-2 bg-slate-600 hover:bg-slate-700 text-white rounded flex items-center gap-2 flex-shrink-0"
+                  title="Who changed what, account-wide"
+                >
+                  <History size={18} />
+                  <span className="hidden sm:inline">Change Log</span>
+                </button>
                 <button
                   onClick={() => setAdminMode(!adminMode)}
                   className={`p-2 hover:bg-gray-600 rounded flex items-center gap-2 flex-shrink-0 ${adminMode ? 'bg-gray-600' : ''}`}
@@ -3009,6 +5369,13 @@ function App() {
                   <div className="text-sm text-gray-600">
                     {Math.round(getTotalTime(selectedSection) / 60000)} minutes
                   </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Timing as {timerInspector}
+                    {timerSessions
+                      .filter(session => !session.stoppedAt && session.section === selectedSection && !isOwnTimerSession(session, timerOwner))
+                      .map(session => ` · ${session.inspector} also timing${session.inspector === timerInspector ? ` on ${session.deviceLabel || 'another device'}` : ''}`)
+                      .join('')}
+                  </div>
                 </div>
 
                 <div className="flex gap-2 flex-wrap">
@@ -3217,6 +5584,36 @@ function App() {
                   </span>
                 )}
               </button>
+              <button
+                onClick={() => {
+                  setShowSparePool(true);
+                  setShowMenu(false);
+                }}
+                className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition w-full"
+              >
+                <RotateCcw size={20} />
+                Spare Pool & Swaps
+                {extinguishers.some(e => e.swap) && (
+                  <span className="ml-auto bg-teal-800 text-white text-xs px-2 py-0.5 rounded-full">
+                    {extinguishers.filter(e => e.swap).length} out
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => {
+                  setShowRecallsModal(true);
+                  setShowMenu(false);
+                }}
+                className="flex items-center gap-2 px-4 py-2 bg-rose-600 text-white rounded hover:bg-rose-700 transition w-full"
+              >
+                <Shield size={20} />
+                Recalls
+                {extinguishers.some(e => e.recallIds?.length > 0) && (
+                  <span className="ml-auto bg-rose-800 text-white text-xs px-2 py-0.5 rounded-full">
+                    {extinguishers.filter(e => e.recallIds?.length > 0).length} flagged
+                  </span>
+                )}
+              </button>
 
               {adminMode && (
                 <>
@@ -3263,6 +5660,56 @@ function App() {
                     <RotateCcw size={20} />
                     Repair Missing WorkspaceIds
                   </button>
+                  <button
+                    onClick={() => {
+                      setShowDuplicateReport(true);
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-rose-500 text-white rounded hover:bg-rose-600 transition w-full"
+                  >
+                    <Search size={20} />
+                    Duplicate Report
+                  </button>
+                  <button
+                    onClick={() => {
+                      autoAssignLocations();
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition w-full"
+                  >
+                    <Settings size={20} />
+                    Auto-Assign Floors &amp; Rooms
+                  </button>
+                  <button
+                    onClick={() => {
+                      setShowChecklistTemplates(true);
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition w-full"
+                  >
+                    <FileText size={20} />
+                    Checklist Templates
+                  </button>
+                  <button
+                    onClick={() => {
+                      migrateLegacyMaintenanceDates();
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded hover:bg-amber-700 transition w-full"
+                  >
+                    <Calendar size={20} />
+                    Migrate Maintenance Dates
+                  </button>
+                  <button
+                    onClick={() => {
+                      migrateInspectionHistory();
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded hover:bg-amber-700 transition w-full"
+                  >
+                    <History size={20} />
+                    Migrate Inspection History
+                  </button>
                   <button
                     onClick={() => {
                       setShowImportModal(true);
@@ -3399,6 +5846,9 @@ function App() {
               {stats.total > 0 ? Math.round(((stats.pass + stats.fail) / stats.total) * 100) : 0}%
             </div>
             <div className="text-gray-600">Complete</div>
+            {stats.notInService > 0 && (
+              <div className="text-xs text-gray-500 mt-1">{stats.notInService} not in service</div>
+            )}
           </div>
         </div>
 
@@ -3421,6 +5871,28 @@ function App() {
             <ScanLine size={24} />
             Manual Entry
           </button>
+          <div className="col-span-2 flex flex-col sm:flex-row sm:items-center gap-2 bg-white p-3 rounded-lg shadow">
+            <div className="flex-1 text-sm text-gray-700">
+              <span className="font-semibold">Tagging mode</span>
+              {' '}— scan → add → scan for new units{getViewedSection() ? ` in ${getViewedSection()}` : ''}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => startTagging('camera')}
+                className="px-3 py-2 bg-blue-100 text-blue-800 rounded hover:bg-blue-200 flex items-center gap-1 text-sm"
+              >
+                <Camera size={16} />
+                Camera
+              </button>
+              <button
+                onClick={() => startTagging('manual')}
+                className="px-3 py-2 bg-green-100 text-green-800 rounded hover:bg-green-200 flex items-center gap-1 text-sm"
+              >
+                <ScanLine size={16} />
+                Scanner
+              </button>
+            </div>
+          </div>
         </div>
 
         {/* Add New Building Button - Always Visible */}
@@ -3480,8 +5952,8 @@ function App() {
               >
                 <div className="font-medium text-sm mb-1">🔍 All Sections</div>
                 <div className="text-xs text-gray-600">
-                  <div>Total: {extinguishers.length}</div>
-                  <div>Pending: {extinguishers.filter(item => item.status === 'pending').length}</div>
+                  <div>Total: {displayedExtinguishers.length}</div>
+                  <div>Pending: {displayedExtinguishers.filter(item => item.status === 'pending').length}</div>
                   <div className="text-green-600 font-semibold mt-1">
                     Search All
                   </div>
@@ -3531,13 +6003,13 @@ function App() {
           <Routes>
             <Route
               index
-              element={<SectionGrid sections={getBuildingNames()} extinguishers={extinguishers} />}
+              element={<SectionGrid sections={getBuildingNames()} extinguishers={displayedExtinguishers} />}
             />
             <Route
               path="section/:name"
               element={
                 <SectionDetail
-                  extinguishers={extinguishers}
+                  extinguishers={displayedExtinguishers}
                   onSelectItem={setSelectedItem}
                   getViewMode={getSectionViewMode}
                   toggleView={toggleSectionView}
@@ -3547,21 +6019,100 @@ function App() {
                   onEdit={handleEdit}
                   onSaveNotes={handleSaveNotes}
                   onReplace={openReplaceModal}
+                  onAnnualMaintenance={handleAnnualMaintenance}
+                  onBulkEdit={setBulkEditItems}
+                  floors={floors}
+                  rooms={rooms}
+                  checklistTemplates={checklistTemplates}
+                  requireExplicitAnswers={requireExplicitAnswers}
+                  getRouteOrder={getRouteOrder}
+                  onSaveRoute={saveSectionRoute}
+                  onLoadPreviousRoute={loadPreviousRoute}
+                  onReinspect={openReinspect}
+                  onUnknownScan={openAddFromScan}
+                />
+              }
+            />
+            <Route
+              path="extinguisher/:assetId"
+              element={
+                <ExtinguisherDetailView
+                  extinguishers={displayedExtinguishers}
+                  onReplace={openReplaceModal}
+                  onChangeLifecycle={setLifecycleItem}
+                  onStartSwap={setSwapItem}
+                  onReturnOriginal={returnOriginalFromSwap}
+                  recalls={recalls}
+                  buildings={buildings}
+                  floors={floors}
+                  rooms={rooms}
+                  checklistTemplates={checklistTemplates}
+                  deficiencies={workspaceDeficiencies}
+                  onReinspect={openReinspect}
+                  onLoadChangeLog={(item) => loadChangeLog({ assetId: item.assetId })}
+                  onSubscribeHistory={subscribeInspectionHistory}
+                />
+              }
+            />
+            <Route
+              path="schedule"
+              element={
+                <InspectionScheduleView
+                  loadExtinguishers={() => getAllExtinguishers({ userId: user.uid })}
+                  buildings={buildings}
+                  workspaces={workspaces}
+                />
+              }
+            />
+            <Route
+              path="calculator"
+              element={<Calculator />}
+            />
+            <Route
+              path="maintenance"
+              element={
+                <MaintenanceDashboard
+                  loadExtinguishers={() => getAllExtinguishers({ userId: user.uid })}
+                  buildings={getBuildingNames()}
                 />
               }
             />
             <Route
-              path="extinguisher/:assetId"
-              element={<ExtinguisherDetailView extinguishers={extinguishers} onReplace={openReplaceModal} />}
+              path="deficiencies"
+              element={
+                <DeficienciesView
+                  deficiencies={workspaceDeficiencies}
+                  buildings={getBuildingNames()}
+                  onUpdate={updateDeficiency}
+                  onResolve={resolveDeficiency}
+                />
+              }
             />
             <Route
-              path="calculator"
-              element={<Calculator />}
+              path="changes"
+              element={<ChangeLogView onLoad={loadChangeLog} />}
+            />
+            <Route
+              path="timing"
+              element={
+                <InspectionTimingView
+                  loadRecords={(filters) => loadInspectionRecords({ ...filters, workspaceId: currentWorkspaceId })}
+                  workspaceLabel={getCurrentWorkspace()?.label}
+                />
+              }
             />
           </Routes>
         </div>
       </div>
 
+      {conflictPrompt && (
+        <ConflictDialog
+          conflict={conflictPrompt.conflict}
+          assetId={conflictPrompt.assetId}
+          onResolve={conflictPrompt.resolve}
+        />
+      )}
+
       {showTimeModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
           <div className="bg-white rounded-lg p-6 max-w-2xl w-full my-8">
@@ -3601,6 +6152,35 @@ function App() {
               })}
             </div>
 
+            {Object.keys(sessionSummary.byInspector).length > 0 && (
+              <div className="border-t pt-4 mb-4 space-y-2">
+                <div className="font-semibold">By Inspector</div>
+                {Object.entries(sessionSummary.byInspector)
+                  .sort(([a], [b]) => a.localeCompare(b))
+                  .map(([inspector, time]) => (
+                    <div key={inspector} className="flex justify-between text-sm">
+                      <span>{inspector}</span>
+                      <span className="font-medium text-blue-600">{formatTime(time)}</span>
+                    </div>
+                  ))}
+              </div>
+            )}
+
+            <div className="border-t pt-4 mb-4">
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span>Pause a running timer after no inspections for</span>
+                <select
+                  value={timerIdleMinutes}
+                  onChange={(e) => setTimerIdleMinutes(Number(e.target.value))}
+                  className="p-2 border border-gray-300 rounded-lg"
+                >
+                  {TIMER_IDLE_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>{minutes ? `${minutes} minutes` : 'Never'}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
             <div className="border-t pt-4 mb-4">
               <div className="flex justify-between items-center">
                 <div className="font-semibold text-lg">Total Time</div>
@@ -3613,6 +6193,16 @@ function App() {
               </div>
             </div>
 
+            <button
+              onClick={() => {
+                setShowTimeModal(false);
+                navigate('/app/timing');
+              }}
+              className="w-full mb-4 p-3 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50"
+            >
+              Per-Unit Inspection &amp; Travel Times
+            </button>
+
             <div className="flex gap-4">
               <button
                 onClick={exportTimeData}
@@ -3750,10 +6340,8 @@ function App() {
                   {buildings.map((building) => {
                     const extinguisherCount = extinguishers.filter(e => e.section === building.name).length;
                     return (
-                      <div
-                        key={building.id}
-                        className="flex items-center justify-between p-3 bg-gray-50 rounded-lg border border-gray-200"
-                      >
+                      <div key={building.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                      <div className="flex items-center justify-between">
                         {editingBuilding?.id === building.id ? (
                           <div className="flex items-center gap-2 flex-1">
                             <input
@@ -3792,6 +6380,23 @@ function App() {
                               </div>
                             </div>
                             <div className="flex items-center gap-2">
+                              <select
+                                value={building.inspectionFrequency || ''}
+                                onChange={(e) => saveBuildingFrequency(building, e.target.value)}
+                                className="p-2 border border-gray-300 rounded text-sm"
+                                title="Inspection frequency for units in this building"
+                              >
+                                <option value="">{getFrequencyConfig(null).label} (default)</option>
+                                {Object.values(FREQUENCY_CONFIG).map(config => (
+                                  <option key={config.value} value={config.value}>{config.label}</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => setLocationsBuildingId(locationsBuildingId === building.id ? null : building.id)}
+                                className="px-3 py-2 bg-purple-500 text-white rounded hover:bg-purple-600"
+                              >
+                                Floors &amp; Rooms
+                              </button>
                               <button
                                 onClick={() => startEditBuilding(building)}
                                 className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center gap-1"
@@ -3811,6 +6416,19 @@ function App() {
                           </>
                         )}
                       </div>
+                      {locationsBuildingId === building.id && (
+                        <BuildingLocationsEditor
+                          building={building}
+                          floors={floors}
+                          rooms={rooms}
+                          extinguishers={extinguishers}
+                          onAddFloor={addFloor}
+                          onDeleteFloor={deleteFloor}
+                          onAddRoom={addRoom}
+                          onDeleteRoom={deleteRoom}
+                        />
+                      )}
+                      </div>
                     );
                   })}
                 </div>
@@ -3853,6 +6471,9 @@ function App() {
                 <p className="mt-2 text-xs text-gray-500">
                   If your file has a <span className="font-semibold">Section</span> column, that value will be used for each row.
                 </p>
+                <p className="mt-1 text-xs text-gray-500">
+                  Optional columns: <span className="font-semibold">Type</span> (e.g. ABC, CO2, Class K), <span className="font-semibold">Size (lbs)</span>, <span className="font-semibold">UL Rating</span>, <span className="font-semibold">Manufacturer</span>, <span className="font-semibold">Model</span>.
+                </p>
               </div>
               <label className="flex items-center gap-2 px-4 py-3 bg-blue-500 text-white rounded cursor-pointer hover:bg-blue-600 transition w-full justify-center">
                 <Upload size={20} />
@@ -3887,10 +6508,37 @@ function App() {
           <div className="bg-white rounded-lg p-6 max-w-2xl w-full my-8">
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-xl font-bold">Add New Fire Extinguisher</h3>
-              <button onClick={() => setShowAddModal(false)}>
+              <button onClick={closeAddModal}>
                 <X size={24} />
               </button>
             </div>
+
+            {addFromScan && (
+              <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-300 text-sm text-amber-900">
+                <div>
+                  No extinguisher matches <strong>{addFromScan}</strong>. Adding it to <strong>{newItem.section || 'the selected building'}</strong>.
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mt-2">
+                  {!newItemGps && (
+                    <button
+                      type="button"
+                      onClick={captureNewItemGps}
+                      className="px-3 py-1.5 rounded bg-amber-600 text-white hover:bg-amber-700"
+                    >
+                      {newItemGpsLoading ? 'Capturing…' : 'Capture GPS for this unit'}
+                    </button>
+                  )}
+                  {taggingMode && (
+                    <>
+                      <span className="text-xs">Tagging mode · {taggedCount} added</span>
+                      <button type="button" onClick={() => { setShowAddModal(false); setAddFromScan(null); stopTagging(); }} className="text-xs text-red-700 hover:underline">
+                        Stop tagging
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
             
             <div className="space-y-4">
               <div>
@@ -3945,7 +6593,7 @@ function App() {
                 </label>
                 <select
                   value={newItem.section}
-                  onChange={(e) => setNewItem({...newItem, section: e.target.value})}
+                  onChange={(e) => setNewItem({...newItem, section: e.target.value, floorId: null, roomId: null})}
                   className="w-full p-2 border border-gray-300 rounded-lg"
                 >
                   {getBuildingNames().map(section => (
@@ -3954,6 +6602,22 @@ function App() {
                 </select>
               </div>
 
+              <FloorRoomFields
+                buildingId={getBuildingIdFromSection(newItem.section)}
+                floors={floors}
+                rooms={rooms}
+                value={newItem}
+                onChange={(location) => setNewItem({ ...newItem, ...location })}
+              />
+
+              <ExtinguisherAttributesFields value={newItem} onChange={setNewItem} />
+
+              <InspectionFrequencyField
+                value={newItem.inspectionFrequency}
+                buildingFrequency={buildings.find(b => b.name === newItem.section)?.inspectionFrequency}
+                onChange={(inspectionFrequency) => setNewItem({ ...newItem, inspectionFrequency })}
+              />
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Photo (optional)</label>
                 <input type="file" accept="image/*" capture="environment" onChange={(e)=> setNewItemPhoto(e.target.files?.[0] || null)} />
@@ -3964,23 +6628,7 @@ function App() {
                   <button
                     type="button"
                     className="px-3 py-2 border rounded bg-slate-50"
-                    onClick={() => {
-                      if (!('geolocation' in navigator)) { alert('Geolocation not supported on this device/browser.'); return; }
-                      setNewItemGpsLoading(true);
-                      navigator.geolocation.getCurrentPosition(
-                        (pos) => {
-                          const { latitude: lat, longitude: lng, accuracy, altitude, altitudeAccuracy } = pos.coords;
-                          setNewItemGps({ lat, lng, accuracy, altitude, altitudeAccuracy, capturedAt: new Date().toISOString() });
-                          setNewItemGpsLoading(false);
-                        },
-                        (err) => {
-                          console.warn('GPS error:', err);
-                          alert('Unable to get GPS location. Please ensure location services are enabled.');
-                          setNewItemGpsLoading(false);
-                        },
-                        { enableHighAccuracy: true, timeout: 8000, maximumAge: 0 }
-                      );
-                    }}
+                    onClick={captureNewItemGps}
                   >{newItemGpsLoading ? 'Capturing…' : 'Capture GPS'}</button>
                   {newItemGps && (
                     <div className="text-sm text-gray-700 flex flex-col gap-1">
@@ -4009,10 +6657,10 @@ function App() {
                   className="flex-1 bg-green-500 text-white p-3 rounded-lg hover:bg-green-600 flex items-center justify-center gap-2"
                 >
                   <Plus size={20} />
-                  Add Fire Extinguisher
+                  {taggingMode ? 'Add & Scan Next' : 'Add Fire Extinguisher'}
                 </button>
                 <button
-                  onClick={() => setShowAddModal(false)}
+                  onClick={closeAddModal}
                   className="flex-1 bg-gray-300 text-gray-700 p-3 rounded-lg hover:bg-gray-400"
                 >
                   Cancel
@@ -4027,11 +6675,18 @@ function App() {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg p-6 max-w-md w-full">
             <div className="flex justify-between items-center mb-4">
-              <h3 className="text-xl font-bold">Scan Fire Extinguisher</h3>
-              <button onClick={() => { setScanMode(false); setScanInput(''); }}>
+              <h3 className="text-xl font-bold">
+                {taggingMode ? `Tagging Mode · ${taggedCount} added` : 'Scan Fire Extinguisher'}
+              </h3>
+              <button onClick={() => (taggingMode ? stopTagging() : (setScanMode(false), setScanInput('')))}>
                 <X size={24} />
               </button>
             </div>
+            {taggingMode && (
+              <p className="text-sm text-gray-600 mb-3">
+                Scan the next new unit's tag. Close to stop tagging.
+              </p>
+            )}
             <form onSubmit={handleScan}>
               <input
                 ref={scanInputRef}
@@ -4056,7 +6711,7 @@ function App() {
       <CameraScanner
         isOpen={showCameraScanner}
         onScan={handleCameraScan}
-        onClose={() => setShowCameraScanner(false)}
+        onClose={() => (taggingMode ? stopTagging() : setShowCameraScanner(false))}
       />
 
       {selectedItem && !editItem && (
@@ -4107,34 +6762,34 @@ function App() {
                 <div className="font-medium text-white">{selectedItem.section}</div>
               </div>
 
-              {/* Manufacture Year / Maintenance Date */}
+              {/* Structured maintenance dates */}
               <div>
-                <div className="text-sm text-gray-400 mb-1">Mfg Year / 6-Year / Hydro Test</div>
-                <div className="flex items-center gap-2">
-                  <input
-                    type="text"
-                    value={selectedItem.manufactureYear || ''}
-                    onChange={async (e) => {
-                      const newValue = e.target.value;
-                      // Update local state immediately for responsive UI
-                      setSelectedItem({ ...selectedItem, manufactureYear: newValue });
-                    }}
-                    onBlur={async (e) => {
-                      // Save to database on blur
-                      const newValue = e.target.value.trim();
-                      try {
-                        const docRef = getExtinguisherDoc(selectedItem);
-                        await updateDoc(docRef, { manufactureYear: newValue });
-                      } catch (err) {
-                        console.error('Error saving manufacture year:', err);
-                        alert('Error saving year. Please try again.');
-                      }
-                    }}
-                    placeholder="e.g., 2019 / 6yr: 2025 / Hydro: 2025"
-                    className="flex-1 p-2 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-red-500 focus:border-red-500 text-sm"
-                  />
+                <div className="text-sm text-gray-400 mb-1">Maintenance Dates</div>
+                {selectedItem.maintenanceNeedsReview && (
+                  <div className="text-xs text-amber-400 mb-2">
+                    Needs review — original entry: "{selectedItem.manufactureYear}"
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    { field: 'manufactureDate', label: 'Manufactured' },
+                    ...Object.values(MAINTENANCE_CONFIG).map(c => ({ field: c.field, label: `Last ${c.shortLabel}` }))
+                  ].map(({ field, label }) => (
+                    <label key={field} className="block">
+                      <span className="text-xs text-gray-500">{label}</span>
+                      <input
+                        type="date"
+                        value={selectedItem[field] || ''}
+                        onChange={(e) => {
+                          // Update local state immediately for responsive UI
+                          setSelectedItem({ ...selectedItem, [field]: e.target.value, maintenanceNeedsReview: false });
+                        }}
+                        onBlur={(e) => saveMaintenanceDate(selectedItem, field, e.target.value)}
+                        className="w-full p-2 border border-gray-600 rounded-lg bg-gray-700 text-white focus:ring-2 focus:ring-red-500 focus:border-red-500 text-sm"
+                      />
+                    </label>
+                  ))}
                 </div>
-                <div className="text-xs text-gray-500 mt-1">Enter manufacture year, 6-year maintenance, or hydrostatic test dates</div>
               </div>
 
               {/* Location chip with Open in Maps */}
@@ -4235,15 +6890,15 @@ function App() {
                 </div>
               </div>
 
-              {selectedItem.inspectionHistory && selectedItem.inspectionHistory.length > 0 && (
+              {selectedItemHistory.length > 0 && (
                 <div>
                   <div className="text-sm text-gray-400 mb-2">Inspection History</div>
                   <div className="space-y-2 max-h-40 overflow-y-auto">
-                    {selectedItem.inspectionHistory.map((hist, idx) => (
+                    {selectedItemHistory.map((hist, idx) => (
                       <div key={idx} className="text-sm bg-gray-700 p-2 rounded border border-gray-600">
                         <div className="flex justify-between">
                           <span className={hist.status === 'pass' ? 'text-green-400 font-semibold' : 'text-red-400 font-semibold'}>
-                            {hist.status.toUpperCase()}
+                            {isAnnualMaintenanceRecord(hist) ? 'ANNUAL MAINT. ' : ''}{hist.status.toUpperCase()}
                           </span>
                           <span className="text-gray-300">
                             {new Date(hist.date).toLocaleString()}
@@ -4257,34 +6912,6 @@ function App() {
               )}
             </div>
 
-            {/* Mfg Year / 6-Year / Hydro field */}
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-300 mb-2">
-                Mfg Year / 6-Year / Hydro Test
-              </label>
-              <input
-                type="text"
-                value={selectedItem.manufactureYear || ''}
-                onChange={async (e) => {
-                  const newValue = e.target.value;
-                  setSelectedItem({ ...selectedItem, manufactureYear: newValue });
-                }}
-                onBlur={async (e) => {
-                  const newValue = e.target.value.trim();
-                  try {
-                    const docRef = getExtinguisherDoc(selectedItem);
-                    await updateDoc(docRef, { manufactureYear: newValue });
-                  } catch (err) {
-                    console.error('Error saving manufacture year:', err);
-                    alert('Error saving. Please try again.');
-                  }
-                }}
-                placeholder="e.g., 2019 / 6yr: 2025 / Hydro: 2031"
-                className="w-full p-3 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-red-500 focus:border-red-500"
-              />
-              <div className="text-xs text-gray-500 mt-1">Enter manufacture year, 6-year service date, or hydrostatic test date</div>
-            </div>
-
             {/* Notes always visible */}
             <div className="space-y-4">
               <div>
@@ -4407,7 +7034,7 @@ function App() {
                 <label className="block text-sm font-medium text-gray-700 mb-1">Section</label>
                 <select
                   value={editItem.section}
-                  onChange={(e) => setEditItem({...editItem, section: e.target.value})}
+                  onChange={(e) => setEditItem({...editItem, section: e.target.value, floorId: null, roomId: null})}
                   className="w-full p-2 border border-gray-300 rounded-lg"
                 >
                   {getBuildingNames().map(section => (
@@ -4416,6 +7043,22 @@ function App() {
                 </select>
               </div>
 
+              <FloorRoomFields
+                buildingId={getBuildingIdFromSection(editItem.section)}
+                floors={floors}
+                rooms={rooms}
+                value={editItem}
+                onChange={(location) => setEditItem({ ...editItem, ...location })}
+              />
+
+              <ExtinguisherAttributesFields value={editItem} onChange={setEditItem} />
+
+              <InspectionFrequencyField
+                value={editItem.inspectionFrequency}
+                buildingFrequency={buildings.find(b => b.name === editItem.section)?.inspectionFrequency}
+                onChange={(inspectionFrequency) => setEditItem({ ...editItem, inspectionFrequency })}
+              />
+
               {/* GPS for edit */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">GPS Location</label>
@@ -4568,7 +7211,7 @@ function App() {
                         {(() => {
                           // Calculate stats for this workspace - need to fetch or use cached
                           const wsStats = getWorkspaceStats(
-                            isCurrent ? extinguishers : []
+                            isCurrent ? displayedExtinguishers : []
                           );
                           return isCurrent ? `${wsStats.total - wsStats.pending}/${wsStats.total}` : '';
                         })()}
@@ -4595,6 +7238,19 @@ function App() {
                   New Inspection Month
                 </button>
 
+                {getCurrentWorkspace() && (
+                  <button
+                    onClick={() => {
+                      setShowWorkspaceSwitcher(false);
+                      setShowSignoff(true);
+                    }}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                  >
+                    <Edit2 size={20} />
+                    Sign Off Month or Section
+                  </button>
+                )}
+
                 {workspaces.length > 0 && getCurrentWorkspace() && (
                   <button
                     onClick={() => {
@@ -4611,6 +7267,55 @@ function App() {
                   </button>
                 )}
               </div>
+
+              <div className="border-t pt-4 mt-4 space-y-2 text-sm">
+                <label className="flex items-center gap-2 font-medium">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(rolloverSettings.enabled)}
+                    onChange={(e) => saveRolloverSettings({ enabled: e.target.checked })}
+                    className="h-4 w-4"
+                  />
+                  Start each month automatically
+                </label>
+                {rolloverSettings.enabled && (
+                  <div className="space-y-2 pl-6">
+                    <div className="flex items-center gap-2">
+                      <span className="text-gray-600">On the 1st at</span>
+                      <select
+                        value={rolloverSettings.hour ?? 0}
+                        onChange={(e) => saveRolloverSettings({ hour: Number(e.target.value) })}
+                        className="p-1 border border-gray-300 rounded"
+                      >
+                        {Array.from({ length: 24 }, (_, hour) => (
+                          <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                        ))}
+                      </select>
+                    </div>
+                    <select
+                      value={rolloverSettings.timeZone || 'UTC'}
+                      onChange={(e) => saveRolloverSettings({ timeZone: e.target.value })}
+                      className="w-full p-1 border border-gray-300 rounded"
+                    >
+                      {[...new Set([rolloverSettings.timeZone || 'UTC', ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['UTC'])])].map(zone => (
+                        <option key={zone} value={zone}>{zone}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={rolloverSettings.archivePrevious !== false}
+                        onChange={(e) => saveRolloverSettings({ archivePrevious: e.target.checked })}
+                        className="h-4 w-4"
+                      />
+                      Archive last month with its inspection log
+                    </label>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500">
+                  Creates the new month from the latest one with every unit set to pending and open deficiencies carried over. Skipped if the month was already started by hand.
+                </p>
+              </div>
             </div>
           </div>
         </div>
@@ -4719,7 +7424,7 @@ function App() {
                 <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-700">
                   {exportOptions.type === 'notes-only'
                     ? 'This will export only items that have notes, with columns: Asset ID, Serial, Section, Vicinity, Status, Notes, Checked Date'
-                    : 'This will export a simplified list with columns: Asset ID (ATG), Serial, Vicinity, Section, Mfg Year / 6-Year / Hydro'}
+                    : 'This will export a simplified list with columns: Asset ID (ATG), Serial, Vicinity, Section, Manufacture Date, Last/Next 6-Year, Hydro and Annual dates'}
                 </div>
               )}
 
@@ -4777,7 +7482,7 @@ function App() {
                       onChange={(e) => setExportOptions({ ...exportOptions, includeMaintenanceDates: e.target.checked })}
                       className="mr-2 h-4 w-4"
                     />
-                    <span className="text-sm">Mfg Year / 6-Year / Hydro Test Dates</span>
+                    <span className="text-sm">Maintenance Dates (Mfg, 6-Year, Hydro, Annual + Next Due)</span>
                   </label>
                 </div>
               </div>
@@ -4811,6 +7516,253 @@ function App() {
       )}
 
       {/* Replace Extinguisher Modal */}
+      {lifecycleItem && (
+        <LifecycleModal
+          item={lifecycleItem}
+          onSave={changeLifecycleState}
+          onClose={() => setLifecycleItem(null)}
+        />
+      )}
+
+      {swapItem && (
+        <SwapModal
+          item={swapItem}
+          spares={getAvailableSpares(extinguishers)}
+          onSave={startTemporarySwap}
+          onClose={() => setSwapItem(null)}
+        />
+      )}
+
+      {showSparePool && (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+          <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-lg p-6 max-w-2xl w-full my-8 border-2 border-gray-600 shadow-2xl max-h-[80vh] flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold text-gray-200 flex items-center gap-2">
+                <RotateCcw size={24} />
+                Spare Pool & Swaps
+              </h3>
+              <button
+                onClick={() => setShowSparePool(false)}
+                className="text-gray-400 hover:text-white transition"
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1 space-y-4">
+              <div>
+                <div className="text-sm font-semibold text-gray-300 mb-2">
+                  Active Swaps ({extinguishers.filter(e => e.swap).length})
+                </div>
+                {extinguishers.filter(e => e.swap).length === 0 ? (
+                  <div className="text-sm text-gray-500">No units are out on a temporary swap.</div>
+                ) : (
+                  <div className="space-y-2">
+                    {extinguishers.filter(e => e.swap).map(original => (
+                      <div key={original.id} className="bg-gray-700/50 rounded-lg p-3 border border-gray-600 flex justify-between items-center gap-3">
+                        <div className="text-sm">
+                          <div>
+                            <span className="text-amber-400 font-semibold">{original.assetId}</span>
+                            <span className="text-gray-400 mx-2">covered by</span>
+                            <span className="text-green-400 font-semibold">{original.swap.spareAssetId}</span>
+                          </div>
+                          <div className="text-gray-400">
+                            {original.section}{original.vicinity ? ` • ${original.vicinity}` : ''}
+                          </div>
+                          <div className="text-gray-500 text-xs">
+                            {original.swap.reason} • out {getDaysOut(original.swap.startedAt)} days (since {new Date(original.swap.startedAt).toLocaleDateString()})
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => returnOriginalFromSwap(original)}
+                          className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded text-sm flex-shrink-0"
+                        >
+                          Return Original
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div className="text-sm font-semibold text-gray-300 mb-2">
+                  Available Spares ({getAvailableSpares(extinguishers).length})
+                </div>
+                {getAvailableSpares(extinguishers).length === 0 ? (
+                  <div className="text-sm text-gray-500">No spares in the pool. Change a unit's lifecycle state to "Spare" to add it.</div>
+                ) : (
+                  <div className="space-y-2">
+                    {getAvailableSpares(extinguishers).map(spare => (
+                      <div key={spare.id} className="bg-gray-700/50 rounded-lg p-3 border border-gray-600 text-sm">
+                        <span className="text-green-400 font-semibold">{spare.assetId}</span>
+                        <span className="text-gray-400 ml-2">
+                          {getTypeLabel(spare.extinguisherType) || 'Unknown type'}{spare.sizeLbs ? ` • ${spare.sizeLbs} lbs` : ''} • {spare.section}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showDuplicateReport && (
+        <DuplicateReportModal
+          extinguishers={extinguishers}
+          onMerge={mergeDuplicateExtinguishers}
+          onRenumber={renumberExtinguisher}
+          onClose={() => setShowDuplicateReport(false)}
+        />
+      )}
+
+      {scanMatches.length > 0 && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full my-8 text-gray-900">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold">{scanMatches.length} Matches</h3>
+              <button onClick={() => setScanMatches([])}>
+                <X size={24} />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">More than one extinguisher matches. Select the one you scanned:</p>
+            <div className="space-y-2 max-h-96 overflow-y-auto">
+              {scanMatches.map(item => (
+                <button
+                  key={item.id}
+                  onClick={() => {
+                    setSelectedItem(item);
+                    setScanMatches([]);
+                  }}
+                  className="w-full text-left p-3 border border-gray-200 rounded-lg hover:bg-blue-50"
+                >
+                  <div className="font-semibold">{item.assetId}</div>
+                  <div className="text-xs text-gray-500">
+                    {item.section}{item.vicinity ? ` • ${item.vicinity}` : ''} • SN {item.serial || 'N/A'}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showRecallsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+          <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-lg p-6 max-w-2xl w-full my-8 border-2 border-gray-600 shadow-2xl max-h-[80vh] flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold text-gray-200 flex items-center gap-2">
+                <Shield size={24} />
+                Manufacturer Recalls
+              </h3>
+              <button
+                onClick={() => setShowRecallsModal(false)}
+                className="text-gray-400 hover:text-white transition"
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-2">
+              <label className="flex items-center gap-2 px-4 py-2 bg-rose-600 text-white rounded cursor-pointer hover:bg-rose-700 transition">
+                <Upload size={18} />
+                <span>Import Recall List</span>
+                <input type="file" accept=".csv,.xlsx,.xls" onChange={handleRecallUpload} className="hidden" />
+              </label>
+              <button
+                onClick={() => runRecallMatching()}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-500 transition"
+              >
+                <RotateCcw size={18} />
+                Re-run Matching
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+              Columns: Manufacturer, Model, Serial Start / Serial End (or Serial Range), Date Code Start / Date Code End, Recall, Notes.
+              Units are matched in every building by manufacturer, model, serial and manufacture date.
+            </p>
+
+            <div className="overflow-y-auto flex-1 space-y-3">
+              {recalls.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No recall lists imported yet.
+                </div>
+              ) : (
+                recalls.map(recall => {
+                  const flaggedUnits = extinguishers.filter(e => e.recallIds?.includes(recall.id));
+                  const replacedUnits = replacedExtinguishers.filter(r => r.recallIds?.includes(recall.id));
+                  const isExpanded = expandedRecallId === recall.id;
+                  return (
+                    <div key={recall.id} className="bg-gray-700/50 rounded-lg p-4 border border-gray-600">
+                      <div className="flex justify-between items-start gap-2">
+                        <div>
+                          <div className="text-rose-300 font-semibold">{recall.title}</div>
+                          <div className="text-xs text-gray-400">
+                            {[recall.manufacturer, recall.model].filter(Boolean).join(' • ')}
+                            {(recall.serialStart || recall.serialEnd) && ` • Serial ${recall.serialStart || '…'} – ${recall.serialEnd || '…'}`}
+                            {(recall.dateCodeStart || recall.dateCodeEnd) && ` • Made ${recall.dateCodeStart || '…'} – ${recall.dateCodeEnd || '…'}`}
+                          </div>
+                          {recall.notes && <div className="text-xs text-gray-500 mt-1">{recall.notes}</div>}
+                        </div>
+                        <button
+                          onClick={() => deleteRecall(recall)}
+                          className="text-gray-500 hover:text-red-400 text-xs flex-shrink-0"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                      <div className="flex items-center gap-3 mt-2 text-sm">
+                        <span className={flaggedUnits.length > 0 ? 'text-red-400 font-semibold' : 'text-gray-400'}>
+                          {flaggedUnits.length} open
+                        </span>
+                        <span className="text-green-400">{replacedUnits.length} replaced</span>
+                        {flaggedUnits.length > 0 && (
+                          <button
+                            onClick={() => setExpandedRecallId(isExpanded ? null : recall.id)}
+                            className="text-blue-400 hover:text-blue-300 text-xs ml-auto"
+                          >
+                            {isExpanded ? 'Hide units' : 'Show units'}
+                          </button>
+                        )}
+                      </div>
+                      {isExpanded && (
+                        <div className="mt-2 space-y-1">
+                          {flaggedUnits.map(unit => (
+                            <div key={unit.id} className="flex justify-between items-center bg-gray-800/60 rounded px-3 py-2 text-sm">
+                              <button
+                                onClick={() => {
+                                  setShowRecallsModal(false);
+                                  navigate(`/app/extinguisher/${unit.assetId}`);
+                                }}
+                                className="text-left text-gray-200 hover:text-white"
+                              >
+                                <span className="font-semibold">{unit.assetId}</span>
+                                <span className="text-gray-400"> • {unit.section} • SN {unit.serial || 'N/A'}</span>
+                              </button>
+                              <button
+                                onClick={() => {
+                                  setShowRecallsModal(false);
+                                  openReplaceModal(unit);
+                                }}
+                                className="px-2 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded text-xs"
+                              >
+                                Replace
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {showReplaceModal && replaceItem && (
         <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50 overflow-y-auto">
           <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-lg p-6 max-w-lg w-full my-8 border-2 border-amber-500 shadow-2xl">
@@ -4846,10 +7798,10 @@ function App() {
                   <span className="text-gray-400">Location:</span>
                   <span className="text-white ml-2">{replaceItem.vicinity}</span>
                 </div>
-                {replaceItem.manufactureYear && (
+                {(replaceItem.manufactureDate || replaceItem.manufactureYear) && (
                   <div className="col-span-2">
-                    <span className="text-gray-400">Mfg/Dates:</span>
-                    <span className="text-white ml-2">{replaceItem.manufactureYear}</span>
+                    <span className="text-gray-400">Manufactured:</span>
+                    <span className="text-white ml-2">{replaceItem.manufactureDate || replaceItem.manufactureYear}</span>
                   </div>
                 )}
               </div>
@@ -4872,6 +7824,7 @@ function App() {
                 <option value="discharged">Discharged/Used</option>
                 <option value="failed_inspection">Failed Inspection</option>
                 <option value="upgrade">Upgrade/Different Type</option>
+                <option value="recall">Manufacturer Recall</option>
                 <option value="other">Other</option>
               </select>
             </div>
@@ -4909,14 +7862,13 @@ function App() {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-1">
-                    Manufacture Year / Dates
+                    Manufacture Date
                   </label>
                   <input
-                    type="text"
-                    value={replaceFormData.newManufactureYear}
-                    onChange={(e) => setReplaceFormData({...replaceFormData, newManufactureYear: e.target.value})}
+                    type="date"
+                    value={replaceFormData.newManufactureDate}
+                    onChange={(e) => setReplaceFormData({...replaceFormData, newManufactureDate: e.target.value})}
                     className="w-full p-2 border border-gray-600 rounded-lg bg-gray-700 text-white focus:ring-2 focus:ring-amber-500"
-                    placeholder="e.g., 2024 / 6yr: 2030 / Hydro: 2036"
                   />
                 </div>
               </div>
@@ -5029,11 +7981,12 @@ function App() {
                          item.replacementReason === 'discharged' ? 'Discharged' :
                          item.replacementReason === 'failed_inspection' ? 'Failed Inspection' :
                          item.replacementReason === 'upgrade' ? 'Upgrade' :
+                         item.replacementReason === 'recall' ? 'Recall' :
                          item.replacementReason || 'Replaced'}
                       </span>
-                      {item.manufactureYear && (
+                      {(item.manufactureDate || item.manufactureYear) && (
                         <span className="text-gray-500">
-                          Was: {item.manufactureYear}
+                          Was: {item.manufactureDate || item.manufactureYear}
                         </span>
                       )}
                     </div>
@@ -5085,20 +8038,42 @@ function App() {
             </div>
 
             <div className="text-sm text-gray-400 mb-4">
-              {extinguishers.filter(e => e.status === statusFilterView).length} extinguisher{extinguishers.filter(e => e.status === statusFilterView).length !== 1 ? 's' : ''}
+              {displayedExtinguishers.filter(e => e.status === statusFilterView && isInService(e)).length} extinguisher{displayedExtinguishers.filter(e => e.status === statusFilterView && isInService(e)).length !== 1 ? 's' : ''}
               {statusFilterView === 'fail' && ' need attention'}
               {statusFilterView === 'pass' && ' inspected successfully'}
               {statusFilterView === 'pending' && ' awaiting inspection'}
             </div>
 
+            {extinguishers.some(e => e.status === statusFilterView && isInService(e)) && (
+              <div className="flex items-center gap-2 mb-3 text-sm">
+                <button
+                  onClick={() => {
+                    const visible = displayedExtinguishers.filter(e => e.status === statusFilterView && isInService(e));
+                    setStatusSelection(statusSelection.size === visible.length ? new Set() : new Set(visible.map(e => e.id)));
+                  }}
+                  className="px-3 py-1 rounded bg-gray-600 text-gray-200 hover:bg-gray-500"
+                >
+                  {statusSelection.size > 0 ? 'Select None' : 'Select All'}
+                </button>
+                <span className="text-gray-400">{statusSelection.size} selected</span>
+                <button
+                  onClick={() => setBulkEditItems(extinguishers.filter(e => statusSelection.has(e.id)))}
+                  disabled={statusSelection.size === 0}
+                  className="ml-auto px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Bulk Edit
+                </button>
+              </div>
+            )}
+
             <div className="overflow-y-auto flex-1 space-y-3">
-              {extinguishers.filter(e => e.status === statusFilterView).length === 0 ? (
+              {displayedExtinguishers.filter(e => e.status === statusFilterView && isInService(e)).length === 0 ? (
                 <div className="text-center py-8 text-gray-500">
                   No {statusFilterView === 'fail' ? 'failed' : statusFilterView === 'pass' ? 'passed' : 'pending'} extinguishers.
                 </div>
               ) : (
                 extinguishers
-                  .filter(e => e.status === statusFilterView)
+                  .filter(e => e.status === statusFilterView && isInService(e))
                   .sort((a, b) => (a.section || '').localeCompare(b.section || ''))
                   .map((item) => (
                     <div
@@ -5111,6 +8086,18 @@ function App() {
                     >
                       <div className="flex justify-between items-start mb-2">
                         <div>
+                          <input
+                            type="checkbox"
+                            checked={statusSelection.has(item.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => {
+                              const next = new Set(statusSelection);
+                              if (next.has(item.id)) next.delete(item.id);
+                              else next.add(item.id);
+                              setStatusSelection(next);
+                            }}
+                            className="mr-2 align-middle"
+                          />
                           <span className={`font-semibold ${
                             statusFilterView === 'fail' ? 'text-red-400' :
                             statusFilterView === 'pass' ? 'text-green-400' : 'text-gray-300'
@@ -5132,9 +8119,9 @@ function App() {
                         </div>
                       )}
 
-                      {item.manufactureYear && (
+                      {(item.manufactureDate || item.manufactureYear) && (
                         <div className="text-sm text-gray-400 mt-1">
-                          <span className="text-gray-500">Mfg Date:</span> {item.manufactureYear}
+                          <span className="text-gray-500">Mfg Date:</span> {item.manufactureDate || item.manufactureYear}
                         </div>
                       )}
 
@@ -5361,6 +8348,52 @@ function App() {
           </div>
         </div>
       )}
+
+      {bulkEditItems && (
+        <BulkEditModal
+          items={bulkEditItems}
+          sections={getBuildingNames()}
+          onRun={runBulkAction}
+          onDone={() => setStatusSelection(new Set())}
+          onClose={() => setBulkEditItems(null)}
+        />
+      )}
+
+      {showSignoff && (
+        <SignoffModal
+          workspace={getCurrentWorkspace()}
+          sections={getBuildingNames()}
+          statsFor={(section) => getWorkspaceStats(section ? extinguishers.filter(e => e.section === section) : extinguishers)}
+          onSign={signOffWorkspace}
+          onClose={() => setShowSignoff(false)}
+        />
+      )}
+
+      {reinspectItem && getFailureToReinspect(reinspectItem) && (() => {
+        const failure = getFailureToReinspect(reinspectItem);
+        return (
+          <ReinspectModal
+            item={reinspectItem}
+            failure={failure}
+            sections={resolveTemplateSections(checklistTemplates, failure.checklistTemplateId, failure.checklistTemplateVersion)}
+            correctiveActions={getCorrectiveActions(deficiencies, reinspectItem, failure)}
+            openDeficiencyCount={getDeficienciesForFailure(deficiencies, reinspectItem, failure).filter(isDeficiencyOpen).length}
+            onSubmit={(status, data) => handleReinspection(reinspectItem, status, data)}
+            onClose={() => setReinspectItem(null)}
+          />
+        );
+      })()}
+
+      {showChecklistTemplates && (
+        <ChecklistTemplatesModal
+          templates={checklistTemplates.filter(t => !t.archivedAt)}
+          requireExplicitAnswers={requireExplicitAnswers}
+          onChangeRequireExplicitAnswers={setRequireExplicitAnswers}
+          onSave={saveChecklistTemplate}
+          onArchive={archiveChecklistTemplate}
+          onClose={() => setShowChecklistTemplates(false)}
+        />
+      )}
     </div>
   );
 }
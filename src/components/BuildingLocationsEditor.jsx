@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { getBuildingFloors, getFloorRooms, getFloorNameForLevel } from '../config/locations';
+
+/**
+ * BuildingLocationsEditor - Manage the floors and rooms/zones of one building
+ *
+ * Rendered inside the Manage Buildings modal. Writes go through the callbacks:
+ * `onAddFloor(buildingId, { name, level })`, `onDeleteFloor(floor)`,
+ * `onAddRoom(buildingId, floorId, name)` and `onDeleteRoom(room)`.
+ */
+const BuildingLocationsEditor = ({ building, floors, rooms, extinguishers, onAddFloor, onDeleteFloor, onAddRoom, onDeleteRoom }) => {
+  const [level, setLevel] = useState('');
+  const [floorName, setFloorName] = useState('');
+  const [roomNames, setRoomNames] = useState({});
+
+  const buildingFloors = getBuildingFloors(floors, building.id);
+  const buildingUnits = extinguishers.filter(e => e.buildingId === building.id);
+  const unassignedCount = buildingUnits.filter(e => !e.floorId).length;
+
+  const handleAddFloor = async () => {
+    const parsedLevel = Number(level);
+    if (level === '' || !Number.isInteger(parsedLevel)) {
+      alert('Enter a whole-number level (use negative numbers for basements).');
+      return;
+    }
+    if (buildingFloors.some(f => f.level === parsedLevel)) {
+      alert(`Level ${parsedLevel} already exists in ${building.name}.`);
+      return;
+    }
+    await onAddFloor(building.id, { level: parsedLevel, name: floorName.trim() || getFloorNameForLevel(parsedLevel) });
+    setLevel('');
+    setFloorName('');
+  };
+
+  const handleAddRoom = async (floorId) => {
+    const name = (roomNames[floorId] || '').trim();
+    if (!name) return;
+    if (getFloorRooms(rooms, building.id, floorId).some(r => r.name.toLowerCase() === name.toLowerCase())) {
+      alert(`"${name}" already exists on this floor.`);
+      return;
+    }
+    await onAddRoom(building.id, floorId, name);
+    setRoomNames({ ...roomNames, [floorId]: '' });
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-white rounded border border-gray-200 space-y-3">
+      <div className="text-xs text-gray-500">
+        {unassignedCount} of {buildingUnits.length} extinguisher{buildingUnits.length !== 1 ? 's' : ''} in this workspace have no floor assigned.
+      </div>
+
+      {buildingFloors.map(floor => {
+        const floorRooms = getFloorRooms(rooms, building.id, floor.id);
+        const unitCount = buildingUnits.filter(e => e.floorId === floor.id).length;
+        return (
+          <div key={floor.id} className="border border-gray-200 rounded p-2">
+            <div className="flex justify-between items-center">
+              <div className="font-medium text-sm">
+                {floor.name} <span className="text-gray-400 font-normal">(level {floor.level}, {unitCount} units)</span>
+              </div>
+              <button
+                onClick={() => onDeleteFloor(floor)}
+                className="text-red-500 hover:text-red-700"
+                title="Delete floor"
+              >
+                <X size={16} />
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-1 mt-2">
+              {floorRooms.map(room => (
+                <span key={room.id} className="inline-flex items-center gap-1 px-2 py-0.5 bg-gray-100 rounded text-xs">
+                  {room.name}
+                  <button onClick={() => onDeleteRoom(room)} className="text-gray-400 hover:text-red-600" title="Delete room">
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={roomNames[floor.id] || ''}
+                onChange={(e) => setRoomNames({ ...roomNames, [floor.id]: e.target.value })}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter') handleAddRoom(floor.id);
+                }}
+                placeholder="Add room or zone (e.g., Room 204, Zone B)"
+                className="flex-1 p-1 border border-gray-300 rounded text-sm"
+              />
+              <button
+                onClick={() => handleAddRoom(floor.id)}
+                className="px-2 bg-purple-500 text-white rounded hover:bg-purple-600"
+              >
+                <Plus size={16} />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="flex gap-2">
+        <input
+          type="number"
+          step="1"
+          value={level}
+          onChange={(e) => setLevel(e.target.value)}
+          placeholder="Level"
+          className="w-24 p-2 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="text"
+          value={floorName}
+          onChange={(e) => setFloorName(e.target.value)}
+          placeholder={level !== '' && Number.isInteger(Number(level)) ? getFloorNameForLevel(Number(level)) : 'Floor name (optional)'}
+          className="flex-1 p-2 border border-gray-300 rounded text-sm"
+        />
+        <button
+          onClick={handleAddFloor}
+          className="px-3 bg-purple-500 text-white rounded hover:bg-purple-600 flex items-center gap-1 text-sm"
+        >
+          <Plus size={16} />
+          Floor
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BuildingLocationsEditor;
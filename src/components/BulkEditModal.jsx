@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { BULK_ACTIONS, BULK_ACTION_LABELS, BULK_EDIT_FIELDS, getBulkFieldUpdates } from '../config/bulkEdit';
+
+/**
+ * BulkEditModal - Apply one action to a selection of extinguishers
+ *
+ * `onRun(items, action, payload, onProgress)` performs the chunked writes and
+ * resolves to `{ succeeded, failed: [{ assetId, error }] }`; the modal shows
+ * progress while it runs and a summary afterwards.
+ */
+const BulkEditModal = ({ items, sections, onRun, onClose, onDone }) => {
+  const [action, setAction] = useState(BULK_ACTIONS.SECTION);
+  const [section, setSection] = useState(sections[0] || '');
+  const [fieldValues, setFieldValues] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const running = progress !== null && result === null;
+
+  const handleRun = async () => {
+    let payload = null;
+    if (action === BULK_ACTIONS.SECTION) {
+      if (!section) {
+        alert('Please select a section.');
+        return;
+      }
+      payload = { section };
+    } else if (action === BULK_ACTIONS.FIELDS) {
+      payload = getBulkFieldUpdates(fieldValues);
+      if (Object.keys(payload).length === 0) {
+        alert('Fill in at least one field to set.');
+        return;
+      }
+    }
+
+    const summary = {
+      [BULK_ACTIONS.SECTION]: `Move ${items.length} extinguishers to ${section}?`,
+      [BULK_ACTIONS.FIELDS]: `Set ${Object.keys(payload || {}).length} field(s) on ${items.length} extinguishers?`,
+      [BULK_ACTIONS.RESET]: `Reset status to pending on ${items.length} extinguishers?`,
+      [BULK_ACTIONS.DELETE]: `Permanently delete ${items.length} extinguishers? This cannot be undone.`,
+    }[action];
+    if (!window.confirm(summary)) return;
+
+    setProgress({ done: 0, total: items.length });
+    const outcome = await onRun(items, action, payload, (done) => setProgress({ done, total: items.length }));
+    setResult(outcome);
+    if (outcome.failed.length === 0) onDone?.();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full my-8 text-gray-900">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Bulk Edit ({items.length} selected)</h3>
+          <button onClick={onClose} disabled={running}>
+            <X size={24} />
+          </button>
+        </div>
+
+        {result ? (
+          <div className="space-y-3">
+            <div className="p-3 bg-green-50 border border-green-300 rounded text-sm text-green-800">
+              {BULK_ACTION_LABELS[action]}: {result.succeeded} succeeded
+            </div>
+            {result.failed.length > 0 && (
+              <div className="p-3 bg-red-50 border border-red-300 rounded text-sm text-red-800">
+                <div className="font-semibold mb-1">{result.failed.length} failed</div>
+                <ul className="max-h-40 overflow-y-auto space-y-0.5">
+                  {result.failed.map((f, i) => (
+                    <li key={`${f.assetId}-${i}`}>{f.assetId}: {f.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <button
+              onClick={onClose}
+              className="w-full px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              {Object.values(BULK_ACTIONS).map(value => (
+                <button
+                  key={value}
+                  onClick={() => setAction(value)}
+                  disabled={running}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium border ${
+                    action === value
+                      ? value === BULK_ACTIONS.DELETE ? 'bg-red-600 text-white border-red-600' : 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {BULK_ACTION_LABELS[value]}
+                </button>
+              ))}
+            </div>
+
+            {action === BULK_ACTIONS.SECTION && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">New Section</label>
+                <select
+                  value={section}
+                  onChange={(e) => setSection(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg"
+                >
+                  {sections.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Units in another building are moved with their history and photos.</p>
+              </div>
+            )}
+
+            {action === BULK_ACTIONS.FIELDS && (
+              <div className="space-y-3 max-h-80 overflow-y-auto pr-1">
+                <p className="text-xs text-gray-500">Only fields you fill in are changed.</p>
+                {BULK_EDIT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                    {field.input === 'select' ? (
+                      <select
+                        value={fieldValues[field.key] || ''}
+                        onChange={(e) => setFieldValues({ ...fieldValues, [field.key]: e.target.value })}
+                        className="w-full p-2 border border-gray-300 rounded-lg"
+                      >
+                        <option value="">— Leave unchanged —</option>
+                        {field.options.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type={field.input}
+                        value={fieldValues[field.key] || ''}
+                        onChange={(e) => setFieldValues({ ...fieldValues, [field.key]: e.target.value })}
+                        className="w-full p-2 border border-gray-300 rounded-lg"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {action === BULK_ACTIONS.RESET && (
+              <p className="text-sm text-gray-600">Status, checked date and notes will be cleared. Inspection history is kept.</p>
+            )}
+
+            {action === BULK_ACTIONS.DELETE && (
+              <p className="text-sm text-red-700">The selected extinguishers and their inspection history will be permanently deleted.</p>
+            )}
+
+            {progress && (
+              <div className="mt-4">
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all"
+                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{progress.done} of {progress.total} processed…</p>
+              </div>
+            )}
+
+            <div className="flex gap-2 mt-6">
+              <button
+                onClick={handleRun}
+                disabled={running}
+                className={`flex-1 px-4 py-2 text-white rounded-lg disabled:opacity-50 ${
+                  action === BULK_ACTIONS.DELETE ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                }`}
+              >
+                {running ? 'Working…' : 'Apply'}
+              </button>
+              <button
+                onClick={onClose}
+                disabled={running}
+                className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkEditModal;
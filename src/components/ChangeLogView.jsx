@@ -0,0 +1,136 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { History } from 'lucide-react';
+import { CHANGE_ACTION_LABELS, formatLogValue } from '../config/changeLog';
+import { useLatestCallback } from '../hooks/useLatestCallback';
+
+/**
+ * ChangeLogEntries - List of change log entries with before → after values per field
+ */
+export const ChangeLogEntries = ({ entries, showAsset = false, dark = false }) => {
+  const navigate = useNavigate();
+  const muted = dark ? 'text-gray-400' : 'text-gray-500';
+
+  if (entries.length === 0) {
+    return <p className={`text-sm ${muted}`}>No changes recorded.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {entries.map(entry => (
+        <div key={entry.id} className={`rounded p-2 text-sm ${dark ? 'bg-black/20' : 'border border-gray-200'}`}>
+          <div className="flex flex-wrap justify-between gap-2">
+            <span className="font-medium">
+              {showAsset && (
+                <button
+                  onClick={() => navigate(`/app/extinguisher/${encodeURIComponent(entry.assetId)}`)}
+                  className="text-blue-600 hover:underline mr-2"
+                >
+                  {entry.assetId}
+                </button>
+              )}
+              {CHANGE_ACTION_LABELS[entry.action] || entry.action}
+            </span>
+            <span className={`text-xs ${muted}`}>
+              {new Date(entry.loggedAt || entry.changedAt).toLocaleString()} · {entry.changedBy || 'Unknown'}
+            </span>
+          </div>
+          <div className="mt-1 space-y-0.5 text-xs">
+            {(entry.changes || []).map((change, index) => (
+              <div key={index} className="break-all">
+                <span className={muted}>{change.field}:</span>{' '}
+                <span className={dark ? 'text-red-300 line-through' : 'text-red-700 line-through'}>{formatLogValue(change.before)}</span>
+                {' → '}
+                <span className={dark ? 'text-green-300' : 'text-green-700'}>{formatLogValue(change.after)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * ChangeLogView - Account-wide change log, filterable by user and date range
+ *
+ * `onLoad({ changedBy, from, to })` resolves to matching entries, newest first.
+ */
+const ChangeLogView = ({ onLoad }) => {
+  const [changedBy, setChangedBy] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadEntries = useLatestCallback(onLoad);
+
+  const load = useCallback(async (filters) => {
+    setLoading(true);
+    try {
+      const result = await loadEntries(filters);
+      setEntries(result);
+      setUsers(prev => [...new Set([...prev, ...result.map(e => e.changedBy).filter(Boolean)])].sort());
+    } finally {
+      setLoading(false);
+    }
+  }, [loadEntries]);
+
+  useEffect(() => {
+    load({});
+  }, [load]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <History size={22} />
+          Change Log
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={changedBy}
+            onChange={(e) => setChangedBy(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All Users</option>
+            {users.map(email => (
+              <option key={email} value={email}>{email}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+            title="From"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+            title="To"
+          />
+          <button
+            onClick={() => load({ changedBy, from, to })}
+            disabled={loading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading…' : 'Apply'}
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <p className="text-sm text-gray-600">
+          {entries.length} change{entries.length !== 1 ? 's' : ''}{entries.length >= 500 ? ' (showing the newest 500; narrow the dates to see more)' : ''}
+        </p>
+        <ChangeLogEntries entries={entries} showAsset />
+      </div>
+    </div>
+  );
+};
+
+export default ChangeLogView;
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { X, Plus, ChevronUp, ChevronDown } from 'lucide-react';
+import { TYPE_CONFIG } from '../config/extinguisherTypes';
+import { BUILT_IN_TEMPLATE, getTemplateItems, makeChecklistItemKey } from '../config/checklistTemplates';
+
+const copyTemplate = (template) => JSON.parse(JSON.stringify(template));
+
+const move = (list, index, delta) => {
+  const next = [...list];
+  const target = index + delta;
+  if (target < 0 || target >= next.length) return next;
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * ChecklistTemplatesModal - Create and edit account-level monthly checklist templates
+ *
+ * Items can be added, removed, reordered and renamed, with optional help text.
+ * Item keys never change once created so existing answers keep their meaning.
+ * `onSave(draft)` creates or versions the template; `onArchive(template)` retires it
+ * while keeping its saved versions for past inspections.
+ * The account's "require explicit answers" setting is toggled here as well.
+ */
+const ChecklistTemplatesModal = ({ templates, requireExplicitAnswers, onChangeRequireExplicitAnswers, onSave, onArchive, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startNew = (source = BUILT_IN_TEMPLATE) => {
+    const { id, version, versions, builtIn, isDefault, archivedAt, ...rest } = copyTemplate(source);
+    setDraft({ ...rest, name: `${source.name} (copy)`, extinguisherTypes: [], isDefault: false });
+  };
+
+  const updateSection = (sectionIndex, updates) => {
+    setDraft(d => ({
+      ...d,
+      sections: d.sections.map((s, i) => (i === sectionIndex ? { ...s, ...updates } : s))
+    }));
+  };
+
+  const updateItem = (sectionIndex, itemIndex, updates) => {
+    const items = draft.sections[sectionIndex].items.map((item, i) => (i === itemIndex ? { ...item, ...updates } : item));
+    updateSection(sectionIndex, { items });
+  };
+
+  const addItem = (sectionIndex) => {
+    const keys = getTemplateItems(draft).map(item => item.key);
+    const label = 'New item';
+    const items = [...draft.sections[sectionIndex].items, { key: makeChecklistItemKey(label, keys), label, help: '' }];
+    updateSection(sectionIndex, { items });
+  };
+
+  const toggleType = (type) => {
+    const types = draft.extinguisherTypes || [];
+    setDraft({
+      ...draft,
+      extinguisherTypes: types.includes(type) ? types.filter(t => t !== type) : [...types, type]
+    });
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      alert('Template name is required.');
+      return;
+    }
+    const items = getTemplateItems(draft);
+    if (items.length === 0) {
+      alert('A template needs at least one checklist item.');
+      return;
+    }
+    if (items.some(item => !item.label.trim())) {
+      alert('Every checklist item needs a label.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const saved = await onSave({
+        ...draft,
+        name: draft.name.trim(),
+        sections: draft.sections
+          .filter(section => section.items.length > 0)
+          .map(section => ({ ...section, title: section.title.trim() || 'Checklist' }))
+      });
+      if (saved) setDraft(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full my-8 text-gray-900 max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">{draft ? (draft.id ? 'Edit Template' : 'New Template') : 'Checklist Templates'}</h3>
+          <button onClick={draft ? () => setDraft(null) : onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        {!draft ? (
+          <div className="overflow-y-auto flex-1 space-y-2">
+            <label className="flex items-start gap-2 text-sm p-3 bg-blue-50 rounded-lg border border-blue-200">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={Boolean(requireExplicitAnswers)}
+                onChange={(e) => onChangeRequireExplicitAnswers(e.target.checked)}
+              />
+              <span>
+                Require an explicit answer for every item
+                <span className="block text-xs text-gray-500">Items start unanswered instead of pre-set to Pass.</span>
+              </span>
+            </label>
+            <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 flex justify-between items-center">
+              <div>
+                <div className="font-medium">{BUILT_IN_TEMPLATE.name}</div>
+                <div className="text-xs text-gray-500">
+                  Built-in • {getTemplateItems(BUILT_IN_TEMPLATE).length} items
+                  {!templates.some(t => t.isDefault) && ' • used when no default is set'}
+                </div>
+              </div>
+              <button onClick={() => startNew()} className="px-3 py-1 bg-gray-200 rounded text-sm hover:bg-gray-300">
+                Copy
+              </button>
+            </div>
+            {templates.map(template => (
+              <div key={template.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200 flex justify-between items-center">
+                <div>
+                  <div className="font-medium">
+                    {template.name}
+                    {template.isDefault && <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-800 rounded text-xs">Default</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    v{template.version} • {getTemplateItems(template).length} items
+                    {(template.extinguisherTypes || []).length > 0 &&
+                      ` • ${template.extinguisherTypes.map(type => TYPE_CONFIG[type]?.label || type).join(', ')}`}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => setDraft(copyTemplate(template))} className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600">
+                    Edit
+                  </button>
+                  <button onClick={() => startNew(template)} className="px-3 py-1 bg-gray-200 rounded text-sm hover:bg-gray-300">
+                    Copy
+                  </button>
+                  <button onClick={() => onArchive(template)} className="px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600">
+                    Archive
+                  </button>
+                </div>
+              </div>
+            ))}
+            <p className="text-xs text-gray-500 pt-2">
+              Units use the template assigned to their type, otherwise the default template.
+              Past inspections keep the template version they were recorded with.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-y-auto flex-1 space-y-4 pr-1">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  className="w-full p-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={Boolean(draft.isDefault)}
+                  onChange={(e) => setDraft({ ...draft, isDefault: e.target.checked })}
+                />
+                Default template for this account
+              </label>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Use for extinguisher types (optional)</label>
+                <div className="flex flex-wrap gap-2">
+                  {Object.values(TYPE_CONFIG).map(config => (
+                    <label key={config.type} className="flex items-center gap-1 text-xs px-2 py-1 border rounded">
+                      <input
+                        type="checkbox"
+                        checked={(draft.extinguisherTypes || []).includes(config.type)}
+                        onChange={() => toggleType(config.type)}
+                      />
+                      {config.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {draft.sections.map((section, sectionIndex) => (
+                <div key={sectionIndex} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex gap-2 items-center mb-2">
+                    <input
+                      type="text"
+                      value={section.title}
+                      onChange={(e) => updateSection(sectionIndex, { title: e.target.value })}
+                      className="flex-1 p-1 border border-gray-300 rounded font-semibold"
+                    />
+                    <button onClick={() => setDraft({ ...draft, sections: move(draft.sections, sectionIndex, -1) })} title="Move section up">
+                      <ChevronUp size={18} />
+                    </button>
+                    <button onClick={() => setDraft({ ...draft, sections: move(draft.sections, sectionIndex, 1) })} title="Move section down">
+                      <ChevronDown size={18} />
+                    </button>
+                    <button
+                      onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, i) => i !== sectionIndex) })}
+                      className="text-red-500"
+                      title="Remove section"
+                    >
+                      <X size={18} />
+                    </button>
+                  </div>
+
+                  <div className="space-y-2">
+                    {section.items.map((item, itemIndex) => (
+                      <div key={item.key} className="flex gap-2 items-start">
+                        <div className="flex-1 space-y-1">
+                          <input
+                            type="text"
+                            value={item.label}
+                            onChange={(e) => updateItem(sectionIndex, itemIndex, { label: e.target.value })}
+                            className="w-full p-1 border border-gray-300 rounded text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={item.help || ''}
+                            onChange={(e) => updateItem(sectionIndex, itemIndex, { help: e.target.value })}
+                            placeholder="Help text (optional)"
+                            className="w-full p-1 border border-gray-200 rounded text-xs text-gray-600"
+                          />
+                        </div>
+                        <button onClick={() => updateSection(sectionIndex, { items: move(section.items, itemIndex, -1) })} title="Move up">
+                          <ChevronUp size={16} />
+                        </button>
+                        <button onClick={() => updateSection(sectionIndex, { items: move(section.items, itemIndex, 1) })} title="Move down">
+                          <ChevronDown size={16} />
+                        </button>
+                        <button
+                          onClick={() => updateSection(sectionIndex, { items: section.items.filter((_, i) => i !== itemIndex) })}
+                          className="text-red-500"
+                          title="Remove item"
+                        >
+                          <X size={16} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button onClick={() => addItem(sectionIndex)} className="mt-2 text-sm text-blue-600 flex items-center gap-1">
+                    <Plus size={14} /> Add item
+                  </button>
+                </div>
+              ))}
+
+              <button
+                onClick={() => setDraft({ ...draft, sections: [...draft.sections, { title: 'New Section', items: [] }] })}
+                className="text-sm text-blue-600 flex items-center gap-1"
+              >
+                <Plus size={14} /> Add section
+              </button>
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving…' : draft.id ? `Save as v${(draft.version || 0) + 1}` : 'Create Template'}
+              </button>
+              <button
+                onClick={() => setDraft(null)}
+                className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistTemplatesModal;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { CONFLICT_TYPES, CONFLICT_OPTIONS, CONFLICT_RESOLUTION_LABELS, CONFLICT_RESOLUTIONS } from '../config/conflicts';
+import { toLogValue } from '../config/changeLog';
+
+const RESOLUTION_HINTS = {
+  [CONFLICT_TYPES.INSPECTION]: {
+    [CONFLICT_RESOLUTIONS.KEEP_THEIRS]: 'Discard your result; theirs stays on the unit.',
+    [CONFLICT_RESOLUTIONS.OVERWRITE]: 'Your result replaces theirs on the unit. Both stay in the history.',
+    [CONFLICT_RESOLUTIONS.ADD_SECOND]: 'Theirs stays on the unit; yours is added to the history as a second inspection.',
+  },
+  [CONFLICT_TYPES.EDIT]: {
+    [CONFLICT_RESOLUTIONS.KEEP_THEIRS]: 'Keep their values for these fields and save your other changes.',
+    [CONFLICT_RESOLUTIONS.OVERWRITE]: 'Save all of your changes over theirs.',
+  },
+};
+
+const BUTTON_STYLES = {
+  [CONFLICT_RESOLUTIONS.KEEP_THEIRS]: 'bg-gray-200 hover:bg-gray-300 text-gray-800',
+  [CONFLICT_RESOLUTIONS.OVERWRITE]: 'bg-red-600 hover:bg-red-700 text-white',
+  [CONFLICT_RESOLUTIONS.ADD_SECOND]: 'bg-blue-600 hover:bg-blue-700 text-white',
+};
+
+const formatTimeOfDay = (value) => (value
+  ? new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'an unknown time');
+
+/**
+ * ConflictDialog - Choose how to resolve a save that collided with another device
+ *
+ * `conflict` comes from findInspectionConflict / findEditConflict. `onResolve`
+ * receives the chosen resolution, or null when the save is cancelled.
+ */
+const ConflictDialog = ({ conflict, assetId, onResolve }) => {
+  const isInspection = conflict.type === CONFLICT_TYPES.INSPECTION;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full">
+        <h3 className="text-lg font-bold flex items-center gap-2 mb-2">
+          <AlertTriangle size={22} className="text-amber-600" />
+          {isInspection ? 'Already inspected' : 'Changed on another device'}
+        </h3>
+        <p className="text-sm text-gray-700 mb-3">
+          {isInspection
+            ? <>{assetId} was inspected by <strong>{conflict.by}</strong> at {formatTimeOfDay(conflict.at)}{conflict.status && <> ({String(conflict.status).toUpperCase()})</>} after you opened it.</>
+            : <>{assetId} was edited by <strong>{conflict.by}</strong> at {formatTimeOfDay(conflict.at)} after you opened it.</>}
+        </p>
+
+        {conflict.fields && (
+          <div className="border rounded mb-3 divide-y text-xs">
+            {conflict.fields.map(({ field, theirs, mine }) => (
+              <div key={field} className="p-2">
+                <div className="font-medium text-gray-800">{field}</div>
+                <div className="text-gray-600 break-all">Theirs: {String(toLogValue(theirs) ?? '—')}</div>
+                <div className="text-gray-600 break-all">Yours: {String(toLogValue(mine) ?? '—')}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {CONFLICT_OPTIONS[conflict.type].map(resolution => (
+            <button
+              key={resolution}
+              onClick={() => onResolve(resolution)}
+              className={`w-full text-left px-4 py-2 rounded ${BUTTON_STYLES[resolution]}`}
+            >
+              <div className="font-semibold">{CONFLICT_RESOLUTION_LABELS[resolution]}</div>
+              <div className="text-xs opacity-80">{RESOLUTION_HINTS[conflict.type][resolution]}</div>
+            </button>
+          ))}
+          <button
+            onClick={() => onResolve(null)}
+            className="w-full px-4 py-2 text-sm text-gray-600 hover:underline"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,251 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import {
+  DEFICIENCY_STATUSES,
+  DEFICIENCY_STATUS_CONFIG,
+  SEVERITY_CONFIG,
+  getDeficiencyStatusConfig,
+  getSeverityConfig,
+  isDeficiencyOpen,
+  isDeficiencyOverdue,
+  compareDeficiencies,
+} from '../config/deficiencies';
+
+const STATUS_FILTERS = [
+  { key: 'unresolved', label: 'Unresolved' },
+  ...Object.values(DEFICIENCY_STATUS_CONFIG).map(config => ({ key: config.status, label: config.label })),
+  { key: 'all', label: 'All' },
+];
+
+/**
+ * DeficienciesView - Follow-up list for failed inspection items
+ *
+ * Shows the current workspace's deficiencies with severity, assignee, due date
+ * and status. Edits go through `onUpdate(deficiency, updates)`; resolving takes
+ * a note and an optional photo via `onResolve(deficiency, { note, photo })`,
+ * which returns true on success.
+ */
+const DeficienciesView = ({ deficiencies, buildings, onUpdate, onResolve }) => {
+  const navigate = useNavigate();
+  const [statusFilter, setStatusFilter] = useState('unresolved');
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [buildingFilter, setBuildingFilter] = useState('all');
+  const [resolvingId, setResolvingId] = useState(null);
+  const [resolveNote, setResolveNote] = useState('');
+  const [resolvePhoto, setResolvePhoto] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const rows = useMemo(() => deficiencies
+    .filter(d => {
+      if (statusFilter === 'unresolved') return isDeficiencyOpen(d);
+      return statusFilter === 'all' || d.status === statusFilter;
+    })
+    .filter(d => severityFilter === 'all' || d.severity === severityFilter)
+    .filter(d => buildingFilter === 'all' || d.section === buildingFilter)
+    .sort(compareDeficiencies), [deficiencies, statusFilter, severityFilter, buildingFilter]);
+
+  const unresolvedCount = deficiencies.filter(isDeficiencyOpen).length;
+  const overdueCount = deficiencies.filter(d => isDeficiencyOverdue(d)).length;
+
+  const startResolve = (deficiency) => {
+    setResolvingId(deficiency.id);
+    setResolveNote('');
+    setResolvePhoto(null);
+  };
+
+  const submitResolve = async (deficiency) => {
+    if (!resolveNote.trim()) {
+      alert('Describe the corrective action before resolving.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const resolved = await onResolve(deficiency, { note: resolveNote.trim(), photo: resolvePhoto });
+      if (resolved) setResolvingId(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <AlertTriangle size={22} />
+          Deficiencies
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {STATUS_FILTERS.map(f => (
+              <option key={f.key} value={f.key}>{f.label}</option>
+            ))}
+          </select>
+          <select
+            value={severityFilter}
+            onChange={(e) => setSeverityFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Severities</option>
+            {Object.values(SEVERITY_CONFIG).map(config => (
+              <option key={config.severity} value={config.severity}>{config.label}</option>
+            ))}
+          </select>
+          <select
+            value={buildingFilter}
+            onChange={(e) => setBuildingFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Buildings</option>
+            {buildings.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <p className="text-sm text-gray-600">
+          {unresolvedCount} unresolved{overdueCount > 0 && <span className="text-red-600 font-medium"> · {overdueCount} overdue</span>} · {rows.length} shown
+        </p>
+
+        {rows.length === 0 && (
+          <p className="text-sm text-gray-500">No deficiencies match these filters.</p>
+        )}
+
+        {rows.map(deficiency => {
+          const statusConfig = getDeficiencyStatusConfig(deficiency.status);
+          const severityConfig = getSeverityConfig(deficiency.severity);
+          const open = isDeficiencyOpen(deficiency);
+          const overdue = isDeficiencyOverdue(deficiency);
+          return (
+            <div
+              key={deficiency.id}
+              className={`border rounded-lg p-3 text-sm text-gray-800 ${overdue ? 'border-red-400 bg-red-50' : 'border-gray-200'}`}
+            >
+              <div className="flex flex-wrap justify-between gap-2">
+                <div>
+                  <button
+                    onClick={() => navigate(`/app/extinguisher/${encodeURIComponent(deficiency.assetId)}`)}
+                    className="font-semibold text-blue-700 hover:underline"
+                  >
+                    {deficiency.assetId}
+                  </button>
+                  <span className="text-gray-500"> · {deficiency.section}</span>
+                  <div className="font-medium mt-1">{deficiency.itemLabel}</div>
+                  {deficiency.description && <div className="text-gray-600">{deficiency.description}</div>}
+                  {deficiency.photoUrl && (
+                    <a href={deficiency.photoUrl} target="_blank" rel="noreferrer" className="text-xs text-blue-600 underline">
+                      Inspection photo
+                    </a>
+                  )}
+                  <div className="text-xs text-gray-500 mt-1">
+                    Opened {new Date(deficiency.openedAt).toLocaleDateString()}{deficiency.openedBy ? ` by ${deficiency.openedBy}` : ''}
+                    {deficiency.carriedOver?.length > 0 && ` · carried over ${deficiency.carriedOver.length}×`}
+                  </div>
+                </div>
+                <div className="flex items-start gap-2">
+                  <span className={`px-2 py-0.5 rounded text-xs ${severityConfig.badgeClass}`}>{severityConfig.label}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs ${statusConfig.badgeClass}`}>{statusConfig.label}</span>
+                  {overdue && <span className="px-2 py-0.5 rounded text-xs bg-red-600 text-white">Overdue</span>}
+                </div>
+              </div>
+
+              {open ? (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-3">
+                  <select
+                    value={deficiency.severity}
+                    onChange={(e) => onUpdate(deficiency, { severity: e.target.value })}
+                    className="p-1 border border-gray-300 rounded"
+                    title="Severity"
+                  >
+                    {Object.values(SEVERITY_CONFIG).map(config => (
+                      <option key={config.severity} value={config.severity}>{config.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    defaultValue={deficiency.assignee || ''}
+                    onBlur={(e) => {
+                      if (e.target.value.trim() !== (deficiency.assignee || '')) onUpdate(deficiency, { assignee: e.target.value.trim() });
+                    }}
+                    placeholder="Assignee"
+                    className="p-1 border border-gray-300 rounded"
+                  />
+                  <input
+                    type="date"
+                    value={deficiency.dueDate || ''}
+                    onChange={(e) => onUpdate(deficiency, { dueDate: e.target.value })}
+                    className="p-1 border border-gray-300 rounded"
+                    title="Due date"
+                  />
+                  <select
+                    value={deficiency.status}
+                    onChange={(e) => {
+                      if (e.target.value === DEFICIENCY_STATUSES.RESOLVED) startResolve(deficiency);
+                      else onUpdate(deficiency, { status: e.target.value });
+                    }}
+                    className="p-1 border border-gray-300 rounded"
+                    title="Status"
+                  >
+                    {Object.values(DEFICIENCY_STATUS_CONFIG).map(config => (
+                      <option key={config.status} value={config.status}>{config.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div className="mt-2 p-2 bg-green-50 rounded text-green-900">
+                  <div className="flex items-center gap-1 font-medium">
+                    <CheckCircle size={14} />
+                    Resolved {deficiency.resolution?.resolvedAt ? new Date(deficiency.resolution.resolvedAt).toLocaleDateString() : ''}
+                    {deficiency.resolution?.resolvedBy ? ` by ${deficiency.resolution.resolvedBy}` : ''}
+                  </div>
+                  {deficiency.resolution?.note && <div>{deficiency.resolution.note}</div>}
+                  {deficiency.resolution?.photoUrl && (
+                    <a href={deficiency.resolution.photoUrl} target="_blank" rel="noreferrer" className="text-xs text-blue-600 underline">
+                      Corrective action photo
+                    </a>
+                  )}
+                </div>
+              )}
+
+              {resolvingId === deficiency.id && (
+                <div className="mt-3 p-3 bg-gray-50 rounded border border-gray-200 space-y-2">
+                  <textarea
+                    value={resolveNote}
+                    onChange={(e) => setResolveNote(e.target.value)}
+                    rows={2}
+                    placeholder="Corrective action taken (required)"
+                    className="w-full p-2 border border-gray-300 rounded"
+                  />
+                  <div className="flex flex-wrap items-center gap-2">
+                    <label className="px-3 py-1 border rounded cursor-pointer bg-white">
+                      <span>{resolvePhoto ? resolvePhoto.name : 'Add Photo'}</span>
+                      <input type="file" accept="image/*" capture="environment" className="hidden" onChange={(e) => setResolvePhoto(e.target.files?.[0] || null)} />
+                    </label>
+                    <button
+                      onClick={() => submitResolve(deficiency)}
+                      disabled={saving}
+                      className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving…' : 'Resolve'}
+                    </button>
+                    <button onClick={() => setResolvingId(null)} className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DeficienciesView;
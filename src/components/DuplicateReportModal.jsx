@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { findDuplicateGroups, suggestAssetId } from '../config/assetIds';
+
+/**
+ * DuplicateReportModal - Lists records that share an asset ID or serial number
+ *
+ * Asset ID conflicts can be resolved by merging the group into one record
+ * (`onMerge(keep, duplicates)`) or by renumbering a record
+ * (`onRenumber(item, newAssetId)`). Serial duplicates are informational.
+ */
+const DuplicateReportModal = ({ extinguishers, onMerge, onRenumber, onClose }) => {
+  const [busy, setBusy] = useState(false);
+  const [renumbering, setRenumbering] = useState(null);
+  const [newAssetId, setNewAssetId] = useState('');
+  const { assetIdGroups, serialGroups } = findDuplicateGroups(extinguishers);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startRenumber = (item) => {
+    setRenumbering(item.id);
+    setNewAssetId(suggestAssetId(extinguishers, item.assetId));
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full my-8 text-gray-900 max-h-[85vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Duplicate Report</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto flex-1 space-y-6">
+          <section>
+            <h4 className="font-semibold mb-2">Duplicate Asset IDs ({assetIdGroups.length})</h4>
+            {assetIdGroups.length === 0 ? (
+              <p className="text-sm text-gray-500">Every asset ID in this workspace is unique.</p>
+            ) : (
+              <div className="space-y-3">
+                {assetIdGroups.map(group => (
+                  <div key={group.key} className="border border-red-200 rounded-lg p-3 bg-red-50">
+                    <div className="font-semibold text-red-800 mb-2">{group.key} — {group.items.length} records</div>
+                    <div className="space-y-2">
+                      {group.items.map(item => (
+                        <div key={item.id} className="bg-white rounded border border-gray-200 p-2 text-sm">
+                          <div className="flex flex-wrap justify-between gap-2">
+                            <div>
+                              <div className="font-medium">{item.assetId} • {item.section || 'No section'}</div>
+                              <div className="text-xs text-gray-500">
+                                SN {item.serial || 'N/A'}
+                                {item.vicinity ? ` • ${item.vicinity}` : ''}
+                                {` • ${item.status || 'pending'} • checked ${formatDate(item.checkedDate)}`}
+                              </div>
+                            </div>
+                            <div className="flex gap-2 items-start">
+                              <button
+                                disabled={busy}
+                                onClick={() => run(() => onMerge(item, group.items.filter(other => other.id !== item.id)))}
+                                className="px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-50"
+                                title="Keep this record and merge the others into it"
+                              >
+                                Keep &amp; Merge
+                              </button>
+                              <button
+                                disabled={busy}
+                                onClick={() => startRenumber(item)}
+                                className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-xs hover:bg-gray-300 disabled:opacity-50"
+                              >
+                                Renumber
+                              </button>
+                            </div>
+                          </div>
+                          {renumbering === item.id && (
+                            <div className="flex gap-2 mt-2">
+                              <input
+                                type="text"
+                                value={newAssetId}
+                                onChange={(e) => setNewAssetId(e.target.value)}
+                                className="flex-1 p-1 border border-gray-300 rounded"
+                              />
+                              <button
+                                disabled={busy || !newAssetId.trim()}
+                                onClick={() => run(async () => {
+                                  const saved = await onRenumber(item, newAssetId.trim());
+                                  if (saved) setRenumbering(null);
+                                })}
+                                className="px-2 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700 disabled:opacity-50"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setRenumbering(null)}
+                                className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-xs hover:bg-gray-300"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h4 className="font-semibold mb-2">Duplicate Serial Numbers ({serialGroups.length})</h4>
+            {serialGroups.length === 0 ? (
+              <p className="text-sm text-gray-500">No serial number is used more than once.</p>
+            ) : (
+              <div className="space-y-2">
+                {serialGroups.map(group => (
+                  <div key={group.key} className="border border-amber-200 rounded-lg p-3 bg-amber-50 text-sm">
+                    <div className="font-semibold text-amber-800">SN {group.key}</div>
+                    <div className="text-gray-700">
+                      {group.items.map(item => `${item.assetId} (${item.section || 'No section'})`).join(', ')}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReportModal;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { TYPE_CONFIG, getServiceIntervals } from '../config/extinguisherTypes';
+
+/**
+ * ExtinguisherAttributesFields - Type/agent, size, UL rating and manufacturer/model inputs
+ *
+ * Shared by the Add and Edit modals. `value` is the item being edited and
+ * `onChange` receives the updated item.
+ */
+const ExtinguisherAttributesFields = ({ value, onChange }) => {
+  const intervals = getServiceIntervals(value.extinguisherType);
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="md:col-span-2">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Type / Agent</label>
+        <select
+          value={value.extinguisherType || ''}
+          onChange={(e) => update('extinguisherType', e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Unknown</option>
+          {Object.values(TYPE_CONFIG).map(config => (
+            <option key={config.type} value={config.type}>{config.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          Hydro test every {intervals.hydro} years
+          {intervals.sixYear ? `, 6-year maintenance every ${intervals.sixYear} years` : ', no 6-year maintenance'}
+          {!value.extinguisherType && ' (assumed dry chemical)'}
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Size (lbs)</label>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={value.sizeLbs ?? ''}
+          onChange={(e) => update('sizeLbs', e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+          placeholder="e.g., 10"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">UL Rating</label>
+        <input
+          type="text"
+          value={value.ulRating || ''}
+          onChange={(e) => update('ulRating', e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+          placeholder="e.g., 4-A:80-B:C"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Manufacturer</label>
+        <input
+          type="text"
+          value={value.manufacturer || ''}
+          onChange={(e) => update('manufacturer', e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+          placeholder="e.g., Amerex"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Model</label>
+        <input
+          type="text"
+          value={value.model || ''}
+          onChange={(e) => update('model', e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+          placeholder="e.g., B500"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ExtinguisherAttributesFields;
@@ -1,6 +1,17 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, MapPin, Calendar, CheckCircle, XCircle, Circle, Image as ImageIcon, ChevronDown, ChevronUp, ExternalLink, RotateCcw } from 'lucide-react';
+import { ArrowLeft, MapPin, Calendar, CheckCircle, XCircle, Circle, Image as ImageIcon, ChevronDown, ChevronUp, ExternalLink, RotateCcw, Wrench, AlertTriangle } from 'lucide-react';
+import { MAINTENANCE_CONFIG, computeMaintenanceDueDates, getDueStatus } from '../config/maintenance';
+import { getTypeLabel } from '../config/extinguisherTypes';
+import { getAnnualChecklistLabel, isAnnualMaintenanceRecord } from '../config/annualMaintenance';
+import { indexLocations, getLocationLabel } from '../config/locations';
+import { CHECKLIST_ANSWERS, CHECKLIST_ANSWER_LABELS, resolveTemplateSections, getTemplateItems, getChecklistItemLabel } from '../config/checklistTemplates';
+import { LIFECYCLE_STATES, getLifecycleConfig, getLifecycleState, getDaysOut } from '../config/lifecycle';
+import { getDeficienciesForItem, getDeficiencyStatusConfig, getSeverityConfig, isDeficiencyOpen, isDeficiencyOverdue, compareDeficiencies } from '../config/deficiencies';
+import { buildInspectionChains, isReinspection, formatCorrectionTime } from '../config/reinspection';
+import { computeInspectionSchedule, getFrequencyConfig } from '../config/inspectionFrequency';
+import { getHistoryExtinguisherIds } from '../config/inspectionRecords';
+import { ChangeLogEntries } from './ChangeLogView';
 
 /**
  * ExtinguisherDetailView - Full-page view showing all information about a fire extinguisher
@@ -10,15 +21,46 @@ import { ArrowLeft, MapPin, Calendar, CheckCircle, XCircle, Circle, Image as Ima
  * - Complete inspection history with photos
  * - Asset details prominently displayed
  * - Navigation from main list and section detail
+ * - Recall banner when the unit matches an imported recall list
+ * - Open deficiencies from failed inspections
+ * - Failure → corrective action → re-inspection chains
+ * - Change log (loaded on demand through `onLoadChangeLog(extinguisher)`)
+ *
+ * Inspection history comes from `onSubscribeHistory(extinguisher, callback)`,
+ * which calls back with the unit's records (oldest first) and returns an
+ * unsubscribe function.
  */
-const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
+const ExtinguisherDetailView = ({ extinguishers, onReplace, onChangeLifecycle, onStartSwap, onReturnOriginal, recalls = [], buildings = [], floors = [], rooms = [], checklistTemplates = [], deficiencies = [], onReinspect, onLoadChangeLog, onSubscribeHistory }) => {
   const { assetId } = useParams();
   const navigate = useNavigate();
   const [showAllPhotos, setShowAllPhotos] = useState(false);
   const [expandedInspection, setExpandedInspection] = useState(null);
+  const [expandedMaintenance, setExpandedMaintenance] = useState(null);
+  const [changeLog, setChangeLog] = useState(null);
+  const [loadingChangeLog, setLoadingChangeLog] = useState(false);
 
   // Find the extinguisher by assetId
   const extinguisher = extinguishers.find(e => e.assetId === assetId);
+  const sameIdCount = extinguishers.filter(e => e.assetId === assetId).length;
+  const [inspectionHistory, setInspectionHistory] = useState([]);
+
+  // Re-subscribe when the unit's document ids or its replacement cutoff change,
+  // not on every render; the latest unit and subscriber are read through refs
+  const extinguisherRef = useRef(extinguisher);
+  extinguisherRef.current = extinguisher;
+  const subscribeRef = useRef(onSubscribeHistory);
+  subscribeRef.current = onSubscribeHistory;
+  const historyKey = extinguisher
+    ? [...getHistoryExtinguisherIds(extinguisher), extinguisher.replacedFrom?.replacedAt, extinguisher.inspectionHistory?.length].join('|')
+    : '';
+  useEffect(() => {
+    const unit = extinguisherRef.current;
+    if (!unit || !subscribeRef.current) {
+      setInspectionHistory(unit?.inspectionHistory || []);
+      return undefined;
+    }
+    return subscribeRef.current(unit, setInspectionHistory);
+  }, [historyKey]);
 
   if (!extinguisher) {
     return (
@@ -49,6 +91,10 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
 
   const currentStatus = getStatusDisplay(extinguisher.status);
   const StatusIcon = currentStatus.icon;
+  const lifecycle = getLifecycleConfig(getLifecycleState(extinguisher));
+  const lifecycleHistory = [...(extinguisher.lifecycleHistory || [])].sort((a, b) =>
+    new Date(b.date) - new Date(a.date)
+  );
 
   // Prepare photos for optimized loading
   const mainPhoto = extinguisher.photos && extinguisher.photos.length > 0
@@ -63,10 +109,14 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
     : [];
 
   // Get all inspection photos from history
-  const inspectionHistory = extinguisher.inspectionHistory || [];
-  const sortedHistory = [...inspectionHistory].sort((a, b) =>
-    new Date(b.date) - new Date(a.date)
-  );
+  const withHistory = { ...extinguisher, inspectionHistory };
+  const sortedHistory = inspectionHistory
+    .filter(h => !isAnnualMaintenanceRecord(h))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  // Annual maintenance records are shown separately from monthly inspections
+  const maintenanceHistory = inspectionHistory
+    .filter(isAnnualMaintenanceRecord)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
 
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -81,8 +131,54 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
     });
   };
 
+  // [key, label, value] rows in the order of the template version the inspection used
+  const getInspectionChecklistRows = (inspection) => {
+    const sections = resolveTemplateSections(checklistTemplates, inspection.checklistTemplateId, inspection.checklistTemplateVersion);
+    const order = getTemplateItems(sections).map(item => item.key);
+    const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+    return Object.entries(inspection.checklistData)
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([key, value]) => [key, getChecklistItemLabel(sections, key), value]);
+  };
+
+  // Failure chains keyed by the failed inspection's date
+  const chainsByFailure = new Map(buildInspectionChains(withHistory).map(chain => [chain.failure.date, chain]));
+
+  const openDeficiencies = getDeficienciesForItem(deficiencies, extinguisher)
+    .filter(isDeficiencyOpen)
+    .sort(compareDeficiencies);
+
+  const formatDay = (date) => {
+    if (!date) return 'N/A';
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+
+  const inspectionSchedule = computeInspectionSchedule(extinguisher, buildings.find(b => b.id === extinguisher.buildingId));
+
+  // Next due dates for 6-year, hydro and annual maintenance
+  const maintenanceDue = computeMaintenanceDueDates(extinguisher);
+  const dueStatusColor = {
+    overdue: 'text-red-400',
+    'due-soon': 'text-amber-400',
+    ok: 'text-green-400',
+    unknown: 'text-gray-400'
+  };
+
   const totalPhotos = (extinguisher.photos?.length || 0) + inspectionHistory.filter(h => h.photoUrl).length;
 
+  const toggleChangeLog = async () => {
+    if (changeLog) {
+      setChangeLog(null);
+      return;
+    }
+    setLoadingChangeLog(true);
+    try {
+      setChangeLog(await onLoadChangeLog(extinguisher));
+    } finally {
+      setLoadingChangeLog(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-800 via-gray-900 to-black text-white p-4 pb-20">
       <div className="max-w-4xl mx-auto">
@@ -103,11 +199,35 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
               <div className="space-y-1 text-gray-300">
                 <p><span className="font-semibold">Serial:</span> {extinguisher.serial || 'N/A'}</p>
                 <p><span className="font-semibold">Section:</span> {extinguisher.section}</p>
+                <p>
+                  <span className="font-semibold">Type:</span> {getTypeLabel(extinguisher.extinguisherType) || 'Unknown'}
+                  {extinguisher.sizeLbs ? ` · ${extinguisher.sizeLbs} lbs` : ''}
+                  {extinguisher.ulRating ? ` · ${extinguisher.ulRating}` : ''}
+                </p>
+                {(extinguisher.manufacturer || extinguisher.model) && (
+                  <p>
+                    <span className="font-semibold">Make/Model:</span> {[extinguisher.manufacturer, extinguisher.model].filter(Boolean).join(' ')}
+                  </p>
+                )}
               </div>
             </div>
-            <div className={`${currentStatus.bg} ${currentStatus.color} px-4 py-2 rounded-lg flex items-center gap-2`}>
-              <StatusIcon size={24} />
-              <span className="font-bold">{currentStatus.label}</span>
+            <div className="flex flex-col items-end gap-2">
+              <div className={`${currentStatus.bg} ${currentStatus.color} px-4 py-2 rounded-lg flex items-center gap-2`}>
+                <StatusIcon size={24} />
+                <span className="font-bold">{currentStatus.label}</span>
+              </div>
+              <span className={`px-3 py-1 rounded text-xs font-semibold ${lifecycle.badgeClass}`}>
+                {lifecycle.label}
+              </span>
+              {onReinspect && extinguisher.status === 'fail' && (
+                <button
+                  onClick={() => onReinspect(extinguisher)}
+                  className="px-3 py-1 bg-orange-600 hover:bg-orange-700 rounded text-sm font-semibold flex items-center gap-1"
+                >
+                  <RotateCcw size={14} />
+                  Re-inspect
+                </button>
+              )}
             </div>
           </div>
 
@@ -121,6 +241,9 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
               {extinguisher.parentLocation && (
                 <p className="text-sm text-gray-400 ml-6">({extinguisher.parentLocation})</p>
               )}
+              {getLocationLabel(extinguisher, indexLocations(floors, rooms)) && (
+                <p className="text-sm text-purple-300 ml-6">{getLocationLabel(extinguisher, indexLocations(floors, rooms))}</p>
+              )}
             </div>
             <div>
               <p className="text-sm text-gray-400 mb-1">Last Checked</p>
@@ -128,6 +251,11 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
                 <Calendar size={16} />
                 {extinguisher.checkedDate ? formatDate(extinguisher.checkedDate) : 'Never'}
               </p>
+              <p className={`text-sm mt-1 ${inspectionSchedule.status === 'ok' ? 'text-gray-400' : inspectionSchedule.status === 'due-soon' ? 'text-amber-400' : 'text-red-400'}`}>
+                {getFrequencyConfig(inspectionSchedule.frequency).label} inspection{inspectionSchedule.inherited ? ' (building default)' : ''}
+                {' · '}
+                {inspectionSchedule.due ? `next due ${formatDay(inspectionSchedule.due)}` : 'due now'}
+              </p>
             </div>
           </div>
 
@@ -165,6 +293,166 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
           )}
         </div>
 
+        {/* Duplicate asset ID */}
+        {sameIdCount > 1 && (
+          <div className="bg-red-900/30 rounded-lg p-3 mb-4 border border-red-600 text-sm text-red-200 flex items-center gap-2">
+            <AlertTriangle size={18} />
+            {sameIdCount} records share asset ID {assetId}. Showing the one in {extinguisher.section}; resolve it in the Duplicate Report.
+          </div>
+        )}
+
+        {/* Recall */}
+        {extinguisher.recallIds?.length > 0 && (
+          <div className="bg-red-900/40 rounded-lg p-4 mb-4 border-2 border-red-600 flex flex-wrap justify-between items-center gap-3">
+            <div className="text-sm">
+              <p className="font-semibold text-red-300 flex items-center gap-2">
+                <AlertTriangle size={18} />
+                Manufacturer Recall
+              </p>
+              {extinguisher.recallIds.map(id => {
+                const recall = recalls.find(r => r.id === id);
+                return (
+                  <p key={id} className="text-gray-300">
+                    {recall ? recall.title : 'Recall record not found'}
+                    {recall?.notes ? ` — ${recall.notes}` : ''}
+                  </p>
+                );
+              })}
+            </div>
+            {onReplace && (
+              <button
+                onClick={() => onReplace(extinguisher)}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded font-semibold text-sm"
+              >
+                Replace Unit
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Open Deficiencies */}
+        {openDeficiencies.length > 0 && (
+          <div className="bg-orange-900/30 rounded-lg p-4 mb-4 border border-orange-600">
+            <div className="flex justify-between items-center mb-2">
+              <p className="font-semibold text-orange-300 flex items-center gap-2">
+                <AlertTriangle size={18} />
+                Open Deficiencies ({openDeficiencies.length})
+              </p>
+              <button
+                onClick={() => navigate('/app/deficiencies')}
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                Manage
+              </button>
+            </div>
+            <div className="space-y-2 text-sm">
+              {openDeficiencies.map(deficiency => {
+                const severity = getSeverityConfig(deficiency.severity);
+                const status = getDeficiencyStatusConfig(deficiency.status);
+                return (
+                  <div key={deficiency.id} className="flex flex-wrap justify-between gap-2 bg-black/20 rounded p-2">
+                    <div>
+                      <p className="text-gray-200">{deficiency.itemLabel}</p>
+                      {deficiency.description && <p className="text-gray-400 text-xs">{deficiency.description}</p>}
+                      <p className="text-gray-400 text-xs">
+                        {deficiency.assignee ? `Assigned to ${deficiency.assignee} · ` : 'Unassigned · '}
+                        <span className={isDeficiencyOverdue(deficiency) ? 'text-red-400 font-semibold' : ''}>
+                          due {deficiency.dueDate || 'N/A'}
+                        </span>
+                      </p>
+                    </div>
+                    <div className="flex items-start gap-1">
+                      <span className={`px-2 py-0.5 rounded text-xs ${severity.badgeClass}`}>{severity.label}</span>
+                      <span className={`px-2 py-0.5 rounded text-xs ${status.badgeClass}`}>{status.label}</span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Temporary Swap */}
+        {(extinguisher.swap || extinguisher.coveringFor) && (
+          <div className="bg-amber-900/30 rounded-lg p-4 mb-4 border border-amber-600 flex flex-wrap justify-between items-center gap-3">
+            <div className="text-sm">
+              {extinguisher.swap ? (
+                <>
+                  <p className="font-semibold text-amber-300">
+                    Out for service — covered by spare {extinguisher.swap.spareAssetId}
+                  </p>
+                  <p className="text-gray-300">
+                    {extinguisher.swap.reason} • out {getDaysOut(extinguisher.swap.startedAt)} days (since {formatDate(extinguisher.swap.startedAt)})
+                  </p>
+                </>
+              ) : (
+                <>
+                  <p className="font-semibold text-amber-300">
+                    Spare covering for {extinguisher.coveringFor.originalAssetId}
+                  </p>
+                  <p className="text-gray-300">
+                    Since {formatDate(extinguisher.coveringFor.startedAt)} ({getDaysOut(extinguisher.coveringFor.startedAt)} days)
+                  </p>
+                </>
+              )}
+            </div>
+            {onReturnOriginal && (
+              <button
+                onClick={() => onReturnOriginal(extinguisher)}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded font-semibold text-sm"
+              >
+                Return Original
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Maintenance Card */}
+        <div className="bg-gray-800/50 backdrop-blur rounded-lg p-6 mb-4 border border-gray-700">
+          <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+            <Wrench size={24} />
+            Maintenance
+          </h2>
+
+          {extinguisher.maintenanceNeedsReview && (
+            <div className="mb-4 p-3 rounded bg-amber-900/30 border border-amber-600 text-amber-300 text-sm flex items-start gap-2">
+              <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />
+              <span>
+                Dates need manual review. Original entry: "{extinguisher.manufactureYear}"
+              </span>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-400 mb-3">
+            Manufactured: <span className="text-gray-200">{extinguisher.manufactureDate || 'N/A'}</span>
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {Object.values(MAINTENANCE_CONFIG).map(config => {
+              const { last, due, notRequired } = maintenanceDue[config.type];
+              const status = getDueStatus(due);
+              if (notRequired) {
+                return (
+                  <div key={config.type} className="bg-gray-900/50 p-3 rounded">
+                    <p className="text-sm text-gray-400 mb-1">{config.label}</p>
+                    <p className="text-sm text-gray-500">Not required for this type</p>
+                  </div>
+                );
+              }
+              return (
+                <div key={config.type} className="bg-gray-900/50 p-3 rounded">
+                  <p className="text-sm text-gray-400 mb-1">{config.label}</p>
+                  <p className="text-sm">Last: {formatDay(last)}</p>
+                  <p className={`text-sm font-semibold ${dueStatusColor[status]}`}>
+                    Next due: {formatDay(due)}
+                    {status === 'overdue' && ' (OVERDUE)'}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
         {/* Photos Section - Optimized Loading */}
         <div className="bg-gray-800/50 backdrop-blur rounded-lg p-6 mb-4 border border-gray-700">
           <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
@@ -330,8 +618,38 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
                           <InspStatusIcon size={20} className={inspStatus.color} />
                           <span className={`font-bold ${inspStatus.color}`}>{inspStatus.label}</span>
                           <span className="text-gray-400 text-sm">• {formatDate(inspection.date)}</span>
+                          {isReinspection(inspection) && (
+                            <span className="px-2 py-0.5 rounded text-xs bg-orange-600 text-white">Re-inspection</span>
+                          )}
                         </div>
 
+                        {/* Re-inspection: link back to the failure and its correction */}
+                        {isReinspection(inspection) && (
+                          <div className="mb-2 text-sm text-gray-300 space-y-1">
+                            <p>Follow-up of failure on {formatDate(inspection.reinspectionOf)}</p>
+                            {inspection.correctiveAction?.note && (
+                              <p><span className="text-gray-400">Corrective action:</span> {inspection.correctiveAction.note}</p>
+                            )}
+                            {inspection.timeToCorrectionMs !== null && inspection.timeToCorrectionMs !== undefined && (
+                              <p className="text-green-400">Corrected in {formatCorrectionTime(inspection.timeToCorrectionMs)}</p>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Failure: where its correction stands */}
+                        {chainsByFailure.has(inspection.date) && (() => {
+                          const chain = chainsByFailure.get(inspection.date);
+                          return (
+                            <p className={`mb-2 text-sm ${chain.corrected ? 'text-green-400' : 'text-amber-400'}`}>
+                              {chain.corrected
+                                ? `Corrected — passed re-inspection ${formatDate(chain.correctedAt)} (${formatCorrectionTime(chain.timeToCorrectionMs)})`
+                                : chain.reinspections.length > 0
+                                  ? `Still failing after ${chain.reinspections.length} re-inspection${chain.reinspections.length !== 1 ? 's' : ''}`
+                                  : 'Awaiting re-inspection'}
+                            </p>
+                          );
+                        })()}
+
                         {inspection.notes && (
                           <p className="text-gray-300 text-sm mb-2">{inspection.notes}</p>
                         )}
@@ -372,6 +690,25 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
                           </div>
                         )}
 
+                        {/* Inspector signature */}
+                        {(inspection.signature || inspection.inspectorName) && (
+                          <div className="mt-2 flex items-center gap-3 text-xs text-gray-400">
+                            {inspection.signature?.url && (
+                              <a href={inspection.signature.url} target="_blank" rel="noreferrer">
+                                <img
+                                  src={inspection.signature.url}
+                                  alt="Inspector signature"
+                                  className="h-10 w-auto rounded bg-white px-1"
+                                />
+                              </a>
+                            )}
+                            <span>
+                              {inspection.signature ? 'Signed by' : 'Inspector:'} {inspection.signature?.name || inspection.inspectorName}
+                              {(inspection.signature?.certNumber || inspection.inspectorCertNumber) && ` (Cert #${inspection.signature?.certNumber || inspection.inspectorCertNumber})`}
+                            </span>
+                          </div>
+                        )}
+
                         {/* Checklist Data - Expandable */}
                         {inspection.checklistData && (
                           <div className="mt-2">
@@ -385,14 +722,28 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
 
                             {isExpanded && (
                               <div className="mt-2 bg-black/30 p-3 rounded text-sm space-y-1">
-                                {Object.entries(inspection.checklistData).map(([key, value]) => (
-                                  <div key={key} className="flex justify-between">
-                                    <span className="text-gray-300">
-                                      {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}:
-                                    </span>
-                                    <span className={value ? 'text-green-400' : 'text-red-400'}>
-                                      {value ? '✓ Pass' : '✗ Fail'}
-                                    </span>
+                                {getInspectionChecklistRows(inspection).map(([key, label, value]) => (
+                                  <div key={key}>
+                                    <div className="flex justify-between gap-2">
+                                      <span className="text-gray-300">{label}:</span>
+                                      <span className={
+                                        value === CHECKLIST_ANSWERS.PASS ? 'text-green-400'
+                                          : value === CHECKLIST_ANSWERS.FAIL ? 'text-red-400' : 'text-gray-400'
+                                      }>
+                                        {value === CHECKLIST_ANSWERS.PASS ? '✓ ' : value === CHECKLIST_ANSWERS.FAIL ? '✗ ' : ''}
+                                        {CHECKLIST_ANSWER_LABELS[value] || 'Not answered'}
+                                      </span>
+                                    </div>
+                                    {(inspection.checklistComments?.[key] || inspection.checklistPhotos?.[key]) && (
+                                      <div className="flex items-center gap-2 pl-3 text-xs text-gray-400">
+                                        {inspection.checklistComments?.[key] && <span>{inspection.checklistComments[key]}</span>}
+                                        {inspection.checklistPhotos?.[key] && (
+                                          <a href={inspection.checklistPhotos[key]} target="_blank" rel="noreferrer" className="text-blue-400 hover:text-blue-300">
+                                            Photo
+                                          </a>
+                                        )}
+                                      </div>
+                                    )}
                                   </div>
                                 ))}
                               </div>
@@ -408,6 +759,150 @@ const ExtinguisherDetailView = ({ extinguishers, onReplace }) => {
           )}
         </div>
 
+        {/* Annual Maintenance Records */}
+        <div className="bg-gray-800/50 backdrop-blur rounded-lg p-6 mt-4 border border-gray-700">
+          <h2 className="text-xl font-bold mb-4">Annual Maintenance Records ({maintenanceHistory.length})</h2>
+
+          {maintenanceHistory.length === 0 ? (
+            <p className="text-gray-400">No annual maintenance recorded</p>
+          ) : (
+            <div className="space-y-3">
+              {maintenanceHistory.map((record, index) => {
+                const passed = record.status === 'pass';
+                const isExpanded = expandedMaintenance === index;
+                const failedItems = Object.entries(record.checklistData || {}).filter(([, value]) => value === 'fail');
+
+                return (
+                  <div
+                    key={index}
+                    className={`${passed ? 'bg-green-900/30 border-green-400' : 'bg-red-900/30 border-red-400'} border rounded-lg p-4`}
+                  >
+                    <div className="flex items-center gap-2 mb-2">
+                      <Wrench size={20} className={passed ? 'text-green-400' : 'text-red-400'} />
+                      <span className={`font-bold ${passed ? 'text-green-400' : 'text-red-400'}`}>
+                        {passed ? 'COMPLETED' : 'FAILED'}
+                      </span>
+                      <span className="text-gray-400 text-sm">• {formatDate(record.date)}</span>
+                    </div>
+                    <p className="text-sm text-gray-300">
+                      Technician: {record.technicianName || record.inspector || 'N/A'}
+                      {record.technicianCertNumber && ` (Cert #${record.technicianCertNumber})`}
+                    </p>
+                    {failedItems.length > 0 && (
+                      <p className="text-sm text-red-300 mt-1">
+                        Failed: {failedItems.map(([key]) => getAnnualChecklistLabel(key)).join(', ')}
+                      </p>
+                    )}
+                    {record.notes && (
+                      <p className="text-gray-300 text-sm mt-1">{record.notes}</p>
+                    )}
+                    {record.photoUrl && (
+                      <a href={record.photoUrl} target="_blank" rel="noreferrer" className="inline-block mt-2">
+                        <img
+                          src={record.photoUrl}
+                          alt={`Maintenance photo from ${formatDate(record.date)}`}
+                          className="h-20 w-auto rounded border border-gray-600 hover:border-blue-400 transition-colors"
+                        />
+                      </a>
+                    )}
+                    {record.checklistData && (
+                      <div className="mt-2">
+                        <button
+                          onClick={() => setExpandedMaintenance(isExpanded ? null : index)}
+                          className="text-sm text-blue-400 hover:text-blue-300 flex items-center gap-1"
+                        >
+                          {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                          {isExpanded ? 'Hide' : 'View'} Maintenance Checklist
+                        </button>
+                        {isExpanded && (
+                          <div className="mt-2 bg-black/30 p-3 rounded text-sm space-y-1">
+                            {Object.entries(record.checklistData).map(([key, value]) => (
+                              <div key={key} className="flex justify-between gap-2">
+                                <span className="text-gray-300">{getAnnualChecklistLabel(key)}</span>
+                                <span className={value === 'pass' ? 'text-green-400' : 'text-red-400'}>
+                                  {value === 'pass' ? '✓ Pass' : '✗ Fail'}
+                                </span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Lifecycle History */}
+        <div className="bg-gray-800/50 backdrop-blur rounded-lg p-6 mt-4 border border-gray-700">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold">Lifecycle History ({lifecycleHistory.length})</h2>
+            <div className="flex gap-2">
+              {onStartSwap && getLifecycleState(extinguisher) === LIFECYCLE_STATES.IN_SERVICE && !extinguisher.coveringFor && (
+                <button
+                  onClick={() => onStartSwap(extinguisher)}
+                  className="px-3 py-2 bg-teal-600 hover:bg-teal-700 rounded text-sm font-semibold"
+                >
+                  Temporary Swap
+                </button>
+              )}
+              {onChangeLifecycle && !extinguisher.swap && !extinguisher.coveringFor && (
+                <button
+                  onClick={() => onChangeLifecycle(extinguisher)}
+                  className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm font-semibold"
+                >
+                  Change State
+                </button>
+              )}
+            </div>
+          </div>
+
+          {lifecycleHistory.length === 0 ? (
+            <p className="text-gray-400">In service since it was added</p>
+          ) : (
+            <div className="space-y-2">
+              {lifecycleHistory.map((entry, index) => (
+                <div key={index} className="bg-gray-900/50 p-3 rounded text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-gray-400">{getLifecycleConfig(entry.from).label}</span>
+                    <span className="text-gray-500">→</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${getLifecycleConfig(entry.to).badgeClass}`}>
+                      {getLifecycleConfig(entry.to).label}
+                    </span>
+                    <span className="text-gray-400">• {formatDate(entry.date)}</span>
+                  </div>
+                  {entry.reason && <p className="text-gray-300 mt-1">{entry.reason}</p>}
+                  {entry.changedBy && <p className="text-xs text-gray-500 mt-1">by {entry.changedBy}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Change Log */}
+        {onLoadChangeLog && (
+          <div className="bg-gray-800/50 backdrop-blur rounded-lg p-6 mb-4 border border-gray-700">
+            <div className="flex justify-between items-center">
+              <h2 className="text-xl font-bold">Change Log{changeLog ? ` (${changeLog.length})` : ''}</h2>
+              <button
+                onClick={toggleChangeLog}
+                disabled={loadingChangeLog}
+                className="text-sm text-blue-400 hover:text-blue-300 flex items-center gap-1 disabled:opacity-50"
+              >
+                {changeLog ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                {loadingChangeLog ? 'Loading…' : changeLog ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            {changeLog && (
+              <div className="mt-4">
+                <ChangeLogEntries entries={changeLog} dark />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Action Buttons */}
         {onReplace && (
           <div className="mt-6 pt-6 border-t border-gray-700">
@@ -0,0 +1,55 @@
+import React from 'react';
+import { getBuildingFloors, getFloorRooms } from '../config/locations';
+
+/**
+ * FloorRoomFields - Floor and room/zone selects for the Add and Edit modals
+ *
+ * Options come from the floors and rooms defined for `buildingId`. `onChange`
+ * receives `{ floorId, roomId }`; changing the floor clears the room.
+ */
+const FloorRoomFields = ({ buildingId, floors, rooms, value, onChange }) => {
+  const buildingFloors = getBuildingFloors(floors, buildingId);
+  const floorRooms = value.floorId ? getFloorRooms(rooms, buildingId, value.floorId) : [];
+
+  if (buildingFloors.length === 0) {
+    return (
+      <p className="text-xs text-gray-500">
+        No floors defined for this building. Add floors and rooms in Manage Buildings.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Floor</label>
+        <select
+          value={value.floorId || ''}
+          onChange={(e) => onChange({ floorId: e.target.value || null, roomId: null })}
+          className="w-full p-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Unassigned</option>
+          {buildingFloors.map(floor => (
+            <option key={floor.id} value={floor.id}>{floor.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Room / Zone</label>
+        <select
+          value={value.roomId || ''}
+          onChange={(e) => onChange({ floorId: value.floorId || null, roomId: e.target.value || null })}
+          disabled={!value.floorId}
+          className="w-full p-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+        >
+          <option value="">{value.floorId ? 'Unassigned' : 'Select a floor first'}</option>
+          {floorRooms.map(room => (
+            <option key={room.id} value={room.id}>{room.name}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default FloorRoomFields;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { FREQUENCY_CONFIG, getFrequencyConfig } from '../config/inspectionFrequency';
+
+/**
+ * InspectionFrequencyField - Weekly / monthly / quarterly select for one unit
+ *
+ * Shared by the Add and Edit modals. An empty value means the unit follows
+ * its building's frequency (`buildingFrequency`). `onChange` receives the
+ * selected frequency, or null for the building default.
+ */
+const InspectionFrequencyField = ({ value, buildingFrequency, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-1">Inspection Frequency</label>
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className="w-full p-2 border border-gray-300 rounded-lg"
+    >
+      <option value="">Building default ({getFrequencyConfig(buildingFrequency).label})</option>
+      {Object.values(FREQUENCY_CONFIG).map(config => (
+        <option key={config.value} value={config.value}>{config.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default InspectionFrequencyField;
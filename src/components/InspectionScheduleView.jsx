@@ -0,0 +1,228 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as XLSX from 'xlsx';
+import { CalendarClock, Download, RefreshCw } from 'lucide-react';
+import { FREQUENCY_CONFIG, computeInspectionSchedule, getFrequencyConfig } from '../config/inspectionFrequency';
+import { toDateString } from '../config/maintenance';
+import { isInService } from '../config/lifecycle';
+import { useLatestCallback } from '../hooks/useLatestCallback';
+
+const VIEWS = [
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'due-soon', label: 'Due Soon' },
+  { key: 'all', label: 'All Units' },
+];
+
+const STATUS_STYLES = {
+  never: 'text-red-700',
+  overdue: 'text-red-700',
+  'due-soon': 'text-amber-700',
+  ok: 'text-green-700',
+};
+
+// The same physical unit exists once per workspace. Only the newest workspace's
+// units are scheduled (a unit removed since is gone); each takes the latest
+// inspection found on it or on the earlier copies it came from.
+const mergeUnits = (list, latestWorkspaceId) => {
+  const byId = new Map(list.map(item => [item.id, item]));
+  const current = latestWorkspaceId ? list.filter(item => item.workspaceId === latestWorkspaceId) : list;
+  return current.map(item => {
+    const lineage = [item, ...(item.previousExtinguisherIds || []).map(id => byId.get(id)).filter(Boolean)];
+    const lastInspectedAt = lineage.flatMap(unit => [unit.lastInspectedAt, unit.checkedDate])
+      .filter(Boolean).sort().pop() || null;
+    return { ...item, lastInspectedAt };
+  });
+};
+
+const describeDue = ({ status, daysUntilDue }) => {
+  if (status === 'never') return 'Never inspected';
+  if (daysUntilDue < 0) return `${-daysUntilDue} day${daysUntilDue !== -1 ? 's' : ''} overdue`;
+  if (daysUntilDue === 0) return 'Due today';
+  return `Due in ${daysUntilDue} day${daysUntilDue !== 1 ? 's' : ''}`;
+};
+
+/**
+ * InspectionScheduleView - Overdue and due-soon inspections across all workspaces
+ *
+ * Loads every extinguisher in the account, computes each in-service unit's
+ * next due date from its last inspection and its weekly / monthly / quarterly
+ * frequency (the unit's own, else its building's), and exports the list to
+ * Excel. `buildings` are the building records, which carry the building-level
+ * frequency; `workspaces` decide which copy of each unit is current.
+ */
+const InspectionScheduleView = ({ loadExtinguishers, buildings, workspaces = [] }) => {
+  const navigate = useNavigate();
+  const [units, setUnits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('overdue');
+  const [buildingFilter, setBuildingFilter] = useState('all');
+  const [frequencyFilter, setFrequencyFilter] = useState('all');
+
+  const latestWorkspaceId = useMemo(
+    () => [...workspaces].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')).pop()?.id || null,
+    [workspaces]
+  );
+  const load = useLatestCallback(loadExtinguishers);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await load();
+      setUnits(mergeUnits(list, latestWorkspaceId));
+    } catch (error) {
+      console.error('Error loading inspection schedule:', error);
+      alert('Error loading inspection schedule. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [load, latestWorkspaceId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, buildings.length]);
+
+  const rows = useMemo(() => {
+    const now = new Date();
+    const buildingsById = new Map(buildings.map(b => [b.id, b]));
+    return units
+      .filter(isInService)
+      .filter(u => buildingFilter === 'all' || u.section === buildingFilter)
+      .map(unit => ({ unit, schedule: computeInspectionSchedule(unit, buildingsById.get(unit.buildingId), now) }))
+      .filter(({ schedule }) => frequencyFilter === 'all' || schedule.frequency === frequencyFilter)
+      // Never-inspected units first, then by due date
+      .sort((a, b) => (a.schedule.due ? a.schedule.due.getTime() : -Infinity) - (b.schedule.due ? b.schedule.due.getTime() : -Infinity)
+        || (a.unit.section || '').localeCompare(b.unit.section || ''));
+  }, [units, buildings, buildingFilter, frequencyFilter]);
+
+  const counts = useMemo(() => ({
+    overdue: rows.filter(({ schedule }) => schedule.status === 'overdue' || schedule.status === 'never').length,
+    'due-soon': rows.filter(({ schedule }) => schedule.status === 'due-soon').length,
+    all: rows.length,
+  }), [rows]);
+
+  const visibleRows = rows.filter(({ schedule }) => {
+    if (view === 'overdue') return schedule.status === 'overdue' || schedule.status === 'never';
+    if (view === 'due-soon') return schedule.status === 'due-soon';
+    return true;
+  });
+
+  const exportSchedule = () => {
+    if (visibleRows.length === 0) {
+      alert('No units to export.');
+      return;
+    }
+    const data = visibleRows.map(({ unit, schedule }) => ({
+      'Asset ID': unit.assetId,
+      'Serial': unit.serial || '',
+      'Building': unit.section,
+      'Vicinity': unit.vicinity || '',
+      'Frequency': getFrequencyConfig(schedule.frequency).label,
+      'Frequency Set On': schedule.inherited ? 'Building' : 'Unit',
+      'Last Inspected': schedule.last ? toDateString(schedule.last) : '',
+      'Next Due': schedule.due ? toDateString(schedule.due) : '',
+      'Status': describeDue(schedule)
+    }));
+    const ws = XLSX.utils.json_to_sheet(data);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Inspection Schedule');
+    const viewLabel = VIEWS.find(v => v.key === view).label.replace(/\s+/g, '_');
+    XLSX.writeFile(wb, `Inspection_Schedule_${viewLabel}_${toDateString(new Date())}.xlsx`);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <CalendarClock size={22} />
+          Inspection Schedule
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={buildingFilter}
+            onChange={(e) => setBuildingFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Buildings</option>
+            {buildings.map(building => (
+              <option key={building.id} value={building.name}>{building.name}</option>
+            ))}
+          </select>
+          <select
+            value={frequencyFilter}
+            onChange={(e) => setFrequencyFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Frequencies</option>
+            {Object.values(FREQUENCY_CONFIG).map(config => (
+              <option key={config.value} value={config.value}>{config.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={refresh}
+            className="px-3 py-2 border rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50"
+            title="Reload"
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+          <button
+            onClick={exportSchedule}
+            className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm flex items-center gap-1"
+          >
+            <Download size={16} />
+            Export
+          </button>
+        </div>
+      </div>
+
+      <div className="flex border-b">
+        {VIEWS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`flex-1 px-4 py-2 text-sm font-medium ${view === key ? 'border-b-2 border-blue-600 text-blue-700' : 'text-gray-600 hover:bg-gray-50'}`}
+          >
+            {label} ({counts[key]})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="p-6 text-gray-600">Loading inspection schedule…</div>
+      ) : (
+        <div className="p-4">
+          <p className="text-sm text-gray-600 mb-3">
+            {rows.length} in-service units across all workspaces
+          </p>
+          {visibleRows.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {view === 'overdue' ? 'No overdue inspections.' : view === 'due-soon' ? 'Nothing due soon.' : 'No units.'}
+            </p>
+          ) : (
+            <div className="divide-y border rounded-lg">
+              {visibleRows.map(({ unit, schedule }) => (
+                <button
+                  key={unit.id}
+                  onClick={() => navigate(`/app/extinguisher/${encodeURIComponent(unit.assetId)}`)}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-50 flex flex-wrap justify-between gap-2 text-sm text-gray-800"
+                >
+                  <span>
+                    <span className="font-semibold">{unit.assetId}</span>
+                    <span className="text-gray-500"> · {unit.section}{unit.vicinity ? ` · ${unit.vicinity}` : ''}</span>
+                  </span>
+                  <span className="text-gray-600">
+                    {getFrequencyConfig(schedule.frequency).label}{schedule.inherited ? ' (building)' : ''}
+                    {' · '}last {schedule.last ? toDateString(schedule.last) : 'never'}
+                    {schedule.due && ` · due ${toDateString(schedule.due)}`}
+                    {' · '}<span className={`font-medium ${STATUS_STYLES[schedule.status]}`}>{describeDue(schedule)}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InspectionScheduleView;
@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as XLSX from 'xlsx';
+import { Timer, Download, RefreshCw } from 'lucide-react';
+import { OPEN_METHOD_LABELS, TIMING_FLAG_LABELS, FAST_INSPECTION_SECONDS, SLOW_INSPECTION_MINUTES, summarizeInspectionTiming, getRecordInspector, getTimingFlags, formatDuration } from '../config/inspectionTiming';
+import { toDateString } from '../config/maintenance';
+import { useLatestCallback } from '../hooks/useLatestCallback';
+
+const averageRows = (groups, keyLabel) => groups.map(group => ({
+  [keyLabel]: group.key,
+  'Inspections': group.count,
+  'Avg Inspection': formatDuration(group.avgDurationMs),
+  'Avg Inspection (s)': group.avgDurationMs === null ? '' : Math.round(group.avgDurationMs / 1000),
+  'Avg Travel': formatDuration(group.avgTravelMs),
+  'Avg Travel (s)': group.avgTravelMs === null ? '' : Math.round(group.avgTravelMs / 1000),
+  'Flagged': group.flagged
+}));
+
+const AverageTable = ({ title, groups }) => (
+  <div>
+    <h3 className="font-semibold mb-2">{title}</h3>
+    {groups.length === 0 ? (
+      <p className="text-sm text-gray-500">No timed inspections.</p>
+    ) : (
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-3 font-medium">{title.replace('By ', '')}</th>
+              <th className="py-1 pr-3 font-medium text-right">Inspections</th>
+              <th className="py-1 pr-3 font-medium text-right">Avg inspection</th>
+              <th className="py-1 pr-3 font-medium text-right">Avg travel</th>
+              <th className="py-1 font-medium text-right">Flagged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(group => (
+              <tr key={group.key} className="border-b last:border-0">
+                <td className="py-1 pr-3">{group.key}</td>
+                <td className="py-1 pr-3 text-right">{group.count}</td>
+                <td className="py-1 pr-3 text-right">{formatDuration(group.avgDurationMs) || '—'}</td>
+                <td className="py-1 pr-3 text-right">{formatDuration(group.avgTravelMs) || '—'}</td>
+                <td className={`py-1 text-right ${group.flagged > 0 ? 'text-red-700 font-medium' : ''}`}>{group.flagged}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * InspectionTimingView - Per-unit inspection and travel times for the current workspace
+ *
+ * `loadRecords({ inspector, status, from, to })` resolves to the workspace's
+ * matching inspection records; those saved with timing are averaged per
+ * section and per inspector, and outliers (saved too fast, or left open too
+ * long) are listed for review.
+ */
+const InspectionTimingView = ({ loadRecords, workspaceLabel }) => {
+  const navigate = useNavigate();
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inspector, setInspector] = useState('');
+  const [status, setStatus] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  // Filters as last applied; editing the fields doesn't reload until Apply
+  const [filters, setFilters] = useState({});
+  const [inspectors, setInspectors] = useState([]);
+
+  const load = useLatestCallback(loadRecords);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await load(filters);
+      setRecords(result);
+      setInspectors(prev => [...new Set([...prev, ...result.map(record => record.inspector).filter(Boolean)])].sort());
+    } catch (error) {
+      console.error('Error loading inspection timing:', error);
+      alert('Error loading inspection timing. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [load, filters]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, workspaceLabel]);
+
+  const summary = useMemo(() => summarizeInspectionTiming(records), [records]);
+
+  const exportTiming = () => {
+    if (summary.timedCount === 0) {
+      alert('No timed inspections to export.');
+      return;
+    }
+    const timed = records.filter(record => typeof record.timing?.durationMs === 'number');
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(averageRows(summary.bySection, 'Section')), 'By Section');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(averageRows(summary.byInspector, 'Inspector')), 'By Inspector');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(timed.map(record => ({
+      'Date': new Date(record.date).toLocaleString(),
+      'Asset ID': record.assetId,
+      'Section': record.section || '',
+      'Inspector': getRecordInspector(record),
+      'Status': record.status,
+      'Opened By': OPEN_METHOD_LABELS[record.timing.openedVia] || '',
+      'Inspection (s)': Math.round(record.timing.durationMs / 1000),
+      'Travel (s)': typeof record.timing.travelMs === 'number' ? Math.round(record.timing.travelMs / 1000) : '',
+      'Flags': getTimingFlags(record.timing).map(flag => TIMING_FLAG_LABELS[flag]).join(', ')
+    }))), 'Inspections');
+    const label = (workspaceLabel || 'Workspace').replace(/[^a-zA-Z0-9_-]+/g, '_');
+    XLSX.writeFile(wb, `${label}_Inspection_Timing_${toDateString(new Date())}.xlsx`);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Timer size={22} />
+          Inspection Timing{workspaceLabel ? ` — ${workspaceLabel}` : ''}
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={inspector}
+            onChange={(e) => setInspector(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All Inspectors</option>
+            {inspectors.map(email => (
+              <option key={email} value={email}>{email}</option>
+            ))}
+          </select>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All Results</option>
+            <option value="pass">Pass</option>
+            <option value="fail">Fail</option>
+          </select>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+            title="From"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+            title="To"
+          />
+          <button
+            onClick={() => setFilters({ inspector, status, from, to })}
+            disabled={loading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Apply
+          </button>
+          <button
+            onClick={refresh}
+            className="px-3 py-2 border rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50"
+            title="Reload"
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+          <button
+            onClick={exportTiming}
+            className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm flex items-center gap-1"
+          >
+            <Download size={16} />
+            Export
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-6 text-gray-600">Loading inspection timing…</div>
+      ) : (
+        <div className="p-4 space-y-6">
+          <p className="text-sm text-gray-600">
+            {summary.timedCount} timed inspection{summary.timedCount !== 1 ? 's' : ''}
+            {summary.timedCount > 0 && ` · average ${formatDuration(summary.overall.avgDurationMs) || '—'} per unit, ${formatDuration(summary.overall.avgTravelMs) || '—'} between units`}.
+            {' '}Inspections saved in under {FAST_INSPECTION_SECONDS}s or open over {SLOW_INSPECTION_MINUTES} min are flagged and left out of the averages.
+          </p>
+
+          <AverageTable title="By Section" groups={summary.bySection} />
+          <AverageTable title="By Inspector" groups={summary.byInspector} />
+
+          <div>
+            <h3 className="font-semibold mb-2">Flagged Inspections ({summary.outliers.length})</h3>
+            {summary.outliers.length === 0 ? (
+              <p className="text-sm text-gray-500">No outliers.</p>
+            ) : (
+              <div className="divide-y border rounded-lg">
+                {summary.outliers.map(({ record, flags }) => (
+                  <button
+                    key={`${record.assetId}_${record.date}`}
+                    onClick={() => navigate(`/app/extinguisher/${encodeURIComponent(record.assetId)}`)}
+                    className="w-full text-left px-3 py-2 hover:bg-gray-50 flex flex-wrap justify-between gap-2 text-sm text-gray-800"
+                  >
+                    <span>
+                      <span className="font-semibold">{record.assetId}</span>
+                      <span className="text-gray-500"> · {record.section} · {getRecordInspector(record)} · {new Date(record.date).toLocaleString()}</span>
+                    </span>
+                    <span className="text-red-700 font-medium">
+                      {formatDuration(record.timing.durationMs)} · {flags.map(flag => TIMING_FLAG_LABELS[flag]).join(', ')}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InspectionTimingView;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { LIFECYCLE_CONFIG, LIFECYCLE_STATES, getLifecycleState, getLifecycleConfig } from '../config/lifecycle';
+import { toDateString } from '../config/maintenance';
+
+/**
+ * LifecycleModal - Change a unit's lifecycle state with a transition date and reason
+ *
+ * `onSave(item, nextState, { reason, date })` performs the write and resolves
+ * to true when it succeeded; the modal then closes itself through `onClose`,
+ * and stays open to try again otherwise.
+ */
+const LifecycleModal = ({ item, onSave, onClose }) => {
+  const currentState = getLifecycleState(item);
+  const [nextState, setNextState] = useState(
+    currentState === LIFECYCLE_STATES.IN_SERVICE ? LIFECYCLE_STATES.OUT_FOR_SERVICE : LIFECYCLE_STATES.IN_SERVICE
+  );
+  const [date, setDate] = useState(toDateString(new Date()));
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (nextState === currentState) {
+      alert(`This unit is already ${getLifecycleConfig(currentState).label.toLowerCase()}.`);
+      return;
+    }
+    if (!reason.trim()) {
+      alert('Please enter a reason for the change.');
+      return;
+    }
+    setSaving(true);
+    try {
+      // Keep the time of day when the transition is recorded for today
+      const isToday = date === toDateString(new Date());
+      const transitionDate = isToday ? new Date().toISOString() : new Date(`${date}T12:00:00`).toISOString();
+      const saved = await onSave(item, nextState, { reason: reason.trim(), date: transitionDate });
+      if (saved) onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full my-8 text-gray-900">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Change Lifecycle State</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Asset {item.assetId} is currently{' '}
+          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${getLifecycleConfig(currentState).badgeClass}`}>
+            {getLifecycleConfig(currentState).label}
+          </span>
+        </p>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">New State</label>
+            <select
+              value={nextState}
+              onChange={(e) => { setNextState(e.target.value); setReason(''); }}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            >
+              {Object.values(LIFECYCLE_CONFIG).map(config => (
+                <option key={config.state} value={config.state} disabled={config.state === currentState}>
+                  {config.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <input
+              type="text"
+              list="lifecycle-reasons"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+              placeholder="e.g., Recharge"
+            />
+            <datalist id="lifecycle-reasons">
+              {getLifecycleConfig(nextState).reasons.map(r => (
+                <option key={r} value={r} />
+              ))}
+            </datalist>
+          </div>
+
+          {nextState !== LIFECYCLE_STATES.IN_SERVICE && (
+            <p className="text-xs text-gray-500">
+              Units that are not in service are excluded from monthly completion counts.
+            </p>
+          )}
+        </div>
+
+        <div className="flex gap-2 mt-6">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LifecycleModal;
@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as XLSX from 'xlsx';
+import { Download, RefreshCw, Wrench } from 'lucide-react';
+import { MAINTENANCE_CONFIG, DUE_BUCKETS, computeMaintenanceDueDates, getDueBucket, toDateString } from '../config/maintenance';
+import { getTypeLabel } from '../config/extinguisherTypes';
+import { LIFECYCLE_STATES, getLifecycleState } from '../config/lifecycle';
+import { useLatestCallback } from '../hooks/useLatestCallback';
+
+const BUCKET_STYLES = {
+  overdue: 'bg-red-50 border-red-300 text-red-700',
+  thisMonth: 'bg-orange-50 border-orange-300 text-orange-700',
+  days30: 'bg-amber-50 border-amber-300 text-amber-700',
+  days60: 'bg-yellow-50 border-yellow-300 text-yellow-700',
+  days90: 'bg-blue-50 border-blue-300 text-blue-700',
+};
+
+// The same physical unit can exist once per workspace; keep the most recently touched record
+const dedupeUnits = (list) => {
+  const byUnit = new Map();
+  list.forEach(item => {
+    const key = `${item.buildingId}::${item.assetId}`;
+    const existing = byUnit.get(key);
+    const stamp = item.updatedAt || item.createdAt || '';
+    if (!existing || stamp > (existing.updatedAt || existing.createdAt || '')) {
+      byUnit.set(key, item);
+    }
+  });
+  return [...byUnit.values()];
+};
+
+/**
+ * MaintenanceDashboard - Upcoming hydro, 6-year and annual service across all buildings
+ *
+ * Loads every extinguisher in the account (all workspaces), groups them by
+ * maintenance type into overdue / this month / 30-60-90 day buckets, and
+ * exports the list to Excel.
+ */
+const MaintenanceDashboard = ({ loadExtinguishers, buildings }) => {
+  const navigate = useNavigate();
+  const [units, setUnits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [buildingFilter, setBuildingFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const load = useLatestCallback(loadExtinguishers);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await load();
+      setUnits(dedupeUnits(list));
+    } catch (error) {
+      console.error('Error loading maintenance data:', error);
+      alert('Error loading maintenance data. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [load]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, buildings.length]);
+
+  // rows: one per unit per maintenance type that falls in a bucket
+  const rows = useMemo(() => {
+    const now = new Date();
+    const result = [];
+    units
+      .filter(u => getLifecycleState(u) !== LIFECYCLE_STATES.RETIRED)
+      .filter(u => buildingFilter === 'all' || u.section === buildingFilter)
+      .forEach(unit => {
+        const dueDates = computeMaintenanceDueDates(unit);
+        Object.values(MAINTENANCE_CONFIG).forEach(config => {
+          if (typeFilter !== 'all' && typeFilter !== config.type) return;
+          const { last, due, notRequired } = dueDates[config.type];
+          if (notRequired) return;
+          const bucket = getDueBucket(due, now);
+          if (!bucket) return;
+          result.push({ unit, config, last, due, bucket });
+        });
+      });
+    return result.sort((a, b) => a.due - b.due);
+  }, [units, buildingFilter, typeFilter]);
+
+  const grouped = useMemo(() => {
+    const groups = {};
+    Object.values(MAINTENANCE_CONFIG).forEach(config => {
+      groups[config.type] = {};
+      DUE_BUCKETS.forEach(b => { groups[config.type][b.key] = []; });
+    });
+    rows.forEach(row => groups[row.config.type][row.bucket].push(row));
+    return groups;
+  }, [rows]);
+
+  const exportDue = () => {
+    if (rows.length === 0) {
+      alert('Nothing due in the next 90 days.');
+      return;
+    }
+    const bucketLabel = Object.fromEntries(DUE_BUCKETS.map(b => [b.key, b.label]));
+    const data = rows.map(({ unit, config, last, due, bucket }) => ({
+      'Maintenance': config.label,
+      'Status': bucketLabel[bucket],
+      'Due Date': toDateString(due),
+      'Last Performed': toDateString(last),
+      'Asset ID': unit.assetId,
+      'Serial': unit.serial || '',
+      'Building': unit.section,
+      'Vicinity': unit.vicinity || '',
+      'Type': getTypeLabel(unit.extinguisherType),
+      'Size (lbs)': unit.sizeLbs ?? '',
+      'Manufacture Date': unit.manufactureDate || ''
+    }));
+    const ws = XLSX.utils.json_to_sheet(data);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Maintenance Due');
+    const buildingLabel = buildingFilter === 'all' ? 'All_Buildings' : buildingFilter.replace(/[^a-zA-Z0-9_-]/g, '_');
+    XLSX.writeFile(wb, `Maintenance_Due_${buildingLabel}_${toDateString(new Date())}.xlsx`);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Wrench size={22} />
+          Maintenance Due
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={buildingFilter}
+            onChange={(e) => setBuildingFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Buildings</option>
+            {buildings.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Maintenance</option>
+            {Object.values(MAINTENANCE_CONFIG).map(config => (
+              <option key={config.type} value={config.type}>{config.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={refresh}
+            className="px-3 py-2 border rounded-lg text-sm flex items-center gap-1 hover:bg-gray-50"
+            title="Reload"
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+          <button
+            onClick={exportDue}
+            className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm flex items-center gap-1"
+          >
+            <Download size={16} />
+            Export
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-6 text-gray-600">Loading maintenance data…</div>
+      ) : (
+        <div className="p-4 space-y-6">
+          <p className="text-sm text-gray-600">
+            {units.length} units across all workspaces · {rows.length} services due in the next 90 days
+          </p>
+
+          {Object.values(MAINTENANCE_CONFIG)
+            .filter(config => typeFilter === 'all' || typeFilter === config.type)
+            .map(config => (
+              <div key={config.type}>
+                <h3 className="text-lg font-semibold mb-2">{config.label}</h3>
+                <div className="space-y-3">
+                  {DUE_BUCKETS.map(bucket => {
+                    const bucketRows = grouped[config.type][bucket.key];
+                    if (bucketRows.length === 0) return null;
+                    return (
+                      <div key={bucket.key} className={`border rounded-lg ${BUCKET_STYLES[bucket.key]}`}>
+                        <div className="px-3 py-2 font-medium">
+                          {bucket.label} ({bucketRows.length})
+                        </div>
+                        <div className="bg-white divide-y">
+                          {bucketRows.map(({ unit, due }) => (
+                            <button
+                              key={`${unit.id}-${config.type}`}
+                              onClick={() => navigate(`/app/extinguisher/${encodeURIComponent(unit.assetId)}`)}
+                              className="w-full text-left px-3 py-2 hover:bg-gray-50 flex flex-wrap justify-between gap-2 text-sm text-gray-800"
+                            >
+                              <span>
+                                <span className="font-semibold">{unit.assetId}</span>
+                                <span className="text-gray-500"> · {unit.section}{unit.vicinity ? ` · ${unit.vicinity}` : ''}</span>
+                              </span>
+                              <span className="text-gray-600">
+                                {getTypeLabel(unit.extinguisherType) || 'Unknown type'} · due {toDateString(due)}
+                              </span>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                  {DUE_BUCKETS.every(bucket => grouped[config.type][bucket.key].length === 0) && (
+                    <p className="text-sm text-gray-500">Nothing due in the next 90 days.</p>
+                  )}
+                </div>
+              </div>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceDashboard;
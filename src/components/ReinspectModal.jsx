@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { CHECKLIST_ANSWERS, getChecklistItemLabel } from '../config/checklistTemplates';
+
+/**
+ * ReinspectModal - Re-check a failed unit after it has been fixed
+ *
+ * Shows the original failure and any corrective action already recorded on its
+ * deficiencies, and re-checks only the items that failed. `onSubmit(status,
+ * { answers, notes, correctiveNote, photo })` saves the re-inspection and
+ * returns true on success.
+ */
+const ReinspectModal = ({ item, failure, sections, correctiveActions = [], openDeficiencyCount = 0, onSubmit, onClose }) => {
+  const failedKeys = Object.entries(failure.checklistData || {})
+    .filter(([, value]) => value === CHECKLIST_ANSWERS.FAIL)
+    .map(([key]) => key);
+  const [answers, setAnswers] = useState(() => Object.fromEntries(failedKeys.map(key => [key, null])));
+  const [correctiveNote, setCorrectiveNote] = useState('');
+  const [notes, setNotes] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const anyFailed = Object.values(answers).includes(CHECKLIST_ANSWERS.FAIL);
+
+  const submit = async (status) => {
+    if (Object.values(answers).some(value => value === null)) {
+      alert('Re-check every item that failed before saving.');
+      return;
+    }
+    if (status === 'pass' && anyFailed) {
+      alert('An item still fails. Save the re-inspection as Fail instead.');
+      return;
+    }
+    if (status === 'pass' && correctiveActions.length === 0 && !correctiveNote.trim()) {
+      alert('Describe the corrective action taken before passing the re-inspection.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const saved = await onSubmit(status, { answers, notes: notes.trim(), correctiveNote: correctiveNote.trim(), photo });
+      if (saved) onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full text-gray-900 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Re-inspect {item.assetId}</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm">
+          <p className="font-semibold text-red-800">
+            Failed {new Date(failure.date).toLocaleString()}{failure.inspector ? ` by ${failure.inspector}` : ''}
+          </p>
+          {failedKeys.length > 0 ? (
+            <ul className="list-disc ml-5 text-red-900">
+              {failedKeys.map(key => (
+                <li key={key}>
+                  {getChecklistItemLabel(sections, key)}
+                  {failure.checklistComments?.[key] && <span className="text-red-700"> — {failure.checklistComments[key]}</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-red-900">{failure.notes || 'No checklist items recorded.'}</p>
+          )}
+        </div>
+
+        <div className="mb-4">
+          <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Corrective Action</h4>
+          {correctiveActions.map((action, index) => (
+            <p key={index} className="text-sm text-green-900 bg-green-50 rounded p-2 mb-1">
+              <span className="font-medium">{action.itemLabel}:</span> {action.note}
+              {action.resolvedAt && <span className="text-xs text-gray-500"> ({new Date(action.resolvedAt).toLocaleDateString()})</span>}
+            </p>
+          ))}
+          {openDeficiencyCount > 0 && (
+            <p className="text-xs text-amber-700 mb-1">
+              {openDeficiencyCount} deficienc{openDeficiencyCount === 1 ? 'y is' : 'ies are'} still open; a passing re-inspection resolves {openDeficiencyCount === 1 ? 'it' : 'them'} with the note below.
+            </p>
+          )}
+          <textarea
+            value={correctiveNote}
+            onChange={(e) => setCorrectiveNote(e.target.value)}
+            rows={2}
+            placeholder={correctiveActions.length > 0 ? 'Additional corrective action (optional)' : 'Corrective action taken'}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          />
+        </div>
+
+        {failedKeys.length > 0 && (
+          <div className="mb-4">
+            <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Re-check Failed Items</h4>
+            <div className="space-y-2">
+              {failedKeys.map(key => (
+                <div key={key} className="flex items-center justify-between text-sm">
+                  <span>{getChecklistItemLabel(sections, key)}</span>
+                  <div className="flex gap-3">
+                    <label className="flex items-center gap-1">
+                      <input type="radio" name={`reinspect_${key}`} checked={answers[key] === CHECKLIST_ANSWERS.PASS} onChange={() => setAnswers(a => ({ ...a, [key]: CHECKLIST_ANSWERS.PASS }))} />
+                      <span className="text-xs text-green-600">Pass</span>
+                    </label>
+                    <label className="flex items-center gap-1">
+                      <input type="radio" name={`reinspect_${key}`} checked={answers[key] === CHECKLIST_ANSWERS.FAIL} onChange={() => setAnswers(a => ({ ...a, [key]: CHECKLIST_ANSWERS.FAIL }))} />
+                      <span className="text-xs text-red-600">Fail</span>
+                    </label>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Re-inspection notes"
+          className="w-full p-2 border border-gray-300 rounded text-sm mb-2"
+        />
+        <label className="inline-block px-3 py-2 border rounded cursor-pointer bg-slate-50 text-sm">
+          <span>{photo ? photo.name : 'Add Photo'}</span>
+          <input type="file" accept="image/*" capture="environment" className="hidden" onChange={(e) => setPhoto(e.target.files?.[0] || null)} />
+        </label>
+
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={() => submit('fail')}
+            disabled={saving}
+            className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            Still Fails
+          </button>
+          <button
+            onClick={() => submit('pass')}
+            disabled={saving || anyFailed}
+            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Pass'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReinspectModal;
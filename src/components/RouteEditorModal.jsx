@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { X, ChevronUp, ChevronDown, GripVertical } from 'lucide-react';
+import { sortByRoute } from '../config/walkRoute';
+
+/**
+ * RouteEditorModal - Set the walking order for one section
+ *
+ * Units can be dragged into place (or moved with the arrows on touch screens).
+ * `onLoadPrevious()` resolves to a recorded route (asset IDs in the order they
+ * were inspected last month) or null; `onSave(assetIds)` returns true on success.
+ */
+const RouteEditorModal = ({ section, items, routeOrder, onLoadPrevious, onSave, onClose }) => {
+  const [ordered, setOrdered] = useState(() => sortByRoute(items, routeOrder));
+  const [dragIndex, setDragIndex] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loadingPrevious, setLoadingPrevious] = useState(false);
+
+  const moveTo = (from, to) => {
+    if (to < 0 || to >= ordered.length || from === to) return;
+    const next = [...ordered];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    setOrdered(next);
+  };
+
+  const handleLoadPrevious = async () => {
+    setLoadingPrevious(true);
+    try {
+      const previous = await onLoadPrevious();
+      if (previous) setOrdered(sortByRoute(items, previous));
+    } finally {
+      setLoadingPrevious(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await onSave(ordered.map(item => item.assetId));
+      if (saved) onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full text-gray-900 max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xl font-bold">Walking Order — {section}</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">
+          Drag units into the order you walk them, or record the order they were inspected last month.
+        </p>
+        <button
+          onClick={handleLoadPrevious}
+          disabled={loadingPrevious}
+          className="mb-3 px-3 py-2 bg-slate-100 border rounded text-sm hover:bg-slate-200 disabled:opacity-50"
+        >
+          {loadingPrevious ? 'Loading…' : "Use Last Month's Inspection Order"}
+        </button>
+
+        <div className="overflow-y-auto flex-1 border rounded divide-y">
+          {ordered.map((item, index) => (
+            <div
+              key={item.id}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => {
+                if (dragIndex !== null) moveTo(dragIndex, index);
+                setDragIndex(null);
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              className={`flex items-center gap-2 px-2 py-2 text-sm bg-white ${dragIndex === index ? 'opacity-50' : ''}`}
+            >
+              <GripVertical size={16} className="text-gray-400 cursor-move" />
+              <span className="w-8 text-right text-gray-400">{index + 1}</span>
+              <span className="flex-1">
+                <span className="font-semibold">{item.assetId}</span>
+                {item.vicinity && <span className="text-gray-500"> · {item.vicinity}</span>}
+              </span>
+              <button onClick={() => moveTo(index, index - 1)} title="Move up">
+                <ChevronUp size={16} />
+              </button>
+              <button onClick={() => moveTo(index, index + 1)} title="Move down">
+                <ChevronDown size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save Order'}
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RouteEditorModal;
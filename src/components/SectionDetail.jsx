@@ -1,8 +1,17 @@
 import React, { useMemo, useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Info } from 'lucide-react';
+import { Info, Navigation } from 'lucide-react';
+import RouteEditorModal from './RouteEditorModal';
+import SignaturePad from './SignaturePad';
+import { ANNUAL_CHECKLIST_SECTIONS, getDefaultAnnualChecklist } from '../config/annualMaintenance';
+import { getLifecycleConfig, isInService } from '../config/lifecycle';
+import { MAINTENANCE_TYPES, computeMaintenanceDueDates, getDueStatus, toDateString } from '../config/maintenance';
+import { indexLocations, getBuildingFloors, getLocationLabel, compareByLocation } from '../config/locations';
+import { BUILT_IN_TEMPLATE, BUILT_IN_TEMPLATE_ID, CHECKLIST_ANSWERS, CHECKLIST_ANSWER_LABELS, selectTemplateForItem, getDefaultChecklist, getUnansweredItems, buildChecklistSummary } from '../config/checklistTemplates';
+import { sortByRoute, getNextPendingInRoute } from '../config/walkRoute';
+import { OPEN_METHODS, startInspectionTiming, finishInspectionTiming, markInspectionSaved } from '../config/inspectionTiming';
 
-export default function SectionDetail({ extinguishers, onSelectItem, getViewMode, toggleView, countsFor, onPass, onFail, onEdit, onSaveNotes, onReplace }) {
+export default function SectionDetail({ extinguishers, onSelectItem, getViewMode, toggleView, countsFor, onPass, onFail, onEdit, onSaveNotes, onReplace, onAnnualMaintenance, onBulkEdit, floors = [], rooms = [], checklistTemplates = [], requireExplicitAnswers = false, getRouteOrder, onSaveRoute, onLoadPreviousRoute, onReinspect, onUnknownScan }) {
   const { name } = useParams();
   const navigate = useNavigate();
   const section = decodeURIComponent(name || '');
@@ -12,26 +21,66 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
   const [activeItem, setActiveItem] = useState(null);
   const [sortBy, setSortBy] = useState('assetId');
   const [sortOrder, setSortOrder] = useState('asc');
-  const [checklist, setChecklist] = useState({
-    pinPresent: 'pass',
-    tamperSealIntact: 'pass',
-    gaugeCorrectPressure: 'pass',
-    weightCorrect: 'pass',
-    noDamage: 'pass',
-    inDesignatedLocation: 'pass',
-    clearlyVisible: 'pass',
-    nearestUnder75ft: 'pass',
-    topUnder5ft: 'pass',
-    bottomOver4in: 'pass',
-    mountedSecurely: 'pass',
-    inspectionWithin30Days: 'pass',
-    tagSignedDated: 'pass'
-  });
+  const [selecting, setSelecting] = useState(false);
+  const [floorFilter, setFloorFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Guided walk: show the next pending unit in walking order and advance after each save
+  const [guided, setGuided] = useState(false);
+  const [skippedIds, setSkippedIds] = useState(() => new Set());
+  const [showRouteEditor, setShowRouteEditor] = useState(false);
+  const [checklist, setChecklist] = useState(() => getDefaultChecklist(BUILT_IN_TEMPLATE));
+  // Per-item comments, saved photo URLs and newly picked photo files, keyed by checklist item
+  const [itemComments, setItemComments] = useState({});
+  const [itemPhotoUrls, setItemPhotoUrls] = useState({});
+  const [itemPhotoFiles, setItemPhotoFiles] = useState({});
+  const [openItemDetails, setOpenItemDetails] = useState(() => new Set());
   const [notes, setNotes] = useState('');
   const [photoFile, setPhotoFile] = useState(null);
   const [photoPreview, setPhotoPreview] = useState('');
   const [gps, setGps] = useState(null);
   const [gpsLoading, setGpsLoading] = useState(false);
+  // 'monthly' visual inspection or 'annual' technician maintenance
+  const [workflow, setWorkflow] = useState(() => localStorage.getItem('sectionWorkflow') || 'monthly');
+  const [annualChecklist, setAnnualChecklist] = useState(getDefaultAnnualChecklist);
+  const [technician, setTechnician] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('annualTechnician')) || { name: '', certNumber: '' };
+    } catch {
+      return { name: '', certNumber: '' };
+    }
+  });
+  // Monthly inspector's printed name and cert number; the signature is reused
+  // for every unit signed this session
+  const [inspector, setInspector] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('inspectorProfile')) || { name: '', certNumber: '' };
+    } catch {
+      return { name: '', certNumber: '' };
+    }
+  });
+  const [signature, setSignature] = useState(null);
+  // When the open unit was opened, how, and the walk since the previous save
+  const timingRef = useRef(null);
+  const itemPhotoFilesRef = useRef(itemPhotoFiles);
+
+  // Release preview URLs of checklist photos that were replaced, removed or reset
+  useEffect(() => {
+    const kept = new Set(Object.values(itemPhotoFiles).map(({ preview }) => preview));
+    Object.values(itemPhotoFilesRef.current).forEach(({ preview }) => {
+      if (!kept.has(preview)) URL.revokeObjectURL(preview);
+    });
+    itemPhotoFilesRef.current = itemPhotoFiles;
+  }, [itemPhotoFiles]);
+
+  useEffect(() => {
+    if (!photoPreview) return undefined;
+    return () => URL.revokeObjectURL(photoPreview);
+  }, [photoPreview]);
+
+  // ...and whatever is still shown when the section closes
+  useEffect(() => () => {
+    Object.values(itemPhotoFilesRef.current).forEach(({ preview }) => URL.revokeObjectURL(preview));
+  }, []);
 
   useEffect(() => {
     const persisted = localStorage.getItem(`sectionView_${section}`);
@@ -42,9 +91,37 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
     if (scanRef.current) scanRef.current.focus();
   }, [section]);
 
+  // In annual mode "unchecked" means annual maintenance is overdue, due soon or never recorded
+  const isAnnualDue = (item) => {
+    const { due } = computeMaintenanceDueDates(item)[MAINTENANCE_TYPES.ANNUAL];
+    return getDueStatus(due) !== 'ok';
+  };
+
+  const locationIndex = useMemo(() => indexLocations(floors, rooms), [floors, rooms]);
+  const sectionBuildingId = extinguishers.find(e => e.section === section)?.buildingId;
+  const sectionFloors = useMemo(() => getBuildingFloors(floors, sectionBuildingId), [floors, sectionBuildingId]);
+
+  const routeOrder = useMemo(() => getRouteOrder?.(section) || [], [getRouteOrder, section]);
+
+  // In-service units of this section in walking order (guided mode walks these)
+  const routeUnits = useMemo(
+    () => sortByRoute(extinguishers.filter(e => e.section === section && isInService(e)), routeOrder),
+    [extinguishers, section, routeOrder]
+  );
+
   const items = useMemo(() => {
-    const list = extinguishers.filter(e => e.section === section);
-    const filtered = list.filter(e => mode === 'unchecked' ? e.status === 'pending' : (e.status === 'pass' || e.status === 'fail'));
+    const list = extinguishers.filter(e => e.section === section && (
+      !floorFilter ||
+      (floorFilter === 'unassigned' ? !e.floorId : e.floorId === floorFilter)
+    ));
+    const filtered = workflow === 'annual'
+      ? list.filter(e => mode === 'unchecked' ? isAnnualDue(e) : !isAnnualDue(e))
+      : list.filter(e => isInService(e) && (mode === 'unchecked' ? e.status === 'pending' : (e.status === 'pass' || e.status === 'fail')));
+
+    if (sortBy === 'route') {
+      const routed = sortByRoute(filtered, routeOrder);
+      return sortOrder === 'asc' ? routed : routed.reverse();
+    }
 
     // Sort the filtered list
     const sorted = [...filtered].sort((a, b) => {
@@ -63,6 +140,8 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
         } else {
           compareValue = aId.localeCompare(bId);
         }
+      } else if (sortBy === 'location' && (a.floorId || b.floorId)) {
+        compareValue = compareByLocation(a, b, locationIndex);
       } else if (sortBy === 'location') {
         const aLoc = `${a.vicinity || ''} ${a.parentLocation || ''}`.toLowerCase();
         const bLoc = `${b.vicinity || ''} ${b.parentLocation || ''}`.toLowerCase();
@@ -73,9 +152,109 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
     });
 
     return sorted;
-  }, [extinguishers, section, mode, sortBy, sortOrder]);
+  }, [extinguishers, section, mode, sortBy, sortOrder, workflow, floorFilter, locationIndex, routeOrder]);
 
-  const counts = countsFor?.(section) || { checked: 0, unchecked: 0 };
+  // Monthly progress per floor (in-service units only, like the section counts)
+  const floorProgress = useMemo(() => {
+    const sectionItems = extinguishers.filter(e => e.section === section && isInService(e));
+    const rows = sectionFloors.map(floor => ({ id: floor.id, name: floor.name, items: sectionItems.filter(e => e.floorId === floor.id) }));
+    const unassigned = sectionItems.filter(e => !locationIndex.floorsById.has(e.floorId));
+    if (unassigned.length > 0) rows.push({ id: 'unassigned', name: 'Unassigned', items: unassigned });
+    return rows
+      .filter(row => row.items.length > 0)
+      .map(row => ({ ...row, checked: row.items.filter(e => e.status === 'pass' || e.status === 'fail').length }));
+  }, [extinguishers, section, sectionFloors, locationIndex]);
+
+  const notInServiceCount = extinguishers.filter(e => e.section === section && !isInService(e)).length;
+
+  // Selection survives list changes; ids that are no longer listed (moved, deleted) drop out
+  const selectedItems = items.filter(item => selectedIds.has(item.id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const counts = useMemo(() => {
+    if (workflow !== 'annual') return countsFor?.(section) || { checked: 0, unchecked: 0 };
+    const list = extinguishers.filter(e => e.section === section);
+    const unchecked = list.filter(isAnnualDue).length;
+    return { checked: list.length - unchecked, unchecked };
+  }, [workflow, countsFor, extinguishers, section]);
+
+  const switchWorkflow = (next) => {
+    setWorkflow(next);
+    localStorage.setItem('sectionWorkflow', next);
+  };
+
+  const resetAnnualForm = () => {
+    setAnnualChecklist(getDefaultAnnualChecklist());
+    setNotes('');
+    setPhotoFile(null);
+    setPhotoPreview('');
+    setGps(null);
+  };
+
+  const activeTemplate = useMemo(
+    () => selectTemplateForItem(checklistTemplates, activeItem),
+    [checklistTemplates, activeItem]
+  );
+
+  // Answers, comments and photos saved against the same template are kept; otherwise start fresh
+  const loadChecklist = (item) => {
+    const template = selectTemplateForItem(checklistTemplates, item);
+    const savedTemplateId = item.checklistTemplateId || BUILT_IN_TEMPLATE_ID;
+    const defaults = getDefaultChecklist(template, { requireExplicitAnswers });
+    const sameTemplate = item.checklistData && savedTemplateId === template.id;
+    const pick = (source) => Object.fromEntries(
+      Object.keys(defaults).filter(key => source?.[key]).map(key => [key, source[key]])
+    );
+    setChecklist(sameTemplate
+      ? Object.fromEntries(Object.keys(defaults).map(key => [key, item.checklistData[key] || defaults[key]]))
+      : defaults);
+    const comments = sameTemplate ? pick(item.checklistComments) : {};
+    const photoUrls = sameTemplate ? pick(item.checklistPhotos) : {};
+    setItemComments(comments);
+    setItemPhotoUrls(photoUrls);
+    setItemPhotoFiles({});
+    setOpenItemDetails(new Set([...Object.keys(comments), ...Object.keys(photoUrls)]));
+  };
+
+  const openItem = (item, openedVia = OPEN_METHODS.TAP) => {
+    timingRef.current = startInspectionTiming(openedVia);
+    setActiveItem(item);
+    if (workflow === 'annual') resetAnnualForm();
+    else loadChecklist(item);
+  };
+
+  const toggleItemDetails = (key) => {
+    setOpenItemDetails(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const setItemPhoto = (key, file) => {
+    setItemPhotoFiles(prev => {
+      const next = { ...prev };
+      if (file) next[key] = { file, preview: URL.createObjectURL(file) };
+      else delete next[key];
+      return next;
+    });
+    if (!file) {
+      setItemPhotoUrls(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    }
+  };
 
   const switchMode = (next) => {
     setMode(next);
@@ -90,55 +269,107 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
            extinguishers.find(e => String(e.serial || '').trim() === norm);
   };
 
+  // A code that matches no unit opens the add modal for this building (`onUnknownScan(code, section)`)
   const handleScanEnter = () => {
-    const match = findByScan(scanValue);
-    if (match) {
+    const code = scanValue.trim();
+    if (!code) {
+      setScanValue('');
+      return;
+    }
+    const match = findByScan(code);
+    if (match && workflow === 'annual') {
+      openItem(match, OPEN_METHODS.SCAN);
+    } else if (match) {
+      timingRef.current = startInspectionTiming(OPEN_METHODS.SCAN);
       setActiveItem(match);
-      // Load existing checklist data if available
-      if (match.checklistData) {
-        setChecklist(match.checklistData);
-      } else {
-        setChecklist({
-          pinPresent: 'pass',
-          tamperSealIntact: 'pass',
-          gaugeCorrectPressure: 'pass',
-          weightCorrect: 'pass',
-          noDamage: 'pass',
-          inDesignatedLocation: 'pass',
-          clearlyVisible: 'pass',
-          nearestUnder75ft: 'pass',
-          topUnder5ft: 'pass',
-          bottomOver4in: 'pass',
-          mountedSecurely: 'pass',
-          inspectionWithin30Days: 'pass',
-          tagSignedDated: 'pass'
-        });
-      }
+      loadChecklist(match);
       setNotes(match.notes || '');
       setPhotoFile(null);
       setPhotoPreview('');
       setGps(null);
+    } else if (onUnknownScan) {
+      onUnknownScan(code, section);
+    } else {
+      alert(`NOT FOUND: "${code}"`);
     }
     setScanValue('');
   };
 
-  const checklistSummary = () => {
-    const failed = Object.entries(checklist).filter(([, status]) => status === 'fail').map(([k]) => k);
-    return failed.length > 0 ? `Failed items: ${failed.join(', ')}. ${notes}`.trim() : notes;
-  };
+  const checklistSummary = () => buildChecklistSummary(activeTemplate.sections, checklist, itemComments, notes);
 
-  const saveInspection = (status) => {
-    const inspectionData = { checklistData: checklist, notes, photo: photoFile || null, gps: gps || null };
+  const buildInspectionData = () => ({
+    checklistData: checklist,
+    checklistComments: Object.fromEntries(
+      Object.entries(itemComments).map(([key, text]) => [key, text.trim()]).filter(([, text]) => text)
+    ),
+    checklistPhotos: itemPhotoUrls,
+    checklistPhotoFiles: Object.fromEntries(Object.entries(itemPhotoFiles).map(([key, { file }]) => [key, file])),
+    checklistTemplateId: activeTemplate.id,
+    checklistTemplateVersion: activeTemplate.version,
+    notes,
+    photo: photoFile || null,
+    gps: gps || null
+  });
 
-    if (status === 'pass') {
-      onPass?.(activeItem, checklistSummary(), inspectionData);
-    } else {
-      onFail?.(activeItem, checklistSummary(), inspectionData);
+  const saveInspection = (status) => {
+    const unanswered = getUnansweredItems(activeTemplate.sections, checklist);
+    if (unanswered.length > 0) {
+      alert(`Answer every checklist item before saving. Unanswered: ${unanswered.map(item => item.label).join(', ')}`);
+      return;
     }
-    setActiveItem(null);
+    if (signature && !inspector.name.trim()) {
+      alert('Enter your printed name to sign this inspection.');
+      return;
+    }
+    localStorage.setItem('inspectorProfile', JSON.stringify(inspector));
+    const savedAt = Date.now();
+    const inspectionData = {
+      ...buildInspectionData(),
+      inspectorName: inspector.name.trim(),
+      inspectorCertNumber: inspector.certNumber.trim(),
+      signature: signature || null,
+      timing: finishInspectionTiming(timingRef.current, savedAt)
+    };
+    timingRef.current = null;
+
+    const save = status === 'pass' ? onPass : onFail;
+    // Travel to the next unit starts at this save, but only if it went through
+    Promise.resolve(save?.(activeItem, checklistSummary(), inspectionData))
+      .then(saved => { if (saved) markInspectionSaved(savedAt); })
+      .catch(error => console.error('Error saving inspection:', error));
     setPhotoFile(null);
     setPhotoPreview('');
     setGps(null);
+
+    const next = guided ? getNextPendingInRoute(routeUnits, activeItem.id, skippedIds) : null;
+    if (next) {
+      setNotes(next.notes || '');
+      openItem(next, OPEN_METHODS.GUIDED);
+    } else {
+      setActiveItem(null);
+      if (guided) alert(`${section}: no more pending units on this route.`);
+    }
+  };
+
+  const guidedItem = guided ? getNextPendingInRoute(routeUnits, null, skippedIds) : null;
+  const guidedDone = routeUnits.filter(e => e.status === 'pass' || e.status === 'fail').length;
+  const guidedPhoto = guidedItem ? (guidedItem.photos?.[0]?.url || guidedItem.photoUrl) : null;
+
+  const saveAnnualMaintenance = (status) => {
+    if (!technician.name.trim() || !technician.certNumber.trim()) {
+      alert('Technician name and certification number are required for annual maintenance.');
+      return;
+    }
+    localStorage.setItem('annualTechnician', JSON.stringify(technician));
+    onAnnualMaintenance?.(activeItem, status, {
+      checklistData: annualChecklist,
+      notes,
+      photo: photoFile || null,
+      technicianName: technician.name.trim(),
+      technicianCertNumber: technician.certNumber.trim()
+    });
+    setActiveItem(null);
+    resetAnnualForm();
   };
 
   return (
@@ -161,32 +392,241 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
         <div className="text-sm text-gray-500">Scanner auto-fills + Enter</div>
       </div>
 
+      {onAnnualMaintenance && (
+        <div className="bg-white p-3 rounded-lg shadow flex gap-2">
+          <button
+            onClick={() => switchWorkflow('monthly')}
+            className={`flex-1 px-4 py-2 rounded font-medium ${workflow === 'monthly' ? 'bg-slate-700 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            Monthly Inspection
+          </button>
+          <button
+            onClick={() => switchWorkflow('annual')}
+            className={`flex-1 px-4 py-2 rounded font-medium ${workflow === 'annual' ? 'bg-amber-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            Annual Maintenance
+          </button>
+        </div>
+      )}
+
       <div className="bg-white p-3 rounded-lg shadow flex gap-2">
         <button
           onClick={() => switchMode('unchecked')}
           className={`flex-1 px-4 py-2 rounded font-medium ${mode === 'unchecked' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
         >
-          Unchecked ({counts.unchecked || 0})
+          {workflow === 'annual' ? 'Due' : 'Unchecked'} ({counts.unchecked || 0})
         </button>
         <button
           onClick={() => switchMode('checked')}
           className={`flex-1 px-4 py-2 rounded font-medium ${mode === 'checked' ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700'}`}
         >
-          Checked ({counts.checked || 0})
+          {workflow === 'annual' ? 'Current' : 'Checked'} ({counts.checked || 0})
         </button>
       </div>
 
+      {workflow === 'monthly' && (
+        <div className="bg-white p-3 rounded-lg shadow space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => { setGuided(!guided); setSkippedIds(new Set()); }}
+              className={`flex-1 px-4 py-2 rounded font-medium flex items-center justify-center gap-2 ${guided ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+            >
+              <Navigation size={16} />
+              {guided ? 'Exit Guided Walk' : 'Guided Walk'}
+            </button>
+            {onSaveRoute && (
+              <button
+                onClick={() => setShowRouteEditor(true)}
+                className="px-4 py-2 rounded font-medium bg-gray-200 text-gray-700 hover:bg-gray-300"
+              >
+                {routeOrder.length > 0 ? 'Edit Walking Order' : 'Set Walking Order'}
+              </button>
+            )}
+          </div>
+
+          {guided && (
+            <div className="border-t pt-3">
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span>Progress</span>
+                <span>{guidedDone}/{routeUnits.length}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+                <div
+                  className="bg-indigo-600 h-2 rounded-full"
+                  style={{ width: `${routeUnits.length ? (guidedDone / routeUnits.length) * 100 : 0}%` }}
+                />
+              </div>
+              {guidedItem ? (
+                <div className="flex gap-3 items-start">
+                  {guidedPhoto && (
+                    <img src={guidedPhoto} alt={guidedItem.assetId} className="h-20 w-20 object-cover rounded border" />
+                  )}
+                  <div className="flex-1">
+                    <div className="text-xs text-gray-500">Next unit</div>
+                    <div className="font-bold text-lg">{guidedItem.assetId}</div>
+                    <div className="text-sm text-gray-600">{guidedItem.vicinity} • {guidedItem.parentLocation}</div>
+                    {getLocationLabel(guidedItem, locationIndex) && (
+                      <div className="text-xs text-purple-700">{getLocationLabel(guidedItem, locationIndex)}</div>
+                    )}
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => { setNotes(guidedItem.notes || ''); openItem(guidedItem); }}
+                        className="px-4 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 text-sm"
+                      >
+                        Inspect
+                      </button>
+                      <button
+                        onClick={() => setSkippedIds(prev => new Set(prev).add(guidedItem.id))}
+                        className="px-4 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300 text-sm"
+                      >
+                        Skip
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-sm text-gray-600">
+                  {skippedIds.size > 0 ? (
+                    <>
+                      All remaining units were skipped.{' '}
+                      <button className="text-indigo-600 underline" onClick={() => setSkippedIds(new Set())}>Start over with skipped units</button>
+                    </>
+                  ) : 'Every unit on this route has been inspected.'}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {showRouteEditor && (
+        <RouteEditorModal
+          section={section}
+          items={extinguishers.filter(e => e.section === section)}
+          routeOrder={routeOrder}
+          onLoadPrevious={() => onLoadPreviousRoute?.(section)}
+          onSave={(order) => onSaveRoute(section, order)}
+          onClose={() => setShowRouteEditor(false)}
+        />
+      )}
+
+      {sectionFloors.length > 0 && (
+        <div className="bg-white p-3 rounded-lg shadow space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-700">Floor:</span>
+            <select
+              value={floorFilter}
+              onChange={(e) => setFloorFilter(e.target.value)}
+              className="flex-1 px-2 py-1 border rounded text-sm"
+            >
+              <option value="">All floors</option>
+              {sectionFloors.map(floor => (
+                <option key={floor.id} value={floor.id}>{floor.name}</option>
+              ))}
+              <option value="unassigned">Unassigned</option>
+            </select>
+          </div>
+          {workflow === 'monthly' && floorProgress.map(row => (
+            <button
+              key={row.id}
+              onClick={() => setFloorFilter(floorFilter === row.id ? '' : row.id)}
+              className="w-full text-left"
+            >
+              <div className="flex justify-between text-xs text-gray-600">
+                <span className={floorFilter === row.id ? 'font-semibold text-blue-700' : ''}>{row.name}</span>
+                <span>{row.checked}/{row.items.length}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div
+                  className="bg-green-500 h-1.5 rounded-full"
+                  style={{ width: `${(row.checked / row.items.length) * 100}%` }}
+                />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {workflow === 'monthly' && notInServiceCount > 0 && (
+        <div className="text-sm text-gray-500 px-1">
+          {notInServiceCount} unit{notInServiceCount !== 1 ? 's' : ''} out for service, spare or retired — not counted this month.
+        </div>
+      )}
+
+      {onBulkEdit && items.length > 0 && (
+        <div className="bg-white p-3 rounded-lg shadow flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => { setSelecting(!selecting); setSelectedIds(new Set()); }}
+            className={`px-3 py-1 rounded text-sm font-medium ${selecting ? 'bg-slate-700 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {selecting ? 'Done Selecting' : 'Select'}
+          </button>
+          {selecting && (
+            <>
+              <button
+                onClick={() => setSelectedIds(selectedItems.length === items.length ? new Set() : new Set(items.map(i => i.id)))}
+                className="px-3 py-1 rounded text-sm font-medium bg-gray-200 text-gray-700 hover:bg-gray-300"
+              >
+                {selectedItems.length === items.length ? 'Select None' : `Select All (${items.length})`}
+              </button>
+              <span className="text-sm text-gray-600">{selectedItems.length} selected</span>
+              <button
+                onClick={() => onBulkEdit(selectedItems)}
+                disabled={selectedItems.length === 0}
+                className="ml-auto px-3 py-1 rounded text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Bulk Edit
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {items.length === 0 ? (
         <div className="bg-white p-8 rounded-lg shadow text-center text-gray-500">No items found.</div>
       ) : (
         <>
           <div className="space-y-3">
             {items.map(item => (
-              <div key={item.id} className="bg-white p-4 rounded-lg shadow hover:shadow-md relative">
-                <div onClick={() => setActiveItem(item)} className="cursor-pointer">
-                  <div className="font-bold text-lg pr-10">{item.assetId}</div>
+              <div key={item.id} className={`bg-white p-4 rounded-lg shadow hover:shadow-md relative ${selectedIds.has(item.id) ? 'ring-2 ring-blue-500' : ''}`}>
+                <div onClick={() => (selecting ? toggleSelected(item.id) : openItem(item))} className="cursor-pointer">
+                  <div className="font-bold text-lg pr-10">
+                    {selecting && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(item.id)}
+                        readOnly
+                        className="mr-2 align-middle"
+                      />
+                    )}
+                    {item.assetId}
+                    {!isInService(item) && (
+                      <span className={`ml-2 px-2 py-0.5 rounded text-xs font-semibold align-middle ${getLifecycleConfig(item.lifecycleState).badgeClass}`}>
+                        {getLifecycleConfig(item.lifecycleState).label}
+                      </span>
+                    )}
+                    {item.recallIds?.length > 0 && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold align-middle bg-red-100 text-red-800">
+                        RECALL
+                      </span>
+                    )}
+                    {item.pendingSync && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold align-middle bg-amber-100 text-amber-800">
+                        Waiting to sync
+                      </span>
+                    )}
+                  </div>
                   <div className="text-sm text-gray-600">{item.vicinity} • {item.parentLocation}</div>
-                  <div className="text-xs text-gray-500 mt-1">Status: {item.status}</div>
+                  {getLocationLabel(item, locationIndex) && (
+                    <div className="text-xs text-purple-700">{getLocationLabel(item, locationIndex)}</div>
+                  )}
+                  {workflow === 'annual' ? (
+                    <div className="text-xs text-gray-500 mt-1">
+                      Annual due: {toDateString(computeMaintenanceDueDates(item)[MAINTENANCE_TYPES.ANNUAL].due) || 'never recorded'}
+                    </div>
+                  ) : (
+                    <div className="text-xs text-gray-500 mt-1">Status: {item.status}</div>
+                  )}
                 </div>
                 <button
                   onClick={(e) => {
@@ -228,6 +668,16 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
                   >
                     Location
                   </button>
+                  <button
+                    onClick={() => setSortBy('route')}
+                    className={`px-3 py-1 rounded text-sm font-medium transition ${
+                      sortBy === 'route'
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    Walking Order
+                  </button>
                 </div>
               </div>
 
@@ -271,124 +721,110 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
             </div>
 
             <div className="flex-1 overflow-y-auto p-4">
-            {/* Basic Monthly Check */}
+            {workflow === 'annual' ? (
+            <>
+            {/* Technician */}
             <div className="mb-4">
-              <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Basic Monthly Check</h4>
-              <div className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Pin Present</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="pinPresent" checked={checklist.pinPresent === 'pass'} onChange={()=>setChecklist(c=>({...c,pinPresent:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="pinPresent" checked={checklist.pinPresent === 'fail'} onChange={()=>setChecklist(c=>({...c,pinPresent:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Tamper Seal Intact</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="tamperSealIntact" checked={checklist.tamperSealIntact === 'pass'} onChange={()=>setChecklist(c=>({...c,tamperSealIntact:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="tamperSealIntact" checked={checklist.tamperSealIntact === 'fail'} onChange={()=>setChecklist(c=>({...c,tamperSealIntact:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Gauge Shows Correct Pressure</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="gaugeCorrectPressure" checked={checklist.gaugeCorrectPressure === 'pass'} onChange={()=>setChecklist(c=>({...c,gaugeCorrectPressure:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="gaugeCorrectPressure" checked={checklist.gaugeCorrectPressure === 'fail'} onChange={()=>setChecklist(c=>({...c,gaugeCorrectPressure:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Weight feels correct</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="weightCorrect" checked={checklist.weightCorrect === 'pass'} onChange={()=>setChecklist(c=>({...c,weightCorrect:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="weightCorrect" checked={checklist.weightCorrect === 'fail'} onChange={()=>setChecklist(c=>({...c,weightCorrect:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">No Visible Damage, Corrosion, or Leakage</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="noDamage" checked={checklist.noDamage === 'pass'} onChange={()=>setChecklist(c=>({...c,noDamage:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="noDamage" checked={checklist.noDamage === 'fail'} onChange={()=>setChecklist(c=>({...c,noDamage:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
+              <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Technician</h4>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <input
+                  value={technician.name}
+                  onChange={(e) => setTechnician(t => ({ ...t, name: e.target.value }))}
+                  placeholder="Technician name"
+                  className="px-3 py-2 border rounded text-sm"
+                />
+                <input
+                  value={technician.certNumber}
+                  onChange={(e) => setTechnician(t => ({ ...t, certNumber: e.target.value }))}
+                  placeholder="Certification number"
+                  className="px-3 py-2 border rounded text-sm"
+                />
               </div>
             </div>
 
-            {/* Location & Accessibility */}
-            <div className="mb-4">
-              <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Location & Accessibility</h4>
-              <div className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Extinguisher in designated location</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="inDesignatedLocation" checked={checklist.inDesignatedLocation === 'pass'} onChange={()=>setChecklist(c=>({...c,inDesignatedLocation:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="inDesignatedLocation" checked={checklist.inDesignatedLocation === 'fail'} onChange={()=>setChecklist(c=>({...c,inDesignatedLocation:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Clearly Visible with no Obstructions</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="clearlyVisible" checked={checklist.clearlyVisible === 'pass'} onChange={()=>setChecklist(c=>({...c,clearlyVisible:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="clearlyVisible" checked={checklist.clearlyVisible === 'fail'} onChange={()=>setChecklist(c=>({...c,clearlyVisible:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Nearest extinguisher not over 75ft away</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="nearestUnder75ft" checked={checklist.nearestUnder75ft === 'pass'} onChange={()=>setChecklist(c=>({...c,nearestUnder75ft:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="nearestUnder75ft" checked={checklist.nearestUnder75ft === 'fail'} onChange={()=>setChecklist(c=>({...c,nearestUnder75ft:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
+            {ANNUAL_CHECKLIST_SECTIONS.map(group => (
+              <div key={group.title} className="mb-4">
+                <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">{group.title}</h4>
+                <div className="space-y-2">
+                  {group.items.map(({ key, label }) => (
+                    <div key={key} className="flex items-center justify-between">
+                      <span className="text-sm">{label}</span>
+                      <div className="flex gap-3">
+                        <label className="flex items-center gap-1"><input type="radio" name={`annual_${key}`} checked={annualChecklist[key] === 'pass'} onChange={()=>setAnnualChecklist(c=>({...c,[key]:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
+                        <label className="flex items-center gap-1"><input type="radio" name={`annual_${key}`} checked={annualChecklist[key] === 'fail'} onChange={()=>setAnnualChecklist(c=>({...c,[key]:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
+                      </div>
+                    </div>
+                  ))}
                 </div>
               </div>
-            </div>
-
-            {/* Mounting & Height */}
-            <div className="mb-4">
-              <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Mounting & Height</h4>
-              <div className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Top &lt;= 5ft (if &lt;= 40lb)</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="topUnder5ft" checked={checklist.topUnder5ft === 'pass'} onChange={()=>setChecklist(c=>({...c,topUnder5ft:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="topUnder5ft" checked={checklist.topUnder5ft === 'fail'} onChange={()=>setChecklist(c=>({...c,topUnder5ft:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Bottom &gt;= 4 inches from floor</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="bottomOver4in" checked={checklist.bottomOver4in === 'pass'} onChange={()=>setChecklist(c=>({...c,bottomOver4in:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="bottomOver4in" checked={checklist.bottomOver4in === 'fail'} onChange={()=>setChecklist(c=>({...c,bottomOver4in:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Mounted securely on hanger or in Cabinet</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="mountedSecurely" checked={checklist.mountedSecurely === 'pass'} onChange={()=>setChecklist(c=>({...c,mountedSecurely:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="mountedSecurely" checked={checklist.mountedSecurely === 'fail'} onChange={()=>setChecklist(c=>({...c,mountedSecurely:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
+            ))}
+            </>
+            ) : (
+            <>
+            {activeTemplate.id !== BUILT_IN_TEMPLATE_ID && (
+              <p className="text-xs text-gray-500 mb-2">Checklist: {activeTemplate.name} (v{activeTemplate.version})</p>
+            )}
+            {requireExplicitAnswers && (
+              <p className="text-xs text-gray-500 mb-2">Answer every item before saving Pass or Fail.</p>
+            )}
+            {activeTemplate.sections.map(group => (
+              <div key={group.title} className="mb-4">
+                <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">{group.title}</h4>
+                <div className="space-y-2">
+                  {group.items.map(({ key, label, help }) => {
+                    const photoSrc = itemPhotoFiles[key]?.preview || itemPhotoUrls[key];
+                    const hasDetails = Boolean(itemComments[key] || photoSrc);
+                    return (
+                      <div key={key} className={checklist[key] ? '' : 'bg-yellow-50 rounded px-1'}>
+                        <div className="flex items-center justify-between gap-3">
+                          <div>
+                            <span className="text-sm">{label}</span>
+                            {help && <p className="text-xs text-gray-500">{help}</p>}
+                          </div>
+                          <div className="flex gap-3 shrink-0 items-center">
+                            {[
+                              [CHECKLIST_ANSWERS.PASS, 'text-green-600'],
+                              [CHECKLIST_ANSWERS.FAIL, 'text-red-600'],
+                              [CHECKLIST_ANSWERS.NA, 'text-gray-500'],
+                            ].map(([answer, color]) => (
+                              <label key={answer} className="flex items-center gap-1"><input type="radio" name={key} checked={checklist[key] === answer} onChange={()=>setChecklist(c=>({...c,[key]:answer}))} /><span className={`text-xs ${color}`}>{CHECKLIST_ANSWER_LABELS[answer]}</span></label>
+                            ))}
+                            <button
+                              type="button"
+                              onClick={() => toggleItemDetails(key)}
+                              className={`text-xs underline ${hasDetails ? 'text-blue-700 font-medium' : 'text-gray-500'}`}
+                              title="Add a comment or photo for this item"
+                            >
+                              {hasDetails ? 'Note ✓' : 'Note'}
+                            </button>
+                          </div>
+                        </div>
+                        {openItemDetails.has(key) && (
+                          <div className="flex items-center gap-2 mt-1 mb-2">
+                            <input
+                              type="text"
+                              value={itemComments[key] || ''}
+                              onChange={(e) => setItemComments(c => ({ ...c, [key]: e.target.value }))}
+                              placeholder="Comment (optional)"
+                              className="flex-1 px-2 py-1 border rounded text-xs"
+                            />
+                            <label className="px-2 py-1 border rounded cursor-pointer bg-slate-50 text-xs">
+                              <span>Photo</span>
+                              <input type="file" accept="image/*" capture="environment" className="hidden" onChange={(e)=>{ const f=e.target.files?.[0]; if(f) setItemPhoto(key, f); }} />
+                            </label>
+                            {photoSrc && (<img src={photoSrc} alt={label} className="h-8 w-8 object-cover rounded border" />)}
+                            {photoSrc && (<button className="text-xs text-red-600" onClick={() => setItemPhoto(key, null)}>Remove</button>)}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
-            </div>
+            ))}
 
-            {/* Administrative */}
-            <div className="mb-4">
-              <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Administrative</h4>
-              <div className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Inspection date within 30 days of last</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="inspectionWithin30Days" checked={checklist.inspectionWithin30Days === 'pass'} onChange={()=>setChecklist(c=>({...c,inspectionWithin30Days:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="inspectionWithin30Days" checked={checklist.inspectionWithin30Days === 'fail'} onChange={()=>setChecklist(c=>({...c,inspectionWithin30Days:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Tag signed and dated</span>
-                  <div className="flex gap-3">
-                    <label className="flex items-center gap-1"><input type="radio" name="tagSignedDated" checked={checklist.tagSignedDated === 'pass'} onChange={()=>setChecklist(c=>({...c,tagSignedDated:'pass'}))} /><span className="text-xs text-green-600">Pass</span></label>
-                    <label className="flex items-center gap-1"><input type="radio" name="tagSignedDated" checked={checklist.tagSignedDated === 'fail'} onChange={()=>setChecklist(c=>({...c,tagSignedDated:'fail'}))} /><span className="text-xs text-red-600">Fail</span></label>
-                  </div>
-                </div>
-              </div>
-            </div>
+            </>
+            )}
 
             {/* Notes & Photos */}
             <div className="mb-4">
@@ -444,6 +880,27 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
                 )}
               </div>
             </div>
+
+            {workflow !== 'annual' && (
+              <div className="mb-4">
+                <h4 className="font-semibold text-md mb-2 text-gray-700 border-b pb-1">Inspector Signature</h4>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-2">
+                  <input
+                    value={inspector.name}
+                    onChange={(e) => setInspector(i => ({ ...i, name: e.target.value }))}
+                    placeholder="Printed name"
+                    className="px-3 py-2 border rounded text-sm"
+                  />
+                  <input
+                    value={inspector.certNumber}
+                    onChange={(e) => setInspector(i => ({ ...i, certNumber: e.target.value }))}
+                    placeholder="Certification number (optional)"
+                    className="px-3 py-2 border rounded text-sm"
+                  />
+                </div>
+                <SignaturePad value={signature} onChange={setSignature} />
+              </div>
+            )}
             </div>
 
             <div className="p-4 border-t bg-gray-50 flex flex-wrap gap-2 justify-end">
@@ -451,12 +908,23 @@ export default function SectionDetail({ extinguishers, onSelectItem, getViewMode
               {onReplace && (
                 <button onClick={() => { onReplace?.(activeItem); }} className="px-4 py-2 rounded bg-amber-600 text-white hover:bg-amber-700">Replace</button>
               )}
-              <button onClick={() => {
-                const inspectionData = { checklistData: checklist, notes, photo: photoFile || null, gps: gps || null };
-                onSaveNotes?.(activeItem, checklistSummary(), inspectionData);
-              }} className="px-4 py-2 rounded bg-slate-200 hover:bg-slate-300">Save Notes</button>
-              <button onClick={() => saveInspection('fail')} className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700">Fail</button>
-              <button onClick={() => saveInspection('pass')} className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700">Pass</button>
+              {workflow === 'annual' ? (
+                <>
+                  <button onClick={() => saveAnnualMaintenance('fail')} className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700">Fail</button>
+                  <button onClick={() => saveAnnualMaintenance('pass')} className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700">Complete Maintenance</button>
+                </>
+              ) : (
+                <>
+                  {onReinspect && activeItem.status === 'fail' && (
+                    <button onClick={() => { onReinspect(activeItem); setActiveItem(null); }} className="px-4 py-2 rounded bg-orange-500 text-white hover:bg-orange-600">Re-inspect</button>
+                  )}
+                  <button onClick={() => {
+                    onSaveNotes?.(activeItem, checklistSummary(), buildInspectionData());
+                  }} className="px-4 py-2 rounded bg-slate-200 hover:bg-slate-300">Save Notes</button>
+                  <button onClick={() => saveInspection('fail')} className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700">Fail</button>
+                  <button onClick={() => saveInspection('pass')} className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700">Pass</button>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -1,11 +1,12 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import { isInService } from '../config/lifecycle';
 
 export default function SectionGrid({ sections, extinguishers }) {
   const navigate = useNavigate();
 
   const counts = (name) => {
-    const list = extinguishers.filter(e => e.section === name);
+    const list = extinguishers.filter(e => e.section === name && isInService(e));
     const unchecked = list.filter(e => e.status === 'pending').length;
     const checked = list.length - unchecked;
     return { total: list.length, checked, unchecked };
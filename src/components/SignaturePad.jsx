@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * SignaturePad - Draw a signature with mouse, pen or finger
+ *
+ * Calls `onChange` with a PNG data URL after each stroke, or null when cleared.
+ * `value` restores a previously captured signature (e.g. reused between units).
+ */
+const SignaturePad = ({ value, onChange, height = 140 }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  // Only the signature passed in on mount is restored; later values come from this pad's own strokes
+  const initialValueRef = useRef(value);
+  const [hasInk, setHasInk] = useState(Boolean(value));
+
+  // Match the canvas resolution to its displayed size so strokes aren't blurry
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#111827';
+    if (initialValueRef.current) {
+      const img = new Image();
+      img.onload = () => ctx.drawImage(img, 0, 0, canvas.offsetWidth, height);
+      img.src = initialValueRef.current;
+    }
+  }, [height]);
+
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawingRef.current = true;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setHasInk(true);
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasInk(false);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full border-2 border-dashed border-gray-300 rounded bg-white touch-none"
+        style={{ height }}
+      />
+      <div className="flex justify-between items-center mt-1 text-xs text-gray-500">
+        <span>{hasInk ? 'Signed' : 'Sign above'}</span>
+        <button type="button" onClick={clear} className="text-red-600 hover:underline">Clear</button>
+      </div>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import SignaturePad from './SignaturePad';
+
+/**
+ * SignoffModal - Close out a whole inspection month or one section with a signature
+ *
+ * `statsFor(section)` returns { total, passed, failed, pending } for a section,
+ * or for the whole workspace when section is null. `onSign({ scope, section,
+ * name, certNumber, signature })` stores the sign-off and returns true on success.
+ */
+const SignoffModal = ({ workspace, sections, statsFor, onSign, onClose }) => {
+  const [scope, setScope] = useState('workspace');
+  const [section, setSection] = useState(sections[0] || '');
+  const [profile, setProfile] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('inspectorProfile')) || { name: '', certNumber: '' };
+    } catch {
+      return { name: '', certNumber: '' };
+    }
+  });
+  const [signature, setSignature] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const stats = statsFor(scope === 'section' ? section : null);
+  const signoffs = workspace?.signoffs || [];
+
+  const handleSign = async () => {
+    if (!profile.name.trim() || !signature) {
+      alert('Printed name and signature are required to sign off.');
+      return;
+    }
+    if (stats.pending > 0 && !window.confirm(`${stats.pending} unit(s) are still pending. Sign off anyway?`)) {
+      return;
+    }
+    localStorage.setItem('inspectorProfile', JSON.stringify(profile));
+    setSaving(true);
+    try {
+      const signed = await onSign({
+        scope,
+        section: scope === 'section' ? section : null,
+        name: profile.name.trim(),
+        certNumber: profile.certNumber.trim(),
+        signature
+      });
+      if (signed) onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full text-gray-900 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Sign Off — {workspace?.label}</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex gap-4 mb-3 text-sm">
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={scope === 'workspace'} onChange={() => setScope('workspace')} />
+            Whole month
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={scope === 'section'} onChange={() => setScope('section')} disabled={sections.length === 0} />
+            One section
+          </label>
+          {scope === 'section' && (
+            <select
+              value={section}
+              onChange={(e) => setSection(e.target.value)}
+              className="flex-1 p-1 border border-gray-300 rounded"
+            >
+              {sections.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div className="grid grid-cols-4 gap-2 mb-4 text-center text-sm">
+          <div className="p-2 bg-gray-100 rounded"><div className="font-bold">{stats.total}</div>Total</div>
+          <div className="p-2 bg-green-100 rounded"><div className="font-bold">{stats.passed}</div>Passed</div>
+          <div className="p-2 bg-red-100 rounded"><div className="font-bold">{stats.failed}</div>Failed</div>
+          <div className="p-2 bg-yellow-100 rounded"><div className="font-bold">{stats.pending}</div>Pending</div>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-2">
+          <input
+            value={profile.name}
+            onChange={(e) => setProfile(p => ({ ...p, name: e.target.value }))}
+            placeholder="Printed name"
+            className="px-3 py-2 border rounded text-sm"
+          />
+          <input
+            value={profile.certNumber}
+            onChange={(e) => setProfile(p => ({ ...p, certNumber: e.target.value }))}
+            placeholder="Certification number (optional)"
+            className="px-3 py-2 border rounded text-sm"
+          />
+        </div>
+        <SignaturePad onChange={setSignature} />
+
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={handleSign}
+            disabled={saving}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Sign Off'}
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+
+        {signoffs.length > 0 && (
+          <div className="mt-4 border-t pt-3">
+            <p className="text-sm font-medium text-gray-700 mb-2">Previous sign-offs</p>
+            <div className="space-y-2">
+              {signoffs.map((signoff, index) => (
+                <div key={index} className="flex items-center gap-3 text-sm">
+                  {signoff.signatureUrl && (
+                    <img src={signoff.signatureUrl} alt="Signature" className="h-10 w-24 object-contain border rounded bg-white" />
+                  )}
+                  <div>
+                    <div className="font-medium">{signoff.scope === 'section' ? signoff.section : 'Whole month'}</div>
+                    <div className="text-xs text-gray-500">
+                      {signoff.name}{signoff.certNumber ? ` (Cert #${signoff.certNumber})` : ''} · {new Date(signoff.signedAt).toLocaleString()}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignoffModal;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { getTypeLabel } from '../config/extinguisherTypes';
+
+/**
+ * SwapModal - Hang a spare in place of a unit that is being pulled for service
+ *
+ * `spares` are the units currently in the spare pool. `onSave(original, spare, reason)`
+ * performs the swap; the modal closes itself through `onClose` once it resolves.
+ */
+const SwapModal = ({ item, spares, onSave, onClose }) => {
+  // Prefer spares of the same type so the replacement matches the hazard
+  const sortedSpares = [...spares].sort((a, b) => {
+    const aMatch = a.extinguisherType && a.extinguisherType === item.extinguisherType ? 0 : 1;
+    const bMatch = b.extinguisherType && b.extinguisherType === item.extinguisherType ? 0 : 1;
+    return aMatch - bMatch || String(a.assetId).localeCompare(String(b.assetId));
+  });
+
+  // Starts on the first spare listed, so saving without touching the list uses the one shown
+  const [spareId, setSpareId] = useState(sortedSpares[0]?.id || '');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const spare = spares.find(s => s.id === spareId);
+    if (!spare) {
+      alert('Please select a spare.');
+      return;
+    }
+    if (!reason.trim()) {
+      alert('Please enter why the unit is being pulled.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(item, spare, reason.trim());
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full my-8 text-gray-900">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Temporary Swap</h3>
+          <button onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Pull <span className="font-semibold">{item.assetId}</span> from {item.section}
+          {item.vicinity ? ` (${item.vicinity})` : ''} and hang a spare in its place.
+        </p>
+
+        {spares.length === 0 ? (
+          <div className="p-3 bg-amber-50 border border-amber-300 rounded text-sm text-amber-800">
+            No spares available. Mark a unit as "Spare" from its lifecycle history to add it to the pool.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Spare</label>
+              <select
+                value={spareId}
+                onChange={(e) => setSpareId(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg"
+              >
+                {sortedSpares.map(spare => (
+                  <option key={spare.id} value={spare.id}>
+                    {spare.assetId}
+                    {spare.extinguisherType ? ` — ${getTypeLabel(spare.extinguisherType)}` : ''}
+                    {spare.sizeLbs ? ` ${spare.sizeLbs} lbs` : ''}
+                    {` (${spare.section})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <input
+                type="text"
+                list="swap-reasons"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg"
+                placeholder="e.g., Recharge"
+              />
+              <datalist id="swap-reasons">
+                <option value="Recharge" />
+                <option value="Hydrostatic test" />
+                <option value="6-year maintenance" />
+                <option value="Repair" />
+              </datalist>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2 mt-6">
+          <button
+            onClick={handleSave}
+            disabled={saving || spares.length === 0}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Swapping…' : 'Swap'}
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SwapModal;
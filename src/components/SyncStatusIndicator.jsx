@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+
+const TYPE_LABELS = {
+  inspection: 'Inspection',
+  notes: 'Notes',
+};
+
+/**
+ * SyncStatusIndicator - Header badge for the offline queue
+ *
+ * Shows online/offline, whether queued saves are syncing, and how many are
+ * waiting. Clicking opens the list of queued saves; failed ones can be
+ * retried (`onRetry(entry)`) or discarded (`onDiscard(entry)`), and
+ * `onSyncNow()` replays the queue immediately. Saves that conflicted with
+ * another device (`needsDecision`) are retried with the conflict dialog.
+ */
+const SyncStatusIndicator = ({ online, syncing, entries, onSyncNow, onRetry, onDiscard }) => {
+  const [open, setOpen] = useState(false);
+  const pending = entries.filter(entry => !entry.failedAt);
+  const failed = entries.filter(entry => entry.failedAt);
+
+  let label = 'Synced';
+  let style = 'bg-green-600 hover:bg-green-700';
+  let Icon = Cloud;
+  if (!online) {
+    label = pending.length > 0 ? `Offline · ${pending.length} pending` : 'Offline';
+    style = 'bg-gray-600 hover:bg-gray-700';
+    Icon = CloudOff;
+  } else if (syncing) {
+    label = `Syncing ${pending.length}…`;
+    style = 'bg-blue-600 hover:bg-blue-700';
+    Icon = RefreshCw;
+  } else if (pending.length > 0) {
+    label = `${pending.length} pending`;
+    style = 'bg-amber-600 hover:bg-amber-700';
+  }
+  if (failed.length > 0) {
+    label = `${label} · ${failed.length} failed`;
+    style = 'bg-red-600 hover:bg-red-700';
+  }
+
+  return (
+    <div className="relative flex-shrink-0">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`px-3 py-2 text-white rounded flex items-center gap-2 text-sm ${style}`}
+        title="Saves waiting for a connection"
+      >
+        <Icon size={16} className={syncing ? 'animate-spin' : ''} />
+        <span>{label}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white text-gray-800 rounded-lg shadow-xl border z-50 p-3">
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-semibold text-sm">
+              {entries.length === 0 ? 'Everything is saved' : `${entries.length} unsynced save${entries.length !== 1 ? 's' : ''}`}
+            </span>
+            {pending.length > 0 && (
+              <button
+                onClick={onSyncNow}
+                disabled={!online || syncing}
+                className="text-xs text-blue-600 hover:underline disabled:text-gray-400"
+              >
+                Sync now
+              </button>
+            )}
+          </div>
+          {!online && (
+            <p className="text-xs text-gray-600 mb-2">
+              No connection. Inspections and photos are kept on this device and upload automatically when you are back online.
+            </p>
+          )}
+          <div className="max-h-64 overflow-y-auto divide-y">
+            {entries.map(entry => (
+              <div key={entry.id} className="py-2 text-sm">
+                <div className="flex justify-between gap-2">
+                  <span className="font-medium">
+                    {TYPE_LABELS[entry.type] || entry.type} · {entry.item.assetId}
+                    {entry.payload.status && ` · ${entry.payload.status}`}
+                  </span>
+                  <span className="text-xs text-gray-500">{new Date(entry.queuedAt).toLocaleTimeString()}</span>
+                </div>
+                {entry.failedAt && (
+                  <div className="mt-1">
+                    <div className="text-xs text-red-700 flex items-start gap-1">
+                      <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" />
+                      <span>{entry.lastError}</span>
+                    </div>
+                    <div className="flex gap-3 mt-1">
+                      <button onClick={() => onRetry(entry)} className="text-xs text-blue-600 hover:underline">
+                        {entry.needsDecision ? 'Resolve conflict' : 'Retry'}
+                      </button>
+                      <button onClick={() => onDiscard(entry)} className="text-xs text-red-600 hover:underline">Discard</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatusIndicator;
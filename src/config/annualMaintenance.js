@@ -0,0 +1,86 @@
+/**
+ * Annual Maintenance Configuration
+ *
+ * NFPA 10 annual maintenance is a separate procedure from the monthly visual
+ * inspection and is performed by a certified technician. Records are stored
+ * in the unit's inspection history (its `inspections` subcollection) with
+ * `recordType: 'annual_maintenance'`.
+ */
+
+export const RECORD_TYPES = {
+  INSPECTION: 'inspection',
+  ANNUAL_MAINTENANCE: 'annual_maintenance',
+};
+
+/**
+ * Annual maintenance checklist, grouped for display
+ */
+export const ANNUAL_CHECKLIST_SECTIONS = [
+  {
+    title: 'Mechanical Parts',
+    items: [
+      { key: 'shellCondition', label: 'Shell/cylinder free of dents, corrosion, and damage' },
+      { key: 'hoseNozzle', label: 'Hose and nozzle clear, not cracked or obstructed' },
+      { key: 'valveHandle', label: 'Valve, handle, and lever operate freely' },
+      { key: 'gaugeOperable', label: 'Pressure gauge operable and in range' },
+    ],
+  },
+  {
+    title: 'Extinguishing Agent',
+    items: [
+      { key: 'agentCheck', label: 'Agent checked (weight/level correct, no caking)' },
+      { key: 'cartridgeCheck', label: 'Cartridge or expellant checked (if applicable)' },
+    ],
+  },
+  {
+    title: 'Expelling Means & Seals',
+    items: [
+      { key: 'pinAndSealReplaced', label: 'Pull pin and tamper seal replaced' },
+      { key: 'oRingsChecked', label: 'O-rings and gaskets inspected' },
+    ],
+  },
+  {
+    title: 'Labeling & Records',
+    items: [
+      { key: 'labelLegible', label: 'Nameplate and operating instructions legible' },
+      { key: 'collarReplaced', label: 'Verification-of-service collar replaced (if applicable)' },
+      { key: 'tagReplaced', label: 'New maintenance tag attached, signed and dated' },
+      { key: 'hydroLabelCurrent', label: 'Hydrostatic test label current' },
+    ],
+  },
+];
+
+/**
+ * Flat list of all annual checklist items
+ */
+export const ANNUAL_CHECKLIST_ITEMS = ANNUAL_CHECKLIST_SECTIONS.flatMap(section => section.items);
+
+/**
+ * Get a fresh annual checklist with every item set to 'pass'
+ */
+export function getDefaultAnnualChecklist() {
+  return Object.fromEntries(ANNUAL_CHECKLIST_ITEMS.map(item => [item.key, 'pass']));
+}
+
+/**
+ * Get the label for an annual checklist key
+ */
+export function getAnnualChecklistLabel(key) {
+  return ANNUAL_CHECKLIST_ITEMS.find(item => item.key === key)?.label || key;
+}
+
+/**
+ * Record type of a history entry; entries without one are monthly inspections
+ */
+export function getRecordType(record) {
+  return record?.recordType || RECORD_TYPES.INSPECTION;
+}
+
+/**
+ * Check if a history entry is an annual maintenance record
+ */
+export function isAnnualMaintenanceRecord(record) {
+  return getRecordType(record) === RECORD_TYPES.ANNUAL_MAINTENANCE;
+}
+
+export default ANNUAL_CHECKLIST_SECTIONS;
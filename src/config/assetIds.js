@@ -0,0 +1,169 @@
+/**
+ * Asset ID Uniqueness
+ *
+ * Extinguishers are stored per building, so Firestore can't enforce a unique
+ * asset ID on its own. These helpers check the current workspace (all
+ * buildings) for conflicting asset IDs and serials, rank scan matches, and
+ * build the merged record used by the duplicate report.
+ */
+
+/**
+ * Normalize an asset ID or serial for comparison (trimmed, case-insensitive)
+ */
+export function normalizeAssetKey(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+// Placeholder serials that shouldn't be reported as duplicates
+const IGNORED_SERIALS = new Set(['', 'N/A', 'NA', 'NONE', 'UNKNOWN', '-']);
+
+function isComparableSerial(serial) {
+  return !IGNORED_SERIALS.has(normalizeAssetKey(serial));
+}
+
+/**
+ * Other records that already use this asset ID
+ */
+export function findAssetIdConflicts(extinguishers, assetId, excludeId = null) {
+  const key = normalizeAssetKey(assetId);
+  if (!key) return [];
+  return (extinguishers || []).filter(e => e.id !== excludeId && normalizeAssetKey(e.assetId) === key);
+}
+
+/**
+ * Other records that already use this serial number
+ */
+export function findSerialConflicts(extinguishers, serial, excludeId = null) {
+  if (!isComparableSerial(serial)) return [];
+  const key = normalizeAssetKey(serial);
+  return (extinguishers || []).filter(e => e.id !== excludeId && normalizeAssetKey(e.serial) === key);
+}
+
+/**
+ * Short description of where conflicting records live, for alerts
+ */
+export function describeConflicts(conflicts) {
+  return conflicts
+    .map(e => `${e.assetId} — ${e.section || 'No section'}${e.vicinity ? ` (${e.vicinity})` : ''}`)
+    .join('\n');
+}
+
+function groupBy(extinguishers, keyFn) {
+  const groups = new Map();
+  (extinguishers || []).forEach(item => {
+    const key = keyFn(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.entries()]
+    .filter(([, items]) => items.length > 1)
+    .map(([key, items]) => ({ key, items }))
+    .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+}
+
+/**
+ * Groups of records sharing an asset ID or a serial number
+ */
+export function findDuplicateGroups(extinguishers) {
+  return {
+    assetIdGroups: groupBy(extinguishers, e => normalizeAssetKey(e.assetId)),
+    serialGroups: groupBy(extinguishers, e => (isComparableSerial(e.serial) ? normalizeAssetKey(e.serial) : '')),
+  };
+}
+
+/**
+ * Suggest an unused asset ID by appending a suffix ("FE-12" -> "FE-12-2")
+ */
+export function suggestAssetId(extinguishers, assetId) {
+  const base = String(assetId ?? '').trim();
+  const used = new Set((extinguishers || []).map(e => normalizeAssetKey(e.assetId)));
+  let n = 2;
+  while (used.has(normalizeAssetKey(`${base}-${n}`))) n += 1;
+  return `${base}-${n}`;
+}
+
+/**
+ * Find scan/search matches, best first.
+ * Exact asset ID matches win over exact serial matches, which win over partial
+ * matches; only the best non-empty tier is returned so "12" doesn't open "112".
+ */
+export function findScanMatches(extinguishers, searchValue) {
+  const key = normalizeAssetKey(searchValue);
+  if (!key) return [];
+  const list = extinguishers || [];
+
+  const exactAsset = list.filter(e => normalizeAssetKey(e.assetId) === key);
+  if (exactAsset.length > 0) return exactAsset;
+
+  const exactSerial = list.filter(e => normalizeAssetKey(e.serial) === key);
+  if (exactSerial.length > 0) return exactSerial;
+
+  return list.filter(e =>
+    normalizeAssetKey(e.assetId).includes(key) || normalizeAssetKey(e.serial).includes(key)
+  );
+}
+
+const byDate = (field) => (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+
+function uniqueBy(list, keyFn) {
+  const seen = new Set();
+  return list.filter(entry => {
+    const key = keyFn(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Descriptive fields that are copied from a duplicate only when the kept record has none
+const FILL_FIELDS = [
+  'serial', 'vicinity', 'parentLocation', 'extinguisherType', 'sizeLbs', 'ulRating',
+  'manufacturer', 'model', 'manufactureDate', 'manufactureYear', 'lastSixYearMaintenance',
+  'lastHydroTest', 'lastAnnualMaintenance', 'photoUrl', 'location',
+];
+
+/**
+ * Build the Firestore update for the record kept when merging duplicates.
+ * History, photos and lifecycle entries are combined; blank fields are filled
+ * from the duplicates; the most recent inspection result wins.
+ */
+export function buildMergedRecord(keep, duplicates) {
+  const all = [keep, ...duplicates];
+  const updates = {};
+
+  FILL_FIELDS.forEach(field => {
+    const current = keep[field];
+    if (current !== undefined && current !== null && current !== '') return;
+    const source = duplicates.find(d => d[field] !== undefined && d[field] !== null && d[field] !== '');
+    if (source) updates[field] = source[field];
+  });
+
+  updates.inspectionHistory = uniqueBy(
+    all.flatMap(e => e.inspectionHistory || []),
+    h => `${h.date}|${h.status}|${h.recordType || ''}`
+  ).sort(byDate('date'));
+  updates.photos = uniqueBy(all.flatMap(e => e.photos || []), p => p.url || JSON.stringify(p));
+  updates.lifecycleHistory = all.flatMap(e => e.lifecycleHistory || []).sort(byDate('date'));
+  updates.swapHistory = all.flatMap(e => e.swapHistory || []).sort(byDate('startedAt'));
+  updates.recallIds = [...new Set(all.flatMap(e => e.recallIds || []))];
+
+  const latest = all
+    .filter(e => e.checkedDate)
+    .sort(byDate('checkedDate'))
+    .pop();
+  if (latest && latest.id !== keep.id) {
+    updates.status = latest.status;
+    updates.checkedDate = latest.checkedDate;
+    updates.notes = latest.notes || '';
+    updates.checklistData = latest.checklistData || null;
+  }
+
+  updates.mergedFrom = [
+    ...(keep.mergedFrom || []),
+    ...duplicates.map(d => ({ id: d.id, buildingId: d.buildingId, assetId: d.assetId, section: d.section || '' })),
+  ];
+  return updates;
+}
+
+export default findDuplicateGroups;
@@ -0,0 +1,94 @@
+/**
+ * Bulk Edit Configuration
+ *
+ * Actions and settable fields for editing many extinguishers at once, plus
+ * chunking so each Firestore writeBatch stays under the 500-operation limit.
+ */
+
+import { MAINTENANCE_CONFIG } from './maintenance';
+import { TYPE_CONFIG } from './extinguisherTypes';
+import { FREQUENCY_CONFIG } from './inspectionFrequency';
+
+export const BULK_ACTIONS = {
+  SECTION: 'section',
+  FIELDS: 'fields',
+  RESET: 'reset',
+  DELETE: 'delete',
+};
+
+export const BULK_ACTION_LABELS = {
+  [BULK_ACTIONS.SECTION]: 'Change Section',
+  [BULK_ACTIONS.FIELDS]: 'Set Fields',
+  [BULK_ACTIONS.RESET]: 'Reset Status',
+  [BULK_ACTIONS.DELETE]: 'Delete',
+};
+
+/**
+ * Fields that can be set on a selection. Only fields the user fills in are written.
+ */
+export const BULK_EDIT_FIELDS = [
+  { key: 'manufactureDate', label: 'Manufacture Date', input: 'date' },
+  ...Object.values(MAINTENANCE_CONFIG).map(config => ({ key: config.field, label: `Last ${config.label}`, input: 'date' })),
+  {
+    key: 'extinguisherType',
+    label: 'Type / Agent',
+    input: 'select',
+    options: Object.values(TYPE_CONFIG).map(config => ({ value: config.type, label: config.label })),
+  },
+  { key: 'sizeLbs', label: 'Size (lbs)', input: 'number' },
+  { key: 'ulRating', label: 'UL Rating', input: 'text' },
+  { key: 'manufacturer', label: 'Manufacturer', input: 'text' },
+  { key: 'model', label: 'Model', input: 'text' },
+  { key: 'parentLocation', label: 'Parent Location', input: 'text' },
+  {
+    key: 'inspectionFrequency',
+    label: 'Inspection Frequency',
+    input: 'select',
+    options: Object.values(FREQUENCY_CONFIG).map(config => ({ value: config.value, label: config.label })),
+  },
+];
+
+// Firestore allows 500 writes per batch; leave headroom like the rest of the app
+export const BULK_BATCH_LIMIT = 450;
+
+/**
+ * Pick the filled-in bulk field values, converting size to a number
+ */
+export function getBulkFieldUpdates(values) {
+  const updates = {};
+  BULK_EDIT_FIELDS.forEach(({ key }) => {
+    const value = values[key];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    if (key === 'sizeLbs') {
+      const size = Number(value);
+      if (Number.isFinite(size)) updates.sizeLbs = size;
+      return;
+    }
+    updates[key] = String(value).trim();
+  });
+  return updates;
+}
+
+/**
+ * Split operations into chunks whose write counts fit in one batch, with at
+ * most `maxOperations` operations per chunk.
+ * Each operation is `{ item, writes }` where writes is the number of batch writes it needs.
+ */
+export function chunkOperations(operations, limit = BULK_BATCH_LIMIT, maxOperations = Infinity) {
+  const chunks = [];
+  let current = [];
+  let count = 0;
+  operations.forEach(op => {
+    if ((count + op.writes > limit || current.length >= maxOperations) && current.length > 0) {
+      chunks.push(current);
+      current = [];
+      count = 0;
+    }
+    current.push(op);
+    count += op.writes;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+export default BULK_ACTIONS;
@@ -0,0 +1,163 @@
+/**
+ * Change Log Configuration
+ *
+ * Every write to an extinguisher records an entry in the top-level `changeLog`
+ * collection: who made it, when, and the before/after value of each field it
+ * changed. Entries are append-only; security rules reject updates and deletes.
+ *
+ * The entry is written in the same batch as the unit, and the rules refuse a
+ * unit write without one: creates and updates point at their entry through
+ * `changeLogId`, and a removal's entry is stored under getRemovalLogId(unitId).
+ * `loggedAt` is server time and `changedBy` must be the signed-in user's email;
+ * `changedAt` is the device clock, kept for reference only.
+ */
+
+export const CHANGE_ACTIONS = {
+  CREATE: 'create',
+  EDIT: 'edit',
+  MOVE: 'move',
+  INSPECTION: 'inspection',
+  NOTES: 'notes',
+  ANNUAL_MAINTENANCE: 'annual_maintenance',
+  MAINTENANCE_DATE: 'maintenance_date',
+  RESET_STATUS: 'reset_status',
+  MONTHLY_RESET: 'monthly_reset',
+  LIFECYCLE: 'lifecycle',
+  SWAP: 'swap',
+  RENUMBER: 'renumber',
+  REPLACE: 'replace',
+  MERGE: 'merge',
+  BULK_EDIT: 'bulk_edit',
+  PHOTOS: 'photos',
+  DELETE: 'delete',
+  CONFLICT: 'conflict',
+  // Account-wide maintenance jobs
+  RECALL_MATCH: 'recall_match',
+  MIGRATION: 'migration',
+  AUTO_ASSIGN: 'auto_assign',
+  LOCATION_REMOVED: 'location_removed',
+  HISTORY_MIGRATION: 'history_migration',
+};
+
+export const CHANGE_ACTION_LABELS = {
+  [CHANGE_ACTIONS.CREATE]: 'Added',
+  [CHANGE_ACTIONS.EDIT]: 'Edited',
+  [CHANGE_ACTIONS.MOVE]: 'Moved building',
+  [CHANGE_ACTIONS.INSPECTION]: 'Inspected',
+  [CHANGE_ACTIONS.NOTES]: 'Notes saved',
+  [CHANGE_ACTIONS.ANNUAL_MAINTENANCE]: 'Annual maintenance',
+  [CHANGE_ACTIONS.MAINTENANCE_DATE]: 'Maintenance date',
+  [CHANGE_ACTIONS.RESET_STATUS]: 'Status reset',
+  [CHANGE_ACTIONS.MONTHLY_RESET]: 'Monthly reset',
+  [CHANGE_ACTIONS.LIFECYCLE]: 'Lifecycle change',
+  [CHANGE_ACTIONS.SWAP]: 'Temporary swap',
+  [CHANGE_ACTIONS.RENUMBER]: 'Renumbered',
+  [CHANGE_ACTIONS.REPLACE]: 'Replaced',
+  [CHANGE_ACTIONS.MERGE]: 'Merged duplicates',
+  [CHANGE_ACTIONS.BULK_EDIT]: 'Bulk edit',
+  [CHANGE_ACTIONS.PHOTOS]: 'Photos',
+  [CHANGE_ACTIONS.DELETE]: 'Deleted',
+  [CHANGE_ACTIONS.CONFLICT]: 'Conflict resolved',
+  [CHANGE_ACTIONS.RECALL_MATCH]: 'Recall matching',
+  [CHANGE_ACTIONS.MIGRATION]: 'Maintenance date migration',
+  [CHANGE_ACTIONS.AUTO_ASSIGN]: 'Floor/room auto-assign',
+  [CHANGE_ACTIONS.LOCATION_REMOVED]: 'Floor/room deleted',
+  [CHANGE_ACTIONS.HISTORY_MIGRATION]: 'Inspection history migration',
+};
+
+// Bookkeeping fields that change on every write and aren't worth logging
+const IGNORED_FIELDS = ['updatedAt', 'updatedBy', 'changeLogId'];
+
+// Rules read each unit write's log entry, and a batch may read at most 20
+// documents in rules; unit writes are batched this many at a time, leaving
+// room for the building documents the rules also read
+export const LOGGED_UNITS_PER_BATCH = 9;
+
+/**
+ * Id of the entry that records a unit's removal (a delete, or the old document of a move)
+ */
+export function getRemovalLogId(extinguisherId) {
+  return `removed_${extinguisherId}`;
+}
+
+// Longest stored before/after value; lists and maps are stored as JSON
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Value as stored in a log entry: scalars as-is, lists and maps as (truncated) JSON
+ */
+export function toLogValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return value;
+  const json = JSON.stringify(value);
+  return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : json;
+}
+
+/**
+ * Inspection history grows by whole records; log what was added instead of the list
+ */
+function describeHistory(history = []) {
+  const latest = history[history.length - 1];
+  const summary = latest ? `, latest ${String(latest.date || '').slice(0, 10)} ${String(latest.status || '').toUpperCase()}` : '';
+  return `${history.length} record${history.length !== 1 ? 's' : ''}${summary}`;
+}
+
+/**
+ * One record added to the unit's inspection history (stored in its own document)
+ */
+function describeRecord(record) {
+  return `${String(record.date || '').slice(0, 10)} ${String(record.status || '').toUpperCase()}`.trim();
+}
+
+/**
+ * [{ field, before, after }] for each field in `updates` whose value differs from `before`
+ */
+export function diffFields(before = {}, updates = {}) {
+  return Object.entries(updates)
+    .filter(([field]) => !IGNORED_FIELDS.includes(field))
+    .map(([field, value]) => {
+      if (field === 'inspectionHistory') {
+        return { field, before: describeHistory(before.inspectionHistory), after: describeHistory(value) };
+      }
+      if (field === 'inspectionRecord') {
+        return { field, before: null, after: describeRecord(value) };
+      }
+      return { field, before: toLogValue(before[field]), after: toLogValue(value) };
+    })
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Change log document for a write to `item`, or null when nothing changed.
+ * An `inspectionRecord` entry in `updates` stands for a record written to the
+ * unit's inspections subcollection in the same batch.
+ * `context` supplies userId, changedBy (email), changedByUid and optionally
+ * extinguisherId when the write created a new document.
+ */
+export function buildChangeLogEntry(item, updates, action, context) {
+  const changes = action === CHANGE_ACTIONS.DELETE
+    ? [{ field: 'record', before: toLogValue(item.assetId), after: null }]
+    : diffFields(item, updates);
+  if (changes.length === 0) return null;
+  return {
+    extinguisherId: item.id || null,
+    buildingId: item.buildingId || null,
+    workspaceId: item.workspaceId || null,
+    assetId: updates.assetId || item.assetId || '',
+    section: updates.section || item.section || '',
+    action,
+    changes,
+    changedAt: new Date().toISOString(),
+    ...context,
+  };
+}
+
+/**
+ * Display text for a logged value
+ */
+export function formatLogValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+}
+
+export default CHANGE_ACTIONS;
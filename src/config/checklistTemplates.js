@@ -0,0 +1,212 @@
+/**
+ * Monthly Checklist Templates
+ *
+ * Account-level templates live in the `checklistTemplates` collection. Every
+ * save bumps `version` and keeps a copy of the sections under
+ * `versions[version]`, and inspections record `checklistTemplateId` and
+ * `checklistTemplateVersion`, so old records render and export with the items
+ * they were inspected against. Records without a template id used the
+ * built-in standard checklist below.
+ */
+
+import { PhotoUploadError } from '../offlineQueue';
+
+export const BUILT_IN_TEMPLATE_ID = 'builtin-standard';
+
+/**
+ * Answers stored in `checklistData`. An item without an answer is null.
+ */
+export const CHECKLIST_ANSWERS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  NA: 'n/a',
+};
+
+export const CHECKLIST_ANSWER_LABELS = {
+  [CHECKLIST_ANSWERS.PASS]: 'Pass',
+  [CHECKLIST_ANSWERS.FAIL]: 'Fail',
+  [CHECKLIST_ANSWERS.NA]: 'N/A',
+};
+
+/**
+ * The original 13-point monthly checklist. `exportLabel` keeps the export
+ * column names the app has always used.
+ */
+export const BUILT_IN_TEMPLATE = {
+  id: BUILT_IN_TEMPLATE_ID,
+  name: 'Standard Monthly (NFPA 10)',
+  version: 1,
+  extinguisherTypes: [],
+  builtIn: true,
+  sections: [
+    {
+      title: 'Basic Monthly Check',
+      items: [
+        { key: 'pinPresent', label: 'Pin Present', exportLabel: 'Pin Present' },
+        { key: 'tamperSealIntact', label: 'Tamper Seal Intact', exportLabel: 'Tamper Seal Intact' },
+        { key: 'gaugeCorrectPressure', label: 'Gauge Shows Correct Pressure', exportLabel: 'Gauge Correct Pressure' },
+        { key: 'weightCorrect', label: 'Weight feels correct', exportLabel: 'Weight Correct' },
+        { key: 'noDamage', label: 'No Visible Damage, Corrosion, or Leakage', exportLabel: 'No Damage' },
+      ],
+    },
+    {
+      title: 'Location & Accessibility',
+      items: [
+        { key: 'inDesignatedLocation', label: 'Extinguisher in designated location', exportLabel: 'In Designated Location' },
+        { key: 'clearlyVisible', label: 'Clearly Visible with no Obstructions', exportLabel: 'Clearly Visible' },
+        { key: 'nearestUnder75ft', label: 'Nearest extinguisher not over 75ft away', exportLabel: 'Nearest Under 75ft' },
+      ],
+    },
+    {
+      title: 'Mounting & Height',
+      items: [
+        { key: 'topUnder5ft', label: 'Top <= 5ft (if <= 40lb)', exportLabel: 'Top Under 5ft' },
+        { key: 'bottomOver4in', label: 'Bottom >= 4 inches from floor', exportLabel: 'Bottom Over 4in' },
+        { key: 'mountedSecurely', label: 'Mounted securely on hanger or in Cabinet', exportLabel: 'Mounted Securely' },
+      ],
+    },
+    {
+      title: 'Administrative',
+      items: [
+        { key: 'inspectionWithin30Days', label: 'Inspection date within 30 days of last', exportLabel: 'Inspection Within 30 Days' },
+        { key: 'tagSignedDated', label: 'Tag signed and dated', exportLabel: 'Tag Signed & Dated' },
+      ],
+    },
+  ],
+};
+
+/**
+ * Flat list of a template's (or a sections array's) items in display order
+ */
+export function getTemplateItems(templateOrSections) {
+  const sections = Array.isArray(templateOrSections) ? templateOrSections : templateOrSections?.sections;
+  return (sections || []).flatMap(section => section.items || []);
+}
+
+/**
+ * Pick the template for a unit: one assigned to its type, else the account
+ * default, else the built-in checklist. Archived templates are never picked.
+ */
+export function selectTemplateForItem(templates, item) {
+  const list = (templates || []).filter(t => !t.archivedAt);
+  const byType = item?.extinguisherType
+    ? list.find(t => (t.extinguisherTypes || []).includes(item.extinguisherType))
+    : null;
+  return byType || list.find(t => t.isDefault) || BUILT_IN_TEMPLATE;
+}
+
+/**
+ * Sections a record was inspected against, from its template id and version
+ * (archived templates included). Falls back to the built-in checklist for
+ * legacy records or templates that no longer exist.
+ */
+export function resolveTemplateSections(templates, templateId, version) {
+  if (!templateId || templateId === BUILT_IN_TEMPLATE_ID) return BUILT_IN_TEMPLATE.sections;
+  const template = (templates || []).find(t => t.id === templateId);
+  if (!template) return BUILT_IN_TEMPLATE.sections;
+  return template.versions?.[version]?.sections || template.sections;
+}
+
+/**
+ * A fresh checklist for a template with every item set to 'pass', or left
+ * unanswered (null) when the account requires explicit answers
+ */
+export function getDefaultChecklist(template, { requireExplicitAnswers = false } = {}) {
+  const initial = requireExplicitAnswers ? null : CHECKLIST_ANSWERS.PASS;
+  return Object.fromEntries(getTemplateItems(template).map(item => [item.key, initial]));
+}
+
+/**
+ * Items in `sections` that have no answer in `checklist`
+ */
+export function getUnansweredItems(sections, checklist) {
+  return getTemplateItems(sections).filter(item => !CHECKLIST_ANSWER_LABELS[checklist?.[item.key]]);
+}
+
+/**
+ * Readable label for a checklist key ("gaugeCorrectPressure" -> "Gauge Correct Pressure" when unknown)
+ */
+export function getChecklistItemLabel(sections, key) {
+  const found = getTemplateItems(sections).find(item => item.key === key);
+  if (found) return found.label;
+  return String(key).replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+}
+
+/**
+ * Thrown when checklist item photos fail to upload; `failedKeys` lists the
+ * items whose photo was not stored, and the message names them
+ */
+export class ChecklistPhotoUploadError extends PhotoUploadError {
+  constructor(failedKeys, sections) {
+    super(`Checklist photos could not be uploaded for: ${failedKeys.map(key => getChecklistItemLabel(sections, key)).join(', ')}`);
+    this.name = 'ChecklistPhotoUploadError';
+    this.failedKeys = failedKeys;
+  }
+}
+
+/**
+ * "Fail - cracked hose" style text for one answer and its comment
+ */
+export function formatChecklistAnswer(value, comment) {
+  const answer = CHECKLIST_ANSWER_LABELS[value] || '';
+  const note = String(comment || '').trim();
+  return [answer, note].filter(Boolean).join(' - ');
+}
+
+/**
+ * Notes text saved with an inspection: failed items (with their comments),
+ * N/A items, then the inspector's own notes
+ */
+export function buildChecklistSummary(sections, checklist, comments, notes) {
+  const describe = ([key]) => {
+    const comment = String(comments?.[key] || '').trim();
+    const label = getChecklistItemLabel(sections, key);
+    return comment ? `${label} (${comment})` : label;
+  };
+  const entries = Object.entries(checklist || {});
+  const failed = entries.filter(([, value]) => value === CHECKLIST_ANSWERS.FAIL).map(describe);
+  const notApplicable = entries.filter(([, value]) => value === CHECKLIST_ANSWERS.NA).map(describe);
+  const parts = [];
+  if (failed.length > 0) parts.push(`Failed items: ${failed.join(', ')}.`);
+  if (notApplicable.length > 0) parts.push(`N/A: ${notApplicable.join(', ')}.`);
+  if (notes) parts.push(notes);
+  return parts.join(' ').trim();
+}
+
+/**
+ * Export columns for a record's checklist, keyed by each item's export label.
+ * Values read "Pass", "Fail - comment", "N/A".
+ */
+export function getChecklistExportColumns(checklistData, sections, comments) {
+  const columns = {};
+  const items = getTemplateItems(sections);
+  items.forEach(item => {
+    columns[item.exportLabel || item.label] = formatChecklistAnswer(checklistData?.[item.key], comments?.[item.key]);
+  });
+  // Keep answers whose item was removed from the template
+  Object.entries(checklistData || {}).forEach(([key, value]) => {
+    if (!items.some(item => item.key === key)) {
+      columns[getChecklistItemLabel(sections, key)] = formatChecklistAnswer(value, comments?.[key]);
+    }
+  });
+  return columns;
+}
+
+/**
+ * Make a stable, unique camelCase key for a new checklist item
+ */
+export function makeChecklistItemKey(label, existingKeys) {
+  const base = String(label || 'item')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)?/g, (_, chr) => (chr ? chr.toUpperCase() : ''))
+    .replace(/^[^a-z]+/, '') || 'item';
+  let key = base;
+  let n = 2;
+  while (existingKeys.includes(key)) {
+    key = `${base}${n}`;
+    n += 1;
+  }
+  return key;
+}
+
+export default BUILT_IN_TEMPLATE;
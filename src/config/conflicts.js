@@ -0,0 +1,112 @@
+/**
+ * Concurrent Edit Conflict Configuration
+ *
+ * Inspections, edits and moves to another building are written in a
+ * transaction that re-reads the unit and compares it with the copy the device
+ * had when the unit was opened (the "base"). If another device inspected the
+ * unit, or changed a field this save also changes, the write stops with a
+ * conflict and the inspector chooses how to resolve it. The choice is stored on
+ * the inspection record and in a change log entry written in the same batch as
+ * the save it leads to (alone, when theirs is kept). Queued offline saves that
+ * conflict wait in the queue until the inspector retries and decides.
+ */
+
+export const CONFLICT_TYPES = {
+  INSPECTION: 'inspection',
+  EDIT: 'edit',
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_THEIRS: 'keep-theirs',
+  OVERWRITE: 'overwrite',
+  ADD_SECOND: 'add-second',
+};
+
+export const CONFLICT_RESOLUTION_LABELS = {
+  [CONFLICT_RESOLUTIONS.KEEP_THEIRS]: 'Keep theirs',
+  [CONFLICT_RESOLUTIONS.OVERWRITE]: 'Overwrite',
+  [CONFLICT_RESOLUTIONS.ADD_SECOND]: 'Add as a second inspection',
+};
+
+// Resolutions offered for each kind of conflict
+export const CONFLICT_OPTIONS = {
+  [CONFLICT_TYPES.INSPECTION]: [CONFLICT_RESOLUTIONS.KEEP_THEIRS, CONFLICT_RESOLUTIONS.OVERWRITE, CONFLICT_RESOLUTIONS.ADD_SECOND],
+  [CONFLICT_TYPES.EDIT]: [CONFLICT_RESOLUTIONS.KEEP_THEIRS, CONFLICT_RESOLUTIONS.OVERWRITE],
+};
+
+/**
+ * Thrown from a checked write when the stored unit no longer matches the base
+ */
+export class ExtinguisherConflictError extends Error {
+  constructor(conflict, current) {
+    super(`Extinguisher ${current.assetId || current.id} was changed on another device`);
+    this.name = 'ExtinguisherConflictError';
+    this.conflict = conflict;
+    this.current = current;
+  }
+}
+
+/**
+ * Fields of a unit an inspection conflict is judged on, as of when it was opened
+ */
+export function getInspectionBase(item) {
+  return {
+    lastInspectedAt: item?.lastInspectedAt || null,
+    checkedDate: item?.checkedDate || null,
+  };
+}
+
+const latestInspection = (unit) => [unit?.lastInspectedAt, unit?.checkedDate].filter(Boolean).sort().pop() || null;
+
+/**
+ * Conflict when the stored unit has an inspection newer than any the device
+ * saw when it opened the unit; null otherwise
+ */
+export function findInspectionConflict(base, current) {
+  const theirs = latestInspection(current);
+  if (!theirs || theirs <= (latestInspection(base) || '')) return null;
+  return {
+    type: CONFLICT_TYPES.INSPECTION,
+    by: current.lastInspectedBy || 'another device',
+    at: theirs,
+    status: current.status || null,
+  };
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Conflict when a field this save changes was also changed on the server since
+ * the base was read, to a different value; null otherwise
+ */
+export function findEditConflict(base, current, updates) {
+  const fields = Object.keys(updates)
+    .filter(field => field !== 'updatedAt' && field !== 'updatedBy')
+    .filter(field => !sameValue(base[field], current[field]) && !sameValue(updates[field], current[field]))
+    .map(field => ({ field, theirs: current[field] ?? null, mine: updates[field] ?? null }));
+  if (fields.length === 0) return null;
+  return {
+    type: CONFLICT_TYPES.EDIT,
+    by: current.updatedBy || 'another device',
+    at: current.updatedAt || null,
+    fields,
+  };
+}
+
+/**
+ * Stored description of how a conflict was resolved
+ */
+export function buildConflictResolution(conflict, resolution, resolvedBy) {
+  return {
+    type: conflict.type,
+    resolution,
+    theirsBy: conflict.by,
+    theirsAt: conflict.at,
+    ...(conflict.status ? { theirsStatus: conflict.status } : {}),
+    ...(conflict.fields ? { fields: conflict.fields.map(({ field }) => field) } : {}),
+    resolvedBy,
+    resolvedAt: new Date().toISOString(),
+  };
+}
+
+export default findInspectionConflict;
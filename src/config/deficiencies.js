@@ -0,0 +1,160 @@
+/**
+ * Deficiency Configuration
+ *
+ * A failed monthly inspection opens one deficiency per failed checklist item
+ * (or a single general one when no item was marked) in the `deficiencies`
+ * collection. Deficiencies follow the unit: unresolved ones move to the next
+ * workspace when it is created from the current one.
+ */
+
+import { getChecklistItemLabel } from './checklistTemplates';
+import { toDateString } from './maintenance';
+
+export const DEFICIENCY_STATUSES = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+};
+
+export const DEFICIENCY_STATUS_CONFIG = {
+  [DEFICIENCY_STATUSES.OPEN]: {
+    status: DEFICIENCY_STATUSES.OPEN,
+    label: 'Open',
+    badgeClass: 'bg-red-100 text-red-800',
+  },
+  [DEFICIENCY_STATUSES.IN_PROGRESS]: {
+    status: DEFICIENCY_STATUSES.IN_PROGRESS,
+    label: 'In Progress',
+    badgeClass: 'bg-amber-100 text-amber-800',
+  },
+  [DEFICIENCY_STATUSES.RESOLVED]: {
+    status: DEFICIENCY_STATUSES.RESOLVED,
+    label: 'Resolved',
+    badgeClass: 'bg-green-100 text-green-800',
+  },
+};
+
+export const SEVERITY_LEVELS = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+/**
+ * Severity configurations. `dueDays` sets the default due date when a
+ * deficiency is opened; `rank` orders lists (most severe first).
+ */
+export const SEVERITY_CONFIG = {
+  [SEVERITY_LEVELS.CRITICAL]: { severity: SEVERITY_LEVELS.CRITICAL, label: 'Critical', dueDays: 1, rank: 0, badgeClass: 'bg-red-600 text-white' },
+  [SEVERITY_LEVELS.HIGH]: { severity: SEVERITY_LEVELS.HIGH, label: 'High', dueDays: 7, rank: 1, badgeClass: 'bg-orange-100 text-orange-800' },
+  [SEVERITY_LEVELS.MEDIUM]: { severity: SEVERITY_LEVELS.MEDIUM, label: 'Medium', dueDays: 14, rank: 2, badgeClass: 'bg-yellow-100 text-yellow-800' },
+  [SEVERITY_LEVELS.LOW]: { severity: SEVERITY_LEVELS.LOW, label: 'Low', dueDays: 30, rank: 3, badgeClass: 'bg-gray-100 text-gray-700' },
+};
+
+export const DEFAULT_SEVERITY = SEVERITY_LEVELS.MEDIUM;
+
+// Item key used when a unit fails without any checklist item marked
+export const GENERAL_DEFICIENCY_KEY = 'general';
+
+/**
+ * Get status configuration for a deficiency status value
+ */
+export function getDeficiencyStatusConfig(status) {
+  return DEFICIENCY_STATUS_CONFIG[status] || DEFICIENCY_STATUS_CONFIG[DEFICIENCY_STATUSES.OPEN];
+}
+
+/**
+ * Get severity configuration for a severity value
+ */
+export function getSeverityConfig(severity) {
+  return SEVERITY_CONFIG[severity] || SEVERITY_CONFIG[DEFAULT_SEVERITY];
+}
+
+/**
+ * Default due date (YYYY-MM-DD) for a severity, counted from `from`
+ */
+export function getDefaultDueDate(severity, from = new Date()) {
+  const due = new Date(from);
+  due.setDate(due.getDate() + getSeverityConfig(severity).dueDays);
+  return toDateString(due);
+}
+
+/**
+ * Check if a deficiency still needs follow-up
+ */
+export function isDeficiencyOpen(deficiency) {
+  return deficiency?.status !== DEFICIENCY_STATUSES.RESOLVED;
+}
+
+/**
+ * Check if an unresolved deficiency is past its due date
+ */
+export function isDeficiencyOverdue(deficiency, now = new Date()) {
+  if (!isDeficiencyOpen(deficiency) || !deficiency.dueDate) return false;
+  return deficiency.dueDate < toDateString(now);
+}
+
+/**
+ * Deficiencies belonging to a unit. Matches on document id, or on asset ID
+ * within the unit's workspace since a unit's id changes when it moves building.
+ */
+export function getDeficienciesForItem(deficiencies, item) {
+  if (!item) return [];
+  return (deficiencies || []).filter(d =>
+    d.extinguisherId === item.id ||
+    (d.workspaceId === item.workspaceId && d.assetId === item.assetId)
+  );
+}
+
+/**
+ * New deficiency documents for a failed inspection: one per failed checklist
+ * item, or one general deficiency when no item failed. Items that already
+ * have an unresolved deficiency on this unit are skipped.
+ */
+export function buildDeficienciesFromInspection(item, inspection, sections, existing = [], context = {}) {
+  const openKeys = new Set(
+    getDeficienciesForItem(existing, item).filter(isDeficiencyOpen).map(d => d.itemKey)
+  );
+  const failedKeys = Object.entries(inspection.checklistData || {})
+    .filter(([, value]) => value === 'fail')
+    .map(([key]) => key);
+  const keys = failedKeys.length > 0 ? failedKeys : [GENERAL_DEFICIENCY_KEY];
+  const openedAt = inspection.date || new Date().toISOString();
+
+  return keys
+    .filter(key => !openKeys.has(key))
+    .map(key => ({
+      extinguisherId: item.id,
+      buildingId: item.buildingId || null,
+      assetId: item.assetId,
+      section: item.section,
+      itemKey: key,
+      itemLabel: key === GENERAL_DEFICIENCY_KEY ? 'Failed inspection' : getChecklistItemLabel(sections, key),
+      description: (inspection.checklistComments?.[key] || (key === GENERAL_DEFICIENCY_KEY ? inspection.notes : '') || '').trim(),
+      photoUrl: inspection.checklistPhotos?.[key] || null,
+      severity: DEFAULT_SEVERITY,
+      assignee: '',
+      dueDate: getDefaultDueDate(DEFAULT_SEVERITY, new Date(openedAt)),
+      status: DEFICIENCY_STATUSES.OPEN,
+      openedAt,
+      openedBy: inspection.inspector || '',
+      resolution: null,
+      carriedOver: [],
+      ...context,
+    }));
+}
+
+/**
+ * Sort for lists: unresolved first, then severity, then due date
+ */
+export function compareDeficiencies(a, b) {
+  const openA = isDeficiencyOpen(a) ? 0 : 1;
+  const openB = isDeficiencyOpen(b) ? 0 : 1;
+  if (openA !== openB) return openA - openB;
+  const rank = getSeverityConfig(a.severity).rank - getSeverityConfig(b.severity).rank;
+  if (rank !== 0) return rank;
+  return String(a.dueDate || '').localeCompare(String(b.dueDate || ''));
+}
+
+export default DEFICIENCY_STATUS_CONFIG;
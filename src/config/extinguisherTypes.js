@@ -0,0 +1,185 @@
+/**
+ * Extinguisher Type Configuration
+ *
+ * Defines the extinguisher types/agents tracked per unit and the service
+ * intervals (NFPA 10) each type requires for hydrostatic testing and
+ * 6-year maintenance.
+ */
+
+export const EXTINGUISHER_TYPES = {
+  ABC: 'abc',
+  BC: 'bc',
+  PURPLE_K: 'purple_k',
+  CO2: 'co2',
+  WATER: 'water',
+  FOAM: 'foam',
+  CLASS_K: 'class_k',
+  CLEAN_AGENT: 'clean_agent',
+  CLASS_D: 'class_d',
+};
+
+/**
+ * Type configurations. `hydroYears` / `sixYearYears` are the service
+ * intervals in years; null means the service does not apply to that type.
+ * `aliases` are matched (case-insensitive) when importing spreadsheets.
+ */
+export const TYPE_CONFIG = {
+  [EXTINGUISHER_TYPES.ABC]: {
+    type: EXTINGUISHER_TYPES.ABC,
+    label: 'ABC Dry Chemical',
+    hydroYears: 12,
+    sixYearYears: 6,
+    aliases: ['abc', 'dry chem', 'dry chemical', 'multi-purpose', 'multipurpose', 'monoammonium'],
+  },
+  [EXTINGUISHER_TYPES.BC]: {
+    type: EXTINGUISHER_TYPES.BC,
+    label: 'BC Dry Chemical',
+    hydroYears: 12,
+    sixYearYears: 6,
+    aliases: ['bc', 'sodium bicarbonate', 'regular dry chemical'],
+  },
+  [EXTINGUISHER_TYPES.PURPLE_K]: {
+    type: EXTINGUISHER_TYPES.PURPLE_K,
+    label: 'Purple K',
+    hydroYears: 12,
+    sixYearYears: 6,
+    aliases: ['purple k', 'purple-k', 'pkp', 'potassium bicarbonate'],
+  },
+  [EXTINGUISHER_TYPES.CO2]: {
+    type: EXTINGUISHER_TYPES.CO2,
+    label: 'Carbon Dioxide (CO2)',
+    hydroYears: 5,
+    sixYearYears: null,
+    aliases: ['co2', 'carbon dioxide'],
+  },
+  [EXTINGUISHER_TYPES.WATER]: {
+    type: EXTINGUISHER_TYPES.WATER,
+    label: 'Water / Water Mist',
+    hydroYears: 5,
+    sixYearYears: null,
+    aliases: ['water', 'h2o', 'pressurized water', 'water mist', 'mist'],
+  },
+  [EXTINGUISHER_TYPES.FOAM]: {
+    type: EXTINGUISHER_TYPES.FOAM,
+    label: 'Foam (AFFF/FFFP)',
+    hydroYears: 5,
+    sixYearYears: null,
+    aliases: ['foam', 'afff', 'fffp'],
+  },
+  [EXTINGUISHER_TYPES.CLASS_K]: {
+    type: EXTINGUISHER_TYPES.CLASS_K,
+    label: 'Class K / Wet Chemical',
+    hydroYears: 5,
+    sixYearYears: null,
+    aliases: ['class k', 'k class', 'wet chem', 'wet chemical', 'kitchen'],
+  },
+  [EXTINGUISHER_TYPES.CLEAN_AGENT]: {
+    type: EXTINGUISHER_TYPES.CLEAN_AGENT,
+    label: 'Clean Agent / Halon',
+    hydroYears: 12,
+    sixYearYears: 6,
+    aliases: ['clean agent', 'halon', 'halotron', 'fe-36', 'fe36', 'halocarbon'],
+  },
+  [EXTINGUISHER_TYPES.CLASS_D]: {
+    type: EXTINGUISHER_TYPES.CLASS_D,
+    label: 'Class D / Dry Powder',
+    hydroYears: 12,
+    sixYearYears: 6,
+    aliases: ['class d', 'dry powder', 'met-l-x', 'metal'],
+  },
+};
+
+/**
+ * Intervals used when a unit has no type recorded (stored-pressure dry chemical)
+ */
+export const UNKNOWN_TYPE_INTERVALS = {
+  hydro: 12,
+  sixYear: 6,
+  annual: 1,
+};
+
+/**
+ * Empty attribute fields, used when creating or resetting records
+ */
+export const EMPTY_EXTINGUISHER_ATTRIBUTES = {
+  extinguisherType: '',
+  sizeLbs: '',
+  ulRating: '',
+  manufacturer: '',
+  model: '',
+};
+
+/**
+ * Get type configuration by type value, or null if unknown
+ */
+export function getTypeConfig(type) {
+  return TYPE_CONFIG[type] || null;
+}
+
+/**
+ * Get a display label for a stored type value
+ */
+export function getTypeLabel(type) {
+  return getTypeConfig(type)?.label || type || '';
+}
+
+/**
+ * Get the service intervals (in years) for a type, keyed like MAINTENANCE_TYPES
+ */
+export function getServiceIntervals(type) {
+  const config = getTypeConfig(type);
+  if (!config) return UNKNOWN_TYPE_INTERVALS;
+  return {
+    hydro: config.hydroYears,
+    sixYear: config.sixYearYears,
+    annual: 1,
+  };
+}
+
+/**
+ * Match free text from a spreadsheet ("CO2", "5# ABC", "Wet Chem") to a type value.
+ * Returns '' when nothing matches.
+ */
+export function normalizeExtinguisherType(text) {
+  const raw = String(text || '').trim().toLowerCase();
+  if (!raw) return '';
+  if (TYPE_CONFIG[raw]) return raw;
+
+  // Prefer the longest alias so "purple k" wins over "k", "bc" loses to "abc"
+  let best = '';
+  let bestLength = 0;
+  Object.values(TYPE_CONFIG).forEach(config => {
+    [config.label.toLowerCase(), ...config.aliases].forEach(alias => {
+      const pattern = new RegExp(`(^|[^a-z0-9])${alias.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}($|[^a-z0-9])`);
+      if (alias.length > bestLength && pattern.test(raw)) {
+        best = config.type;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Parse a size value ("10", "10 lb", "5#") into a number of pounds, or null
+ */
+export function parseSizeLbs(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const match = String(value).match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Normalize attribute fields from a form or import row for storage
+ */
+export function pickExtinguisherAttributes(source) {
+  return {
+    extinguisherType: source?.extinguisherType || '',
+    sizeLbs: parseSizeLbs(source?.sizeLbs),
+    ulRating: String(source?.ulRating || '').trim(),
+    manufacturer: String(source?.manufacturer || '').trim(),
+    model: String(source?.model || '').trim(),
+  };
+}
+
+export default TYPE_CONFIG;
@@ -0,0 +1,104 @@
+/**
+ * Inspection Frequency Configuration
+ *
+ * Units are inspected monthly unless their building or the unit itself sets
+ * a different frequency (weekly for high-hazard areas, quarterly for
+ * contractor-serviced sites). The unit's own setting wins over its building's.
+ * The next due date is computed from the unit's last inspection, independent
+ * of the monthly workspace it was recorded in.
+ */
+
+export const INSPECTION_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+};
+
+export const DEFAULT_INSPECTION_FREQUENCY = INSPECTION_FREQUENCIES.MONTHLY;
+
+/**
+ * Interval added to the last inspection, and how many days before the due
+ * date the unit counts as due soon
+ */
+export const FREQUENCY_CONFIG = {
+  [INSPECTION_FREQUENCIES.WEEKLY]: {
+    value: INSPECTION_FREQUENCIES.WEEKLY,
+    label: 'Weekly',
+    days: 7,
+    dueSoonDays: 2,
+  },
+  [INSPECTION_FREQUENCIES.MONTHLY]: {
+    value: INSPECTION_FREQUENCIES.MONTHLY,
+    label: 'Monthly',
+    months: 1,
+    dueSoonDays: 7,
+  },
+  [INSPECTION_FREQUENCIES.QUARTERLY]: {
+    value: INSPECTION_FREQUENCIES.QUARTERLY,
+    label: 'Quarterly',
+    months: 3,
+    dueSoonDays: 14,
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get frequency configuration, falling back to monthly for unknown values
+ */
+export function getFrequencyConfig(frequency) {
+  return FREQUENCY_CONFIG[frequency] || FREQUENCY_CONFIG[DEFAULT_INSPECTION_FREQUENCY];
+}
+
+/**
+ * Frequency that applies to a unit: its own, else its building's, else monthly
+ */
+export function getEffectiveFrequency(item, building) {
+  return [item?.inspectionFrequency, building?.inspectionFrequency, DEFAULT_INSPECTION_FREQUENCY]
+    .find(frequency => FREQUENCY_CONFIG[frequency]);
+}
+
+/**
+ * Last monthly inspection of a unit as a Date, or null if never inspected.
+ * `lastInspectedAt` survives the monthly status reset; `checkedDate` covers
+ * units inspected before it was recorded.
+ */
+export function getLastInspectionDate(item) {
+  const value = [item?.lastInspectedAt, item?.checkedDate].filter(Boolean).sort().pop();
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Next due date after an inspection on `last`
+ */
+export function addFrequencyInterval(last, frequency) {
+  const config = getFrequencyConfig(frequency);
+  const next = new Date(last);
+  if (config.days) next.setDate(next.getDate() + config.days);
+  if (config.months) next.setMonth(next.getMonth() + config.months);
+  return next;
+}
+
+/**
+ * Schedule for one unit: frequency, last inspection, next due date, whole days
+ * until due (negative when overdue) and 'overdue' | 'due-soon' | 'ok' | 'never'
+ */
+export function computeInspectionSchedule(item, building, now = new Date()) {
+  const frequency = getEffectiveFrequency(item, building);
+  const last = getLastInspectionDate(item);
+  if (!last) {
+    return { frequency, inherited: !item?.inspectionFrequency, last: null, due: null, daysUntilDue: null, status: 'never' };
+  }
+  const due = addFrequencyInterval(last, frequency);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dueDay = new Date(due.getFullYear(), due.getMonth(), due.getDate());
+  const daysUntilDue = Math.round((dueDay - today) / DAY_MS);
+  let status = 'ok';
+  if (daysUntilDue < 0) status = 'overdue';
+  else if (daysUntilDue <= getFrequencyConfig(frequency).dueSoonDays) status = 'due-soon';
+  return { frequency, inherited: !item?.inspectionFrequency, last, due, daysUntilDue, status };
+}
+
+export default FREQUENCY_CONFIG;
@@ -0,0 +1,117 @@
+/**
+ * Inspection Record Configuration
+ *
+ * Monthly inspections and annual maintenance are stored one document per
+ * record in an `inspections` subcollection of the extinguisher document
+ * (queried across units as a collection group). Each record carries userId,
+ * workspaceId and the extinguisherId and buildingId it was written under. A
+ * unit's history is found by document id: its own plus the ids it had before
+ * it moved building or was copied into a new workspace
+ * (`previousExtinguisherIds`), so another unit that reuses the asset ID never
+ * shares it.
+ *
+ * Units saved before the move still have an `inspectionHistory` array; it is
+ * read alongside the subcollection until the migration removes it.
+ */
+
+import { isAnnualMaintenanceRecord } from './annualMaintenance';
+
+export const INSPECTIONS_SUBCOLLECTION = 'inspections';
+
+// Firestore `in` filters take at most this many values
+const MAX_IN_VALUES = 30;
+
+/**
+ * Deterministic document id for a record. Writing the same record twice (a
+ * re-run migration, a restored backup) overwrites instead of duplicating.
+ */
+export function getInspectionRecordId(record) {
+  const time = Date.parse(record.date);
+  return `${record.recordType || 'inspection'}_${Number.isNaN(time) ? String(record.date).replace(/[^a-zA-Z0-9_-]/g, '_') : time}`;
+}
+
+/**
+ * Record document for a unit: the record plus the fields it is queried by
+ */
+export function buildInspectionRecordDoc(item, record, userId) {
+  return {
+    ...record,
+    userId,
+    workspaceId: item.workspaceId || null,
+    extinguisherId: item.id || null,
+    buildingId: item.buildingId || null,
+    assetId: item.assetId || '',
+    section: item.section || '',
+  };
+}
+
+/**
+ * Document ids a unit's records can be stored under: its current id, then
+ * earlier ids newest first. The list grows by one with every monthly copy.
+ */
+export function getHistoryExtinguisherIds(item) {
+  return [...new Set([item.id, ...[...(item.previousExtinguisherIds || [])].reverse()].filter(Boolean))];
+}
+
+/**
+ * A unit's history ids in groups small enough for one `in` query each
+ */
+export function chunkHistoryExtinguisherIds(item) {
+  const ids = getHistoryExtinguisherIds(item);
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += MAX_IN_VALUES) {
+    chunks.push(ids.slice(i, i + MAX_IN_VALUES));
+  }
+  return chunks;
+}
+
+/**
+ * A unit's history from stored records plus its legacy array: de-duplicated,
+ * oldest first, and without records from before the unit was replaced (the
+ * replaced unit's history stays with the archived record).
+ */
+export function mergeInspectionHistory(item, records = []) {
+  const byId = new Map();
+  [...(item?.inspectionHistory || []), ...records].forEach(record => {
+    byId.set(getInspectionRecordId(record), record);
+  });
+  const replacedAt = item?.replacedFrom?.replacedAt;
+  return [...byId.values()]
+    .filter(record => !replacedAt || record.date >= replacedAt)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Date of the newest monthly inspection in a history (annual maintenance
+ * doesn't count toward the inspection schedule), or null
+ */
+export function getLatestInspectionDate(history = []) {
+  return history
+    .filter(record => !isAnnualMaintenanceRecord(record))
+    .map(record => record.date)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+}
+
+/**
+ * Group records by the document id they were written under, for looking up many units at once
+ */
+export function groupRecordsByUnit(records) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = record.extinguisherId || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  return groups;
+}
+
+/**
+ * Records belonging to one unit out of a group map built by groupRecordsByUnit
+ */
+export function getRecordsForItem(groups, item) {
+  return getHistoryExtinguisherIds(item).flatMap(id => groups.get(id) || []);
+}
+
+export default mergeInspectionHistory;
@@ -0,0 +1,155 @@
+/**
+ * Inspection Timing Configuration
+ *
+ * Each monthly inspection saved from a section records how long the unit was
+ * open before pass/fail was saved (`durationMs`) and the gap since the previous
+ * save (`travelMs`, the walk between units). Units opened automatically by the
+ * guided route open the moment the previous one is saved, so the walk is part
+ * of their duration and no travel time is recorded.
+ *
+ * Timing is stored as `timing` on the inspection record and summarized per
+ * section and per inspector. Outliers (saved in a few seconds, or left open
+ * far longer than an inspection takes) are flagged and left out of averages.
+ */
+
+export const OPEN_METHODS = {
+  SCAN: 'scan',
+  TAP: 'tap',
+  GUIDED: 'guided',
+};
+
+export const OPEN_METHOD_LABELS = {
+  [OPEN_METHODS.SCAN]: 'Scanned',
+  [OPEN_METHODS.TAP]: 'Tapped',
+  [OPEN_METHODS.GUIDED]: 'Guided route',
+};
+
+// Faster than this the checklist can't have been looked at
+export const FAST_INSPECTION_SECONDS = 5;
+// Slower than this the unit was most likely left open
+export const SLOW_INSPECTION_MINUTES = 15;
+// Longer gaps between units are breaks, not travel
+export const MAX_TRAVEL_MINUTES = 30;
+
+export const TIMING_FLAGS = {
+  TOO_FAST: 'too-fast',
+  TOO_SLOW: 'too-slow',
+};
+
+export const TIMING_FLAG_LABELS = {
+  [TIMING_FLAGS.TOO_FAST]: `Saved in under ${FAST_INSPECTION_SECONDS}s`,
+  [TIMING_FLAGS.TOO_SLOW]: `Open over ${SLOW_INSPECTION_MINUTES} min`,
+};
+
+// Time of the last inspection saved on this device, for travel between units
+export const LAST_SAVED_KEY = 'lastInspectionSavedAt';
+
+/**
+ * Start timing a unit that was just opened
+ */
+export function startInspectionTiming(openedVia, now = Date.now()) {
+  const lastSavedAt = Number(localStorage.getItem(LAST_SAVED_KEY)) || null;
+  const gap = lastSavedAt ? now - lastSavedAt : null;
+  const travelMs = openedVia !== OPEN_METHODS.GUIDED && gap !== null && gap >= 0 && gap <= MAX_TRAVEL_MINUTES * 60000
+    ? gap
+    : null;
+  return { openedAt: now, openedVia, travelMs };
+}
+
+/**
+ * Timing to store with the inspection of the unit timed by `started`
+ */
+export function finishInspectionTiming(started, now = Date.now()) {
+  if (!started) return null;
+  return {
+    openedAt: new Date(started.openedAt).toISOString(),
+    savedAt: new Date(now).toISOString(),
+    durationMs: Math.max(0, now - started.openedAt),
+    travelMs: started.travelMs,
+    openedVia: started.openedVia,
+  };
+}
+
+/**
+ * Mark an inspection saved at `savedAt` (ms) as the last save on this device,
+ * the start of the travel to the next unit. Call only once the save succeeded
+ * (or was queued), so a failed save doesn't cut the next unit's travel short.
+ */
+export function markInspectionSaved(savedAt = Date.now()) {
+  localStorage.setItem(LAST_SAVED_KEY, String(savedAt));
+}
+
+/**
+ * Outlier flags for one record's timing
+ */
+export function getTimingFlags(timing) {
+  if (!timing || typeof timing.durationMs !== 'number') return [];
+  const flags = [];
+  if (timing.durationMs < FAST_INSPECTION_SECONDS * 1000) flags.push(TIMING_FLAGS.TOO_FAST);
+  if (timing.durationMs > SLOW_INSPECTION_MINUTES * 60000) flags.push(TIMING_FLAGS.TOO_SLOW);
+  return flags;
+}
+
+/**
+ * Name a record is reported under: the printed name when signed, else the account
+ */
+export function getRecordInspector(record) {
+  return record.inspectorName || record.inspector || 'Unknown inspector';
+}
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function summarizeGroup(key, records) {
+  const normal = records.filter(record => getTimingFlags(record.timing).length === 0);
+  const travel = normal.map(record => record.timing.travelMs).filter(ms => typeof ms === 'number');
+  return {
+    key,
+    count: records.length,
+    flagged: records.length - normal.length,
+    avgDurationMs: average(normal.map(record => record.timing.durationMs)),
+    avgTravelMs: average(travel),
+  };
+}
+
+function groupBy(records, getKey) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = getKey(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  return [...groups.entries()]
+    .map(([key, group]) => summarizeGroup(key, group))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Averages per section and per inspector plus the flagged records, newest
+ * first. Records saved before timing was recorded are ignored.
+ */
+export function summarizeInspectionTiming(records) {
+  const timed = records.filter(record => typeof record.timing?.durationMs === 'number');
+  return {
+    timedCount: timed.length,
+    overall: summarizeGroup('All', timed),
+    bySection: groupBy(timed, record => record.section || 'Unknown section'),
+    byInspector: groupBy(timed, getRecordInspector),
+    outliers: timed
+      .map(record => ({ record, flags: getTimingFlags(record.timing) }))
+      .filter(({ flags }) => flags.length > 0)
+      .sort((a, b) => b.record.date.localeCompare(a.record.date)),
+  };
+}
+
+/**
+ * Short duration such as "45s" or "3m 05s"; blank when unknown
+ */
+export function formatDuration(ms) {
+  if (typeof ms !== 'number') return '';
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+export default summarizeInspectionTiming;
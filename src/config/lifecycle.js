@@ -0,0 +1,112 @@
+/**
+ * Asset Lifecycle Configuration
+ *
+ * Lifecycle state describes where a physical unit is (in service, pulled for
+ * service, held as a spare, retired) and is independent of the monthly
+ * inspection `status`. Only in-service units count toward monthly completion.
+ */
+
+export const LIFECYCLE_STATES = {
+  IN_SERVICE: 'in_service',
+  OUT_FOR_SERVICE: 'out_for_service',
+  SPARE: 'spare',
+  RETIRED: 'retired',
+};
+
+export const LIFECYCLE_CONFIG = {
+  [LIFECYCLE_STATES.IN_SERVICE]: {
+    state: LIFECYCLE_STATES.IN_SERVICE,
+    label: 'In Service',
+    badgeClass: 'bg-green-100 text-green-800',
+    reasons: ['Returned from service', 'Installed', 'Put back in service'],
+  },
+  [LIFECYCLE_STATES.OUT_FOR_SERVICE]: {
+    state: LIFECYCLE_STATES.OUT_FOR_SERVICE,
+    label: 'Out for Service',
+    badgeClass: 'bg-amber-100 text-amber-800',
+    reasons: ['Recharge', 'Hydrostatic test', '6-year maintenance', 'Repair'],
+  },
+  [LIFECYCLE_STATES.SPARE]: {
+    state: LIFECYCLE_STATES.SPARE,
+    label: 'Spare',
+    badgeClass: 'bg-blue-100 text-blue-800',
+    reasons: ['Added to spare pool', 'Location removed'],
+  },
+  [LIFECYCLE_STATES.RETIRED]: {
+    state: LIFECYCLE_STATES.RETIRED,
+    label: 'Retired',
+    badgeClass: 'bg-gray-200 text-gray-700',
+    reasons: ['Failed hydrostatic test', 'Past service life', 'Damaged', 'Recalled'],
+  },
+};
+
+/**
+ * Lifecycle state of a unit; records without one are in service
+ */
+export function getLifecycleState(item) {
+  return item?.lifecycleState || LIFECYCLE_STATES.IN_SERVICE;
+}
+
+/**
+ * Get lifecycle configuration for a unit or state value
+ */
+export function getLifecycleConfig(state) {
+  return LIFECYCLE_CONFIG[state] || LIFECYCLE_CONFIG[LIFECYCLE_STATES.IN_SERVICE];
+}
+
+/**
+ * Check if a unit counts toward monthly inspection completion
+ */
+export function isInService(item) {
+  return getLifecycleState(item) === LIFECYCLE_STATES.IN_SERVICE;
+}
+
+/**
+ * Build the Firestore update for a lifecycle transition
+ */
+export function buildLifecycleTransition(item, nextState, { reason = '', date, changedBy = '' } = {}) {
+  const transitionDate = date || new Date().toISOString();
+  const entry = {
+    from: getLifecycleState(item),
+    to: nextState,
+    date: transitionDate,
+    reason,
+    changedBy,
+  };
+  return {
+    lifecycleState: nextState,
+    lifecycleChangedAt: transitionDate,
+    lifecycleHistory: [...(item?.lifecycleHistory || []), entry],
+  };
+}
+
+/**
+ * Whole days a unit has been out since a swap started
+ */
+export function getDaysOut(startedAt, now = new Date()) {
+  if (!startedAt) return 0;
+  return Math.max(0, Math.floor((now.getTime() - new Date(startedAt).getTime()) / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Swap fields for a unit copied into a new workspace, with the partner ids
+ * mapped to the copies (`newIds`: old document id → new document id). A partner
+ * that wasn't copied keeps a null id so the return reports it as not found.
+ */
+export function remapSwapFields(data, newIds) {
+  return {
+    swap: data.swap ? { ...data.swap, spareId: newIds.get(data.swap.spareId) || null } : null,
+    coveringFor: data.coveringFor ? { ...data.coveringFor, originalId: newIds.get(data.coveringFor.originalId) || null } : null,
+    spareHome: data.spareHome || null,
+    swapHistory: data.swapHistory || [],
+  };
+}
+
+/**
+ * Spares that are available to cover a location (in the spare pool, not already covering)
+ */
+export function getAvailableSpares(extinguishers) {
+  return extinguishers.filter(e => getLifecycleState(e) === LIFECYCLE_STATES.SPARE && !e.coveringFor);
+}
+
+export default LIFECYCLE_CONFIG;
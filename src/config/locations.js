@@ -0,0 +1,150 @@
+/**
+ * Floor and Room Configuration
+ *
+ * Floors and rooms/zones are child documents of a building
+ * (`buildings/{id}/floors`, `buildings/{id}/rooms`) and extinguishers reference
+ * them by `floorId` / `roomId`. These helpers sort and label units by that
+ * structure and parse the legacy free-text `vicinity` / `parentLocation` for
+ * the one-time auto-assignment.
+ */
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+};
+
+/**
+ * Default display name for a floor level (basements are negative)
+ */
+export function getFloorNameForLevel(level) {
+  if (level === -1) return 'Basement';
+  if (level < -1) return `Basement ${-level}`;
+  return `Floor ${level}`;
+}
+
+// Return the single value found, or null when nothing or conflicting values were found
+function single(values) {
+  const distinct = [...new Set(values)];
+  return distinct.length === 1 ? distinct[0] : null;
+}
+
+/**
+ * Parse a floor level from location text. Only explicit floor wording counts
+ * ("Floor 3", "3rd floor", "Level 2", "L2", "2F", "Basement", "B1"); text with
+ * no match or with conflicting floors returns null.
+ */
+export function parseFloorLevel(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value.trim()) return null;
+  const levels = [];
+  let m;
+
+  const patterns = [
+    [/\b(?:floor|flr|fl|level|lvl)\s*#?\s*(\d{1,3})\b/g, n => Number(n)],
+    [/\b(\d{1,3})(?:st|nd|rd|th)\s*(?:floor|flr|fl|level)\b/g, n => Number(n)],
+    [/\bl(\d{1,2})\b/g, n => Number(n)],
+    [/\b(\d{1,2})f\b/g, n => Number(n)],
+    [/\bb(\d)\b/g, n => -Number(n)],
+  ];
+  patterns.forEach(([regex, toLevel]) => {
+    while ((m = regex.exec(value)) !== null) levels.push(toLevel(m[1]));
+  });
+
+  const wordRegex = new RegExp(`\\b(${Object.keys(ORDINAL_WORDS).join('|')})\\s+(?:floor|flr|level)\\b`, 'g');
+  while ((m = wordRegex.exec(value)) !== null) levels.push(ORDINAL_WORDS[m[1]]);
+
+  if (/\bground\s*(?:floor|flr|level)?\b/.test(value)) levels.push(1);
+  if (/\bbasement\b/.test(value)) levels.push(-1);
+
+  return single(levels);
+}
+
+/**
+ * Parse a room or zone name from location text ("Rm 204" -> "Room 204",
+ * "Ste 3" -> "Suite 3", "Zone B" -> "Zone B"). Returns null when absent or ambiguous.
+ */
+export function parseRoomName(text) {
+  const value = String(text || '');
+  const names = [];
+  let m;
+
+  const roomRegex = /\b(room|rm|suite|ste)\.?\s*#?\s*([a-z]?\d+[a-z]?)\b/gi;
+  while ((m = roomRegex.exec(value)) !== null) {
+    const kind = /^s/i.test(m[1]) ? 'Suite' : 'Room';
+    names.push(`${kind} ${m[2].toUpperCase()}`);
+  }
+
+  const zoneRegex = /\bzone\s+([a-z0-9]{1,4})\b/gi;
+  while ((m = zoneRegex.exec(value)) !== null) names.push(`Zone ${m[1].toUpperCase()}`);
+
+  return single(names);
+}
+
+/**
+ * Floor level and room name parsed from an extinguisher's text fields
+ */
+export function parseItemLocation(item) {
+  const text = `${item?.vicinity || ''} ${item?.parentLocation || ''}`;
+  return { level: parseFloorLevel(text), roomName: parseRoomName(text) };
+}
+
+/**
+ * Index floors and rooms by id for lookups
+ */
+export function indexLocations(floors = [], rooms = []) {
+  return {
+    floorsById: new Map(floors.map(f => [f.id, f])),
+    roomsById: new Map(rooms.map(r => [r.id, r])),
+  };
+}
+
+/**
+ * Floors for one building, lowest level first
+ */
+export function getBuildingFloors(floors, buildingId) {
+  return (floors || [])
+    .filter(f => f.buildingId === buildingId)
+    .sort((a, b) => (a.level ?? 0) - (b.level ?? 0) || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Rooms for one floor (or all rooms in a building when floorId is omitted), by name
+ */
+export function getFloorRooms(rooms, buildingId, floorId) {
+  return (rooms || [])
+    .filter(r => r.buildingId === buildingId && (floorId === undefined || r.floorId === floorId))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true }));
+}
+
+/**
+ * "Floor 2 / Room 204" style label for a unit; empty when unassigned
+ */
+export function getLocationLabel(item, { floorsById, roomsById }) {
+  const floor = floorsById.get(item?.floorId);
+  const room = roomsById.get(item?.roomId);
+  return [floor?.name, room?.name].filter(Boolean).join(' / ');
+}
+
+/**
+ * Compare two units by floor level, then room, then vicinity. Units without a
+ * floor sort after assigned ones.
+ */
+export function compareByLocation(a, b, { floorsById, roomsById }) {
+  const floorA = floorsById.get(a.floorId);
+  const floorB = floorsById.get(b.floorId);
+  if (floorA && !floorB) return -1;
+  if (!floorA && floorB) return 1;
+  if (floorA && floorB && floorA.level !== floorB.level) return (floorA.level ?? 0) - (floorB.level ?? 0);
+
+  const roomA = roomsById.get(a.roomId)?.name || '';
+  const roomB = roomsById.get(b.roomId)?.name || '';
+  if (roomA !== roomB) {
+    if (!roomA) return 1;
+    if (!roomB) return -1;
+    return roomA.localeCompare(roomB, undefined, { numeric: true });
+  }
+
+  return String(a.vicinity || '').localeCompare(String(b.vicinity || ''), undefined, { numeric: true });
+}
+
+export default parseItemLocation;
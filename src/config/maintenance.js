@@ -0,0 +1,268 @@
+/**
+ * Maintenance Configuration
+ *
+ * Defines the structured maintenance date fields stored on each extinguisher,
+ * computes next due dates from the unit type's service intervals, and provides
+ * helpers for migrating the legacy free-text `manufactureYear` field.
+ */
+
+import { getServiceIntervals } from './extinguisherTypes';
+
+/**
+ * Maintenance types tracked per extinguisher.
+ * `field` is the Firestore field holding the last-performed date (YYYY-MM-DD).
+ */
+export const MAINTENANCE_TYPES = {
+  SIX_YEAR: 'sixYear',
+  HYDRO: 'hydro',
+  ANNUAL: 'annual',
+};
+
+export const MAINTENANCE_CONFIG = {
+  [MAINTENANCE_TYPES.SIX_YEAR]: {
+    type: MAINTENANCE_TYPES.SIX_YEAR,
+    label: '6-Year Maintenance',
+    shortLabel: '6-Year',
+    field: 'lastSixYearMaintenance',
+  },
+  [MAINTENANCE_TYPES.HYDRO]: {
+    type: MAINTENANCE_TYPES.HYDRO,
+    label: 'Hydrostatic Test',
+    shortLabel: 'Hydro',
+    field: 'lastHydroTest',
+  },
+  [MAINTENANCE_TYPES.ANNUAL]: {
+    type: MAINTENANCE_TYPES.ANNUAL,
+    label: 'Annual Maintenance',
+    shortLabel: 'Annual',
+    field: 'lastAnnualMaintenance',
+  },
+};
+
+/**
+ * Number of days before a due date that a unit is considered "due soon"
+ */
+export const DUE_SOON_DAYS = 90;
+
+/**
+ * Empty structured maintenance fields, used when creating or resetting records
+ */
+export const EMPTY_MAINTENANCE_DATES = {
+  manufactureDate: '',
+  lastSixYearMaintenance: '',
+  lastHydroTest: '',
+  lastAnnualMaintenance: '',
+};
+
+/**
+ * Parse a stored YYYY-MM-DD (or ISO) string into a local Date, or null
+ */
+export function parseMaintenanceDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD for storage and <input type="date">
+ */
+export function toDateString(date) {
+  if (!date) return '';
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function addYears(date, years) {
+  const next = new Date(date.getTime());
+  next.setFullYear(next.getFullYear() + years);
+  return next;
+}
+
+function latest(...dates) {
+  const valid = dates.filter(Boolean);
+  if (valid.length === 0) return null;
+  return new Date(Math.max(...valid.map(d => d.getTime())));
+}
+
+/**
+ * Compute next due dates for each maintenance type.
+ *
+ * - 6-year maintenance restarts from the latest of manufacture, last 6-year or last hydro
+ * - Hydrostatic test restarts from the latest of manufacture or last hydro
+ * - Annual maintenance restarts from the latest service of any kind
+ *
+ * Intervals default to the ones required by the unit's extinguisher type.
+ * A type that does not require a service gets `notRequired: true` and no due date.
+ *
+ * Returns { [type]: { last: Date|null, due: Date|null, notRequired: boolean } }
+ */
+export function computeMaintenanceDueDates(item, intervals = getServiceIntervals(item?.extinguisherType)) {
+  const manufactured = parseMaintenanceDate(item?.manufactureDate);
+  const lastSixYear = parseMaintenanceDate(item?.lastSixYearMaintenance);
+  const lastHydro = parseMaintenanceDate(item?.lastHydroTest);
+  const lastAnnual = parseMaintenanceDate(item?.lastAnnualMaintenance);
+
+  const sixYearBase = latest(manufactured, lastSixYear, lastHydro);
+  const hydroBase = latest(manufactured, lastHydro);
+  const annualBase = latest(lastAnnual, lastSixYear, lastHydro);
+
+  const dueFrom = (base, type) => {
+    const years = intervals[type];
+    return base && years ? addYears(base, years) : null;
+  };
+
+  const entry = (last, base, type) => ({
+    last,
+    due: dueFrom(base, type),
+    notRequired: !intervals[type],
+  });
+
+  return {
+    [MAINTENANCE_TYPES.SIX_YEAR]: entry(lastSixYear, sixYearBase, MAINTENANCE_TYPES.SIX_YEAR),
+    [MAINTENANCE_TYPES.HYDRO]: entry(lastHydro, hydroBase, MAINTENANCE_TYPES.HYDRO),
+    [MAINTENANCE_TYPES.ANNUAL]: entry(lastAnnual, annualBase, MAINTENANCE_TYPES.ANNUAL),
+  };
+}
+
+/**
+ * Classify a due date relative to today: 'overdue' | 'due-soon' | 'ok' | 'unknown'
+ */
+export function getDueStatus(dueDate, now = new Date()) {
+  if (!dueDate) return 'unknown';
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.floor((dueDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
+  if (days < 0) return 'overdue';
+  if (days <= DUE_SOON_DAYS) return 'due-soon';
+  return 'ok';
+}
+
+/**
+ * Due-date buckets used by the maintenance dashboard, in display order
+ */
+export const DUE_BUCKETS = [
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'thisMonth', label: 'Due This Month' },
+  { key: 'days30', label: 'Due in 30 Days' },
+  { key: 'days60', label: 'Due in 31-60 Days' },
+  { key: 'days90', label: 'Due in 61-90 Days' },
+];
+
+/**
+ * Place a due date in a dashboard bucket, or null if it is more than 90 days out.
+ * "This month" wins over the 30-day bucket for dates inside the current calendar month.
+ */
+export function getDueBucket(dueDate, now = new Date()) {
+  if (!dueDate) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.floor((dueDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
+  if (days < 0) return 'overdue';
+  if (dueDate.getFullYear() === today.getFullYear() && dueDate.getMonth() === today.getMonth()) return 'thisMonth';
+  if (days <= 30) return 'days30';
+  if (days <= 60) return 'days60';
+  if (days <= 90) return 'days90';
+  return null;
+}
+
+/**
+ * Check whether an extinguisher already has any structured maintenance date
+ */
+export function hasStructuredMaintenance(item) {
+  return Boolean(
+    item?.manufactureDate ||
+    item?.lastSixYearMaintenance ||
+    item?.lastHydroTest ||
+    item?.lastAnnualMaintenance
+  );
+}
+
+// Matches "2019", "03/2019", "3-2019", "2019-03", "2019-03-15", "03/15/2019"
+const DATE_TOKEN = /(\d{4}-\d{1,2}(?:-\d{1,2})?|\d{1,2}[/-]\d{1,2}[/-]\d{4}|\d{1,2}[/-]\d{4}|\d{4})/;
+
+function parseDateToken(token) {
+  if (!token) return null;
+  let m;
+  if ((m = token.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/))) {
+    return toDateString(new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3] || 1)));
+  }
+  if ((m = token.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    return toDateString(new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2])));
+  }
+  if ((m = token.match(/^(\d{1,2})[/-](\d{4})$/))) {
+    return toDateString(new Date(Number(m[2]), Number(m[1]) - 1, 1));
+  }
+  if ((m = token.match(/^(\d{4})$/))) {
+    return toDateString(new Date(Number(m[1]), 0, 1));
+  }
+  return null;
+}
+
+function isPlausibleYear(dateString) {
+  const year = Number(dateString.slice(0, 4));
+  return year >= 1950 && year <= new Date().getFullYear() + 1;
+}
+
+/**
+ * Parse the legacy free-text "Mfg Year / 6-Year / Hydro" value.
+ *
+ * Understands labelled segments ("6yr: 2025", "Hydro 2031", "Annual 2024",
+ * "Mfg 2019") separated by "/", "," or ";", and treats an unlabelled leading
+ * date as the manufacture date. Returns { dates, needsReview } where `dates`
+ * only contains fields that were confidently parsed.
+ */
+export function parseLegacyManufactureYear(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return { dates: {}, needsReview: false };
+
+  const dates = {};
+  let unparsed = false;
+
+  // A "/" only separates segments when spaced or followed by a label, so "03/2019" stays intact
+  const segments = raw.split(/\s*[,;|]\s*|\s+\/\s*|\s*\/\s+|\/(?=[a-z])/i).filter(Boolean);
+  segments.forEach((segment, index) => {
+    const lower = segment.toLowerCase();
+    const tokens = segment.match(new RegExp(DATE_TOKEN.source, 'g')) || [];
+    const parsed = tokens.length === 1 ? parseDateToken(tokens[0]) : null;
+    if (!parsed || !isPlausibleYear(parsed)) {
+      unparsed = true;
+      return;
+    }
+
+    let field = null;
+    if (/hydro|hst/.test(lower)) field = 'lastHydroTest';
+    else if (/6\s*-?\s*y(ea)?r|six/.test(lower)) field = 'lastSixYearMaintenance';
+    else if (/annual|yearly|ann\b/.test(lower)) field = 'lastAnnualMaintenance';
+    else if (/mfg|manuf|made|dom/.test(lower) || index === 0) field = 'manufactureDate';
+
+    if (!field || dates[field]) {
+      unparsed = true;
+      return;
+    }
+    dates[field] = parsed;
+  });
+
+  return { dates, needsReview: unparsed || Object.keys(dates).length === 0 };
+}
+
+/**
+ * Build export columns for the structured maintenance dates of an extinguisher
+ */
+export function getMaintenanceExportColumns(item, intervals = getServiceIntervals(item?.extinguisherType)) {
+  const due = computeMaintenanceDueDates(item, intervals);
+  const columns = { 'Manufacture Date': item?.manufactureDate || '' };
+  Object.values(MAINTENANCE_CONFIG).forEach(config => {
+    columns[`Last ${config.shortLabel}`] = item?.[config.field] || '';
+    columns[`Next ${config.shortLabel} Due`] = due[config.type].notRequired
+      ? 'N/A'
+      : toDateString(due[config.type].due);
+  });
+  if (item?.maintenanceNeedsReview) {
+    columns['Legacy Maintenance Text'] = item.manufactureYear || '';
+  }
+  return columns;
+}
+
+export default MAINTENANCE_CONFIG;
@@ -0,0 +1,192 @@
+/**
+ * Recall Matching
+ *
+ * Parses manufacturer recall lists (CSV/XLSX rows) and matches extinguishers
+ * against them by manufacturer, model, serial range and date-code range.
+ * Matching recall ids are stored on each unit as `recallIds`.
+ */
+
+import * as XLSX from 'xlsx';
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+// Spreadsheet cells may come through as numbers; keep serials as trimmed strings
+const cellText = (row, keys) => {
+  for (const key of keys) {
+    const value = row[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return '';
+};
+
+// Date cells are stored as YYYY-MM-DD so the recall shows a readable date code
+const dateCellText = (row, keys) => {
+  const text = cellText(row, keys);
+  return isSpreadsheetSerial(text) ? serialToDateCode(text) || text : text;
+};
+
+/**
+ * Split a serial into its prefix and trailing number ("AB01234" -> { prefix: "ab", number: 1234 })
+ */
+function splitSerial(serial) {
+  const match = normalize(serial).match(/^(.*?)(\d+)$/);
+  if (!match) return null;
+  return { prefix: match[1], number: Number(match[2]) };
+}
+
+/**
+ * Check whether a serial falls within [start, end] (inclusive).
+ * Serials with the same prefix are compared numerically; anything else falls
+ * back to a same-length string comparison.
+ */
+export function isSerialInRange(serial, start, end) {
+  const value = normalize(serial);
+  if (!value) return false;
+  const from = normalize(start);
+  const to = normalize(end || start);
+  if (!from) return true;
+
+  const s = splitSerial(value);
+  const a = splitSerial(from);
+  const b = splitSerial(to);
+  if (s && a && b && s.prefix === a.prefix && a.prefix === b.prefix) {
+    return s.number >= a.number && s.number <= b.number;
+  }
+  if (value.length === from.length && value.length === to.length) {
+    return value >= from && value <= to;
+  }
+  return false;
+}
+
+// Spreadsheet date cells arrive as day serials (42430 = 2016-03-01); plain years stay years
+const isSpreadsheetSerial = (value) => /^\d{5}(\.\d+)?$/.test(String(value).trim());
+
+const serialToDateCode = (value) => {
+  const parsed = XLSX.SSF.parse_date_code(Number(value));
+  if (!parsed || !parsed.y) return '';
+  return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+};
+
+/**
+ * Normalize a date code ("2016", "03/2016", "2016-03", "2016-03-15", or a
+ * spreadsheet date serial) to YYYY-MM for comparison; '' when it can't be read
+ */
+export function normalizeDateCode(value, { end = false } = {}) {
+  let raw = String(value ?? '').trim();
+  if (!raw) return '';
+  if (isSpreadsheetSerial(raw)) raw = serialToDateCode(raw);
+  let m;
+  if ((m = raw.match(/^(\d{4})-(\d{1,2})/))) return `${m[1]}-${m[2].padStart(2, '0')}`;
+  if ((m = raw.match(/^(\d{1,2})[/-](\d{4})$/))) return `${m[2]}-${m[1].padStart(2, '0')}`;
+  if ((m = raw.match(/^(\d{1,2})[/-]\d{1,2}[/-](\d{4})$/))) return `${m[2]}-${m[1].padStart(2, '0')}`;
+  if ((m = raw.match(/^(\d{4})$/))) return `${m[1]}-${end ? '12' : '01'}`;
+  return '';
+}
+
+/**
+ * Check whether an extinguisher matches a recall
+ */
+export function matchesRecall(item, recall) {
+  if (!item || !recall) return false;
+
+  const manufacturer = normalize(recall.manufacturer);
+  if (manufacturer && !normalize(item.manufacturer).includes(manufacturer)) return false;
+
+  const model = normalize(recall.model);
+  if (model && normalize(item.model) !== model) return false;
+
+  const hasSerialRange = Boolean(recall.serialStart || recall.serialEnd);
+  const hasDateRange = Boolean(recall.dateCodeStart || recall.dateCodeEnd);
+
+  // A recall with neither range would flag every unit of the model; require one
+  if (!hasSerialRange && !hasDateRange) return Boolean(model);
+
+  if (hasSerialRange && !isSerialInRange(item.serial, recall.serialStart || recall.serialEnd, recall.serialEnd)) {
+    return false;
+  }
+
+  if (hasDateRange) {
+    const made = normalizeDateCode(item.manufactureDate);
+    if (!made) return false;
+    // Only a missing bound is open-ended; one that can't be read never matches
+    const from = recall.dateCodeStart ? normalizeDateCode(recall.dateCodeStart) : '0000-01';
+    const to = recall.dateCodeEnd ? normalizeDateCode(recall.dateCodeEnd, { end: true }) : '9999-12';
+    if (!from || !to) return false;
+    if (made < from || made > to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the ids of all recalls an extinguisher matches
+ */
+export function findRecallIds(item, recalls) {
+  return (recalls || []).filter(recall => matchesRecall(item, recall)).map(recall => recall.id);
+}
+
+/**
+ * Compare two recall id lists regardless of order
+ */
+export function sameRecallIds(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  const set = new Set(a);
+  return b.every(id => set.has(id));
+}
+
+/**
+ * Parse spreadsheet rows (from XLSX.utils.sheet_to_json) into recall records.
+ * Rows without a manufacturer or without any range/model are skipped; rows with
+ * a date code that can't be read are listed in `invalidDates` and not imported.
+ */
+export function parseRecallRows(rows) {
+  const recalls = [];
+  const skipped = [];
+  const invalidDates = [];
+
+  rows.forEach((row, index) => {
+    const recall = {
+      title: cellText(row, ['Recall', 'Recall Name', 'Title', 'Recall ID', 'Recall Number']),
+      manufacturer: cellText(row, ['Manufacturer', 'Mfr', 'Brand', 'manufacturer']),
+      model: cellText(row, ['Model', 'Model Number', 'model']),
+      serialStart: cellText(row, ['Serial Start', 'Serial From', 'Start Serial', 'serialStart']),
+      serialEnd: cellText(row, ['Serial End', 'Serial To', 'End Serial', 'serialEnd']),
+      dateCodeStart: dateCellText(row, ['Date Code Start', 'Date From', 'Manufactured From', 'dateCodeStart']),
+      dateCodeEnd: dateCellText(row, ['Date Code End', 'Date To', 'Manufactured To', 'dateCodeEnd']),
+      notes: cellText(row, ['Notes', 'Description', 'Remedy']),
+    };
+
+    // "Serial Range" column like "AB1000-AB1999"
+    const serialRange = cellText(row, ['Serial Range', 'Serials']);
+    if (serialRange && !recall.serialStart) {
+      // Prefer a spaced separator so hyphenated serials ("AB-1000 - AB-1999") stay intact
+      const spaced = serialRange.split(/\s+(?:-|–|to)\s+/i);
+      const [start, end] = spaced.length === 2 ? spaced : serialRange.split(/\s*[-–]\s*/);
+      recall.serialStart = start || '';
+      recall.serialEnd = end || start || '';
+    }
+
+    const hasCriteria = recall.model || recall.serialStart || recall.serialEnd || recall.dateCodeStart || recall.dateCodeEnd;
+    if (!recall.manufacturer || !hasCriteria) {
+      skipped.push(index + 2); // +2: header row and 1-based spreadsheet rows
+      return;
+    }
+
+    if ((recall.dateCodeStart && !normalizeDateCode(recall.dateCodeStart)) ||
+        (recall.dateCodeEnd && !normalizeDateCode(recall.dateCodeEnd, { end: true }))) {
+      invalidDates.push(index + 2);
+      return;
+    }
+
+    if (!recall.title) {
+      recall.title = [recall.manufacturer, recall.model].filter(Boolean).join(' ');
+    }
+    recalls.push(recall);
+  });
+
+  return { recalls, skipped, invalidDates };
+}
+
+export default parseRecallRows;
@@ -0,0 +1,113 @@
+/**
+ * Re-inspection Configuration
+ *
+ * A re-inspection is a monthly inspection record with `reinspectionOf` set to
+ * the `date` of the failed inspection it follows up (a record's date is unique
+ * per unit). The corrective action is taken from the deficiencies resolved for
+ * that failure, or entered when re-inspecting. Failure → correction → re-inspection form a chain.
+ *
+ * Functions here read `item.inspectionHistory`; pass the unit with its history
+ * loaded from the inspections store.
+ */
+
+import { isAnnualMaintenanceRecord } from './annualMaintenance';
+import { getDeficienciesForItem, isDeficiencyOpen } from './deficiencies';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check if an inspection record is a re-inspection
+ */
+export function isReinspection(record) {
+  return Boolean(record?.reinspectionOf);
+}
+
+/**
+ * Monthly inspection records, oldest first
+ */
+function getMonthlyHistory(item) {
+  return (item?.inspectionHistory || [])
+    .filter(record => !isAnnualMaintenanceRecord(record))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * The failed inspection a re-inspection of this unit would follow up: the
+ * most recent failure. A failed re-inspection stays linked to the original
+ * failure, so a chain can hold several re-inspections.
+ */
+export function getFailureToReinspect(item) {
+  const history = getMonthlyHistory(item);
+  const latest = history[history.length - 1];
+  if (!latest || latest.status !== 'fail') return null;
+  if (isReinspection(latest)) {
+    return history.find(record => record.date === latest.reinspectionOf) || latest;
+  }
+  return latest;
+}
+
+/**
+ * Deficiencies opened by a failed inspection (they share its date)
+ */
+export function getDeficienciesForFailure(deficiencies, item, failure) {
+  return getDeficienciesForItem(deficiencies, item).filter(d => d.openedAt === failure.date);
+}
+
+/**
+ * Corrective actions recorded against a failure's deficiencies:
+ * [{ itemLabel, note, resolvedAt, resolvedBy }]
+ */
+export function getCorrectiveActions(deficiencies, item, failure) {
+  return getDeficienciesForFailure(deficiencies, item, failure)
+    .filter(d => !isDeficiencyOpen(d) && d.resolution)
+    .map(d => ({
+      itemLabel: d.itemLabel,
+      note: d.resolution.note || '',
+      resolvedAt: d.resolution.resolvedAt || null,
+      resolvedBy: d.resolution.resolvedBy || '',
+    }));
+}
+
+/**
+ * Milliseconds from the failure to a passing re-inspection
+ */
+export function getTimeToCorrection(failure, reinspection) {
+  if (!failure?.date || !reinspection?.date) return null;
+  return Math.max(0, new Date(reinspection.date) - new Date(failure.date));
+}
+
+/**
+ * Human-readable duration, e.g. "3d 4h" or "5h"
+ */
+export function formatCorrectionTime(ms) {
+  if (ms === null || ms === undefined) return '';
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.round((ms % DAY_MS) / (60 * 60 * 1000));
+  if (days === 0) return `${hours}h`;
+  return hours ? `${days}d ${hours}h` : `${days}d`;
+}
+
+/**
+ * Failure chains for a unit, newest failure first:
+ * [{ failure, reinspections, corrected, correctedAt, timeToCorrectionMs }]
+ * A chain is corrected once one of its re-inspections passes.
+ */
+export function buildInspectionChains(item) {
+  const history = getMonthlyHistory(item);
+  return history
+    .filter(record => record.status === 'fail' && !isReinspection(record))
+    .map(failure => {
+      const reinspections = history.filter(record => record.reinspectionOf === failure.date);
+      const passed = reinspections.find(record => record.status === 'pass');
+      return {
+        failure,
+        reinspections,
+        corrected: Boolean(passed),
+        correctedAt: passed?.date || null,
+        timeToCorrectionMs: passed ? getTimeToCorrection(failure, passed) : null,
+      };
+    })
+    .reverse();
+}
+
+export default buildInspectionChains;
@@ -0,0 +1,138 @@
+/**
+ * Timer Session Configuration
+ *
+ * Section time is recorded as one `timerSessions` document per start/stop of
+ * the section timer, tagged with the inspector and the device that ran it.
+ * An open session (no `stoppedAt`) is that inspector's running timer on that
+ * device, so it survives reloads, and inspectors sharing an account each keep
+ * their own. Section totals are the sum of closed sessions that have not been
+ * cleared.
+ */
+
+export const TIMER_SESSIONS_COLLECTION = 'timerSessions';
+
+export const TIMER_STOP_REASONS = {
+  PAUSE: 'pause',
+  STOP: 'stop',
+  IDLE: 'idle',
+  SWITCH: 'switch',
+};
+
+export const TIMER_STOP_REASON_LABELS = {
+  [TIMER_STOP_REASONS.PAUSE]: 'Paused',
+  [TIMER_STOP_REASONS.STOP]: 'Stopped',
+  [TIMER_STOP_REASONS.IDLE]: 'Idle',
+  [TIMER_STOP_REASONS.SWITCH]: 'Switched section',
+};
+
+// Minutes without an inspection before a running timer pauses itself; 0 turns it off
+export const DEFAULT_TIMER_IDLE_MINUTES = 15;
+export const TIMER_IDLE_OPTIONS = [0, 5, 10, 15, 20, 30, 45, 60];
+
+const DEVICE_ID_KEY = 'timerDeviceId';
+
+/**
+ * Stable id for this browser, created on first use
+ */
+export function getTimerDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Short human-readable description of this device for reports
+ */
+export function getTimerDeviceLabel() {
+  const ua = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+  const platform = [
+    [/iPhone/, 'iPhone'], [/iPad/, 'iPad'], [/Android/, 'Android'],
+    [/Windows/, 'Windows'], [/Mac OS X/, 'Mac'], [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(ua))?.[1] || 'Unknown device';
+  const browser = [
+    [/Edg\//, 'Edge'], [/CriOS|Chrome\//, 'Chrome'], [/FxiOS|Firefox\//, 'Firefox'], [/Safari\//, 'Safari'],
+  ].find(([pattern]) => pattern.test(ua))?.[1];
+  return browser ? `${platform} · ${browser}` : platform;
+}
+
+/**
+ * Inspector a session is recorded for: the printed name from the inspector
+ * profile on this device, else the signed-in account
+ */
+export function getTimerInspector(email) {
+  try {
+    const profile = JSON.parse(localStorage.getItem('inspectorProfile'));
+    if (profile?.name?.trim()) return profile.name.trim();
+  } catch {
+    // Fall through to the account
+  }
+  return email || 'Unknown inspector';
+}
+
+/**
+ * Whether a session belongs to this inspector on this device: the same
+ * account (`inspectorUid`, or the owner for sessions from before it was
+ * stored), the same printed inspector name and the same device. Inspectors
+ * sharing an account are told apart by name and device.
+ */
+export function isOwnTimerSession(session, { uid, inspector, deviceId }) {
+  return Boolean(uid)
+    && (session.inspectorUid || session.userId) === uid
+    && session.inspector === inspector
+    && session.deviceId === deviceId;
+}
+
+/**
+ * Elapsed milliseconds of a session; open sessions run until `now`
+ */
+export function getSessionDuration(session, now = Date.now()) {
+  if (typeof session.durationMs === 'number' && session.stoppedAt) return session.durationMs;
+  const end = session.stoppedAt ? Date.parse(session.stoppedAt) : now;
+  return Math.max(0, end - Date.parse(session.startedAt));
+}
+
+/**
+ * When an open session went idle, or null while it is still active. Idle time
+ * is measured from the last save recorded under the session (or its start).
+ * A session with saves stops at the last one, so the idle stretch isn't
+ * counted. One with no saves at all stops a full idle period after it
+ * started: the inspector was on the clock for at least that long, and
+ * stopping at the start would record no time.
+ */
+export function getIdleStopTime(session, idleMinutes, now = Date.now()) {
+  if (!idleMinutes || session.stoppedAt) return null;
+  const startedAt = Date.parse(session.startedAt);
+  const lastActivity = Date.parse(session.lastActivityAt || session.startedAt);
+  if (now - lastActivity < idleMinutes * 60000) return null;
+  return new Date(lastActivity > startedAt ? lastActivity : startedAt + idleMinutes * 60000).toISOString();
+}
+
+/**
+ * Totals in milliseconds by section, by inspector and by inspector within a
+ * section. Cleared sessions are left out; open sessions count up to `now`.
+ */
+export function summarizeSessions(sessions, now = Date.now()) {
+  const bySection = {};
+  const byInspector = {};
+  const bySectionInspector = {};
+  sessions.filter(session => !session.clearedAt).forEach(session => {
+    const duration = getSessionDuration(session, now);
+    const inspector = session.inspector || 'Unknown inspector';
+    bySection[session.section] = (bySection[session.section] || 0) + duration;
+    byInspector[inspector] = (byInspector[inspector] || 0) + duration;
+    const key = `${session.section}::${inspector}`;
+    if (!bySectionInspector[key]) {
+      bySectionInspector[key] = { section: session.section, inspector, sessions: 0, durationMs: 0 };
+    }
+    bySectionInspector[key].sessions += 1;
+    bySectionInspector[key].durationMs += duration;
+  });
+  return { bySection, byInspector, bySectionInspector: Object.values(bySectionInspector) };
+}
+
+export default summarizeSessions;
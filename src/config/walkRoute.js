@@ -0,0 +1,54 @@
+/**
+ * Walking Route Configuration
+ *
+ * Each building stores the order inspectors walk it as `routeOrder`, a list of
+ * asset IDs. Asset IDs (not document ids) are used because every workspace
+ * gets its own copy of a unit, so the same route works month after month.
+ */
+
+import { normalizeAssetKey } from './assetIds';
+
+const compareAssetIds = (a, b) =>
+  String(a.assetId || '').localeCompare(String(b.assetId || ''), undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Sort units by a saved route. Units missing from the route follow, by asset ID.
+ */
+export function sortByRoute(items, routeOrder = []) {
+  const position = new Map(routeOrder.map((assetId, index) => [normalizeAssetKey(assetId), index]));
+  return [...items].sort((a, b) => {
+    const posA = position.get(normalizeAssetKey(a.assetId));
+    const posB = position.get(normalizeAssetKey(b.assetId));
+    if (posA !== undefined && posB !== undefined) return posA - posB;
+    if (posA !== undefined) return -1;
+    if (posB !== undefined) return 1;
+    return compareAssetIds(a, b);
+  });
+}
+
+/**
+ * Route recorded from when units were actually inspected: inspected units in
+ * the order of their `checkedDate`, then the rest by asset ID
+ */
+export function buildRouteFromInspections(items) {
+  const inspected = items
+    .filter(item => item.checkedDate)
+    .sort((a, b) => new Date(a.checkedDate) - new Date(b.checkedDate));
+  const rest = items.filter(item => !item.checkedDate).sort(compareAssetIds);
+  return [...inspected, ...rest].map(item => item.assetId);
+}
+
+/**
+ * Next pending unit after `currentId` in a route-ordered list, wrapping to the
+ * start. Ids in `excludeIds` (just saved, skipped) are passed over.
+ */
+export function getNextPendingInRoute(orderedItems, currentId, excludeIds = new Set()) {
+  const start = orderedItems.findIndex(item => item.id === currentId) + 1;
+  for (let offset = 0; offset < orderedItems.length; offset += 1) {
+    const item = orderedItems[(start + offset) % orderedItems.length];
+    if (item.id !== currentId && item.status === 'pending' && !excludeIds.has(item.id)) return item;
+  }
+  return null;
+}
+
+export default sortByRoute;
@@ -21,6 +21,9 @@ const app = initializeApp(firebaseConfig);
 // Initialize Firebase services
 export const db = getFirestore(app);
 export const storage = getStorage(app);
+// Give up on an upload after 30s instead of the default 10 minutes; the
+// inspection is then kept in the offline queue and retried later
+storage.maxUploadRetryTime = 30000;
 
 // Enable offline persistence (queues writes, serves cached reads)
 try {
@@ -0,0 +1,15 @@
+import { useCallback, useRef } from 'react';
+
+/**
+ * Stable wrapper around a callback prop
+ *
+ * Loaders passed from App are usually inline functions, so they change on
+ * every render. The returned function keeps one identity and always calls the
+ * latest `callback`, so effects that depend on it reload only when their
+ * other dependencies change.
+ */
+export const useLatestCallback = (callback) => {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+  return useCallback((...args) => callbackRef.current(...args), []);
+};
@@ -0,0 +1,151 @@
+/**
+ * Offline write queue
+ *
+ * Inspections and notes that can't be saved (no signal, or a photo upload that
+ * gave up) are kept in IndexedDB with their photo files and retried when the
+ * device is back online. Firestore's own persistence covers plain document
+ * writes; this queue exists because Storage uploads have no offline mode, and
+ * a write must not go out before its photos have URLs.
+ *
+ * Entries keep only the unit's identifying fields; the current document is
+ * re-read when the entry is replayed.
+ */
+
+const DB_NAME = 'extinguisherTrackerQueue';
+const DB_VERSION = 1;
+const STORE = 'pendingWrites';
+
+export const QUEUED_WRITE_TYPES = {
+  INSPECTION: 'inspection',
+  NOTES: 'notes',
+};
+
+// Errors that mean "try again later" rather than "this write is wrong"
+const RETRYABLE_CODES = [
+  'unavailable',
+  'deadline-exceeded',
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+  'storage/server-file-wrong-size',
+];
+
+let dbPromise = null;
+
+const openQueueDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runInStore = async (mode, action) => {
+  const db = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * A photo upload that failed for a reason a connection won't fix (e.g. a
+ * rejected or unreadable file). The save is never written without the photo:
+ * it is kept in the queue, marked failed, for the inspector to retry or discard.
+ */
+export class PhotoUploadError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'PhotoUploadError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether an error is worth retrying once the connection is back
+ */
+export function isRetryableError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+  return RETRYABLE_CODES.includes(error?.code);
+}
+
+/**
+ * Queue a write; returns the stored entry. With `failure`, the entry is stored
+ * already marked failed (it waits for a retry instead of the next sync).
+ */
+export async function addQueuedWrite({ userId, type, item, payload, failure = null }) {
+  const entry = {
+    id: typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}_${Math.random().toString(36).slice(2)}`,
+    userId,
+    type,
+    item: {
+      id: item.id,
+      buildingId: item.buildingId || null,
+      workspaceId: item.workspaceId || null,
+      assetId: item.assetId || '',
+      section: item.section || '',
+    },
+    payload,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: failure ? failure.message || String(failure) : null,
+    failedAt: failure ? new Date().toISOString() : null,
+    // Set when a replay conflicted with another device; the retry asks how to resolve it
+    needsDecision: false,
+  };
+  await runInStore('readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * A user's queued writes, oldest first
+ */
+export async function getQueuedWrites(userId) {
+  const entries = await runInStore('readonly', store => store.getAll());
+  return (entries || [])
+    .filter(entry => entry.userId === userId)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export async function updateQueuedWrite(entry) {
+  await runInStore('readwrite', store => store.put(entry));
+}
+
+export async function removeQueuedWrite(id) {
+  await runInStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Show queued inspections as already saved, so the unit leaves the unchecked
+ * list while its write waits for a connection
+ */
+export function applyQueuedInspections(items, entries) {
+  const queued = new Map(entries
+    .filter(entry => entry.type === QUEUED_WRITE_TYPES.INSPECTION && !entry.failedAt)
+    .map(entry => [entry.item.id, entry]));
+  if (queued.size === 0) return items;
+  return items.map(item => {
+    const entry = queued.get(item.id);
+    if (!entry) return item;
+    return {
+      ...item,
+      status: entry.payload.status,
+      checkedDate: entry.payload.inspectionData?.savedAt || entry.queuedAt,
+      notes: entry.payload.notes,
+      pendingSync: true,
+    };
+  });
+}
+
+export default addQueuedWrite;